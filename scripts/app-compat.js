@@ -0,0 +1,472 @@
+/**
+ * Application element resolution across Foundry V11–V14.
+ *
+ * V1 Applications expose `element` as a jQuery object and live in ui.windows;
+ * ApplicationV2 (V12+) exposes an HTMLElement and lives in
+ * foundry.applications.instances. Some V13 sheets only expose `_element`, and
+ * journal sheets are sometimes only reachable through the DOM. This module
+ * hides those differences: given a document or an application it returns
+ * the application's root element, window frame, content area and a close
+ * function.
+ *
+ * When nothing can be resolved, diagnoseResolution() lists every strategy
+ * that was tried and what it found.
+ *
+ * @example
+ * const resolved = resolveApplication(actor);   // or actor.sheet
+ * resolved.content.querySelector(".sheet-wrapper");
+ * await resolved.close();
+ */
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/** Default time to wait for an application to close */
+const CLOSE_TIMEOUT_MS = 500;
+
+// ============================================================================
+// Classes
+// ============================================================================
+
+/**
+ * Get the application classes available in this Foundry version, preferring
+ * the V13+ namespaced implementations. Missing classes are null.
+ * @returns {{Application: Function|null, ApplicationV2: Function|null, Dialog: Function|null,
+ *   DialogV2: Function|null, ActorSheet: Function|null, ItemSheet: Function|null}}
+ */
+export function getApplicationClasses() {
+  return {
+    Application: foundry?.appv1?.api?.Application ?? globalThis.Application ?? null,
+    ApplicationV2: foundry?.applications?.api?.ApplicationV2 ?? null,
+    Dialog: foundry?.appv1?.api?.Dialog ?? globalThis.Dialog ?? null,
+    DialogV2: foundry?.applications?.api?.DialogV2 ?? null,
+    ActorSheet: foundry?.appv1?.sheets?.ActorSheet ?? globalThis.ActorSheet ?? null,
+    ItemSheet: foundry?.appv1?.sheets?.ItemSheet ?? globalThis.ItemSheet ?? null,
+  };
+}
+
+/**
+ * Check whether an application is an ApplicationV2.
+ * @param {object} app
+ * @returns {boolean}
+ */
+export function isApplicationV2(app) {
+  const { ApplicationV2 } = getApplicationClasses();
+  return Boolean(ApplicationV2 && app instanceof ApplicationV2);
+}
+
+/**
+ * Check whether an application is a V1 Dialog or a DialogV2.
+ * @param {object} app
+ * @returns {boolean}
+ */
+export function isDialog(app) {
+  const { Dialog, DialogV2 } = getApplicationClasses();
+  return Boolean((Dialog && app instanceof Dialog) || (DialogV2 && app instanceof DialogV2));
+}
+
+/**
+ * Check whether an application is a V1 actor or item sheet.
+ * @param {object} app
+ * @returns {boolean}
+ */
+export function isV1DocumentSheet(app) {
+  const { ActorSheet, ItemSheet } = getApplicationClasses();
+  return Boolean((ActorSheet && app instanceof ActorSheet) || (ItemSheet && app instanceof ItemSheet));
+}
+
+// ============================================================================
+// Open Applications
+// ============================================================================
+
+/**
+ * List every open application: V1 windows and ApplicationV2 instances.
+ * @returns {object[]}
+ */
+export function listOpenApplications() {
+  const apps = new Set(Object.values(ui.windows ?? {}));
+  const instances = foundry?.applications?.instances;
+  if (instances instanceof Map) {
+    for (const app of instances.values()) apps.add(app);
+  }
+  return [...apps];
+}
+
+/**
+ * Get the document an application renders, if any.
+ * @param {object} app
+ * @returns {foundry.abstract.Document|null}
+ */
+function getAppDocument(app) {
+  return app?.document ?? app?.object ?? app?.actor ?? null;
+}
+
+/**
+ * Check whether a value looks like a document rather than an application.
+ * @param {object} value
+ * @returns {boolean}
+ */
+function isDocument(value) {
+  const DocumentClass = foundry?.abstract?.Document;
+  if (DocumentClass && value instanceof DocumentClass) return true;
+  return Boolean(value?.documentName && !("rendered" in value));
+}
+
+/**
+ * Find the open applications rendering a document (its sheet first).
+ * @param {foundry.abstract.Document} doc
+ * @returns {object[]}
+ */
+export function findApplicationsFor(doc) {
+  const apps = [];
+  if (doc?.sheet?.rendered) apps.push(doc.sheet);
+  for (const app of listOpenApplications()) {
+    if (apps.includes(app)) continue;
+    const appDoc = getAppDocument(app);
+    if (appDoc && appDoc.id === doc.id && appDoc.documentName === doc.documentName) apps.push(app);
+  }
+  return apps;
+}
+
+// ============================================================================
+// Element Resolution
+// ============================================================================
+
+/**
+ * Unwrap a jQuery object or return an element as-is.
+ * @param {*} value
+ * @returns {HTMLElement|null} A usable element (not a button), or null
+ */
+export function toHTMLElement(value) {
+  // Check HTMLElement first: a <form> root indexes its controls, so form[0] is an input
+  const el = value instanceof HTMLElement ? value : value?.[0];
+  if (!el || typeof el.querySelector !== "function" || el.tagName === "BUTTON") return null;
+  return el;
+}
+
+/**
+ * Strategies for finding an application's root element, tried in order.
+ * Each returns an element or null; `describe` says what it looked for.
+ */
+const ELEMENT_STRATEGIES = [
+  {
+    name: "app.element",
+    describe: () => "element property (jQuery in V1, HTMLElement in V2)",
+    find: (app) => toHTMLElement(app.element),
+  },
+  {
+    name: "app._element",
+    describe: () => "internal _element property",
+    find: (app) => toHTMLElement(app._element),
+  },
+  {
+    name: "DOM id",
+    describe: (app) => `#${app.id} or #app-${app.appId}`,
+    find: (app) =>
+      toHTMLElement(
+        (app.id && document.getElementById(String(app.id))) ||
+        (app.appId !== undefined && document.getElementById(`app-${app.appId}`))
+      ),
+  },
+  {
+    name: "data-appid",
+    describe: (app) => `[data-appid="${app.appId}"]`,
+    find: (app) =>
+      app.appId === undefined ? null : toHTMLElement(document.querySelector(`[data-appid="${app.appId}"]`)),
+  },
+  {
+    name: "data-document-id",
+    describe: (app) => `window with [data-document-id="${getAppDocument(app)?.id}"]`,
+    find: (app) => {
+      const id = getAppDocument(app)?.id;
+      if (!id) return null;
+      const el = document.querySelector(`[data-document-id="${id}"]`);
+      return toHTMLElement(el?.closest(".window-app, .application") ?? el);
+    },
+  },
+];
+
+/**
+ * Strategies for finding a document's window when no application was found
+ * (e.g. V13 journal sheets not registered where expected).
+ */
+const DOCUMENT_DOM_STRATEGIES = [
+  {
+    name: "document sheet class",
+    describe: (doc) => `.${getSheetClassName(doc)} window whose ID or data-document-id names ${doc.id}`,
+    find: (doc) => {
+      const className = getSheetClassName(doc);
+      for (const el of document.querySelectorAll(`.${className}.app, .${className}.application`)) {
+        if (isWindowFor(el, doc)) return toHTMLElement(el);
+      }
+      return null;
+    },
+  },
+];
+
+/**
+ * Check whether a window element belongs to a document. Sheet windows carry
+ * the document ID in their DOM id (e.g. "JournalSheet-JournalEntry-<id>"), on
+ * the window itself or on an element inside it; a window naming no document
+ * is never assumed to be the document's.
+ * @param {HTMLElement} el
+ * @param {foundry.abstract.Document} doc
+ * @returns {boolean}
+ */
+function isWindowFor(el, doc) {
+  if (el.dataset?.documentId) return el.dataset.documentId === doc.id;
+  if (el.id?.split("-").includes(doc.id)) return true;
+  return Boolean(el.querySelector(`[data-document-id="${doc.id}"]`));
+}
+
+/**
+ * CSS class Foundry gives a document's sheet, e.g. "journal-sheet".
+ * @param {foundry.abstract.Document} doc
+ * @returns {string}
+ */
+function getSheetClassName(doc) {
+  const name = doc?.documentName === "JournalEntry" ? "journal" : String(doc?.documentName ?? "").toLowerCase();
+  return `${name}-sheet`;
+}
+
+/**
+ * Run element strategies for one application.
+ * @param {object} app
+ * @param {object[]} attempts - Receives one entry per strategy tried
+ * @returns {HTMLElement|null}
+ */
+function findAppElement(app, attempts) {
+  for (const strategy of ELEMENT_STRATEGIES) {
+    let element = null;
+    let error = null;
+    try {
+      element = strategy.find(app);
+    } catch (err) {
+      error = err.message;
+    }
+    attempts.push({
+      strategy: strategy.name,
+      target: describeApp(app),
+      lookedFor: strategy.describe(app),
+      found: Boolean(element),
+      connected: element?.isConnected ?? false,
+      ...(error ? { error } : {}),
+    });
+    if (element?.isConnected) return element;
+  }
+  return null;
+}
+
+/**
+ * Close an application, without waiting longer than the timeout.
+ * @param {object} app
+ * @param {number} timeoutMs
+ * @returns {Promise<void>}
+ */
+async function closeApp(app, timeoutMs) {
+  try {
+    await Promise.race([
+      Promise.resolve(app.close()),
+      new Promise((resolve) => setTimeout(resolve, timeoutMs)),
+    ]);
+  } catch {
+    // Ignore close errors
+  }
+}
+
+/**
+ * Build the resolution result for an application and its root element.
+ * @param {object|null} app
+ * @param {HTMLElement} element
+ * @returns {object}
+ */
+function buildResolution(app, element) {
+  const frame = element.closest(".window-app, .application");
+  const content = element.matches(".window-content")
+    ? element
+    : element.querySelector(".window-content") ?? null;
+  return {
+    app,
+    generation: app ? (isApplicationV2(app) ? "v2" : "v1") : "dom",
+    element,
+    frame: frame?.querySelector(".window-header") ? frame : null,
+    content,
+    close: ({ timeoutMs = CLOSE_TIMEOUT_MS } = {}) =>
+      app ? closeApp(app, timeoutMs) : Promise.resolve(element.closest("dialog")?.close()),
+  };
+}
+
+/**
+ * Resolve a document or application, recording every strategy tried.
+ * @param {object} target - A document, an application, or an element
+ * @returns {{resolution: object|null, attempts: object[]}}
+ */
+function resolveWithAttempts(target) {
+  const attempts = [];
+
+  const element = target instanceof HTMLElement ? target : null;
+  if (element) {
+    return { resolution: buildResolution(null, element), attempts };
+  }
+
+  const apps = isDocument(target) ? findApplicationsFor(target) : [target];
+  if (isDocument(target) && !apps.length) {
+    attempts.push({
+      strategy: "open applications",
+      target: describeTarget(target),
+      lookedFor: "a rendered sheet or an open application whose document is the target",
+      found: false,
+      connected: false,
+    });
+  }
+
+  for (const app of apps) {
+    const appElement = findAppElement(app, attempts);
+    if (appElement) return { resolution: buildResolution(app, appElement), attempts };
+  }
+
+  if (isDocument(target)) {
+    for (const strategy of DOCUMENT_DOM_STRATEGIES) {
+      const domElement = strategy.find(target);
+      attempts.push({
+        strategy: strategy.name,
+        target: describeTarget(target),
+        lookedFor: strategy.describe(target),
+        found: Boolean(domElement),
+        connected: domElement?.isConnected ?? false,
+      });
+      if (domElement?.isConnected) {
+        return { resolution: buildResolution(apps[0] ?? null, domElement), attempts };
+      }
+    }
+  }
+
+  return { resolution: null, attempts };
+}
+
+/**
+ * Resolve a document or application to its rendered window.
+ * @param {object} target - A document (resolves its open sheet), an application, or an element
+ * @returns {{app: object|null, generation: "v1"|"v2"|"dom", element: HTMLElement,
+ *   frame: HTMLElement|null, content: HTMLElement|null, close: Function}|null}
+ *   Null when the target is not rendered
+ */
+export function resolveApplication(target) {
+  if (!target) return null;
+  return resolveWithAttempts(target).resolution;
+}
+
+/**
+ * Get the root HTMLElement of a document's sheet or an application.
+ * @param {object} target - A document, an application, or an element
+ * @returns {HTMLElement|null}
+ */
+export function getElement(target) {
+  return resolveApplication(target)?.element ?? null;
+}
+
+/**
+ * Get the `.window-content` area of a document's sheet or an application.
+ * Falls back to the root element for frameless applications.
+ * @param {object} target
+ * @returns {HTMLElement|null}
+ */
+export function getContent(target) {
+  const resolved = resolveApplication(target);
+  return resolved ? resolved.content ?? resolved.element : null;
+}
+
+/**
+ * Close every open application rendering a target.
+ * @param {object} target - A document or an application
+ * @param {object} [options] - Options
+ * @param {number} [options.timeoutMs=500] - Time to wait for each close
+ * @returns {Promise<void>}
+ */
+export async function closeApplication(target, { timeoutMs = CLOSE_TIMEOUT_MS } = {}) {
+  const apps = isDocument(target) ? findApplicationsFor(target) : [target];
+  for (const app of apps) {
+    if (app) await closeApp(app, timeoutMs);
+  }
+}
+
+// ============================================================================
+// Diagnostics
+// ============================================================================
+
+/**
+ * Short description of an application.
+ * @param {object} app
+ * @returns {string}
+ */
+function describeApp(app) {
+  const doc = getAppDocument(app);
+  const name = app?.constructor?.name ?? "unknown";
+  return doc ? `${name} (${doc.documentName} ${doc.id})` : `${name} (${app?.id ?? app?.appId ?? "no id"})`;
+}
+
+/**
+ * Short description of a resolution target.
+ * @param {object} target
+ * @returns {string}
+ */
+function describeTarget(target) {
+  if (target instanceof HTMLElement) return `<${target.tagName.toLowerCase()}>`;
+  if (isDocument(target)) return `${target.documentName} "${target.name ?? target.id}" (${target.id})`;
+  return describeApp(target);
+}
+
+/**
+ * Explain how a target resolves, or why it does not.
+ * @param {object} target - A document, an application, or an element
+ * @returns {{target: string, foundryVersion: string|null, generation: string|null,
+ *   resolved: boolean, attempts: object[], summary: string}}
+ */
+export function diagnoseResolution(target) {
+  const { resolution, attempts } = target
+    ? resolveWithAttempts(target)
+    : { resolution: null, attempts: [] };
+  const classes = getApplicationClasses();
+  const description = target ? describeTarget(target) : String(target);
+
+  const lines = [
+    `Resolving ${description} on Foundry ${game.version ?? "unknown"} ` +
+      `(ApplicationV2 ${classes.ApplicationV2 ? "available" : "unavailable"})`,
+  ];
+  for (const attempt of attempts) {
+    const status = attempt.error
+      ? `error: ${attempt.error}`
+      : attempt.found
+        ? (attempt.connected ? "found" : "found but not in the DOM")
+        : "not found";
+    lines.push(`  ${attempt.strategy} on ${attempt.target}: ${attempt.lookedFor} → ${status}`);
+  }
+  lines.push(
+    resolution
+      ? `Resolved as ${resolution.generation} <${resolution.element.tagName.toLowerCase()}>` +
+        ` (frame: ${resolution.frame ? "yes" : "no"}, content: ${resolution.content ? "yes" : "no"})`
+      : "Not resolved: the target is not rendered, or its window is not reachable by any strategy"
+  );
+
+  return {
+    target: description,
+    foundryVersion: game.version ?? null,
+    generation: resolution?.generation ?? null,
+    resolved: Boolean(resolution),
+    attempts,
+    summary: lines.join("\n"),
+  };
+}
+
+/**
+ * Resolve a target or throw with the diagnostic attached.
+ * @param {object} target
+ * @returns {object} Same as resolveApplication()
+ * @throws {Error} With the diagnostic summary when the target does not resolve
+ */
+export function requireApplication(target) {
+  const resolved = resolveApplication(target);
+  if (resolved) return resolved;
+  const { summary } = diagnoseResolution(target);
+  console.warn(`[${MODULE_ID}] ${summary}`);
+  throw new Error(`Could not resolve application element\n${summary}`);
+}
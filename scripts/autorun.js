@@ -0,0 +1,145 @@
+/**
+ * URL-parameter autorun for unattended runs.
+ *
+ * Loading the game with `?bitdTests=<batches>` runs those batches as soon as
+ * Quench and every test file are ready, with no clicking:
+ *
+ *   /game?bitdTests=crew-sheet,teeth&exportReport=1
+ *
+ * - `bitdTests`: comma-separated batches by key ("bitd-alternate-sheets.teeth"),
+ *   short name ("teeth") or ID ("1"); "all" or an empty value runs every batch
+ * - `exportReport=1`: write the JSON and JUnit reports (and failure
+ *   artifacts) into the data folder, as uploadReport() does
+ *
+ * Progress is published for a browser script to poll: the
+ * `window.bitdTestsAutorun` status object and the `data-bitd-tests` attribute
+ * on <body>, which moves from "waiting" to "running" to "done" or "error".
+ */
+
+import { getBatches, isBatchRegistered } from "./batch-registry.js";
+import { uploadReport } from "./test-report.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+const TARGET_MODULE_ID = "bitd-alternate-sheets";
+
+/** URL parameter listing the batches to run */
+export const TESTS_PARAM = "bitdTests";
+
+/** URL parameter asking for the report to be written to the data folder */
+export const EXPORT_PARAM = "exportReport";
+
+/** Window property holding the autorun status */
+export const AUTORUN_GLOBAL = "bitdTestsAutorun";
+
+/** Attribute on <body> holding the autorun state */
+export const AUTORUN_ATTRIBUTE = "data-bitd-tests";
+
+/** Resolves once Quench has fired quenchReady; registered on import, before ready */
+const quenchReady = new Promise((resolve) => Hooks.once("quenchReady", resolve));
+
+// ============================================================================
+// Parameters
+// ============================================================================
+
+/**
+ * Read the autorun parameters from a query string.
+ * @param {string} [search] - Default: the page's query string
+ * @returns {{names: string[], exportReport: boolean}|null} Null when autorun was not requested
+ */
+export function parseAutorunParams(search = globalThis.location?.search ?? "") {
+  const params = new URLSearchParams(search);
+  if (!params.has(TESTS_PARAM)) return null;
+  const names = params.get(TESTS_PARAM).split(",").map((name) => name.trim()).filter(Boolean);
+  const exportReport = ["1", "true", "yes"].includes((params.get(EXPORT_PARAM) ?? "").toLowerCase());
+  return { names, exportReport };
+}
+
+/**
+ * Resolve requested batch names to batch keys, in the order requested.
+ * @param {string[]} names - Keys, short names or IDs; empty or "all" for every batch
+ * @param {Array<object>} [batches] - Default: every declared batch
+ * @returns {{keys: string[], unknown: string[]}}
+ */
+export function resolveBatchKeys(names, batches = getBatches()) {
+  if (names.length === 0 || names.includes("all")) {
+    return { keys: batches.map((batch) => batch.key), unknown: [] };
+  }
+  const keys = [];
+  const unknown = [];
+  for (const name of names) {
+    const batch = batches.find(
+      (entry) => entry.key === name || entry.key === `${TARGET_MODULE_ID}.${name}` || entry.id === name
+    );
+    if (!batch) unknown.push(name);
+    else if (!keys.includes(batch.key)) keys.push(batch.key);
+  }
+  return { keys, unknown };
+}
+
+// ============================================================================
+// Status
+// ============================================================================
+
+/**
+ * Publish the autorun status on window and <body>.
+ * @param {{state: "waiting"|"running"|"done"|"error"}} status
+ * @returns {object} The status
+ */
+export function setAutorunStatus(status) {
+  globalThis[AUTORUN_GLOBAL] = status;
+  globalThis.document?.body?.setAttribute(AUTORUN_ATTRIBUTE, status.state);
+  return status;
+}
+
+// ============================================================================
+// Running
+// ============================================================================
+
+/**
+ * Run the batches requested in the URL, if any. Called from the ready hook.
+ * Never throws: problems end in the "error" state with a message.
+ * @param {string} [search] - Default: the page's query string
+ * @returns {Promise<object|null>} The final status, or null without autorun parameters
+ */
+export async function startAutorun(search) {
+  const params = parseAutorunParams(search);
+  if (!params) return null;
+  const base = { requested: params.names, exportReport: params.exportReport };
+  setAutorunStatus({ ...base, state: "waiting" });
+
+  try {
+    if (!game.modules.get("quench")?.active) throw new Error("Quench is not active");
+    await quenchReady;
+    // Let every test file's quenchReady handler register its batch first
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const api = game.modules.get(MODULE_ID)?.api;
+    if (!api) throw new Error(`${TARGET_MODULE_ID} is not active; no tests can run`);
+
+    const { keys, unknown } = resolveBatchKeys(params.names);
+    const notRegistered = keys.filter((key) => !isBatchRegistered(key));
+    const batches = keys.filter((key) => isBatchRegistered(key));
+    if (unknown.length) console.warn(`[${MODULE_ID}] Autorun: unknown batch(es) ${unknown.join(", ")}`);
+    if (notRegistered.length) console.warn(`[${MODULE_ID}] Autorun: not registered ${notRegistered.join(", ")}`);
+    if (batches.length === 0) throw new Error(`No registered batches match "${params.names.join(",")}"`);
+
+    console.log(`[${MODULE_ID}] Autorun: running ${batches.join(", ")}`);
+    setAutorunStatus({ ...base, state: "running", batches, unknown, notRegistered });
+    const report = await api.runBatches(batches);
+    const paths = params.exportReport ? await uploadReport(report) : [];
+
+    return setAutorunStatus({
+      ...base,
+      state: "done",
+      batches,
+      unknown,
+      notRegistered,
+      passed: report.stats.failed === 0,
+      stats: report.stats,
+      paths,
+    });
+  } catch (err) {
+    console.error(`[${MODULE_ID}] Autorun failed:`, err);
+    return setAutorunStatus({ ...base, state: "error", error: err?.message ?? String(err) });
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Central registry of Quench batches for bitd-alternate-sheets.
+ *
+ * Every test file declares its batch here with defineBatch() and registers it
+ * with Quench through registerBatch(). The registry owns the batch number, so
+ * two files can no longer hand the same number to TestNumberer and produce
+ * colliding test IDs: a duplicate ID or key throws while the file loads.
+ */
+
+import { TestNumberer } from "./test-utils.js";
+import { createLeakGuard } from "./leak-detector.js";
+import { startTestCapture, stopTestCapture } from "./capture.js";
+import { startArtifactTracking, collectFailureArtifact, prepareFailureArtifact } from "./failure-artifacts.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+const BATCH_KEY_PREFIX = "bitd-alternate-sheets.";
+const DISPLAY_NAME_PREFIX = "BitD Alt Sheets";
+
+/**
+ * Hook called after every test registered through registerBatch(), with
+ * { batch, title, fullTitle, state, duration }; the browser runner
+ * (tools/browser/run.js) streams progress from it.
+ */
+export const TEST_END_HOOK = "bitdAlternateSheetsTestEnd";
+
+/** Declared batches by ID, in declaration order */
+const batches = new Map();
+
+/** Keys of batches handed to quench.registerBatch() */
+const registeredKeys = new Set();
+
+/** Quench instance, once quenchReady has fired */
+let readyQuench = null;
+Hooks.once("quenchReady", (quench) => {
+  readyQuench = quench;
+});
+
+// ============================================================================
+// Declaration
+// ============================================================================
+
+/**
+ * Declare a test batch.
+ * @param {object} definition - Batch metadata
+ * @param {string} definition.id - Batch number used as the TestNumberer prefix (e.g. "18")
+ * @param {string} definition.key - Quench batch key (e.g. "bitd-alternate-sheets.utils-core")
+ * @param {string} definition.title - Human-readable title, shown in the Quench UI
+ * @param {string} [definition.description] - One-line summary of what the batch covers
+ * @param {string[]} [definition.tags] - Free-form tags for filtering (e.g. "crew", "sheet")
+ * @param {string[]} [definition.requiredSettings] - Setting IDs ("namespace.key") that must be registered
+ * @param {string[]} [definition.requiredCompendia] - Item types that must exist in at least one Item compendium
+ * @returns {object} The batch, with a `numberer` for its tests and a Quench `displayName`
+ * @throws {Error} If the ID or key is already taken
+ *
+ * @example
+ * const batch = defineBatch({
+ *   id: "18",
+ *   key: "bitd-alternate-sheets.utils-core",
+ *   title: "Utils Core Functions",
+ *   tags: ["utils", "flags"],
+ *   requiredCompendia: ["class"],
+ * });
+ * const t = batch.numberer;
+ */
+export function defineBatch({
+  id,
+  key,
+  title,
+  description = "",
+  tags = [],
+  requiredSettings = [],
+  requiredCompendia = [],
+} = {}) {
+  if (!/^\d+$/.test(String(id ?? ""))) {
+    throw new Error(`[${MODULE_ID}] Batch "${key}" needs a numeric ID, got "${id}"`);
+  }
+  if (!key?.startsWith(BATCH_KEY_PREFIX)) {
+    throw new Error(`[${MODULE_ID}] Batch key "${key}" must start with "${BATCH_KEY_PREFIX}"`);
+  }
+
+  const existing = batches.get(String(id));
+  if (existing) {
+    throw new Error(
+      `[${MODULE_ID}] Duplicate batch ID "${id}": "${key}" collides with "${existing.key}"`
+    );
+  }
+  const sameKey = getBatch(key);
+  if (sameKey) {
+    throw new Error(
+      `[${MODULE_ID}] Duplicate batch key "${key}" (IDs ${sameKey.id} and ${id})`
+    );
+  }
+
+  const batch = {
+    id: String(id),
+    key,
+    title,
+    description,
+    tags: [...tags],
+    requiredSettings: [...requiredSettings],
+    requiredCompendia: [...requiredCompendia],
+    displayName: `${DISPLAY_NAME_PREFIX}: ${title}`,
+    numberer: new TestNumberer(String(id)),
+  };
+  batches.set(batch.id, batch);
+  return batch;
+}
+
+/**
+ * Order batches by batch number (numerically, so "5" comes before "40").
+ * @param {Iterable<{id: string}>} list
+ * @returns {object[]} A new sorted array
+ */
+export function sortBatches(list) {
+  return [...list].sort((a, b) => Number(a.id) - Number(b.id));
+}
+
+/**
+ * Get every declared batch, ordered by batch number.
+ * @returns {object[]}
+ */
+export function getBatches() {
+  return sortBatches(batches.values());
+}
+
+/**
+ * Find a declared batch by ID or key.
+ * @param {string} idOrKey
+ * @returns {object|null}
+ */
+export function getBatch(idOrKey) {
+  const value = String(idOrKey);
+  return batches.get(value) ?? getBatches().find((batch) => batch.key === value) ?? null;
+}
+
+/**
+ * Get the declared batches carrying a tag.
+ * @param {string} tag
+ * @returns {object[]}
+ */
+export function getBatchesByTag(tag) {
+  return getBatches().filter((batch) => batch.tags.includes(tag));
+}
+
+// ============================================================================
+// Requirements
+// ============================================================================
+
+/**
+ * Collect the Item types available across all Item compendia.
+ * @returns {Promise<Set<string>>}
+ */
+async function getCompendiumItemTypes() {
+  const types = new Set();
+  const packs = Array.from(game.packs.values()).filter((pack) => pack.documentName === "Item");
+  for (const pack of packs) {
+    const index = await pack.getIndex({ fields: ["type"] });
+    for (const entry of index) types.add(entry.type);
+  }
+  return types;
+}
+
+/**
+ * Check whether a batch's required settings and compendia are available.
+ * @param {object} batch - Batch from defineBatch()
+ * @returns {Promise<{ok: boolean, missingSettings: string[], missingCompendia: string[]}>}
+ */
+export async function checkBatchRequirements(batch) {
+  const missingSettings = batch.requiredSettings.filter(
+    (settingId) => !game.settings.settings.has(settingId)
+  );
+
+  let missingCompendia = [];
+  if (batch.requiredCompendia.length > 0) {
+    const types = await getCompendiumItemTypes();
+    missingCompendia = batch.requiredCompendia.filter((type) => !types.has(type));
+  }
+
+  return {
+    ok: missingSettings.length === 0 && missingCompendia.length === 0,
+    missingSettings,
+    missingCompendia,
+  };
+}
+
+// ============================================================================
+// Quench Registration
+// ============================================================================
+
+/**
+ * Run a callback with the Quench instance: right away if quenchReady has
+ * already fired, otherwise from that hook. Test files are imported by
+ * test-loader.js without Foundry waiting for them, so one may finish loading
+ * after quenchReady; registering through this still reaches Quench.
+ * @param {Function} callback - Receives the Quench instance
+ */
+export function onQuenchReady(callback) {
+  if (readyQuench) {
+    callback(readyQuench);
+  } else {
+    Hooks.once("quenchReady", callback);
+  }
+}
+
+/**
+ * Register a declared batch with Quench.
+ * The batch's tests are skipped (not failed) when its requirements are missing,
+ * every test is checked for leaked hooks, windows and documents
+ * (see leak-detector.js), notifications and console output are captured
+ * per test (see capture.js), failed tests leave a failure artifact
+ * (see failure-artifacts.js), and TEST_END_HOOK announces each finished test.
+ * @param {object} quench - Quench instance from onQuenchReady()
+ * @param {object} batch - Batch from defineBatch()
+ * @param {Function} fn - Batch function receiving the Quench context
+ * @param {object} [options] - Extra Quench batch options (displayName is set from the registry)
+ *
+ * @example
+ * onQuenchReady((quench) => {
+ *   registerBatch(quench, batch, (context) => {
+ *     const { assert } = context;
+ *     t.section("Section", () => { ... });
+ *   });
+ * });
+ */
+export function registerBatch(quench, batch, fn, options = {}) {
+  quench.registerBatch(
+    batch.key,
+    (context) => {
+      batch.numberer.reset();
+      context.before(async function () {
+        const { ok, missingSettings, missingCompendia } = await checkBatchRequirements(batch);
+        if (ok) return;
+        const missing = [
+          ...missingSettings.map((setting) => `setting ${setting}`),
+          ...missingCompendia.map((type) => `compendium ${type} items`),
+        ];
+        console.warn(`[${MODULE_ID}] Skipping ${batch.key}: missing ${missing.join(", ")}`);
+        this.skip();
+      });
+      // Mocha runs a suite's beforeEach/afterEach hooks in registration
+      // order, so the harness's hooks go around the batch's own root-level
+      // ones: the leak baseline is taken before its setup and checked after
+      // its cleanup. The capture wraps the leak guard, so its patched methods
+      // are in the leak baseline and restored only after the leak check.
+      // Failure artifacts are built as the test throws (see TestNumberer#test)
+      // or, for a leak failure, before the guard closes the leaked windows,
+      // and stored after the guard, once a leak has failed the test
+      const leakGuard = createLeakGuard(batch.key, { onFail: prepareFailureArtifact });
+      context.beforeEach(startTestCapture);
+      context.beforeEach(startArtifactTracking);
+      context.beforeEach(leakGuard.before);
+      fn(context);
+      context.afterEach(leakGuard.after);
+      context.afterEach(collectFailureArtifact);
+      context.afterEach(stopTestCapture);
+      context.afterEach(function () {
+        const test = this.currentTest;
+        Hooks.callAll(TEST_END_HOOK, {
+          batch: batch.key,
+          title: test.title,
+          fullTitle: test.fullTitle(),
+          // Unset while a failed attempt waits for a retry
+          state: test.state ?? null,
+          duration: test.duration ?? null,
+        });
+      });
+    },
+    { ...options, displayName: batch.displayName }
+  );
+  registeredKeys.add(batch.key);
+}
+
+/**
+ * Check whether a batch was registered with Quench through registerBatch().
+ * @param {string} key - Quench batch key
+ * @returns {boolean}
+ */
+export function isBatchRegistered(key) {
+  return registeredKeys.has(key);
+}
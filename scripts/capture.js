@@ -0,0 +1,329 @@
+/**
+ * Notification and console capture for tests.
+ *
+ * Records ui.notifications info/warn/error and console.log/info/warn/error
+ * while a test runs. registerBatch() starts a capture before every test and
+ * stops it afterwards; TestNumberer.test() fails the test if an error was
+ * logged that is neither prefixed with EXPECTED_TEST_ERROR_PREFIX nor claimed
+ * by the test through expect() or allow(). Log and info lines only go into
+ * failure reports and artifacts.
+ *
+ * @example
+ * const capture = testCapture();
+ * const mark = capture.mark();
+ * // ...trigger a failing update...
+ * capture.expect({ source: "notification", match: /BitD-Alt/, since: mark });
+ */
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/**
+ * Prefix for expected test errors. Use this when throwing errors that are
+ * intentionally generated as part of a test, so they don't appear alarming in
+ * console and are not reported as unexpected by the capture.
+ * @example throw new Error(expectedTestError("update failure"));
+ */
+export const EXPECTED_TEST_ERROR_PREFIX = "[EXPECTED TEST ERROR]";
+
+/** Methods patched per source */
+const CAPTURED_METHODS = {
+  notification: ["info", "warn", "error"],
+  console: ["log", "info", "warn", "error"],
+};
+
+/** Capture of the running test, if any */
+let current = null;
+
+/** Entries kept per failed test */
+const MAX_FAILURE_ENTRIES = 50;
+
+/** Entries captured during each test's last failed run, by mocha full title */
+const failureCaptures = new Map();
+
+// ============================================================================
+// Entries
+// ============================================================================
+
+/**
+ * Render one logged argument as text.
+ * @param {*} arg
+ * @returns {string}
+ */
+function formatArg(arg) {
+  if (typeof arg === "string") return arg;
+  if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+  try {
+    return typeof arg === "object" && arg !== null ? JSON.stringify(arg) : String(arg);
+  } catch {
+    return String(arg);
+  }
+}
+
+/**
+ * Check an entry against a filter.
+ * @param {object} entry
+ * @param {object} filter - See Capture#filter()
+ * @returns {boolean}
+ */
+function matchesFilter(entry, { source, level, match } = {}) {
+  if (source && entry.source !== source) return false;
+  if (level && entry.level !== level) return false;
+  if (match instanceof RegExp) return match.test(entry.message);
+  if (typeof match === "string") return entry.message.includes(match);
+  if (typeof match === "function") return Boolean(match(entry));
+  return true;
+}
+
+/**
+ * Describe a filter for an assertion message.
+ * @param {object} filter
+ * @returns {string}
+ */
+function describeFilter({ source, level, match } = {}) {
+  const what = `${source ?? "notification/console"} ${level ?? "entries"}`;
+  return match === undefined ? what : `${what} matching ${match instanceof RegExp ? match : JSON.stringify(String(match))}`;
+}
+
+/**
+ * Describe entries for an assertion message.
+ * @param {object[]} entries
+ * @returns {string}
+ */
+function describeEntries(entries) {
+  return entries.map((entry) => `  - ${entry.source}.${entry.level}: ${entry.message}`).join("\n");
+}
+
+// ============================================================================
+// Capture
+// ============================================================================
+
+/**
+ * Records notifications and console output until stopped.
+ */
+export class Capture {
+  constructor() {
+    /** @type {Array<{source: string, level: string, message: string, args: Array, expected: boolean}>} */
+    this.entries = [];
+    this._allowed = [];
+    this._restore = [];
+  }
+
+  /** @returns {boolean} */
+  get active() {
+    return this._restore.length > 0;
+  }
+
+  /**
+   * Start recording. Calls still reach the original methods.
+   * @returns {this}
+   */
+  start() {
+    if (this.active) return this;
+    const targets = { notification: globalThis.ui?.notifications, console };
+    for (const [source, methods] of Object.entries(CAPTURED_METHODS)) {
+      const target = targets[source];
+      for (const level of methods) {
+        const original = target?.[level];
+        if (typeof original !== "function") continue;
+        const capture = this;
+        target[level] = function (...args) {
+          capture._record(source, level, args);
+          return original.apply(this, args);
+        };
+        this._restore.push(() => {
+          target[level] = original;
+        });
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Stop recording and put the original methods back.
+   * @returns {this}
+   */
+  stop() {
+    for (const restore of this._restore.reverse()) restore();
+    this._restore = [];
+    return this;
+  }
+
+  /**
+   * @param {string} source
+   * @param {string} level
+   * @param {Array} args
+   * @private
+   */
+  _record(source, level, args) {
+    const message = args.map(formatArg).join(" ");
+    this.entries.push({ source, level, message, args, expected: false });
+  }
+
+  /**
+   * Position to pass as `since` so only later entries are considered.
+   * @returns {number}
+   */
+  mark() {
+    return this.entries.length;
+  }
+
+  /**
+   * Entries matching a filter.
+   * @param {object} [filter]
+   * @param {"notification"|"console"} [filter.source]
+   * @param {"log"|"info"|"warn"|"error"} [filter.level]
+   * @param {RegExp|string|Function} [filter.match] - Tested against the formatted message
+   * @param {number} [filter.since=0] - From mark()
+   * @returns {object[]}
+   */
+  filter({ since = 0, ...filter } = {}) {
+    return this.entries.slice(since).filter((entry) => matchesFilter(entry, filter));
+  }
+
+  /**
+   * Assert that exactly `count` (or at least `atLeast`) entries match, and
+   * mark them as expected.
+   * @param {object} [spec] - Filter as for filter(), plus:
+   * @param {"log"|"info"|"warn"|"error"} [spec.level="error"]
+   * @param {number} [spec.count=1]
+   * @param {number} [spec.atLeast] - Minimum instead of an exact count
+   * @returns {object[]} The matching entries
+   * @throws {Error} If the count differs
+   */
+  expect({ level = "error", count = 1, atLeast, ...filter } = {}) {
+    const matched = this.filter({ level, ...filter });
+    const ok = atLeast === undefined ? matched.length === count : matched.length >= atLeast;
+    if (!ok) {
+      const expected = atLeast === undefined ? `exactly ${count}` : `at least ${atLeast}`;
+      const details = matched.length ? `:\n${describeEntries(matched)}` : "";
+      throw new Error(
+        `Expected ${expected} ${describeFilter({ level, ...filter })}, got ${matched.length}${details}`
+      );
+    }
+    for (const entry of matched) entry.expected = true;
+    return matched;
+  }
+
+  /**
+   * Assert that no entry matches.
+   * @param {object} [spec] - As for expect()
+   * @returns {object[]} Always empty
+   */
+  expectNone(spec = {}) {
+    return this.expect({ ...spec, count: 0 });
+  }
+
+  /**
+   * Accept any number of matching errors, logged before or after this call.
+   * @param {object} [filter] - As for filter(), without `since`
+   * @returns {this}
+   */
+  allow({ level = "error", ...filter } = {}) {
+    this._allowed.push({ level, ...filter });
+    return this;
+  }
+
+  /**
+   * Errors nobody accounted for: not prefixed with EXPECTED_TEST_ERROR_PREFIX,
+   * not claimed by expect() and not covered by allow().
+   * @returns {object[]}
+   */
+  unexpectedErrors() {
+    return this.entries.filter(
+      (entry) =>
+        entry.level === "error" &&
+        !entry.expected &&
+        !entry.message.includes(EXPECTED_TEST_ERROR_PREFIX) &&
+        !this._allowed.some((filter) => matchesFilter(entry, filter))
+    );
+  }
+
+  /**
+   * Throw if unexpectedErrors() is not empty.
+   * @throws {Error}
+   */
+  assertNoUnexpectedErrors() {
+    const unexpected = this.unexpectedErrors();
+    if (unexpected.length === 0) return;
+    throw new Error(
+      `${unexpected.length} unexpected error(s) logged during the test ` +
+      `(prefix intentional ones with ${EXPECTED_TEST_ERROR_PREFIX} or claim them with testCapture().expect()):\n` +
+      describeEntries(unexpected)
+    );
+  }
+}
+
+// ============================================================================
+// Per-Test Capture
+// ============================================================================
+
+/**
+ * Get the capture of the running test.
+ * @returns {Capture}
+ * @throws {Error} Outside a test registered through registerBatch()
+ */
+export function testCapture() {
+  if (!current) {
+    throw new Error(`[${MODULE_ID}] testCapture() called outside a test registered through registerBatch()`);
+  }
+  return current;
+}
+
+/**
+ * Start a fresh capture for the next test.
+ */
+export function startTestCapture() {
+  current?.stop();
+  current = new Capture().start();
+}
+
+/**
+ * Stop the running test's capture. Called as a mocha hook, it keeps the
+ * entries of a failed test for getFailureCapture() and drops them once the
+ * test passes again.
+ */
+export function stopTestCapture() {
+  const test = this?.currentTest;
+  if (current && test) {
+    if (test.state === "failed") {
+      failureCaptures.set(
+        test.fullTitle(),
+        current.entries.slice(-MAX_FAILURE_ENTRIES).map(({ source, level, message, expected }) => ({
+          source,
+          level,
+          message,
+          expected,
+        }))
+      );
+    } else {
+      failureCaptures.delete(test.fullTitle());
+    }
+  }
+  current?.stop();
+  current = null;
+}
+
+/**
+ * Get the notifications and console output captured during a test's last
+ * failed run (its most recent MAX_FAILURE_ENTRIES entries).
+ * @param {string} fullTitle - Mocha full title, as in the test report
+ * @returns {Array<{source: string, level: string, message: string, expected: boolean}>|null}
+ */
+export function getFailureCapture(fullTitle) {
+  return failureCaptures.get(fullTitle) ?? null;
+}
+
+/**
+ * Wrap a test function so it fails when its capture holds unexpected errors.
+ * Callback-style tests (`function (done)`) are returned unchanged.
+ * @param {Function} fn - Test function
+ * @returns {Function}
+ */
+export function failOnUnexpectedErrors(fn) {
+  if (typeof fn !== "function" || fn.length > 0) return fn;
+  return async function () {
+    const result = await fn.call(this);
+    current?.assertNoUnexpectedErrors();
+    return result;
+  };
+}
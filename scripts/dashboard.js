@@ -0,0 +1,512 @@
+/**
+ * Test dashboard for the harness.
+ *
+ * An ApplicationV2 window listing every declared batch with its last result,
+ * duration and flaky status. Batches and single tests rerun with one click,
+ * the list filters by tag or to failures only, and failed tests show their
+ * error, stack and captured notifications/console output inline, with a link
+ * to their failure artifact (see failure-artifacts.js).
+ *
+ * Results are kept per test for the session (see recordResults()), so
+ * rerunning one batch or test does not hide the others; before the first
+ * report of a session, the latest recorded run from the run history is shown.
+ * ApplicationV2 needs Foundry V12 or later.
+ *
+ * @example
+ * game.modules.get("bitd-alternate-sheets-test").api.dashboard();
+ */
+
+import { getBatch, getBatches, isBatchRegistered } from "./batch-registry.js";
+import { getRunHistory, getTestKey } from "./test-history.js";
+import { getFailureCapture } from "./capture.js";
+import { setTestFocus } from "./test-focus.js";
+import { downloadFailureArtifact } from "./failure-artifacts.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/** ApplicationV2 on V12+; a bare base class on V11 so this module still loads */
+const ApplicationV2 = globalThis.foundry?.applications?.api?.ApplicationV2 ?? class {};
+
+/** Status icons, as in the console summary */
+const STATUS_ICONS = {
+  passed: "✓",
+  failed: "✗",
+  skipped: "⊘",
+  disabled: "⊗",
+  running: "…",
+  "not run": "·",
+};
+
+/** Latest result of every test seen this session, by history key */
+const sessionResults = new Map();
+
+/** A TestNumberer ID ("4.2.3"), as opposed to a full-title history key */
+const TEST_ID_PATTERN = /^\d+(?:\.\d+)+$/;
+
+/** Batch keys started from the dashboard and not reported yet */
+let running = [];
+
+/** The open dashboard, if any */
+let dashboard = null;
+
+const escape = (value) => Handlebars.escapeExpression(String(value ?? ""));
+
+// ============================================================================
+// Results
+// ============================================================================
+
+/**
+ * Merge a report into a results store; for the session store, also end the
+ * dashboard's run and refresh it. Failed tests keep the output captured
+ * during their run.
+ * @param {object} report - Normalized report from buildReport()
+ * @param {Map<string, object>} [results] - Results by history key (default: the session's)
+ */
+export function recordResults(report, results = sessionResults) {
+  for (const test of report.tests) {
+    const capture = test.status === "failed" ? getFailureCapture(test.fullTitle) : null;
+    results.set(getTestKey(test), { ...test, capture });
+  }
+  if (results !== sessionResults) return;
+  running = [];
+  refreshDashboard();
+}
+
+/**
+ * Forget the session results.
+ */
+export function clearResults() {
+  sessionResults.clear();
+  running = [];
+  refreshDashboard();
+}
+
+/**
+ * Read the run history, or nothing when the settings are not registered.
+ * @returns {Array<object>}
+ */
+function readHistory() {
+  try {
+    return getRunHistory();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Check whether a history key or test belongs to a batch.
+ * @param {object} batch
+ * @param {string} key - TestNumberer ID or full title
+ * @returns {boolean}
+ */
+function inBatch(batch, key) {
+  return key.startsWith(`${batch.id}.`) || key.startsWith(`${batch.key} `);
+}
+
+/**
+ * Tests of a batch from the latest recorded run that included it.
+ * @param {object} batch
+ * @param {Array<object>} history
+ * @returns {{tests: Array<object>, ranAt: string}|null}
+ */
+function testsFromHistory(batch, history) {
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    const entries = Object.entries(history[i].results ?? {}).filter(([key]) => inBatch(batch, key));
+    if (entries.length === 0) continue;
+    const tests = entries.map(([key, status]) => ({
+      key,
+      // Tests without a TestNumberer ID are recorded by full title
+      id: TEST_ID_PATTERN.test(key) ? key : null,
+      name: TEST_ID_PATTERN.test(key) ? "" : key,
+      status: status === "flaky" ? "passed" : status,
+      duration: null,
+      flaky: status === "flaky",
+      quarantined: false,
+      error: null,
+      capture: null,
+    }));
+    return { tests, ranAt: history[i].timestamp };
+  }
+  return null;
+}
+
+/**
+ * Summarize a batch's tests into one status.
+ * Quarantined failures do not fail the batch, as in the run summary.
+ * @param {Array<object>} tests
+ * @returns {"passed"|"failed"|"skipped"|"not run"}
+ */
+function batchStatus(tests) {
+  if (tests.length === 0) return "not run";
+  if (tests.some((test) => test.status === "failed" && !test.quarantined)) return "failed";
+  if (tests.some((test) => test.status === "passed")) return "passed";
+  return "skipped";
+}
+
+/**
+ * Build the dashboard's view of every declared batch.
+ * @param {object} [options]
+ * @param {Array<object>} [options.batches] - Default: every declared batch
+ * @param {Array<object>} [options.history] - Default: the run history
+ * @param {{tag?: string, failuresOnly?: boolean}} [options.filter]
+ * @param {Map<string, object>} [options.results] - From recordResults() (default: the session's)
+ * @returns {{tags: string[], filter: object, running: string[], rows: Array<object>}}
+ */
+export function buildDashboardData({
+  batches = getBatches(),
+  history = readHistory(),
+  filter = {},
+  results = sessionResults,
+} = {}) {
+  const { tag = "", failuresOnly = false } = filter;
+  const flakyInHistory = new Set(
+    history.flatMap((run) =>
+      Object.entries(run.results ?? {}).filter(([, status]) => status === "flaky").map(([key]) => key)
+    )
+  );
+
+  const rows = batches.map((batch) => {
+    let tests = [...results.entries()]
+      .filter(([key]) => inBatch(batch, key))
+      .map(([key, test]) => ({ key, ...test }));
+    let source = tests.length > 0 ? "session" : null;
+    let ranAt = null;
+    if (!source) {
+      const recorded = testsFromHistory(batch, history);
+      if (recorded) {
+        ({ tests, ranAt } = recorded);
+        source = "history";
+      }
+    }
+    tests.sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+
+    const count = (status) => tests.filter((test) => test.status === status).length;
+    const durations = tests.map((test) => test.duration).filter((ms) => typeof ms === "number");
+    return {
+      id: batch.id,
+      key: batch.key,
+      title: batch.title,
+      description: batch.description,
+      tags: batch.tags,
+      registered: isBatchRegistered(batch.key),
+      status: running.includes(batch.key) ? "running" : batchStatus(tests),
+      counts: {
+        passed: count("passed"),
+        failed: tests.filter((test) => test.status === "failed" && !test.quarantined).length,
+        quarantined: tests.filter((test) => test.status === "failed" && test.quarantined).length,
+        skipped: count("skipped") + count("disabled"),
+      },
+      duration: durations.length > 0 ? durations.reduce((sum, ms) => sum + ms, 0) : null,
+      flaky: tests.filter((test) => test.flaky || flakyInHistory.has(test.key)).length,
+      source,
+      ranAt,
+      tests: failuresOnly ? tests.filter((test) => test.status === "failed") : tests,
+    };
+  });
+
+  return {
+    tags: [...new Set(batches.flatMap((batch) => batch.tags))].sort(),
+    filter: { tag, failuresOnly },
+    running: [...running],
+    rows: rows.filter(
+      (row) =>
+        (!tag || row.tags.includes(tag)) &&
+        (!failuresOnly || row.counts.failed > 0 || row.counts.quarantined > 0)
+    ),
+  };
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Format a duration in milliseconds.
+ * @param {number|null} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  if (typeof ms !== "number") return "—";
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Describe a batch row's counts.
+ * @param {object} row - From buildDashboardData()
+ * @returns {string}
+ */
+function describeCounts({ status, counts }) {
+  if (status === "running") return "running…";
+  if (status === "not run") return "not run";
+  const parts = [
+    counts.failed && `${counts.failed} failed`,
+    counts.quarantined && `${counts.quarantined} quarantined`,
+    `${counts.passed} passed`,
+    counts.skipped && `${counts.skipped} skipped`,
+  ];
+  return parts.filter(Boolean).join(", ");
+}
+
+/**
+ * Render a failed test's error, stack and captured output.
+ * @param {object} test
+ * @returns {string}
+ */
+function renderFailure(test) {
+  const capture = test.capture?.length
+    ? `<p>Captured output</p><ul class="capture">${test.capture
+      .map((entry) => `<li class="level-${escape(entry.level)}">${escape(`${entry.source}.${entry.level}`)}: ${escape(entry.message)}</li>`)
+      .join("")}</ul>`
+    : "";
+  return (
+    `<details class="failure" open><summary>${escape(test.error?.message ?? "Failed")}</summary>` +
+    (test.error?.stack ? `<pre class="stack">${escape(test.error.stack)}</pre>` : "") +
+    capture +
+    (test.artifact
+      ? `<button type="button" data-action="downloadArtifact" data-title="${escape(test.fullTitle)}" ` +
+        `title="${escape(test.artifact)}"><i class="fas fa-download"></i> Failure artifact</button>`
+      : "") +
+    "</details>"
+  );
+}
+
+/**
+ * Render one test of an expanded batch.
+ * @param {object} test
+ * @param {boolean} registered - Whether the batch can run
+ * @returns {string}
+ */
+function renderTest(test, registered) {
+  const badges = [
+    test.flaky && '<span class="badge flaky">flaky</span>',
+    test.quarantined && '<span class="badge quarantined">quarantined</span>',
+  ].filter(Boolean).join(" ");
+  const rerun = registered && TEST_ID_PATTERN.test(test.id ?? "")
+    ? `<button type="button" data-action="runTest" data-test="${escape(test.id)}" title="Rerun this test"><i class="fas fa-rotate-right"></i></button>`
+    : "";
+  return (
+    `<li class="test status-${escape(test.status)}">` +
+    `<span class="icon">${STATUS_ICONS[test.status] ?? "?"}</span> ` +
+    `<span class="id">${escape(test.id ?? "")}</span> ${escape(test.name)} ` +
+    `<span class="duration">${formatDuration(test.duration)}</span> ${badges} ${rerun}` +
+    (test.status === "failed" ? renderFailure(test) : "") +
+    "</li>"
+  );
+}
+
+/**
+ * Render the dashboard body.
+ * @param {object} data - From buildDashboardData()
+ * @param {object} [state]
+ * @param {Set<string>} [state.expanded] - Batch keys shown with their tests
+ * @returns {string} HTML
+ */
+export function renderDashboard(data, { expanded = new Set() } = {}) {
+  const tagOptions = data.tags
+    .map((tag) => `<option value="${escape(tag)}"${tag === data.filter.tag ? " selected" : ""}>${escape(tag)}</option>`)
+    .join("");
+
+  const filters =
+    '<div class="filters">' +
+    `<select name="tag"><option value="">All tags</option>${tagOptions}</select> ` +
+    `<label><input type="checkbox" name="failuresOnly"${data.filter.failuresOnly ? " checked" : ""}> Failures only</label> ` +
+    '<button type="button" data-action="runAll"><i class="fas fa-play"></i> Run all</button>' +
+    "</div>";
+
+  const rows = data.rows.map((row) => {
+    const open = expanded.has(row.key) || (data.filter.failuresOnly && row.tests.length > 0);
+    const flaky = row.flaky ? ` <span class="badge flaky">${row.flaky} flaky</span>` : "";
+    const from = row.source === "history" ? ` <span class="source" title="From the run history">(${escape(row.ranAt)})</span>` : "";
+    const run = row.registered
+      ? `<button type="button" data-action="runBatch" data-batch="${escape(row.key)}" title="Run this batch"><i class="fas fa-play"></i></button>`
+      : '<span class="badge" title="Not registered with Quench">not registered</span>';
+    const tests = row.tests.length > 0
+      ? `<ol class="tests">${row.tests.map((test) => renderTest(test, row.registered)).join("")}</ol>`
+      : '<p class="empty">No results yet.</p>';
+    return (
+      `<details class="batch status-${escape(row.status.replace(" ", "-"))}" data-batch="${escape(row.key)}"${open ? " open" : ""}>` +
+      `<summary><span class="icon">${STATUS_ICONS[row.status] ?? "?"}</span> ` +
+      `<strong>${escape(row.id)} ${escape(row.title)}</strong> ` +
+      `<span class="result">${escape(describeCounts(row))}</span> ` +
+      `<span class="duration">${formatDuration(row.duration)}</span>${flaky}${from} ${run}</summary>` +
+      `<p class="description">${escape(row.description)} ${row.tags.map((tag) => `<span class="tag">${escape(tag)}</span>`).join(" ")}</p>` +
+      `${tests}</details>`
+    );
+  });
+
+  return `${filters}<div class="batches">${rows.join("") || '<p class="empty">No batches match.</p>'}</div>`;
+}
+
+/** Styles for the rendered body; the harness ships no stylesheet */
+const STYLES = `
+.bitd-test-dashboard .window-content { display: block; overflow-y: auto; }
+.bitd-test-dashboard .filters { display: flex; gap: 0.5em; align-items: center; margin-bottom: 0.5em; }
+.bitd-test-dashboard summary { cursor: pointer; }
+.bitd-test-dashboard summary button, .bitd-test-dashboard .test button { width: auto; line-height: 1.2; padding: 0 0.4em; }
+.bitd-test-dashboard .status-failed > summary .icon, .bitd-test-dashboard .test.status-failed > .icon { color: #c33; }
+.bitd-test-dashboard .status-passed > summary .icon, .bitd-test-dashboard .test.status-passed > .icon { color: #393; }
+.bitd-test-dashboard .status-skipped > summary .icon, .bitd-test-dashboard .test.status-skipped > .icon { color: #c80; }
+.bitd-test-dashboard .duration, .bitd-test-dashboard .source, .bitd-test-dashboard .description { color: #777; }
+.bitd-test-dashboard .badge { border-radius: 3px; padding: 0 0.3em; background: #ddd; font-size: 0.85em; }
+.bitd-test-dashboard .badge.flaky { background: #fc6; }
+.bitd-test-dashboard .badge.quarantined { background: #dbf; }
+.bitd-test-dashboard .tag { border: 1px solid #aaa; border-radius: 3px; padding: 0 0.3em; font-size: 0.85em; }
+.bitd-test-dashboard .failure pre { white-space: pre-wrap; font-size: 0.8em; max-height: 16em; overflow: auto; }
+.bitd-test-dashboard .capture .level-error { color: #c33; }
+`;
+
+// ============================================================================
+// Running
+// ============================================================================
+
+/**
+ * Run one batch through Quench.
+ * @param {string} key - Batch key
+ */
+export function runBatch(key) {
+  if (typeof quench === "undefined") throw new Error("Quench is not available");
+  running = [key];
+  refreshDashboard();
+  quench.runBatches([key]);
+}
+
+/**
+ * Run one test (or section) by its TestNumberer ID: its batch runs with only
+ * that test registered.
+ * @param {string} testId - e.g. "4.2.3"
+ */
+export function runTest(testId) {
+  if (!TEST_ID_PATTERN.test(String(testId))) throw new Error(`Not a test or section ID: ${testId}`);
+  const batch = getBatch(String(testId).split(".")[0]);
+  if (!batch) throw new Error(`No batch for test ${testId}`);
+  setTestFocus([testId]);
+  Hooks.once("quenchReports", () => setTestFocus(null));
+  runBatch(batch.key);
+}
+
+// ============================================================================
+// Application
+// ============================================================================
+
+/**
+ * The dashboard window.
+ */
+export class TestDashboard extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "bitd-test-dashboard",
+    classes: ["bitd-test-dashboard"],
+    tag: "div",
+    window: { title: "BitD Alt Sheets Tests", icon: "fas fa-vial", resizable: true },
+    position: { width: 680, height: 720 },
+    actions: {
+      runAll: TestDashboard._onRunAll,
+      runBatch: TestDashboard._onRunBatch,
+      runTest: TestDashboard._onRunTest,
+      downloadArtifact: TestDashboard._onDownloadArtifact,
+    },
+  };
+
+  /** @type {{tag: string, failuresOnly: boolean}} */
+  filter = { tag: "", failuresOnly: false };
+
+  /** Batch keys whose tests are shown */
+  expanded = new Set();
+
+  /** @override */
+  async _prepareContext() {
+    return buildDashboardData({ filter: this.filter });
+  }
+
+  /** @override */
+  async _renderHTML(context) {
+    return `<style>${STYLES}</style>${renderDashboard(context, { expanded: this.expanded })}`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender?.(context, options);
+    const root = this.element;
+    root.querySelector('select[name="tag"]')?.addEventListener("change", (event) => {
+      this.filter.tag = event.target.value;
+      this.render();
+    });
+    root.querySelector('input[name="failuresOnly"]')?.addEventListener("change", (event) => {
+      this.filter.failuresOnly = event.target.checked;
+      this.render();
+    });
+    for (const details of root.querySelectorAll("details.batch")) {
+      details.addEventListener("toggle", () => {
+        if (details.open) this.expanded.add(details.dataset.batch);
+        else this.expanded.delete(details.dataset.batch);
+      });
+    }
+  }
+
+  /**
+   * @this {TestDashboard}
+   * @param {PointerEvent} event
+   */
+  static _onRunAll(event) {
+    event.preventDefault();
+    game.modules.get(MODULE_ID).api.runAllTests();
+  }
+
+  /**
+   * @this {TestDashboard}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static _onRunBatch(event, target) {
+    // Keep the click from toggling the batch's <details>
+    event.preventDefault();
+    runBatch(target.dataset.batch);
+  }
+
+  /**
+   * @this {TestDashboard}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static _onRunTest(event, target) {
+    event.preventDefault();
+    runTest(target.dataset.test);
+  }
+
+  /**
+   * @this {TestDashboard}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static _onDownloadArtifact(event, target) {
+    event.preventDefault();
+    const { title } = target.dataset;
+    const test = [...sessionResults.values()].find((result) => result.fullTitle === title);
+    downloadFailureArtifact(title, test?.error ?? null);
+  }
+}
+
+/**
+ * Open the dashboard, or bring it to the front.
+ * @returns {TestDashboard|null} Null on Foundry versions without ApplicationV2
+ */
+export function openDashboard() {
+  if (!globalThis.foundry?.applications?.api?.ApplicationV2) {
+    ui.notifications?.warn(`[${MODULE_ID}] The test dashboard needs Foundry V12 or later.`);
+    return null;
+  }
+  dashboard ??= new TestDashboard();
+  dashboard.render({ force: true });
+  return dashboard;
+}
+
+/**
+ * Re-render the dashboard if it is open.
+ */
+export function refreshDashboard() {
+  if (dashboard?.rendered) dashboard.render();
+}
@@ -0,0 +1,282 @@
+/**
+ * Driver for the dialogs bitd-alternate-sheets opens from smart fields.
+ *
+ * Smart fields open one of three kinds of dialog: a card chooser (radio
+ * cards plus a custom text field), a plain text input, or a yes/no confirm.
+ * On V11/V12 these are V1 `Dialog` windows with `data-button` buttons; on
+ * V13+ they are `DialogV2` instances rendered as a native `<dialog>` with
+ * `data-action` buttons. waitForDialog() finds the next one and wraps it in
+ * a DialogDriver, which exposes the same actions for both.
+ *
+ * @example
+ * const dialog = await waitForDialog({ trigger: () => field.click() });
+ * await dialog.choose("Bravos");
+ * await dialog.confirm();
+ */
+
+import { DIALOGS } from "./test-selectors.js";
+import { closeApplication, getElement, isApplicationV2, isDialog, listOpenApplications } from "./app-compat.js";
+
+/** Dialog kinds the target module opens */
+export const DIALOG_KINDS = ["chooser", "text", "confirm"];
+
+/** Time to let the dialog's own listeners run after an interaction */
+const SETTLE_MS = 100;
+
+/** Default time to wait for a dialog to open */
+const OPEN_TIMEOUT_MS = 3000;
+
+/** Default time to wait for a dialog to close after confirm/cancel */
+const CLOSE_TIMEOUT_MS = 1000;
+
+const POLL_MS = 50;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ============================================================================
+// Discovery
+// ============================================================================
+
+/**
+ * Identify what kind of dialog an element is.
+ * @param {HTMLElement} element
+ * @returns {"chooser"|"text"|"confirm"|"unknown"}
+ */
+export function identifyDialog(element) {
+  if (!element?.querySelector) return "unknown";
+  if (element.querySelector(DIALOGS.CHOOSER)) return "chooser";
+  if (element.querySelector(DIALOGS.TEXT_INPUT)) return "text";
+  if (element.querySelector(DIALOGS.CONFIRM_YES)) return "confirm";
+  return "unknown";
+}
+
+/**
+ * List open dialogs, oldest first.
+ * Dialog applications come first; open `<dialog>` and `.dialog.app` elements
+ * that no application claims are appended as DOM-only entries.
+ * @returns {{app: object|null, element: HTMLElement}[]}
+ */
+export function listOpenDialogs() {
+  const dialogs = [];
+  for (const app of listOpenApplications()) {
+    if (!isDialog(app) || app.rendered === false) continue;
+    const element = getElement(app);
+    if (element?.isConnected) dialogs.push({ app, element });
+  }
+
+  const claimed = (el) => dialogs.some(({ element }) => element === el || element.contains(el));
+  for (const el of document.querySelectorAll(`${DIALOGS.V2_OPEN}, ${DIALOGS.V1_APP}`)) {
+    if (!claimed(el)) dialogs.push({ app: null, element: el });
+  }
+  return dialogs;
+}
+
+/**
+ * Wait for a dialog of the target module to open.
+ *
+ * With a `trigger`, dialogs that were already open before it ran are ignored,
+ * so the result is the dialog the trigger opened. Without one, the most
+ * recently opened matching dialog is returned, even if it was already open.
+ *
+ * @param {object} [options] - Options
+ * @param {Function} [options.trigger] - Action that opens the dialog (may be async)
+ * @param {string|string[]} [options.kind] - Kind(s) to accept (default: any of DIALOG_KINDS)
+ * @param {number} [options.timeoutMs=3000] - Time to wait
+ * @returns {Promise<DialogDriver|null>} Null if no matching dialog opened in time
+ */
+export async function waitForDialog({ trigger, kind, timeoutMs = OPEN_TIMEOUT_MS } = {}) {
+  const kinds = kind ? [kind].flat() : DIALOG_KINDS;
+  const before = new Set(trigger ? listOpenDialogs().map(({ app, element }) => app ?? element) : []);
+  if (trigger) await trigger();
+
+  const deadline = Date.now() + timeoutMs;
+  while (true) {
+    const match = listOpenDialogs()
+      .filter(({ app, element }) => !before.has(app ?? element))
+      .filter(({ element }) => kinds.includes(identifyDialog(element)))
+      .pop();
+    if (match) return new DialogDriver(match);
+    if (Date.now() >= deadline) return null;
+    await sleep(POLL_MS);
+  }
+}
+
+// ============================================================================
+// Driver
+// ============================================================================
+
+/**
+ * High-level actions on one open dialog.
+ */
+export class DialogDriver {
+  /**
+   * @param {object} options
+   * @param {object|null} options.app - The Dialog/DialogV2, or null if only found in the DOM
+   * @param {HTMLElement} options.element - The dialog's root element
+   */
+  constructor({ app = null, element }) {
+    this.app = app;
+    this.element = element;
+  }
+
+  /** @returns {"chooser"|"text"|"confirm"|"unknown"} */
+  get kind() {
+    return identifyDialog(this.element);
+  }
+
+  /** @returns {boolean} True for DialogV2 and native `<dialog>` elements */
+  get isV2() {
+    return this.app ? isApplicationV2(this.app) : this.element.tagName === "DIALOG";
+  }
+
+  /** @returns {boolean} */
+  get isOpen() {
+    if (!this.element.isConnected) return false;
+    if (this.app && this.app.rendered === false) return false;
+    return this.element.tagName !== "DIALOG" || this.element.open;
+  }
+
+  /** @returns {HTMLInputElement[]} The chooser's radio inputs */
+  get radios() {
+    return Array.from(this.element.querySelectorAll(DIALOGS.SELECTION_RADIOS));
+  }
+
+  /**
+   * The chooser's cards, in display order.
+   * @returns {{name: string, input: HTMLInputElement, label: HTMLElement|null}[]}
+   */
+  get choices() {
+    return this.radios.map((input) => {
+      const label = input.closest("label");
+      const name = (label?.textContent ?? input.value ?? "").replace(/\s+/g, " ").trim();
+      return { name, input, label };
+    });
+  }
+
+  /** @returns {HTMLInputElement|null} The custom text field, else the first text input */
+  get textInput() {
+    return (
+      this.element.querySelector(DIALOGS.CUSTOM_TEXT_INPUT) ??
+      this.element.querySelector(DIALOGS.TEXT_INPUT)
+    );
+  }
+
+  /**
+   * Select the card whose name matches. An exact (case-insensitive) match
+   * wins over a partial one.
+   * @param {string} name
+   * @returns {Promise<HTMLInputElement>} The checked radio
+   */
+  async choose(name) {
+    const choices = this.choices;
+    const wanted = name.toLowerCase();
+    const choice =
+      choices.find((c) => c.name.toLowerCase() === wanted) ??
+      choices.find((c) => c.name.toLowerCase().includes(wanted));
+    if (!choice) {
+      const available = choices.map((c) => `"${c.name}"`).join(", ") || "none";
+      throw new Error(`No dialog choice matches "${name}" (available: ${available})`);
+    }
+
+    // A click on the radio bubbles through its card, like a user's click
+    choice.input.click();
+    if (!choice.input.checked) {
+      choice.input.checked = true;
+      choice.input.dispatchEvent(new Event("change", { bubbles: true }));
+    }
+    await sleep(SETTLE_MS);
+    return choice.input;
+  }
+
+  /**
+   * Replace the text input's value, firing input and change events.
+   * @param {string} text
+   * @returns {Promise<HTMLInputElement>}
+   */
+  async type(text) {
+    const input = this.textInput;
+    if (!input) throw new Error(`Dialog (${this.kind}) has no text input`);
+    input.value = text;
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+    input.dispatchEvent(new Event("change", { bubbles: true }));
+    await sleep(SETTLE_MS);
+    return input;
+  }
+
+  /**
+   * Submit an empty value: the dialog's clear button if it has one,
+   * otherwise an emptied text input and confirm.
+   * @param {object} [options] - Options
+   * @param {number} [options.timeoutMs=1000] - Time to wait for the dialog to close
+   * @returns {Promise<boolean>} Whether the dialog closed
+   */
+  async clear({ timeoutMs = CLOSE_TIMEOUT_MS } = {}) {
+    const button = this.element.querySelector(DIALOGS.CLEAR_BUTTON);
+    if (!button) {
+      await this.type("");
+      return this.confirm({ timeoutMs });
+    }
+    button.click();
+    return this.waitForClose({ timeoutMs });
+  }
+
+  /**
+   * Click OK / confirm / yes.
+   * @param {object} [options] - Options
+   * @param {number} [options.timeoutMs=1000] - Time to wait for the dialog to close
+   * @returns {Promise<boolean>} Whether the dialog closed
+   */
+  async confirm({ timeoutMs = CLOSE_TIMEOUT_MS } = {}) {
+    const button =
+      this.element.querySelector(DIALOGS.CONFIRM_BUTTON) ??
+      this.element.querySelector('button[type="submit"]');
+    if (!button) throw new Error(`Dialog (${this.kind}) has no confirm button`);
+    button.click();
+    return this.waitForClose({ timeoutMs });
+  }
+
+  /**
+   * Click cancel / no, or close the dialog if it has neither.
+   * @param {object} [options] - Options
+   * @param {number} [options.timeoutMs=1000] - Time to wait for the dialog to close
+   * @returns {Promise<boolean>} Whether the dialog closed
+   */
+  async cancel({ timeoutMs = CLOSE_TIMEOUT_MS } = {}) {
+    const button = this.element.querySelector(DIALOGS.CANCEL_BUTTON);
+    if (!button) {
+      await this.close();
+      return !this.isOpen;
+    }
+    button.click();
+    return this.waitForClose({ timeoutMs });
+  }
+
+  /**
+   * Close the dialog without clicking any of its buttons.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.app) {
+      await closeApplication(this.app);
+    } else if (this.element.tagName === "DIALOG") {
+      this.element.close();
+    } else {
+      this.element.remove();
+    }
+  }
+
+  /**
+   * Wait until the dialog is no longer open.
+   * @param {object} [options] - Options
+   * @param {number} [options.timeoutMs=1000] - Time to wait
+   * @returns {Promise<boolean>} Whether it closed in time
+   */
+  async waitForClose({ timeoutMs = CLOSE_TIMEOUT_MS } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (this.isOpen) {
+      if (Date.now() >= deadline) return false;
+      await sleep(POLL_MS);
+    }
+    return true;
+  }
+}
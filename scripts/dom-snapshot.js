@@ -0,0 +1,522 @@
+/**
+ * DOM snapshots of rendered sheets.
+ *
+ * serializeElement() turns a rendered sheet into a normalized tree: tag,
+ * sorted classes, data attributes, form control names and values, and the
+ * element's own text. Element IDs are dropped and document IDs are replaced
+ * with numbered placeholders, so two renders of equivalent fixtures produce
+ * the same tree on any world.
+ *
+ * Golden snapshots live in fixtures/snapshots/<name>.json. matchSnapshot()
+ * compares a fresh snapshot against its golden file and returns a structural
+ * diff. Goldens are never rewritten automatically: a mismatched or missing
+ * snapshot is kept as pending until approveSnapshot() downloads it for
+ * committing to fixtures/snapshots/.
+ *
+ * @example
+ * const snapshot = snapshotSheet(sheet);
+ * const result = await matchSnapshot("character-cutter", snapshot);
+ * if (result.status === "mismatch") assert.fail(formatSnapshotDiff(result.diff));
+ */
+
+import { resolveApplication } from "./app-compat.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+const TARGET_MODULE_ID = "bitd-alternate-sheets";
+
+/** Format marker written into golden files */
+export const SNAPSHOT_FORMAT = "bitd-alternate-sheets-test.dom-snapshot";
+
+/** Bump when the serialized tree changes shape, so old goldens are re-recorded */
+export const SNAPSHOT_FORMAT_VERSION = 1;
+
+/** Elements whose content says nothing about the sheet's structure */
+const SKIPPED_TAGS = new Set(["script", "style", "template"]);
+
+/** Elements kept as a leaf: their children are drawing detail, not markup */
+const LEAF_TAGS = new Set(["svg"]);
+
+/** Data attributes that change on every render */
+const VOLATILE_DATA = new Set(["appid", "appId", "tooltipDirection"]);
+
+/** Foundry document IDs: 16 alphanumeric characters */
+const DOCUMENT_ID_PATTERN = /^[a-zA-Z0-9]{16}$/;
+
+/** Pending snapshots (mismatched or missing goldens) by name */
+const pending = new Map();
+
+// ============================================================================
+// Serialization
+// ============================================================================
+
+/**
+ * Collapse whitespace in a string.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Collect document IDs referenced by an element tree: the given IDs first,
+ * then every ID-like value of id, for and data-*-id attributes in DOM order.
+ * @param {HTMLElement} root
+ * @param {string[]} knownIds
+ * @returns {string[]}
+ */
+function collectIds(root, knownIds) {
+  const ids = new Set(knownIds.filter(Boolean));
+  for (const el of [root, ...root.querySelectorAll("*")]) {
+    for (const attr of el.attributes) {
+      const isIdAttr =
+        attr.name === "id" ||
+        attr.name === "for" ||
+        (attr.name.startsWith("data-") && attr.name.endsWith("id"));
+      if (isIdAttr && DOCUMENT_ID_PATTERN.test(attr.value)) ids.add(attr.value);
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * Build a function replacing document IDs with `{id:N}` placeholders.
+ * Placeholders are numbered in order of first appearance.
+ * @param {string[]} ids
+ * @returns {(value: string) => string}
+ */
+function createIdReplacer(ids) {
+  if (!ids.length) return (value) => value;
+  const placeholders = new Map(ids.map((id, index) => [id, `{id:${index}}`]));
+  const pattern = new RegExp(ids.map((id) => id.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|"), "g");
+  return (value) => value.replace(pattern, (id) => placeholders.get(id));
+}
+
+/**
+ * Get an element's own text (not its children's), normalized.
+ * @param {HTMLElement} el
+ * @returns {string}
+ */
+function getOwnText(el) {
+  let text = "";
+  for (const node of el.childNodes) {
+    if (node.nodeType === 3) text += ` ${node.textContent}`;
+  }
+  return normalizeWhitespace(text);
+}
+
+/**
+ * Get the value a form control holds, if it is one.
+ * @param {HTMLElement} el
+ * @returns {string|boolean|undefined}
+ */
+function getFormValue(el) {
+  const tag = el.tagName.toLowerCase();
+  if (tag === "input") {
+    const type = (el.getAttribute("type") || "text").toLowerCase();
+    if (type === "checkbox" || type === "radio") return el.checked;
+    return el.value;
+  }
+  if (tag === "select" || tag === "textarea") return el.value;
+  return undefined;
+}
+
+/**
+ * Serialize one element and its children.
+ * @param {HTMLElement} el
+ * @param {(value: string) => string} replaceIds
+ * @returns {object|null} Node, or null if the element is skipped
+ */
+function serializeNode(el, replaceIds) {
+  const tag = el.tagName.toLowerCase();
+  if (SKIPPED_TAGS.has(tag)) return null;
+
+  const node = { tag };
+
+  const classes = [...el.classList].map(replaceIds).sort();
+  if (classes.length) node.classes = classes;
+
+  const data = {};
+  for (const key of Object.keys(el.dataset).sort()) {
+    if (VOLATILE_DATA.has(key)) continue;
+    data[key] = replaceIds(el.dataset[key]);
+  }
+  if (Object.keys(data).length) node.data = data;
+
+  const name = el.getAttribute("name");
+  if (name) node.name = replaceIds(name);
+
+  const value = getFormValue(el);
+  if (value !== undefined) {
+    node.value = typeof value === "string" ? replaceIds(value) : value;
+  }
+
+  if (LEAF_TAGS.has(tag)) return node;
+
+  const text = getOwnText(el);
+  if (text) node.text = replaceIds(text);
+
+  const children = [];
+  for (const child of el.children) {
+    const serialized = serializeNode(child, replaceIds);
+    if (serialized) children.push(serialized);
+  }
+  if (children.length) node.children = children;
+
+  return node;
+}
+
+/**
+ * Serialize an element tree into a normalized, ID-stripped snapshot tree.
+ * @param {HTMLElement} root
+ * @param {object} [options] - Options
+ * @param {string[]} [options.ids=[]] - Document IDs to replace, besides those found in attributes
+ * @returns {object}
+ */
+export function serializeElement(root, { ids = [] } = {}) {
+  const replaceIds = createIdReplacer(collectIds(root, ids));
+  return serializeNode(root, replaceIds);
+}
+
+/**
+ * Snapshot a rendered sheet's content (without the window frame).
+ * The actor's ID and the IDs of its embedded items are always replaced.
+ * @param {ActorSheet} sheet - A rendered V1 or V2 sheet
+ * @returns {object}
+ * @throws {Error} If the sheet is not rendered
+ */
+export function snapshotSheet(sheet) {
+  const resolved = sheet ? resolveApplication(sheet) : null;
+  if (!resolved) throw new Error("Sheet is not rendered");
+  const content = resolved.content ?? resolved.element;
+  const doc = sheet.document ?? sheet.actor;
+  const ids = [doc?.id, ...(doc?.items?.map((item) => item.id) ?? [])];
+  return serializeElement(content, { ids });
+}
+
+// ============================================================================
+// Structural Diff
+// ============================================================================
+
+/**
+ * Short label for a node, e.g. `div.item-block.selected`.
+ * @param {object} node
+ * @returns {string}
+ */
+function describeNode(node) {
+  return [node.tag, ...(node.classes ?? [])].join(".");
+}
+
+/**
+ * Key used to align children: nodes with the same key are treated as the
+ * same element in both trees.
+ * @param {object} node
+ * @returns {string}
+ */
+function alignmentKey(node) {
+  return `${describeNode(node)}|${node.name ?? ""}`;
+}
+
+/**
+ * Align two child lists on their longest common subsequence of keys.
+ * @param {object[]} expected
+ * @param {object[]} actual
+ * @returns {Array<[object|null, object|null]>} Pairs; null marks an added or removed node
+ */
+function alignChildren(expected, actual) {
+  const a = expected.map(alignmentKey);
+  const b = actual.map(alignmentKey);
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([expected[i++], actual[j++]]);
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pairs.push([expected[i++], null]);
+    } else {
+      pairs.push([null, actual[j++]]);
+    }
+  }
+  while (i < a.length) pairs.push([expected[i++], null]);
+  while (j < b.length) pairs.push([null, actual[j++]]);
+
+  // A removal directly followed by an addition of the same tag is a change
+  const merged = [];
+  for (const pair of pairs) {
+    const previous = merged[merged.length - 1];
+    if (
+      previous && previous[1] === null && pair[0] === null &&
+      previous[0].tag === pair[1].tag
+    ) {
+      previous[1] = pair[1];
+    } else {
+      merged.push(pair);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Compare the fields of two aligned nodes.
+ * @param {object} expected
+ * @param {object} actual
+ * @param {string} path
+ * @param {object[]} changes - Receives the changes found
+ */
+function diffFields(expected, actual, path, changes) {
+  if (expected.tag !== actual.tag) {
+    changes.push({ type: "changed", path, field: "tag", expected: expected.tag, actual: actual.tag });
+  }
+
+  const expectedClasses = expected.classes ?? [];
+  const actualClasses = actual.classes ?? [];
+  const removed = expectedClasses.filter((c) => !actualClasses.includes(c));
+  const added = actualClasses.filter((c) => !expectedClasses.includes(c));
+  if (removed.length || added.length) {
+    changes.push({ type: "changed", path, field: "classes", expected: removed, actual: added });
+  }
+
+  const keys = new Set([...Object.keys(expected.data ?? {}), ...Object.keys(actual.data ?? {})]);
+  for (const key of [...keys].sort()) {
+    const before = expected.data?.[key];
+    const after = actual.data?.[key];
+    if (before !== after) {
+      changes.push({ type: "changed", path, field: `data-${key}`, expected: before, actual: after });
+    }
+  }
+
+  for (const field of ["name", "value", "text"]) {
+    if (expected[field] !== actual[field]) {
+      changes.push({ type: "changed", path, field, expected: expected[field], actual: actual[field] });
+    }
+  }
+}
+
+/**
+ * Recursively diff two nodes.
+ * @param {object} expected
+ * @param {object} actual
+ * @param {string} path
+ * @param {object[]} changes
+ */
+function diffNodes(expected, actual, path, changes) {
+  diffFields(expected, actual, path, changes);
+
+  const pairs = alignChildren(expected.children ?? [], actual.children ?? []);
+  let expectedIndex = 0;
+  let actualIndex = 0;
+  for (const [before, after] of pairs) {
+    if (before && after) {
+      diffNodes(before, after, `${path} > ${describeNode(after)}[${actualIndex}]`, changes);
+      expectedIndex += 1;
+      actualIndex += 1;
+    } else if (before) {
+      changes.push({ type: "removed", path: `${path} > ${describeNode(before)}[${expectedIndex}]`, node: before });
+      expectedIndex += 1;
+    } else {
+      changes.push({ type: "added", path: `${path} > ${describeNode(after)}[${actualIndex}]`, node: after });
+      actualIndex += 1;
+    }
+  }
+}
+
+/**
+ * Compute the structural differences between two snapshot trees.
+ * Children are aligned by tag, classes and name, so an inserted element is
+ * reported once instead of shifting every sibling after it.
+ * @param {object} expected - Golden tree
+ * @param {object} actual - Fresh tree
+ * @returns {Array<{type: "added"|"removed"|"changed", path: string, field?: string, expected?: *, actual?: *, node?: object}>}
+ */
+export function diffSnapshots(expected, actual) {
+  const changes = [];
+  diffNodes(expected, actual, describeNode(actual), changes);
+  return changes;
+}
+
+/**
+ * Format a value for a diff line.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === undefined) return "(none)";
+  if (Array.isArray(value)) return value.join(" ");
+  return JSON.stringify(value);
+}
+
+/**
+ * Render a diff as readable text, one change per line:
+ * `+` added element, `-` removed element, `~` changed field.
+ * @param {object[]} changes - Output of diffSnapshots()
+ * @param {object} [options] - Options
+ * @param {number} [options.maxLines=50] - Lines shown before the rest are summarized
+ * @returns {string}
+ */
+export function formatSnapshotDiff(changes, { maxLines = 50 } = {}) {
+  if (!changes.length) return "No differences";
+
+  const lines = changes.slice(0, maxLines).map((change) => {
+    if (change.type === "added") return `+ ${change.path}`;
+    if (change.type === "removed") return `- ${change.path}`;
+    if (change.field === "classes") {
+      const parts = [];
+      if (change.expected.length) parts.push(`removed ${formatValue(change.expected)}`);
+      if (change.actual.length) parts.push(`added ${formatValue(change.actual)}`);
+      return `~ ${change.path}: classes ${parts.join(", ")}`;
+    }
+    return `~ ${change.path}: ${change.field} ${formatValue(change.expected)} → ${formatValue(change.actual)}`;
+  });
+  if (changes.length > maxLines) {
+    lines.push(`… and ${changes.length - maxLines} more change(s)`);
+  }
+  return lines.join("\n");
+}
+
+// ============================================================================
+// Golden Files
+// ============================================================================
+
+/**
+ * Get the installed version of a module.
+ * @param {string} id
+ * @returns {string|null}
+ */
+function getModuleVersion(id) {
+  return game.modules?.get(id)?.version ?? null;
+}
+
+/**
+ * Wrap a snapshot tree in the golden file format.
+ * @param {string} name
+ * @param {object} tree
+ * @returns {object}
+ */
+export function createGoldenSnapshot(name, tree) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_FORMAT_VERSION,
+    name,
+    targetVersion: getModuleVersion(TARGET_MODULE_ID),
+    foundryVersion: game.version ?? null,
+    recordedAt: new Date().toISOString(),
+    tree,
+  };
+}
+
+/**
+ * Load a golden snapshot from fixtures/snapshots.
+ * @param {string} name
+ * @returns {Promise<object|null>} The golden file, or null if there is none
+ * @throws {Error} If the file exists but is not a current-format snapshot
+ */
+export async function loadGoldenSnapshot(name) {
+  const url = new URL(`../fixtures/snapshots/${name}.json`, import.meta.url);
+  const response = await fetch(url);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Failed to load golden snapshot ${name}: ${response.status}`);
+  }
+  const golden = await response.json();
+  if (golden?.format !== SNAPSHOT_FORMAT) {
+    throw new Error(`${name}.json is not a DOM snapshot`);
+  }
+  if (golden.version !== SNAPSHOT_FORMAT_VERSION) {
+    throw new Error(
+      `${name}.json uses snapshot format ${golden.version}; ` +
+      `re-record it with format ${SNAPSHOT_FORMAT_VERSION}`
+    );
+  }
+  return golden;
+}
+
+/**
+ * Compare a snapshot with its golden file. Mismatched and missing snapshots
+ * are kept as pending until approved or cleared.
+ * @param {string} name - Golden file name without extension
+ * @param {object} tree - Fresh snapshot tree
+ * @returns {Promise<{status: "match"|"mismatch"|"missing", diff: object[], golden: object|null}>}
+ */
+export async function matchSnapshot(name, tree) {
+  const golden = await loadGoldenSnapshot(name);
+  if (!golden) {
+    pending.set(name, { name, tree, status: "missing", diff: [] });
+    return { status: "missing", diff: [], golden: null };
+  }
+
+  const diff = diffSnapshots(golden.tree, tree);
+  if (!diff.length) {
+    pending.delete(name);
+    return { status: "match", diff, golden };
+  }
+  pending.set(name, { name, tree, status: "mismatch", diff, golden });
+  return { status: "mismatch", diff, golden };
+}
+
+/**
+ * Describe a mismatch for an assertion message: the versions involved and
+ * the formatted diff.
+ * @param {string} name
+ * @param {{diff: object[], golden: object}} result - Output of matchSnapshot()
+ * @returns {string}
+ */
+export function describeMismatch(name, { diff, golden }) {
+  const current = getModuleVersion(TARGET_MODULE_ID) ?? "unknown";
+  return (
+    `DOM snapshot "${name}" differs from its golden file ` +
+    `(recorded against ${TARGET_MODULE_ID} ${golden?.targetVersion ?? "unknown"}, now ${current}):\n` +
+    `${formatSnapshotDiff(diff)}\n` +
+    `If the change is intended, approve it with ` +
+    `game.modules.get("${MODULE_ID}").api.snapshots.approve("${name}")`
+  );
+}
+
+// ============================================================================
+// Approval
+// ============================================================================
+
+/**
+ * List snapshots waiting for approval.
+ * @returns {Array<{name: string, status: "missing"|"mismatch", diff: object[]}>}
+ */
+export function getPendingSnapshots() {
+  return [...pending.values()].map(({ name, status, diff }) => ({ name, status, diff }));
+}
+
+/**
+ * Forget pending snapshots without approving them.
+ */
+export function clearPendingSnapshots() {
+  pending.clear();
+}
+
+/**
+ * Approve a pending snapshot: download it as a golden file to commit as
+ * fixtures/snapshots/<name>.json.
+ * @param {string} name
+ * @returns {string} The downloaded file name
+ * @throws {Error} If there is no pending snapshot with that name
+ */
+export function approveSnapshot(name) {
+  const entry = pending.get(name);
+  if (!entry) {
+    throw new Error(`No pending DOM snapshot named "${name}"`);
+  }
+  const fileName = `${name}.json`;
+  const content = `${JSON.stringify(createGoldenSnapshot(name, entry.tree), null, 2)}\n`;
+  const save = foundry?.utils?.saveDataToFile ?? globalThis.saveDataToFile;
+  save(content, "application/json", fileName);
+  pending.delete(name);
+  console.log(`[${MODULE_ID}] Approved DOM snapshot ${name}; commit it as fixtures/snapshots/${fileName}`);
+  return fileName;
+}
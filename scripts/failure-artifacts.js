@@ -0,0 +1,429 @@
+/**
+ * Failure artifacts for the harness.
+ *
+ * While each test runs, an ArtifactTracker records the actors it creates,
+ * updates or deletes (directly or through their embedded items) and the
+ * updateActor payloads. When the test fails, the moment of failure is bundled
+ * into a JSON artifact:
+ * - actor.toObject() of every touched actor and every actor with an open
+ *   sheet, module flags included
+ * - the outerHTML of those sheets and of every open dialog
+ * - the last console lines and notifications of the test (see capture.js)
+ * - the recent updateActor payloads
+ * - the target module's compendium cache stats
+ *
+ * The artifact is built inside the test function as it throws (see
+ * captureFailureArtifact(), wrapped around every TestNumberer test), before
+ * any afterEach hook closes the sheets or deletes the actors. A test failed
+ * by the leak guard gets its artifact built before the guard closes the
+ * leaked windows (see prepareFailureArtifact()); other failures that do not
+ * throw there (timeouts, hook errors) are built in the afterEach hook.
+ *
+ * Artifacts are kept for the session by mocha full title. Failed tests in the
+ * normalized report name their artifact file, uploadReport() writes it next to
+ * the report and the dashboard downloads it. Installed for every batch by
+ * registerBatch() in batch-registry.js.
+ */
+
+import { findApplicationsFor, getElement, listOpenApplications } from "./app-compat.js";
+import { identifyDialog, listOpenDialogs } from "./dialog-driver.js";
+import { testCapture } from "./capture.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+const TARGET_MODULE_ID = "bitd-alternate-sheets";
+
+/** Identifies a failure artifact file */
+export const ARTIFACT_FORMAT = `${MODULE_ID}.failure-artifact`;
+
+/** Bumped when the artifact shape changes */
+export const ARTIFACT_FORMAT_VERSION = 1;
+
+/** updateActor payloads kept per test */
+const MAX_UPDATES = 25;
+
+/** Console lines and notifications kept per artifact */
+const MAX_CONSOLE_LINES = 50;
+
+/** Artifacts kept for the session; the oldest are dropped first */
+const MAX_ARTIFACTS = 20;
+
+/** Tracker of the running test, if any */
+let current = null;
+
+/** Artifact built as the running test threw: { fullTitle, artifact } */
+let pending = null;
+
+/** Artifacts of each test's last failed run, by mocha full title */
+const artifacts = new Map();
+
+// ============================================================================
+// Collectors
+// ============================================================================
+
+/**
+ * Copy a value into plain JSON data.
+ * @param {*} value
+ * @returns {*}
+ */
+function toPlain(value) {
+  try {
+    return JSON.parse(JSON.stringify(value ?? null));
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * Run one collector; a collector that throws leaves its error in the artifact
+ * instead of losing the rest of it.
+ * @param {Function} collect
+ * @returns {*} The collected value, or { error }
+ */
+function attempt(collect) {
+  try {
+    return collect();
+  } catch (err) {
+    return { error: err?.message ?? String(err) };
+  }
+}
+
+/**
+ * Get the target module's compendium cache stats, as the compendium-cache
+ * batch reads them.
+ * @returns {object|null} Null when the module exposes no cache
+ */
+export function getTargetCacheStats() {
+  const utils =
+    game.modules.get(TARGET_MODULE_ID)?.api?.Utils || globalThis.BladesAlternateSheets?.Utils || null;
+  if (utils?.getCacheStats) return toPlain(utils.getCacheStats());
+  if (utils?.cache) {
+    return { size: utils.cache.size, entries: Array.from(utils.cache.keys()) };
+  }
+  return null;
+}
+
+/**
+ * Get the TestNumberer ID from a test title.
+ * @param {string} title - e.g. "4.2.3 does something"
+ * @returns {string|null}
+ */
+function parseTestId(title) {
+  return /^(\d+(?:\.\d+)*)\s/.exec(title ?? "")?.[1] ?? null;
+}
+
+// ============================================================================
+// Tracker
+// ============================================================================
+
+/**
+ * Records the actors a test touches and its updateActor payloads until
+ * stopped, and builds the failure artifact.
+ */
+export class ArtifactTracker {
+  constructor() {
+    /** @type {Map<string, Actor>} Touched actors by ID */
+    this.actors = new Map();
+    /** @type {Array<{at: string, actorId: string, actorName: string, userId: string, changes: object, options: object}>} */
+    this.updates = [];
+    this._hookIds = [];
+  }
+
+  /** @returns {boolean} */
+  get active() {
+    return this._hookIds.length > 0;
+  }
+
+  /**
+   * Start recording.
+   * @returns {this}
+   */
+  start() {
+    if (this.active) return this;
+    const on = (hook, fn) => this._hookIds.push([hook, Hooks.on(hook, fn)]);
+
+    on("createActor", (actor) => this._touch(actor));
+    on("deleteActor", (actor) => this._touch(actor));
+    on("updateActor", (actor, changes, options, userId) => {
+      this._touch(actor);
+      this.updates.push({
+        at: new Date().toISOString(),
+        actorId: actor.id,
+        actorName: actor.name,
+        userId,
+        changes: toPlain(changes),
+        // Only the flags of the update (diff, render, ...), not callbacks or documents
+        options: Object.fromEntries(
+          Object.entries(options ?? {}).filter(
+            ([, value]) => value === null || !["object", "function"].includes(typeof value)
+          )
+        ),
+      });
+      if (this.updates.length > MAX_UPDATES) this.updates.shift();
+    });
+    for (const hook of ["createItem", "updateItem", "deleteItem"]) {
+      on(hook, (item) => {
+        if (item.parent?.documentName === "Actor") this._touch(item.parent);
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Stop recording. The recorded actors and updates are kept.
+   */
+  stop() {
+    for (const [hook, id] of this._hookIds) Hooks.off(hook, id);
+    this._hookIds = [];
+  }
+
+  /**
+   * @param {Actor} actor
+   * @private
+   */
+  _touch(actor) {
+    if (actor?.id) this.actors.set(actor.id, actor);
+  }
+
+  /**
+   * Bundle the current state into a failure artifact.
+   * Actors with an open sheet are included even if the test did not touch
+   * them, since batches often create their actor in a before() hook.
+   * @param {object} [options]
+   * @param {{title: string, fullTitle: string, err?: Error}} [options.test]
+   * @param {Array<object>} [options.consoleEntries] - Capture entries (see capture.js)
+   * @returns {object}
+   */
+  buildArtifact({ test = { title: "", fullTitle: "" }, consoleEntries = [] } = {}) {
+    const actors = new Map(this.actors);
+    for (const app of listOpenApplications()) {
+      const doc = app?.document ?? app?.actor;
+      if (doc?.documentName === "Actor" && !actors.has(doc.id)) actors.set(doc.id, doc);
+    }
+
+    return {
+      format: ARTIFACT_FORMAT,
+      version: ARTIFACT_FORMAT_VERSION,
+      capturedAt: new Date().toISOString(),
+      test: {
+        id: parseTestId(test.title),
+        title: test.title,
+        fullTitle: test.fullTitle,
+        error: test.err ? { message: test.err.message ?? String(test.err), stack: test.err.stack ?? null } : null,
+      },
+      environment: {
+        foundry: game.version ?? null,
+        targetModule: game.modules.get(TARGET_MODULE_ID)?.version ?? null,
+      },
+      actors: [...actors.values()].map((actor) => ({
+        id: actor.id,
+        name: actor.name,
+        type: actor.type,
+        deleted: !game.actors?.has(actor.id),
+        data: attempt(() => actor.toObject()),
+      })),
+      sheets: attempt(() =>
+        [...actors.values()].flatMap((actor) =>
+          findApplicationsFor(actor).map((app) => ({
+            actorId: actor.id,
+            application: app.constructor?.name ?? null,
+            html: getElement(app)?.outerHTML ?? null,
+          }))
+        )
+      ),
+      dialogs: attempt(() =>
+        listOpenDialogs().map(({ app, element }) => ({
+          kind: identifyDialog(element),
+          title: app?.title ?? null,
+          html: element.outerHTML,
+        }))
+      ),
+      console: consoleEntries.slice(-MAX_CONSOLE_LINES).map(({ source, level, message, expected }) => ({
+        source,
+        level,
+        message,
+        expected,
+      })),
+      updates: [...this.updates],
+      cacheStats: attempt(getTargetCacheStats),
+    };
+  }
+}
+
+// ============================================================================
+// Per-Test Tracking
+// ============================================================================
+
+/**
+ * Start a fresh tracker for the next test.
+ */
+export function startArtifactTracking() {
+  current?.stop();
+  current = new ArtifactTracker().start();
+  pending = null;
+}
+
+/**
+ * Get the running test's console lines and notifications.
+ * @returns {Array<object>}
+ */
+function currentConsoleEntries() {
+  try {
+    return testCapture().entries;
+  } catch {
+    // No capture running
+    return [];
+  }
+}
+
+/**
+ * Wrap a test function so a failure artifact is built the moment it throws,
+ * while its sheets and dialogs are still open. collectFailureArtifact() then
+ * stores that artifact. Callback-style tests (`function (done)`) are returned
+ * unchanged.
+ * @param {Function} fn - Test function
+ * @returns {Function}
+ */
+export function captureFailureArtifact(fn) {
+  if (typeof fn !== "function" || fn.length > 0) return fn;
+  return async function () {
+    try {
+      return await fn.call(this);
+    } catch (err) {
+      prepareFailureArtifact(this?.test, err);
+      throw err;
+    }
+  };
+}
+
+/**
+ * Build a test's failure artifact now, while its sheets and dialogs are
+ * still open. collectFailureArtifact() stores it if the test ends up failed.
+ * @param {object} test - Mocha test
+ * @param {Error} err - Why the test fails
+ */
+export function prepareFailureArtifact(test, err) {
+  if (!current || !test) return;
+  const fullTitle = test.fullTitle();
+  pending = {
+    fullTitle,
+    artifact: attempt(() =>
+      current.buildArtifact({ test: { title: test.title, fullTitle, err }, consoleEntries: currentConsoleEntries() })
+    ),
+  };
+}
+
+/**
+ * Stop the running test's tracker. Called as a mocha hook, it stores an
+ * artifact when the test failed (the one built as it threw, if any) and
+ * drops the previous one once it passes.
+ */
+export function collectFailureArtifact() {
+  const test = this?.currentTest;
+  if (current && test) {
+    const fullTitle = test.fullTitle();
+    if (test.state === "failed") {
+      const artifact =
+        pending?.fullTitle === fullTitle && !pending.artifact.error
+          ? pending.artifact
+          : current.buildArtifact({
+            test: { title: test.title, fullTitle, err: test.err },
+            consoleEntries: currentConsoleEntries(),
+          });
+      storeFailureArtifact(artifact);
+    } else {
+      artifacts.delete(fullTitle);
+    }
+  }
+  current?.stop();
+  current = null;
+  pending = null;
+}
+
+/**
+ * Keep an artifact for the session, replacing the test's previous one.
+ * @param {object} artifact - From ArtifactTracker#buildArtifact()
+ */
+export function storeFailureArtifact(artifact) {
+  artifacts.delete(artifact.test.fullTitle);
+  artifacts.set(artifact.test.fullTitle, artifact);
+  while (artifacts.size > MAX_ARTIFACTS) {
+    artifacts.delete(artifacts.keys().next().value);
+  }
+}
+
+/**
+ * Get the artifact of a test's last failed run.
+ * @param {string} fullTitle - Mocha full title, as in the test report
+ * @returns {object|null}
+ */
+export function getFailureArtifact(fullTitle) {
+  return artifacts.get(fullTitle) ?? null;
+}
+
+/**
+ * Get every stored artifact, oldest first.
+ * @returns {Array<object>}
+ */
+export function listFailureArtifacts() {
+  return [...artifacts.values()];
+}
+
+/**
+ * Forget a test's artifact.
+ * @param {string} fullTitle - Mocha full title
+ */
+export function deleteFailureArtifact(fullTitle) {
+  artifacts.delete(fullTitle);
+}
+
+/**
+ * Forget the stored artifacts.
+ */
+export function clearFailureArtifacts() {
+  artifacts.clear();
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * Build a filesystem-safe file name for an artifact.
+ * @param {object} artifact
+ * @returns {string}
+ */
+export function getArtifactFileName(artifact) {
+  const stamp = artifact.capturedAt.replace(/[:.]/g, "-");
+  return `${TARGET_MODULE_ID}-failure-${artifact.test.id ?? "test"}-${stamp}.json`;
+}
+
+/**
+ * Serialize an artifact as pretty-printed JSON.
+ * Mocha hooks do not see the error a test failed with, so the error from the
+ * test's report entry fills it in when given.
+ * @param {object} artifact
+ * @param {{message: string, stack: string|null}|null} [error] - From the report
+ * @returns {string}
+ */
+export function serializeArtifact(artifact, error = null) {
+  const test = { ...artifact.test, error: artifact.test.error ?? error };
+  return JSON.stringify({ ...artifact, test }, null, 2);
+}
+
+/**
+ * Trigger a browser download of a test's failure artifact.
+ * @param {string} fullTitle - Mocha full title, as in the test report
+ * @param {{message: string, stack: string|null}|null} [error] - From the report
+ * @returns {string|null} The downloaded file name, or null without an artifact
+ */
+export function downloadFailureArtifact(fullTitle, error = null) {
+  const artifact = getFailureArtifact(fullTitle);
+  if (!artifact) {
+    ui.notifications?.warn(`[${MODULE_ID}] No failure artifact for "${fullTitle}".`);
+    return null;
+  }
+  const fileName = getArtifactFileName(artifact);
+  const save = foundry?.utils?.saveDataToFile ?? globalThis.saveDataToFile;
+  save(serializeArtifact(artifact, error), "application/json", fileName);
+  return fileName;
+}
@@ -0,0 +1,308 @@
+/**
+ * In-page socket stand-in for simulating a second client.
+ *
+ * A Quench run has one browser client, so "multi-client" tests never see
+ * another user's writes interleave with their own. FakeSocket adds simulated
+ * clients to the page:
+ *
+ * - Writes a simulated client makes travel through the fake socket with a
+ *   configurable latency before reaching the database, and with `reorder`
+ *   on they can overtake each other, as two users' clicks land on the server
+ *   in no particular order.
+ * - Every updateActor broadcast (local or simulated) is replayed to each
+ *   simulated client after the same latency, in server order, and applied to
+ *   that client's replica of the actor. A write built from the replica
+ *   therefore acts on the same stale view a real second client would have.
+ *
+ * The writes are real: they go to the server on the GM's connection, so this
+ * client's sheets, hooks and the target module's update queue handle them as
+ * they would a remote change arriving mid-click.
+ *
+ * @example
+ * const socket = new FakeSocket({ latency: [0, 40], reorder: true, seed: 7 }).install();
+ * const remote = socket.createClient("Remote").watch(actor);
+ * remote.update(actor, (replica) => ({ "system.stress.value": replica.system.stress.value + 1 }));
+ * await socket.settle();
+ * assert.ok(remote.isConverged(actor));
+ * socket.uninstall();
+ */
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/** Options key marking writes made by a simulated client */
+const CLIENT_OPTION = "fakeSocketClient";
+
+/** Quiet period settle() waits for after the last delivery */
+const SETTLE_QUIET_MS = 50;
+
+/**
+ * Seeded PRNG (mulberry32) so reordering is reproducible for a given seed.
+ * @param {number} seed
+ * @returns {() => number} Function returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ============================================================================
+// Fake Socket
+// ============================================================================
+
+/**
+ * Message bus between this client and its simulated peers.
+ */
+export class FakeSocket {
+  /**
+   * @param {object} [options] - Options
+   * @param {number|number[]} [options.latency=0] - Delay in ms, or a [min, max] range
+   * @param {boolean} [options.reorder=false] - Let simulated writes overtake each other
+   * @param {number} [options.seed=1] - Seed for latency and reordering
+   */
+  constructor({ latency = 0, reorder = false, seed = 1 } = {}) {
+    this.latency = Array.isArray(latency) ? latency : [latency, latency];
+    this.reorder = reorder;
+    this.random = createRandom(seed);
+    this.clients = [];
+    /** Every delivered message, in delivery order */
+    this.log = [];
+    this._pending = new Set();
+    this._hookId = null;
+    this._lastBroadcastAt = 0;
+  }
+
+  /**
+   * Start replaying updateActor broadcasts to the simulated clients.
+   * @returns {this}
+   */
+  install() {
+    if (this._hookId !== null) return this;
+    this._hookId = Hooks.on("updateActor", (actor, change, options) => {
+      this._broadcast(actor, change, options?.[MODULE_ID]?.[CLIENT_OPTION] ?? null);
+    });
+    return this;
+  }
+
+  /**
+   * Stop replaying broadcasts. Messages already in flight are still delivered.
+   */
+  uninstall() {
+    if (this._hookId === null) return;
+    Hooks.off("updateActor", this._hookId);
+    this._hookId = null;
+  }
+
+  /**
+   * Add a simulated client.
+   * @param {string} [name] - Label used in the delivery log
+   * @returns {SimulatedClient}
+   */
+  createClient(name) {
+    const client = new SimulatedClient(this, name ?? `Client ${this.clients.length + 1}`);
+    this.clients.push(client);
+    return client;
+  }
+
+  /**
+   * Pick a delay within the configured latency range.
+   * @returns {number}
+   */
+  _delay() {
+    const [min, max] = this.latency;
+    return Math.round(min + (max - min) * this.random());
+  }
+
+  /**
+   * Deliver a message after a delay.
+   * @param {number} delay
+   * @param {object} entry - Log entry describing the message
+   * @param {Function} deliver - Performs the delivery; may be async
+   * @returns {Promise<*>} Resolves with the delivery result
+   */
+  _schedule(delay, entry, deliver) {
+    const promise = new Promise((resolve, reject) => {
+      setTimeout(async () => {
+        try {
+          const result = await deliver();
+          this.log.push({ ...entry, deliveredAt: performance.now() });
+          resolve(result);
+        } catch (err) {
+          this.log.push({ ...entry, deliveredAt: performance.now(), error: err.message });
+          reject(err);
+        }
+      }, delay);
+    });
+    const tracked = promise.catch(() => {}).finally(() => this._pending.delete(tracked));
+    this._pending.add(tracked);
+    return promise;
+  }
+
+  /**
+   * Replay a broadcast to every simulated client. Broadcasts keep server
+   * order, so each is delivered no earlier than the one before it.
+   * @param {Actor} actor
+   * @param {object} change - The update diff
+   * @param {string|null} origin - Name of the simulated client that made the write
+   */
+  _broadcast(actor, change, origin) {
+    const diff = foundry.utils.deepClone(change);
+    const deliverAt = Math.max(performance.now() + this._delay(), this._lastBroadcastAt);
+    this._lastBroadcastAt = deliverAt;
+    const delay = Math.max(0, deliverAt - performance.now());
+
+    for (const client of this.clients) {
+      this._schedule(
+        delay,
+        { kind: "broadcast", to: client.name, from: origin ?? "local", actorId: actor.id, change: diff },
+        () => client._receive(actor.id, diff)
+      );
+    }
+  }
+
+  /**
+   * Send a simulated client's write to the database.
+   * @param {SimulatedClient} client
+   * @param {Actor} actor
+   * @param {object} change
+   * @returns {Promise<Actor>}
+   */
+  _send(client, actor, change) {
+    const delay = this.reorder ? this._delay() : this._nextOrderedDelay(client);
+    return this._schedule(
+      delay,
+      { kind: "write", from: client.name, actorId: actor.id, change },
+      () => actor.update(change, { [MODULE_ID]: { [CLIENT_OPTION]: client.name } })
+    );
+  }
+
+  /**
+   * Delay for an in-order write: never earlier than the client's previous write.
+   * @param {SimulatedClient} client
+   * @returns {number}
+   */
+  _nextOrderedDelay(client) {
+    const sendAt = Math.max(performance.now() + this._delay(), client._lastSendAt);
+    client._lastSendAt = sendAt;
+    return Math.max(0, sendAt - performance.now());
+  }
+
+  /**
+   * Wait until every message in flight has been delivered and nothing new
+   * has been sent for a short quiet period.
+   * @param {object} [options] - Options
+   * @param {number} [options.timeoutMs=5000] - Timeout in milliseconds
+   * @returns {Promise<void>}
+   * @throws {Error} If messages are still in flight after the timeout
+   */
+  async settle({ timeoutMs = 5000 } = {}) {
+    const deadline = performance.now() + timeoutMs;
+    while (performance.now() < deadline) {
+      if (this._pending.size === 0) {
+        await new Promise((resolve) => setTimeout(resolve, SETTLE_QUIET_MS));
+        if (this._pending.size === 0) return;
+      }
+      await Promise.race([
+        Promise.all(this._pending),
+        new Promise((resolve) => setTimeout(resolve, SETTLE_QUIET_MS)),
+      ]);
+    }
+    throw new Error(`FakeSocket: ${this._pending.size} message(s) still in flight after ${timeoutMs}ms`);
+  }
+}
+
+// ============================================================================
+// Simulated Client
+// ============================================================================
+
+/**
+ * A second client's view of some actors, fed by replayed broadcasts.
+ */
+export class SimulatedClient {
+  /**
+   * @param {FakeSocket} socket
+   * @param {string} name
+   */
+  constructor(socket, name) {
+    this.socket = socket;
+    this.name = name;
+    this._replicas = new Map();
+    this._lastSendAt = 0;
+  }
+
+  /**
+   * Start tracking an actor, copying its current data as the replica.
+   * @param {Actor} actor
+   * @returns {this}
+   */
+  watch(actor) {
+    this._replicas.set(actor.id, actor.toObject());
+    return this;
+  }
+
+  /**
+   * Get this client's current view of an actor.
+   * @param {Actor} actor
+   * @returns {object|null} Actor data as last received, or null if not watched
+   */
+  replica(actor) {
+    return this._replicas.get(actor.id) ?? null;
+  }
+
+  /**
+   * Write to an actor as this client.
+   * @param {Actor} actor
+   * @param {object|Function} change - Update data, or a function building it from
+   *   this client's replica (evaluated now, so it sees what the client sees)
+   * @returns {Promise<Actor>} Resolves once the write has reached the database
+   */
+  update(actor, change) {
+    const data = typeof change === "function" ? change(this.replica(actor) ?? actor.toObject()) : change;
+    return this.socket._send(this, actor, data);
+  }
+
+  /**
+   * Check whether this client's replica matches the actor's current data.
+   * @param {Actor} actor
+   * @param {string[]} [paths=["system", "flags"]] - Data paths to compare
+   * @returns {boolean}
+   */
+  isConverged(actor, paths = ["system", "flags"]) {
+    return this.diverged(actor, paths).length === 0;
+  }
+
+  /**
+   * List the paths where this client's replica differs from the actor.
+   * @param {Actor} actor
+   * @param {string[]} [paths=["system", "flags"]] - Data paths to compare
+   * @returns {string[]}
+   */
+  diverged(actor, paths = ["system", "flags"]) {
+    const replica = this.replica(actor);
+    if (!replica) return [...paths];
+    const current = actor.toObject();
+    return paths.filter(
+      (path) =>
+        JSON.stringify(foundry.utils.getProperty(replica, path)) !==
+        JSON.stringify(foundry.utils.getProperty(current, path))
+    );
+  }
+
+  /**
+   * Apply a replayed broadcast to the replica.
+   * @param {string} actorId
+   * @param {object} change
+   */
+  _receive(actorId, change) {
+    const replica = this._replicas.get(actorId);
+    if (!replica) return;
+    foundry.utils.mergeObject(replica, foundry.utils.deepClone(change), {
+      performDeletions: true,
+    });
+  }
+}
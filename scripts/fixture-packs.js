@@ -0,0 +1,258 @@
+/**
+ * Stand-in compendium packs for deterministic fixtures.
+ *
+ * The harness ships a small set of compendia as JSON under fixtures/packs
+ * (playbooks, crew types, abilities, upgrades, NPCs, heritages, reputations
+ * and gear). They are imported into world compendia with their IDs kept, so
+ * source IDs such as the keys of crewUpgradeProgress are the same on every
+ * install.
+ *
+ * Pack isolation hides every other Item and Actor compendium from game.packs
+ * for the duration of a run, so both the harness helpers (findClassItem,
+ * findCrewTypeItem, fixture builders) and the target module's compendium
+ * lookups read only the fixture packs. Isolation is in-memory: a reload
+ * always brings the hidden packs back.
+ */
+
+import { SETTINGS, getSetting, setSetting } from "./settings.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+const TARGET_MODULE_ID = "bitd-alternate-sheets";
+
+/** Fixture pack files in fixtures/packs, each `{ name, label, type, documents }` */
+export const FIXTURE_PACK_FILES = [
+  "playbooks.json",
+  "crew-types.json",
+  "abilities.json",
+  "upgrades.json",
+  "npcs.json",
+  "heritages.json",
+  "reputations.json",
+  "gear.json",
+];
+
+/** Compendium document types hidden while isolation is active */
+const ISOLATED_DOCUMENT_TYPES = ["Item", "Actor"];
+
+/** Label prefix for the world compendia, so they are recognisable in the sidebar */
+const PACK_LABEL_PREFIX = "BitD Alt Sheets Test";
+
+/**
+ * Packs removed from game.packs while isolation is active, plus the original
+ * order of game.packs so it can be put back exactly; null when inactive.
+ */
+let isolation = null;
+
+// ============================================================================
+// Fixture Data
+// ============================================================================
+
+/**
+ * Load the data of every fixture pack.
+ * @returns {Promise<Array<{name: string, label: string, type: string, documents: object[]}>>}
+ */
+export async function loadFixturePackData() {
+  return Promise.all(
+    FIXTURE_PACK_FILES.map(async (file) => {
+      const url = new URL(`../fixtures/packs/${file}`, import.meta.url);
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to load fixture pack ${file}: ${response.status}`);
+      }
+      return response.json();
+    })
+  );
+}
+
+/**
+ * Get the world compendium ID for a fixture pack.
+ * @param {{name: string}} data - Fixture pack data
+ * @returns {string}
+ */
+function getPackId(data) {
+  return `world.${data.name}`;
+}
+
+/**
+ * Hash a fixture pack's documents to tell whether the world copy is stale.
+ * @param {object[]} documents
+ * @returns {string}
+ */
+function hashDocuments(documents) {
+  const text = JSON.stringify(documents);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Get the CompendiumCollection class, preferring the V13+ namespaced one.
+ * @returns {typeof CompendiumCollection}
+ */
+function getCompendiumCollectionClass() {
+  return foundry?.documents?.collections?.CompendiumCollection ?? CompendiumCollection;
+}
+
+// ============================================================================
+// World Compendia
+// ============================================================================
+
+/**
+ * Create or refresh the world compendium for one fixture pack.
+ * A pack whose contents match the shipped JSON is left alone.
+ * @param {object} data - Fixture pack data
+ * @param {Object<string, string>} hashes - Stored content hashes by pack ID (updated in place)
+ * @param {boolean} rebuild - Re-import even if the hash matches
+ * @returns {Promise<CompendiumCollection>}
+ */
+async function syncFixturePack(data, hashes, rebuild) {
+  const id = getPackId(data);
+  const hash = hashDocuments(data.documents);
+  let pack = game.packs.get(id);
+
+  if (!pack) {
+    pack = await getCompendiumCollectionClass().createCompendium({
+      type: data.type,
+      label: `${PACK_LABEL_PREFIX}: ${data.label}`,
+      name: data.name,
+      package: "world",
+    });
+  } else if (!rebuild && hashes[id] === hash) {
+    return pack;
+  }
+
+  if (pack.locked) await pack.configure({ locked: false });
+
+  const DocumentClass = pack.documentClass;
+  const index = await pack.getIndex();
+  const existing = Array.from(index.keys());
+  if (existing.length) {
+    await DocumentClass.deleteDocuments(existing, { pack: pack.collection });
+  }
+  await DocumentClass.createDocuments(foundry.utils.deepClone(data.documents), {
+    pack: pack.collection,
+    keepId: true,
+  });
+
+  hashes[id] = hash;
+  return pack;
+}
+
+/**
+ * Make sure every fixture pack exists as a world compendium with the shipped
+ * contents. Only GMs can create and write world compendia.
+ * @param {object} [options] - Options
+ * @param {boolean} [options.rebuild=false] - Re-import every pack even if unchanged
+ * @returns {Promise<string[]>} Fixture pack IDs
+ */
+export async function ensureFixturePacks({ rebuild = false } = {}) {
+  if (!game.user?.isGM) {
+    throw new Error("Only a GM can create the fixture compendia");
+  }
+
+  const hashes = { ...(getSetting(SETTINGS.FIXTURE_PACK_HASHES) ?? {}) };
+  const ids = [];
+  for (const data of await loadFixturePackData()) {
+    const pack = await syncFixturePack(data, hashes, rebuild);
+    ids.push(pack.collection);
+  }
+  await setSetting(SETTINGS.FIXTURE_PACK_HASHES, hashes);
+  return ids;
+}
+
+// ============================================================================
+// Isolation
+// ============================================================================
+
+/**
+ * Clear the target module's compendium cache so its next lookup sees the
+ * current set of packs.
+ */
+function invalidateTargetCache() {
+  const utils =
+    game.modules.get(TARGET_MODULE_ID)?.api?.Utils || globalThis.BladesAlternateSheets?.Utils;
+  if (utils?.clearCache) {
+    utils.clearCache();
+  } else if (utils?.cache?.clear) {
+    utils.cache.clear();
+  }
+}
+
+/**
+ * Check whether pack isolation is active.
+ * @returns {boolean}
+ */
+export function isPackIsolationActive() {
+  return isolation !== null;
+}
+
+/**
+ * Restrict compendium lookups to the fixture packs.
+ * Every other Item and Actor pack is removed from game.packs until
+ * disablePackIsolation() is called.
+ * @param {object} [options] - Options
+ * @param {boolean} [options.rebuild=false] - Re-import the fixture packs first
+ * @returns {Promise<string[]>} IDs of the hidden packs
+ */
+export async function enablePackIsolation({ rebuild = false } = {}) {
+  const fixtureIds = new Set(await ensureFixturePacks({ rebuild }));
+  if (isolation) return Array.from(isolation.hidden.keys());
+
+  const order = Array.from(game.packs.keys());
+  const hidden = new Map();
+  for (const pack of Array.from(game.packs.values())) {
+    if (fixtureIds.has(pack.collection)) continue;
+    if (!ISOLATED_DOCUMENT_TYPES.includes(pack.documentName)) continue;
+    hidden.set(pack.collection, pack);
+    game.packs.delete(pack.collection);
+  }
+  isolation = { hidden, order };
+
+  invalidateTargetCache();
+  console.log(
+    `[${MODULE_ID}] Pack isolation on: ${fixtureIds.size} fixture pack(s), ${hidden.size} pack(s) hidden.`
+  );
+  return Array.from(hidden.keys());
+}
+
+/**
+ * Put the hidden packs back into game.packs in their original order.
+ */
+export function disablePackIsolation() {
+  if (!isolation) return;
+
+  const { hidden, order } = isolation;
+  const current = new Map(game.packs.entries());
+  game.packs.clear();
+  for (const id of order) {
+    const pack = hidden.get(id) ?? current.get(id);
+    if (pack) game.packs.set(id, pack);
+  }
+  // Packs created during the run (e.g. new fixture packs) go last
+  for (const [id, pack] of current) {
+    if (!game.packs.has(id)) game.packs.set(id, pack);
+  }
+  isolation = null;
+
+  invalidateTargetCache();
+  console.log(`[${MODULE_ID}] Pack isolation off: ${hidden.size} pack(s) restored.`);
+}
+
+/**
+ * Run a function with pack isolation on, and turn it off again however the
+ * function ends. Isolation that was already on is left on.
+ * @param {Function} fn - May be async
+ * @param {object} [options] - As for enablePackIsolation()
+ * @returns {Promise<*>} What fn returns
+ */
+export async function withPackIsolation(fn, options = {}) {
+  if (isPackIsolationActive()) return fn();
+  await enablePackIsolation(options);
+  try {
+    return await fn();
+  } finally {
+    disablePackIsolation();
+  }
+}
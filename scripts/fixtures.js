@@ -0,0 +1,674 @@
+/**
+ * Declarative fixture builders for test actors.
+ *
+ * Describe the state a test needs in one expression instead of a chain of
+ * ad-hoc actor.update() calls:
+ *
+ * @example
+ * const { actor, items } = await character()
+ *   .playbook("Cutter")
+ *   .heritage("Iruvian")
+ *   .harm({ light: ["Bruised"] })
+ *   .equip(["Blade", "Pistol"])
+ *   .coins(2)
+ *   .build();
+ *
+ * @example
+ * const { actor: crew, members } = await crew()
+ *   .crewType("Assassins")
+ *   .tier(2)
+ *   .upgradeProgress({ Steady: 1 })
+ *   .members([character().playbook("Cutter")])
+ *   .build();
+ */
+
+import {
+  ensureSheet,
+  findClassItem,
+  findCrewTypeItem,
+  makeEquippedEntry,
+  testCleanup,
+} from "./test-utils.js";
+
+const TARGET_MODULE_ID = "bitd-alternate-sheets";
+
+/** Harm slots per level in the Blades character data model */
+const HARM_SLOTS = {
+  light: ["one", "two"],
+  medium: ["one", "two"],
+  heavy: ["one"],
+  deadly: ["one"],
+};
+
+// ============================================================================
+// Item Lookup
+// ============================================================================
+
+/**
+ * Find a source item by name and type, preferring world items over compendia.
+ * @param {string} name - Item name (case-insensitive)
+ * @param {string} type - Item type (e.g. "item", "ability")
+ * @returns {Promise<Item|null>}
+ */
+async function findSourceItem(name, type) {
+  const normalized = name.toLowerCase();
+  const matches = (doc) => doc.type === type && doc.name?.toLowerCase() === normalized;
+
+  const worldItem = game.items?.find(matches);
+  if (worldItem) return worldItem;
+
+  const packs = Array.from(game.packs.values()).filter((pack) => pack.documentName === "Item");
+  for (const pack of packs) {
+    const index = await pack.getIndex({ fields: ["type", "name"] });
+    const entry = index.find(matches);
+    if (entry) {
+      const doc = await pack.getDocument(entry._id);
+      if (doc) return doc;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find item data by name and type, preferring world items over compendia.
+ * @param {string} name - Item name (case-insensitive)
+ * @param {string} type - Item type (e.g. "item", "ability")
+ * @returns {Promise<object|null>} Item data without an _id, or null if not found
+ */
+export async function findItemData(name, type) {
+  const item = await findSourceItem(name, type);
+  return item ? stripId(item.toObject()) : null;
+}
+
+/**
+ * Remove the _id from document data so it can be embedded.
+ * @param {object} data
+ * @returns {object}
+ */
+function stripId(data) {
+  delete data._id;
+  return data;
+}
+
+/**
+ * Resolve an item spec (name or data object) to embeddable data with a fresh ID.
+ * Pre-assigned IDs let flags that reference the items be written in the same
+ * create call as the items themselves.
+ * @param {string|object} spec - Item name, or item data
+ * @param {string} type - Item type used for name lookups and as the data default
+ * @returns {Promise<object>}
+ * @throws {Error} If a named item cannot be found
+ */
+async function resolveItemSpec(spec, type) {
+  let data;
+  if (typeof spec === "string") {
+    data = await findItemData(spec, type);
+    if (!data) {
+      throw new Error(`Fixture: no ${type} named "${spec}" in world items or compendia`);
+    }
+  } else {
+    data = foundry.utils.mergeObject({ name: `Test ${type}`, type, system: {} }, spec, {
+      inplace: false,
+    });
+  }
+  data._id = foundry.utils.randomID();
+  return data;
+}
+
+// ============================================================================
+// Character Fixture
+// ============================================================================
+
+/**
+ * Fluent builder for a fully-configured character actor.
+ * Nothing touches the world until build() is called.
+ */
+export class CharacterFixture {
+  /**
+   * @param {string} [name] - Actor name (default: auto-generated)
+   */
+  constructor(name) {
+    this._name = name || `Alt Sheets Test ${Date.now()}`;
+    this._playbook = null;
+    this._system = {};
+    this._flags = {};
+    this._equip = [];
+    this._items = [];
+    this._abilities = [];
+  }
+
+  /**
+   * Set the playbook (class item looked up in compendia).
+   * @param {string} name - e.g. "Cutter"
+   * @returns {this}
+   */
+  playbook(name) {
+    this._playbook = name;
+    return this;
+  }
+
+  /** @param {string} value @returns {this} */
+  heritage(value) {
+    return this.system({ heritage: value });
+  }
+
+  /** @param {string} value @returns {this} */
+  background(value) {
+    return this.system({ background: value });
+  }
+
+  /** @param {string} value @returns {this} */
+  vice(value) {
+    return this.system({ vice: value });
+  }
+
+  /**
+   * Set the vice purveyor (stored as a module flag).
+   * @param {string} name - NPC name
+   * @returns {this}
+   */
+  vicePurveyor(name) {
+    return this.flag("vice_purveyor", name);
+  }
+
+  /**
+   * Fill harm slots by level, in slot order.
+   * @param {{light?: string[], medium?: string[], heavy?: string[], deadly?: string[]}} harm
+   * @returns {this}
+   * @throws {Error} If a level is unknown or has more entries than slots
+   */
+  harm(harm) {
+    const changes = {};
+    for (const [level, entries] of Object.entries(harm)) {
+      const slots = HARM_SLOTS[level];
+      if (!slots) throw new Error(`Fixture: unknown harm level "${level}"`);
+      if (entries.length > slots.length) {
+        throw new Error(`Fixture: ${level} harm has ${slots.length} slot(s), got ${entries.length}`);
+      }
+      changes[level] = Object.fromEntries(slots.map((slot, i) => [slot, entries[i] ?? ""]));
+    }
+    return this.system({ harm: changes });
+  }
+
+  /** @param {number} value @returns {this} */
+  stress(value) {
+    return this.system({ stress: { value } });
+  }
+
+  /** @param {number} value @returns {this} */
+  coins(value) {
+    return this.system({ coins: value });
+  }
+
+  /** @param {number} value @returns {this} */
+  stash(value) {
+    return this.system({ coins_stashed: value });
+  }
+
+  /**
+   * Set attribute XP (stored as strings, like the sheet writes them).
+   * @param {Object<string, number>} values - e.g. { insight: 2, prowess: 1 }
+   * @returns {this}
+   */
+  xp(values) {
+    const attributes = {};
+    for (const [attribute, exp] of Object.entries(values)) {
+      attributes[attribute] = { exp: String(exp) };
+    }
+    return this.system({ attributes });
+  }
+
+  /**
+   * Add acquaintances. Missing ids and descriptions are filled in.
+   * @param {Array<{name: string, standing?: "friend"|"rival"|"neutral", id?: string}>} list
+   * @returns {this}
+   */
+  acquaintances(list) {
+    return this.system({
+      acquaintances: list.map((entry) => ({
+        id: entry.id ?? foundry.utils.randomID(),
+        name: entry.name,
+        standing: entry.standing ?? "neutral",
+        description_short: entry.description_short ?? "",
+      })),
+    });
+  }
+
+  /**
+   * Add gear items and mark them equipped.
+   * @param {Array<string|object>} items - Item names (type "item") or item data
+   * @returns {this}
+   */
+  equip(items) {
+    this._equip.push(...items);
+    return this;
+  }
+
+  /**
+   * Add gear items without equipping them.
+   * @param {Array<string|object>} items - Item names (type "item") or item data
+   * @returns {this}
+   */
+  items(items) {
+    this._items.push(...items);
+    return this;
+  }
+
+  /**
+   * Add abilities.
+   * @param {Array<string|object>} abilities - Ability names or ability data
+   * @returns {this}
+   */
+  abilities(abilities) {
+    this._abilities.push(...abilities);
+    return this;
+  }
+
+  /**
+   * Set a bitd-alternate-sheets flag.
+   * @param {string} key
+   * @param {*} value
+   * @returns {this}
+   */
+  flag(key, value) {
+    this._flags[key] = value;
+    return this;
+  }
+
+  /**
+   * Merge raw system data for anything without a dedicated method.
+   * @param {object} data - Partial system data (nested objects are merged)
+   * @returns {this}
+   */
+  system(data) {
+    foundry.utils.mergeObject(this._system, data);
+    return this;
+  }
+
+  /**
+   * Copy this fixture, so the copy can be changed without affecting it.
+   * @returns {CharacterFixture}
+   */
+  clone() {
+    const copy = new CharacterFixture(this._name);
+    copy._playbook = this._playbook;
+    copy._system = foundry.utils.deepClone(this._system);
+    copy._flags = foundry.utils.deepClone(this._flags);
+    copy._equip = [...this._equip];
+    copy._items = [...this._items];
+    copy._abilities = [...this._abilities];
+    return copy;
+  }
+
+  /**
+   * Create the actor.
+   * Everything is written by a single Actor.create call with the items
+   * embedded. With a playbook, the sheet is rendered and its switchPlaybook()
+   * runs afterwards (as in createTestActor), and the declared system data is
+   * re-applied in one update, since switching may reset attributes and
+   * acquaintances. If any of that fails, the actor is deleted again.
+   * @param {object} [options] - Options
+   * @param {boolean} [options.switchPlaybook=true] - Run the sheet's playbook switch
+   * @returns {Promise<{actor: Actor, playbookItem: Item|null, items: Object<string, Item>,
+   *   equipped: Item[], abilities: Item[]}>} Handles to the created documents; `items` is keyed by name
+   * @throws {Error} If an item cannot be found, or the sheet cannot be rendered for the playbook switch
+   */
+  async build({ switchPlaybook = true } = {}) {
+    let playbookData = null;
+    if (this._playbook) {
+      const playbook = await findClassItem(this._playbook);
+      if (!playbook || playbook.name.toLowerCase() !== this._playbook.toLowerCase()) {
+        throw new Error(`Fixture: no playbook named "${this._playbook}" in compendia`);
+      }
+      playbookData = stripId(playbook.toObject());
+      playbookData._id = foundry.utils.randomID();
+    }
+
+    const equipData = await Promise.all(this._equip.map((spec) => resolveItemSpec(spec, "item")));
+    const itemData = await Promise.all(this._items.map((spec) => resolveItemSpec(spec, "item")));
+    const abilityData = await Promise.all(
+      this._abilities.map((spec) => resolveItemSpec(spec, "ability"))
+    );
+
+    const flags = { ...this._flags };
+    if (equipData.length) {
+      flags["equipped-items"] = Object.fromEntries(
+        equipData.map((data) => [
+          data._id,
+          makeEquippedEntry(data._id, Number(data.system?.load) || 0, data.name),
+        ])
+      );
+    }
+
+    const system = foundry.utils.deepClone(this._system);
+    if (playbookData) system.playbook = playbookData.name;
+
+    const actor = await Actor.create({
+      name: this._name,
+      type: "character",
+      system,
+      flags: { [TARGET_MODULE_ID]: flags },
+      items: [playbookData, ...equipData, ...itemData, ...abilityData].filter(Boolean),
+    });
+    if (!actor) {
+      throw new Error("Fixture: failed to create character actor");
+    }
+
+    const playbookItem = playbookData ? actor.items.get(playbookData._id) : null;
+    if (playbookItem && switchPlaybook) {
+      try {
+        const sheet = await ensureSheet(actor);
+        await sheet.switchPlaybook(playbookItem);
+        if (Object.keys(this._system).length) {
+          await actor.update({ system: foundry.utils.deepClone(this._system) });
+        }
+      } catch (err) {
+        await actor.delete();
+        throw err;
+      }
+    }
+
+    const pick = (list) => list.map((data) => actor.items.get(data._id)).filter(Boolean);
+    const all = pick([...equipData, ...itemData, ...abilityData]);
+    return {
+      actor,
+      playbookItem,
+      items: Object.fromEntries(all.map((item) => [item.name, item])),
+      equipped: pick(equipData),
+      abilities: pick(abilityData),
+    };
+  }
+}
+
+/**
+ * Start a character fixture.
+ * @param {string} [name] - Actor name (default: auto-generated)
+ * @returns {CharacterFixture}
+ */
+export function character(name) {
+  return new CharacterFixture(name);
+}
+
+// ============================================================================
+// Crew Fixture
+// ============================================================================
+
+/**
+ * Fluent builder for a crew actor and its linked member characters.
+ * Nothing touches the world until build() is called.
+ */
+export class CrewFixture {
+  /**
+   * @param {string} [name] - Actor name (default: auto-generated)
+   */
+  constructor(name) {
+    this._name = name || `Alt Sheets Test Crew ${Date.now()}`;
+    this._crewType = null;
+    this._turfs = [];
+    this._system = {};
+    this._flags = {};
+    this._abilities = [];
+    this._upgrades = [];
+    this._upgradeProgress = {};
+    this._cohorts = [];
+    this._members = [];
+  }
+
+  /**
+   * Set the crew type (crew_type item looked up in compendia).
+   * @param {string} name - e.g. "Assassins"
+   * @returns {this}
+   */
+  crewType(name) {
+    this._crewType = name;
+    return this;
+  }
+
+  /** @param {number} value @returns {this} */
+  tier(value) {
+    return this.system({ tier: value });
+  }
+
+  /** @param {number} value @returns {this} */
+  heat(value) {
+    return this.system({ heat: value });
+  }
+
+  /** @param {number} value @returns {this} */
+  wanted(value) {
+    return this.system({ wanted: value });
+  }
+
+  /** @param {number} value @returns {this} */
+  rep(value) {
+    return this.system({ rep: value });
+  }
+
+  /**
+   * Add owned crew abilities.
+   * @param {Array<string|object>} abilities - crew_ability names or data
+   * @returns {this}
+   */
+  abilities(abilities) {
+    this._abilities.push(...abilities);
+    return this;
+  }
+
+  /**
+   * Add fully purchased crew upgrades.
+   * @param {Array<string|object>} upgrades - crew_upgrade names or data
+   * @returns {this}
+   */
+  upgrades(upgrades) {
+    this._upgrades.push(...upgrades);
+    return this;
+  }
+
+  /**
+   * Mark multi-cost upgrades as partially purchased. Progress is stored in the
+   * crewUpgradeProgress flag keyed by the source item's ID, as the sheet does,
+   * and no owned upgrade is created.
+   * @param {Object<string, number>} progress - Boxes ticked by upgrade name, e.g. { Steady: 1 }
+   * @returns {this}
+   */
+  upgradeProgress(progress) {
+    Object.assign(this._upgradeProgress, progress);
+    return this;
+  }
+
+  /**
+   * Claim turf on the crew type.
+   * @param {string[]} turfs - Turf keys or names from the crew type's turfs
+   * @returns {this}
+   */
+  turf(turfs) {
+    this._turfs.push(...turfs);
+    return this;
+  }
+
+  /**
+   * Set a custom (non-compendium) reputation, stored as a module flag.
+   * @param {string} text
+   * @returns {this}
+   */
+  customReputation(text) {
+    return this.flag("customReputationType", text);
+  }
+
+  /**
+   * Set custom (non-compendium) hunting grounds, stored as a module flag.
+   * @param {string} text
+   * @returns {this}
+   */
+  customHuntingGrounds(text) {
+    return this.flag("customHuntingGrounds", text);
+  }
+
+  /**
+   * Add cohorts.
+   * @param {Array<string|object>} cohorts - cohort names or data
+   * @returns {this}
+   */
+  cohorts(cohorts) {
+    this._cohorts.push(...cohorts);
+    return this;
+  }
+
+  /**
+   * Add member characters, linked to the crew through system.crew.
+   * @param {Array<CharacterFixture|string>} members - Character fixtures, or actor names
+   * @returns {this}
+   */
+  members(members) {
+    this._members.push(...members);
+    return this;
+  }
+
+  /**
+   * Set a bitd-alternate-sheets flag.
+   * @param {string} key
+   * @param {*} value
+   * @returns {this}
+   */
+  flag(key, value) {
+    this._flags[key] = value;
+    return this;
+  }
+
+  /**
+   * Merge raw system data for anything without a dedicated method.
+   * @param {object} data - Partial system data (nested objects are merged)
+   * @returns {this}
+   */
+  system(data) {
+    foundry.utils.mergeObject(this._system, data);
+    return this;
+  }
+
+  /**
+   * Resolve the crew type to embeddable data with the declared turf claimed.
+   * @returns {Promise<object|null>}
+   * @throws {Error} If the crew type or a turf cannot be found
+   */
+  async _resolveCrewType() {
+    if (!this._crewType) {
+      if (this._turfs.length) throw new Error("Fixture: turf needs a crew type");
+      return null;
+    }
+
+    const crewType = await findCrewTypeItem(this._crewType);
+    if (!crewType || crewType.name.toLowerCase() !== this._crewType.toLowerCase()) {
+      throw new Error(`Fixture: no crew type named "${this._crewType}" in compendia`);
+    }
+    const data = stripId(crewType.toObject());
+    data._id = foundry.utils.randomID();
+
+    const turfs = data.system?.turfs ?? {};
+    for (const spec of this._turfs) {
+      const normalized = String(spec).toLowerCase();
+      const key = Object.keys(turfs).find(
+        (id) => id === spec || turfs[id]?.name?.toLowerCase() === normalized
+      );
+      if (!key) {
+        throw new Error(`Fixture: crew type "${crewType.name}" has no turf "${spec}"`);
+      }
+      turfs[key].value = true;
+    }
+    return data;
+  }
+
+  /**
+   * Resolve declared upgrade progress to the flag the sheet writes.
+   * @returns {Promise<Object<string, number>>} Progress keyed by source item ID
+   * @throws {Error} If an upgrade cannot be found
+   */
+  async _resolveUpgradeProgress() {
+    const progress = {};
+    for (const [name, boxes] of Object.entries(this._upgradeProgress)) {
+      const source = await findSourceItem(name, "crew_upgrade");
+      if (!source) {
+        throw new Error(`Fixture: no crew_upgrade named "${name}" in world items or compendia`);
+      }
+      progress[source.id] = boxes;
+    }
+    return progress;
+  }
+
+  /**
+   * Create the crew, then each member character linked to it.
+   * The crew is written by a single Actor.create call with its crew type,
+   * abilities, upgrades and cohorts embedded, and its sheet is rendered before
+   * the members are built. Members are built one after another with
+   * system.crew already pointing at the crew, so no follow-up link update is
+   * needed; member fixtures are copied first and left unchanged. If the sheet
+   * or a member fails, the crew and the members built so far are cleaned up
+   * before the error is rethrown.
+   * @returns {Promise<{actor: Actor, crewTypeItem: Item|null, items: Object<string, Item>,
+   *   abilities: Item[], upgrades: Item[], cohorts: Item[], members: object[], actors: Actor[]}>}
+   *   Handles to the created documents; `members` holds each member's character
+   *   build() result and `actors` lists the crew and members for cleanup
+   * @throws {Error} If an item cannot be found, the crew sheet cannot be rendered, or a member fails to build
+   */
+  async build() {
+    const crewTypeData = await this._resolveCrewType();
+    const abilityData = await Promise.all(
+      this._abilities.map((spec) => resolveItemSpec(spec, "crew_ability"))
+    );
+    const upgradeData = await Promise.all(
+      this._upgrades.map((spec) => resolveItemSpec(spec, "crew_upgrade"))
+    );
+    const cohortData = await Promise.all(this._cohorts.map((spec) => resolveItemSpec(spec, "cohort")));
+
+    const flags = { ...this._flags };
+    const progress = await this._resolveUpgradeProgress();
+    if (Object.keys(progress).length) flags.crewUpgradeProgress = progress;
+
+    const actor = await Actor.create({
+      name: this._name,
+      type: "crew",
+      system: foundry.utils.deepClone(this._system),
+      flags: { [TARGET_MODULE_ID]: flags },
+      items: [crewTypeData, ...abilityData, ...upgradeData, ...cohortData].filter(Boolean),
+    });
+    if (!actor) {
+      throw new Error("Fixture: failed to create crew actor");
+    }
+
+    const members = [];
+    try {
+      // Resolves once the sheet is rendered, as in createTestCrewActor
+      await ensureSheet(actor);
+
+      for (const spec of this._members) {
+        const fixture = spec instanceof CharacterFixture ? spec.clone() : character(spec);
+        fixture.system({ crew: [{ id: actor.id, name: actor.name }] });
+        members.push(await fixture.build());
+      }
+    } catch (err) {
+      await testCleanup({ actors: [actor, ...members.map((member) => member.actor)] });
+      throw err;
+    }
+
+    const pick = (list) => list.map((data) => actor.items.get(data._id)).filter(Boolean);
+    const all = pick([...abilityData, ...upgradeData, ...cohortData]);
+    return {
+      actor,
+      crewTypeItem: crewTypeData ? actor.items.get(crewTypeData._id) : null,
+      items: Object.fromEntries(all.map((item) => [item.name, item])),
+      abilities: pick(abilityData),
+      upgrades: pick(upgradeData),
+      cohorts: pick(cohortData),
+      members,
+      actors: [actor, ...members.map((member) => member.actor)],
+    };
+  }
+}
+
+/**
+ * Start a crew fixture.
+ * @param {string} [name] - Actor name (default: auto-generated)
+ * @returns {CrewFixture}
+ */
+export function crew(name) {
+  return new CrewFixture(name);
+}
@@ -0,0 +1,40 @@
+/**
+ * Rerun mode for flaky-test detection.
+ * When enabled, every test registered through TestNumberer is retried up to
+ * N times after a failure. A test that passes on a retry is reported as flaky.
+ */
+
+import { SETTINGS, getSetting } from "./settings.js";
+
+/** Retry count for the current run, overriding the world setting when set. */
+let retryOverride = null;
+
+/**
+ * Get the number of retries applied to each test.
+ * @returns {number}
+ */
+export function getRetryCount() {
+  if (retryOverride !== null) return retryOverride;
+  try {
+    return Math.max(0, Number(getSetting(SETTINGS.FLAKY_RETRIES)) || 0);
+  } catch {
+    // Setting not registered (harness init has not run)
+    return 0;
+  }
+}
+
+/**
+ * Get the retry count override for the current run.
+ * @returns {number|null} null when the world setting applies
+ */
+export function getRetryOverride() {
+  return retryOverride;
+}
+
+/**
+ * Override the retry count until cleared with null.
+ * @param {number|null} retries
+ */
+export function setRetryOverride(retries) {
+  retryOverride = retries === null ? null : Math.max(0, Number(retries) || 0);
+}
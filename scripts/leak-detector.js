@@ -0,0 +1,281 @@
+/**
+ * Leak detection between tests.
+ *
+ * Takes a baseline of global state before each test and diffs it afterwards:
+ * registered hooks, open V1 windows and ApplicationV2 instances, patched
+ * ui.notifications and console methods, and world actor/item/journal/user IDs.
+ * Installed for every batch by registerBatch() in batch-registry.js.
+ *
+ * Modes (world setting "leakDetection"):
+ * - "off":  no checks
+ * - "flag": log leaks and undo the ones that pollute later tests (default)
+ * - "fail": as "flag", then fail the leaking test. The guard hands the error
+ *           to mocha as the test's error rather than throwing from the hook,
+ *           so the remaining hooks and tests still run.
+ */
+
+import { SETTINGS, getSetting } from "./settings.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/** Valid leak detection modes */
+export const LEAK_MODES = ["off", "flag", "fail"];
+
+/** Methods whose identity is checked for monkey-patching */
+const NOTIFICATION_METHODS = ["notify", "info", "warn", "error"];
+const CONSOLE_METHODS = ["log", "warn", "error"];
+
+/** World collections whose document IDs are compared */
+const DOCUMENT_COLLECTIONS = {
+  actors: "actor",
+  items: "item",
+  journal: "journal entry",
+  users: "user",
+};
+
+/** Leaks found during the current session, oldest first */
+const leakLog = [];
+const LEAK_LOG_LIMIT = 200;
+
+// ============================================================================
+// Baseline
+// ============================================================================
+
+/**
+ * Get the current leak detection mode.
+ * @returns {"off"|"flag"|"fail"}
+ */
+export function getLeakMode() {
+  try {
+    const mode = getSetting(SETTINGS.LEAK_DETECTION);
+    return LEAK_MODES.includes(mode) ? mode : "flag";
+  } catch {
+    // Setting not registered (harness init has not run)
+    return "off";
+  }
+}
+
+/**
+ * Snapshot the registered hook IDs by hook name.
+ * @returns {Map<string, Map<number, Function>>}
+ */
+function captureHooks() {
+  const hooks = new Map();
+  for (const [name, entries] of Object.entries(Hooks.events ?? {})) {
+    hooks.set(name, new Map((entries ?? []).map((entry) => [entry.id, entry.fn])));
+  }
+  return hooks;
+}
+
+/**
+ * Capture global state to compare against after a test.
+ * @returns {object} Baseline for diffBaseline()
+ */
+export function takeBaseline() {
+  const documents = {};
+  for (const name of Object.keys(DOCUMENT_COLLECTIONS)) {
+    documents[name] = new Set(game[name]?.keys() ?? []);
+  }
+
+  return {
+    hooks: captureHooks(),
+    windows: new Set(Object.keys(ui.windows ?? {})),
+    instances: new Set(foundry.applications?.instances?.keys() ?? []),
+    notifications: Object.fromEntries(
+      NOTIFICATION_METHODS.map((method) => [method, ui.notifications?.[method]])
+    ),
+    console: Object.fromEntries(CONSOLE_METHODS.map((method) => [method, console[method]])),
+    documents,
+  };
+}
+
+// ============================================================================
+// Diff
+// ============================================================================
+
+/**
+ * Describe an application for a leak message.
+ * @param {Application|ApplicationV2} app
+ * @returns {string}
+ */
+function describeApp(app) {
+  const title = app?.title || app?.options?.window?.title || "";
+  return `${app?.constructor?.name ?? "Application"}${title ? ` "${title}"` : ""}`;
+}
+
+/**
+ * Compare current global state against a baseline.
+ * @param {object} baseline - From takeBaseline()
+ * @returns {Array<{kind: string, message: string, undo?: Function}>} One entry per leak;
+ *   undo() may return a promise
+ */
+export function diffBaseline(baseline) {
+  const leaks = [];
+
+  for (const [name, entries] of Object.entries(Hooks.events ?? {})) {
+    const before = baseline.hooks.get(name) ?? new Map();
+    for (const entry of entries ?? []) {
+      if (before.has(entry.id)) continue;
+      leaks.push({
+        kind: "hook",
+        message: `Hook "${name}" #${entry.id} (${entry.fn?.name || "anonymous"}) is still registered`,
+        undo: () => Hooks.off(name, entry.id),
+      });
+    }
+  }
+
+  for (const [id, app] of Object.entries(ui.windows ?? {})) {
+    if (baseline.windows.has(id)) continue;
+    leaks.push({
+      kind: "window",
+      message: `Window ${id} (${describeApp(app)}) is still open`,
+      undo: () => app.close?.(),
+    });
+  }
+
+  for (const [id, app] of foundry.applications?.instances?.entries() ?? []) {
+    if (baseline.instances.has(id)) continue;
+    leaks.push({
+      kind: "application",
+      message: `ApplicationV2 "${id}" (${describeApp(app)}) is still open`,
+      undo: () => app.close?.(),
+    });
+  }
+
+  for (const [method, original] of Object.entries(baseline.notifications)) {
+    if (ui.notifications?.[method] === original) continue;
+    leaks.push({
+      kind: "notifications",
+      message: `ui.notifications.${method} was replaced and not restored`,
+      undo: () => {
+        ui.notifications[method] = original;
+      },
+    });
+  }
+
+  for (const [method, original] of Object.entries(baseline.console)) {
+    if (console[method] === original) continue;
+    leaks.push({
+      kind: "console",
+      message: `console.${method} was replaced and not restored`,
+      undo: () => {
+        console[method] = original;
+      },
+    });
+  }
+
+  for (const [name, label] of Object.entries(DOCUMENT_COLLECTIONS)) {
+    const before = baseline.documents[name];
+    const collection = game[name];
+    if (!before || !collection) continue;
+    for (const doc of collection.filter((d) => !before.has(d.id))) {
+      leaks.push({ kind: "document", message: `New ${label} "${doc.name}" (${doc.id}) was not deleted` });
+    }
+    for (const id of before) {
+      if (!collection.has(id)) {
+        leaks.push({ kind: "document", message: `Pre-existing ${label} ${id} was deleted` });
+      }
+    }
+  }
+
+  return leaks;
+}
+
+// ============================================================================
+// Reporting
+// ============================================================================
+
+/**
+ * Get the leaks recorded this session.
+ * @returns {Array<{test: string, batch: string, leaks: string[]}>}
+ */
+export function getLeakLog() {
+  return [...leakLog];
+}
+
+/**
+ * Forget the recorded leaks.
+ */
+export function clearLeakLog() {
+  leakLog.length = 0;
+}
+
+/**
+ * Check for leaks after a test, log them and undo the ones that can be undone.
+ * Documents are left in place; the world snapshot taken by runAllTests()
+ * removes them at the end of the run.
+ * @param {object} baseline - From takeBaseline()
+ * @param {object} context - Where the leak happened
+ * @param {string} context.batch - Batch key
+ * @param {string} context.test - Full title of the test
+ * @param {Function} [context.beforeUndo] - Called with the leaks before any is undone (may be async)
+ * @returns {Promise<Array<{kind: string, message: string}>>} The leaks found
+ */
+export async function checkForLeaks(baseline, { batch, test, beforeUndo }) {
+  const leaks = diffBaseline(baseline);
+  if (leaks.length === 0) return leaks;
+
+  await beforeUndo?.(leaks);
+
+  for (const leak of leaks) {
+    try {
+      await leak.undo?.();
+    } catch {
+      // Best effort: a failed undo (or a rejected close) is still reported as a leak
+    }
+  }
+
+  leakLog.push({ batch, test, leaks: leaks.map((leak) => leak.message) });
+  if (leakLog.length > LEAK_LOG_LIMIT) leakLog.shift();
+
+  console.warn(
+    `[${MODULE_ID}] ${leaks.length} leak(s) after "${test}":\n` +
+    leaks.map((leak) => `  - ${leak.message}`).join("\n")
+  );
+  return leaks;
+}
+
+/**
+ * Create the before/after guard for a batch's root suite.
+ * Mocha runs a suite's beforeEach and afterEach hooks in registration order,
+ * so registerBatch() registers `before` ahead of the batch's own root-level
+ * hooks and `after` behind them: the baseline is taken before the batch's
+ * setup and the check runs after its cleanup.
+ * @param {string} batchKey
+ * @param {object} [options] - Options
+ * @param {Function} [options.onFail] - Called with the mocha test and the error in
+ *   "fail" mode, before the leaks are undone
+ * @returns {{before: Function, after: Function}} Mocha beforeEach/afterEach hooks
+ */
+export function createLeakGuard(batchKey, { onFail } = {}) {
+  let baseline = null;
+
+  return {
+    before: function leakGuardBaseline() {
+      baseline = getLeakMode() === "off" ? null : takeBaseline();
+    },
+
+    after: async function leakGuardCheck() {
+      if (!baseline) return;
+      const test = this.currentTest?.fullTitle?.() ?? "unknown test";
+      let error = null;
+      const leaks = await checkForLeaks(baseline, {
+        batch: batchKey,
+        test,
+        beforeUndo: (found) => {
+          if (getLeakMode() !== "fail") return;
+          error = new Error(
+            `Leaked state after "${test}":\n${found.map((leak) => `- ${leak.message}`).join("\n")}`
+          );
+          return onFail?.(this.currentTest, error);
+        },
+      });
+      baseline = null;
+      if (leaks.length && error) {
+        // Mocha fails the current test with a hook's error() once the hook is
+        // done; throwing would fail the hook and skip the rest of the batch
+        this.runnable().error(error);
+      }
+    },
+  };
+}
@@ -1,35 +1,15 @@
 /**
  * Blades in the Dark Alternate Sheets Test Harness
  *
- * Entry point for the test module. Test batches are registered via
- * the quenchReady hook in individual test files.
+ * Entry point for the test module. Test batches are registered with
+ * Quench by the individual test files, through onQuenchReady().
  *
- * Test files are loaded as ES modules via module.json esmodules array.
- * Each test file registers its own Quench batch.
- *
- * Available test batches:
- * - bitd-alternate-sheets.teeth: XP teeth toggle behavior (character sheets)
- * - bitd-alternate-sheets.crew-radio-toggle: Tier/heat/wanted toggle behavior (crew sheets)
- * - bitd-alternate-sheets.edit-mode: Allow edit toggle behavior (both sheet types)
- * - bitd-alternate-sheets.healing-clock: Healing clock rendering and interaction (character sheets)
- * - bitd-alternate-sheets.crew-sheet: Crew sheet abilities, upgrades, collapse, minimize
- * - bitd-alternate-sheets.crew-member-rerender: Crew member sheet rerender on upgrade changes
- * - bitd-alternate-sheets.smart-fields: Smart item selectors and tooltips
- * - bitd-alternate-sheets.global-clocks: Clock links in chat, journals, and harm popup
- * - bitd-alternate-sheets.update-queue: Sequential update batching and error handling
- * - bitd-alternate-sheets.acquaintances: Acquaintance standing colors, toggle, filtering
- * - bitd-alternate-sheets.compendium-cache: Cache invalidation and performance
- * - bitd-alternate-sheets.npc-integration: NPC vice purveyors and playbook filtering
- * - bitd-alternate-sheets.error-handling: Null safety and error notifications
- * - bitd-alternate-sheets.binary-checkboxes: Binary item checkboxes and load pills
- * - bitd-alternate-sheets.migration: Data migration for ability progress, equipped items, legacy fields
- * - bitd-alternate-sheets.settings: Settings registration and cache invalidation
- * - bitd-alternate-sheets.crew-link: Crew linking via character sheet, cancel/clear behavior, locked mode
- * - bitd-alternate-sheets.playbook-switching: Playbook switch flow, ability progress, acquaintances, attributes
- * - bitd-alternate-sheets.utils-core: Core Utils functions (toggleOwnership, ability progress, starting attributes)
- * - bitd-alternate-sheets.sheet-popups: Coins, harm, and load popup interactions
- * - bitd-alternate-sheets.hooks: Hook handlers (cache invalidation, clock snapshots, item deletion cleanup)
- * - bitd-alternate-sheets.handlebars: Handlebars helpers (XSS prevention, value display, costs, comparisons)
+ * Test files are imported by the test loader (test-loader.js) from the
+ * manifest in scripts/tests/manifest.js; module.json only lists this file.
+ * Each test file declares its batch in the batch registry (batch-registry.js)
+ * and registers it with Quench from there; api.batches() lists them. On
+ * ready, a self-check warns about batches that failed to load or register,
+ * and batches named in the URL run unattended (see autorun.js).
  */
 
 const MODULE_ID = "bitd-alternate-sheets-test";
@@ -41,6 +21,8 @@ import {
   waitForActorUpdate,
   waitForActorCondition,
   ensureSheet,
+  waitForSheetReady,
+  getSheetReadinessLog,
   applyToothClick,
   setAttributeExp,
   getAttributeExpMax,
@@ -55,8 +37,132 @@ import {
   getCrewTeethState,
   applyCrewToothClick,
 } from "./test-utils.js";
+import {
+  buildReport,
+  setLastReport,
+  getLastReport,
+  downloadReport,
+  uploadReport,
+  showReportDialog,
+} from "./test-report.js";
+import { getBatches, getBatchesByTag } from "./batch-registry.js";
+import { loadTestFiles, runSelfCheck, reportSelfCheck } from "./test-loader.js";
+import { character, crew } from "./fixtures.js";
+import {
+  getPendingSnapshots,
+  clearPendingSnapshots,
+  approveSnapshot,
+  snapshotSheet,
+  matchSnapshot,
+} from "./dom-snapshot.js";
+import { auditSelectors } from "./selector-audit.js";
+import { resolveApplication, diagnoseResolution } from "./app-compat.js";
+import { LEAK_MODES, getLeakLog, clearLeakLog } from "./leak-detector.js";
+import {
+  takeSnapshot,
+  getLastSnapshot,
+  restoreSnapshot,
+  logRestore,
+} from "./world-snapshot.js";
+import {
+  ensureFixturePacks,
+  enablePackIsolation,
+  disablePackIsolation,
+  isPackIsolationActive,
+  withPackIsolation,
+} from "./fixture-packs.js";
+import { SETTINGS, registerSettings, getSetting, setSetting } from "./settings.js";
+import { setRetryOverride } from "./flaky-tests.js";
+import { setPropertyOverride, getPropertyConfig } from "./property-testing.js";
+import { openDashboard, recordResults, runTest } from "./dashboard.js";
+import { startAutorun } from "./autorun.js";
+import { logReportSummary } from "./test-summary.js";
+import {
+  clearFailureArtifacts,
+  downloadFailureArtifact,
+  getFailureArtifact,
+  listFailureArtifacts,
+} from "./failure-artifacts.js";
+import { QUARANTINE } from "./quarantine.js";
+import {
+  recordRun,
+  getRunHistory,
+  clearRunHistory,
+  getLastPassed,
+  getTestTrend,
+  getStatusChanges,
+  getRegressions,
+} from "./test-history.js";
+
+// Import the test files listed in scripts/tests/manifest.js. Not awaited at
+// the top level: Foundry does not wait for it, so init and ready must be
+// registered first; the ready hook awaits it instead
+const testFilesLoaded = loadTestFiles();
+
+/** Resolves once the latest Quench report has been kept and recorded (see the quenchReports hook) */
+let reportRecorded = Promise.resolve();
+
+/**
+ * Run batches through Quench with the harness run options.
+ * The world is snapshotted first and restored once the run reports;
+ * pass { snapshot: false } to keep whatever the tests leave behind. Throws
+ * while the snapshot of an earlier run is still unrestored.
+ * Pass { retries: N } to rerun each failed test up to N times (flaky detection).
+ * Pass { isolatePacks: true } (or set the default with packs.setDefault)
+ * to read compendia only from the harness fixture packs during the run.
+ * @param {string[]|RegExp} keys - Quench batch keys, or a pattern matching them
+ * @param {object} [options]
+ * @param {number} [options.retries]
+ * @param {boolean} [options.snapshot=true]
+ * @param {boolean} [options.isolatePacks] - Default: the pack isolation setting
+ * @returns {Promise<object|null>} The normalized report once the run has
+ *   reported and the world has been restored; null without Quench
+ */
+async function runBatches(keys, {
+  retries,
+  snapshot = true,
+  isolatePacks = getSetting(SETTINGS.PACK_ISOLATION),
+} = {}) {
+  if (typeof quench === "undefined") {
+    console.error(`[${MODULE_ID}] Quench not available`);
+    return null;
+  }
+  const taken = snapshot && game.user.isGM ? await takeSnapshot({ label: "runAllTests" }) : null;
+  if (retries !== undefined) {
+    setRetryOverride(retries);
+    Hooks.once("quenchReports", () => setRetryOverride(null));
+  }
+
+  const run = async () => {
+    const reported = new Promise((resolve) => Hooks.once("quenchReports", resolve));
+    quench.runBatches(keys);
+    return buildReport(JSON.parse((await reported).json));
+  };
+  // Isolation ends once the run reports, or if it fails before that
+  const report = isolatePacks ? await withPackIsolation(run) : await run();
+
+  if (taken) {
+    // Restore once the report has been kept, logged and recorded in the history
+    await reportRecorded;
+    try {
+      logRestore(await restoreSnapshot(taken));
+    } catch (err) {
+      console.error(`[${MODULE_ID}] Failed to restore world snapshot:`, err);
+    }
+  }
+  return report;
+}
+
+Hooks.once("init", () => {
+  registerSettings();
+});
+
+Hooks.once("ready", async () => {
+  await testFilesLoaded;
+
+  // ?bitdTests=... in the URL runs batches unattended (see autorun.js)
+  startAutorun();
 
-Hooks.once("ready", () => {
   if (!game?.modules?.get(TARGET_MODULE_ID)?.active) {
     ui.notifications?.warn(
       `[${MODULE_ID}] ${TARGET_MODULE_ID} is not active; tests will not run.`
@@ -71,6 +177,8 @@ Hooks.once("ready", () => {
     waitForActorUpdate,
     waitForActorCondition,
     ensureSheet,
+    waitForSheetReady,
+    getSheetReadinessLog,
     applyToothClick,
     setAttributeExp,
     getAttributeExpMax,
@@ -84,57 +192,228 @@ Hooks.once("ready", () => {
     setCrewStat,
     getCrewTeethState,
     applyCrewToothClick,
-    // Helper to run all tests programmatically
-    runAllTests: () => {
-      if (typeof quench !== "undefined") {
-        quench.runBatches(/^bitd-alternate-sheets\./);
-      } else {
-        console.error(`[${MODULE_ID}] Quench not available`);
+    // Fixture builders
+    fixtures: { character, crew },
+    // Run every bitd-alternate-sheets batch; see runBatches() for the options.
+    runAllTests: (options) => runBatches(/^bitd-alternate-sheets\./, options),
+    runBatches,
+    // World snapshots (restoreLastSnapshot recovers after a crashed run)
+    takeSnapshot,
+    getLastSnapshot,
+    restoreLastSnapshot: async ({ dryRun = false } = {}) => {
+      const result = await restoreSnapshot(getLastSnapshot(), { dryRun });
+      if (!result) {
+        console.log(`[${MODULE_ID}] No world snapshot to restore.`);
+      } else if (!dryRun) {
+        logRestore(result);
       }
+      return result;
+    },
+    // Fixture compendia (see fixture-packs.js)
+    packs: {
+      ensure: ensureFixturePacks,
+      enableIsolation: enablePackIsolation,
+      disableIsolation: disablePackIsolation,
+      isIsolated: isPackIsolationActive,
+      setDefault: (enabled) => setSetting(SETTINGS.PACK_ISOLATION, Boolean(enabled)),
+    },
+    // DOM snapshots (goldens in fixtures/snapshots; see dom-snapshot.js)
+    snapshots: {
+      take: snapshotSheet,
+      match: matchSnapshot,
+      pending: getPendingSnapshots,
+      approve: approveSnapshot,
+      approveAll: () => getPendingSnapshots().map(({ name }) => approveSnapshot(name)),
+      clear: clearPendingSnapshots,
+    },
+    // V1/V2 application lookup (see app-compat.js)
+    compat: {
+      resolve: resolveApplication,
+      diagnose: (target) => {
+        const diagnosis = diagnoseResolution(target);
+        console.log(`[${MODULE_ID}] ${diagnosis.summary}`);
+        return diagnosis;
+      },
+    },
+    // Property-based fuzzing (batches tagged "property"; see property-testing.js).
+    // run() runs only those batches with the given runs/seed; setDefault()
+    // makes them part of every run (runs: 0 turns property mode off).
+    property: {
+      getConfig: getPropertyConfig,
+      run: ({ runs = 25, seed = null } = {}) => {
+        if (typeof quench === "undefined") {
+          console.error(`[${MODULE_ID}] Quench not available`);
+          return;
+        }
+        const keys = getBatchesByTag("property").map((batch) => batch.key);
+        setPropertyOverride({ runs, seed });
+        Hooks.once("quenchReports", () => setPropertyOverride(null));
+        quench.runBatches(keys);
+      },
+      setDefault: async ({ runs = 0, seed = 0 } = {}) => {
+        await setSetting(SETTINGS.PROPERTY_RUNS, Math.max(0, Number(runs) || 0));
+        await setSetting(SETTINGS.PROPERTY_SEED, Number(seed) || 0);
+      },
+    },
+    // Selector drift audit for test-selectors.js (see selector-audit.js)
+    auditSelectors,
+    // Report export
+    getLastReport,
+    downloadReport: (format = "json") => {
+      const report = getLastReport();
+      if (!report) throw new Error("No test report available yet");
+      return downloadReport(report, format);
+    },
+    uploadReport: (options) => {
+      const report = getLastReport();
+      if (!report) throw new Error("No test report available yet");
+      return uploadReport(report, options);
+    },
+    showReportDialog,
+    // Batch/test dashboard (ApplicationV2, V12+; see dashboard.js)
+    dashboard: openDashboard,
+    // Rerun one test or section by TestNumberer ID (runs its batch with only that test)
+    runTest,
+    // Actor data, sheet HTML and logs captured when a test fails (see failure-artifacts.js)
+    artifacts: {
+      list: listFailureArtifacts,
+      get: getFailureArtifact,
+      download: (fullTitle) => {
+        const test = getLastReport()?.tests.find((entry) => entry.fullTitle === fullTitle);
+        return downloadFailureArtifact(fullTitle, test?.error ?? null);
+      },
+      clear: clearFailureArtifacts,
+    },
+    // Declared test batches (id, key, title, tags, requirements)
+    batches: getBatches,
+    selfCheck: async () => {
+      const result = await runSelfCheck();
+      reportSelfCheck(result);
+      return result;
+    },
+    // Leak detection ("off", "flag" or "fail"; see leak-detector.js)
+    leaks: {
+      getLog: getLeakLog,
+      clear: clearLeakLog,
+      setMode: (mode) => {
+        if (!LEAK_MODES.includes(mode)) {
+          throw new Error(`Leak mode must be one of: ${LEAK_MODES.join(", ")}`);
+        }
+        return setSetting(SETTINGS.LEAK_DETECTION, mode);
+      },
+    },
+    // Flaky tests
+    quarantine: QUARANTINE,
+    // Run history
+    history: {
+      getRunHistory,
+      clearRunHistory,
+      getLastPassed,
+      getTestTrend,
+      getStatusChanges,
+      getRegressions,
     },
   };
 
   game.modules.get(MODULE_ID).api = api;
 
   console.log(`[${MODULE_ID}] Test module ready. Run tests via Quench UI or:`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.teeth")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.crew-radio-toggle")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.edit-mode")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.healing-clock")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.crew-sheet")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.crew-member-rerender")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.smart-fields")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.global-clocks")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.update-queue")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.acquaintances")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.compendium-cache")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.npc-integration")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.error-handling")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.binary-checkboxes")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.migration")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.settings")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.crew-link")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.playbook-switching")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.utils-core")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.sheet-popups")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.hooks")`);
-  console.log(`  quench.runBatches("bitd-alternate-sheets.handlebars")`);
+  for (const batch of getBatches()) {
+    console.log(`  quench.runBatches("${batch.key}")  // ${batch.id}: ${batch.title}`);
+  }
   console.log(`  game.modules.get("${MODULE_ID}").api.runAllTests()`);
+  console.log(`  game.modules.get("${MODULE_ID}").api.showReportDialog()`);
+  console.log(`  game.modules.get("${MODULE_ID}").api.dashboard()`);
+
+  // A snapshot left over means the last run never finished (e.g. browser crash)
+  const pendingSnapshot = game.user.isGM ? getLastSnapshot() : null;
+  if (pendingSnapshot) {
+    ui.notifications?.warn(
+      `[${MODULE_ID}] A test run from ${pendingSnapshot.timestamp} did not finish. ` +
+      `Run game.modules.get("${MODULE_ID}").api.restoreLastSnapshot() to remove its leftovers.`,
+      { permanent: true }
+    );
+  }
+
+  // Let Quench and every test file's onQuenchReady() callback run first
+  setTimeout(() => {
+    api.selfCheck().catch((err) => console.error(`[${MODULE_ID}] Self-check failed:`, err));
+  }, 0);
 });
 
+/**
+ * Add export and dashboard buttons to the Quench results window header.
+ * Export opens the report export dialog for the most recent run.
+ */
+Hooks.on("renderQuenchResults", (app, html) => {
+  const root = html?.[0] ?? html;
+  const header = root?.closest?.(".app, .application")?.querySelector(".window-header") ??
+                 root?.querySelector?.(".window-header");
+  if (!header || header.querySelector(".bitd-export-report")) return;
+
+  const button = document.createElement("a");
+  button.classList.add("header-button", "bitd-export-report");
+  button.title = "Export the last bitd-alternate-sheets test report";
+  button.innerHTML = '<i class="fas fa-file-export"></i> Export';
+  button.addEventListener("click", (event) => {
+    event.preventDefault();
+    showReportDialog();
+  });
+
+  const dashboardButton = document.createElement("a");
+  dashboardButton.classList.add("header-button", "bitd-open-dashboard");
+  dashboardButton.title = "Open the bitd-alternate-sheets test dashboard";
+  dashboardButton.innerHTML = '<i class="fas fa-vial"></i> Dashboard';
+  dashboardButton.addEventListener("click", (event) => {
+    event.preventDefault();
+    openDashboard();
+  });
+
+  const closeButton = header.querySelector(".close, [data-action='close']");
+  header.insertBefore(button, closeButton ?? null);
+  header.insertBefore(dashboardButton, closeButton ?? null);
+});
+
+/**
+ * Log tests whose status changed since the previous recorded run.
+ */
+function logStatusChanges() {
+  const changes = getStatusChanges();
+  if (changes.length === 0) return;
+
+  console.groupCollapsed(`%c⇄ Status Changes Since Previous Run (${changes.length})`, "color: #69c; font-weight: bold;");
+  for (const change of changes) {
+    const color = change.current === "failed" ? "color: red;" : "color: inherit;";
+    console.log(`%c${change.id}: ${change.previous ?? "new"} → ${change.current ?? "missing"}`, color);
+  }
+  console.groupEnd();
+}
+
 /**
  * Log test summary when Quench reports are available.
- * Outputs failed and skipped tests to the console after all test output.
+ * Outputs failed and skipped tests to the console after all test output,
+ * keeps the normalized report for JSON/JUnit export and records the run
+ * in the run history.
  *
  * Tests with "[DISABLED]" in their name are excluded from the skipped count
- * since they represent intentionally disabled functionality.
+ * since they represent intentionally disabled functionality. Failures of
+ * quarantined tests are listed separately and do not fail the run.
  */
 Hooks.on("quenchReports", (report) => {
   // Delay slightly to ensure this appears after all test logging
-  setTimeout(() => {
+  reportRecorded = new Promise((resolve) => setTimeout(resolve, 100)).then(() => {
+    let recorded = null;
     try {
       const data = JSON.parse(report.json);
       const stats = data.stats || {};
+      const normalized = buildReport(data);
+      setLastReport(normalized);
+      recordResults(normalized);
+      recorded = recordRun(normalized)
+        .then((run) => {
+          if (run) logStatusChanges();
+        })
+        .catch((err) => console.error(`[${MODULE_ID}] Failed to record test run history:`, err));
 
       // Debug: log what we have for pending tests
       console.log(`[${MODULE_ID}] Quench report pending stats: pending=${stats.pending}, pending array length=${data.pending?.length || 0}`);
@@ -142,77 +421,10 @@ Hooks.on("quenchReports", (report) => {
         console.log(`[${MODULE_ID}] First pending test:`, data.pending[0]);
       }
 
-      // Separate disabled tests from unexpected skips
-      const disabledTests = (data.pending || []).filter(t =>
-        t.fullTitle?.includes("[DISABLED]") || t.title?.includes("[DISABLED]")
-      );
-      const unexpectedSkips = (data.pending || []).filter(t =>
-        !t.fullTitle?.includes("[DISABLED]") && !t.title?.includes("[DISABLED]")
-      );
-
-      // Calculate total tests
-      const passed = stats.passes || 0;
-      const failed = stats.failures || 0;
-      const skipped = unexpectedSkips.length;
-      const disabled = disabledTests.length;
-      const total = passed + failed + skipped + disabled;
-
-      console.log("\n\n%c════════════════════════════════════════════════════════════", "color: #888;");
-      console.log("%c                    QUENCH TEST SUMMARY", "font-weight: bold; font-size: 14px;");
-      console.log("%c════════════════════════════════════════════════════════════", "color: #888;");
-      console.log(`  Total:    %c${total}`, "color: inherit;");
-      console.log(`  Passed:   %c${passed}`, "color: green;");
-      console.log(`  Failed:   %c${failed}`, failed ? "color: red; font-weight: bold;" : "color: green;");
-      console.log(`  Skipped:  %c${skipped}`, skipped > 0 ? "color: orange;" : "color: green;");
-      if (disabled > 0) {
-        console.log(`  Disabled: %c${disabled}`, "color: #888;");
-      }
-      console.log(`  Duration: ${stats.duration || 0}ms`);
-
-      // Log failed tests in a collapsed group
-      if (data.failures?.length > 0) {
-        console.log("");
-        console.groupCollapsed(`%c✗ Failed Tests (${data.failures.length})`, "color: red; font-weight: bold;");
-        for (const failure of data.failures) {
-          console.log(`%c✗ ${failure.fullTitle}`, "color: red;");
-          if (failure.err?.message) {
-            console.log(`  %c${failure.err.message}`, "color: #c66;");
-          }
-        }
-        console.groupEnd();
-      }
-
-      // Log unexpected skipped tests in a collapsed group (not disabled ones)
-      if (unexpectedSkips.length > 0) {
-        console.groupCollapsed(`%c⊘ Skipped Tests (${unexpectedSkips.length})`, "color: orange; font-weight: bold;");
-        for (const skipped of unexpectedSkips) {
-          console.log(`%c⊘ ${skipped.fullTitle}`, "color: orange;");
-        }
-        console.groupEnd();
-      }
-
-      // Log disabled tests separately (collapsed, dimmed)
-      if (disabledTests.length > 0) {
-        console.groupCollapsed(`%c⊗ Disabled Tests (${disabledTests.length})`, "color: #888;");
-        for (const disabled of disabledTests) {
-          console.log(`%c⊗ ${disabled.fullTitle}`, "color: #888;");
-        }
-        console.groupEnd();
-      }
-
-      // Final status line
-      console.log("%c════════════════════════════════════════════════════════════", "color: #888;");
-      if (failed > 0) {
-        console.log(`%c✗ ${failed} of ${total} test(s) failed`, "color: red; font-weight: bold; font-size: 12px;");
-      } else if (passed > 0 && skipped > 0) {
-        console.log(`%c✓ ${passed} of ${total} tests passed (%c${skipped} skipped%c)`, "color: green; font-weight: bold; font-size: 12px;", "color: orange; font-weight: bold;", "color: green;");
-      } else if (passed > 0) {
-        console.log(`%c✓ ${passed} of ${total} tests passed!`, "color: green; font-weight: bold; font-size: 12px;");
-      }
-      console.log("%c════════════════════════════════════════════════════════════\n", "color: #888;");
-
+      logReportSummary(normalized);
     } catch (err) {
       console.error(`[${MODULE_ID}] Error parsing Quench report:`, err);
     }
-  }, 100);
+    return recorded;
+  });
 });
@@ -0,0 +1,244 @@
+/**
+ * Property-based testing with a seeded generator and shrinking.
+ *
+ * A property generates random step sequences from a seed, executes each one
+ * against a fresh starting state and checks invariants after every step.
+ * When a sequence fails it is shrunk to a minimal reproduction: steps after
+ * the failing one are dropped, then chunks and single steps are removed, then
+ * individual steps are simplified. The failure message carries the seed, so
+ * the exact run can be replayed.
+ *
+ * Property mode (world setting "propertyRuns") is off by default: property
+ * batches skip their tests until the number of runs is set, or for one run
+ * with api.property.run({ runs, seed }).
+ *
+ * @example
+ * await assertProperty({
+ *   name: "insight teeth",
+ *   generate: (rng) => Array.from({ length: 6 }, () => rng.int(1, 8)),
+ *   execute: async (sequence) => {
+ *     for (const [index, value] of sequence.entries()) {
+ *       if (await click(value) > 8) return { index, message: "above max" };
+ *     }
+ *     return null;
+ *   },
+ *   shrinkStep: (value) => (value > 1 ? [value - 1] : []),
+ * });
+ */
+
+import { SETTINGS, getSetting } from "./settings.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/** Executions allowed while shrinking one failure */
+export const MAX_SHRINK_EXECUTIONS = 40;
+
+/** Run count and seed for the current run, overriding the world settings when set */
+let override = null;
+
+// ============================================================================
+// Generator
+// ============================================================================
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32).
+ * The same seed always yields the same sequence.
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {{seed: number, next: () => number, int: (min: number, max: number) => number,
+ *   pick: (items: Array) => *, chance: (probability: number) => boolean}}
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 15), z | 1);
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    seed: seed >>> 0,
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    chance: (probability) => next() < probability,
+  };
+}
+
+/**
+ * Pick a fresh random seed.
+ * @returns {number}
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// ============================================================================
+// Property Mode
+// ============================================================================
+
+/**
+ * Get the run count and seed for property tests.
+ * A run count of 0 means property mode is off; a null seed means a random one.
+ * @returns {{runs: number, seed: number|null}}
+ */
+export function getPropertyConfig() {
+  if (override) return { ...override };
+  try {
+    const runs = Math.max(0, Number(getSetting(SETTINGS.PROPERTY_RUNS)) || 0);
+    const seed = Number(getSetting(SETTINGS.PROPERTY_SEED)) || null;
+    return { runs, seed };
+  } catch {
+    // Settings not registered (harness init has not run)
+    return { runs: 0, seed: null };
+  }
+}
+
+/**
+ * Override the run count and seed until cleared with null.
+ * @param {{runs?: number, seed?: number|null}|null} config
+ */
+export function setPropertyOverride(config) {
+  override = config === null
+    ? null
+    : { runs: Math.max(0, Number(config.runs) || 0), seed: Number(config.seed) || null };
+}
+
+// ============================================================================
+// Shrinking
+// ============================================================================
+
+/**
+ * Shrink a failing sequence to a smaller one that still fails.
+ * @param {Array} sequence - A failing sequence
+ * @param {{index: number, message: string}} failure - Its failure
+ * @param {object} options
+ * @param {Function} options.execute - Same as checkProperty()
+ * @param {Function} [options.shrinkStep] - Returns simpler candidates for one step
+ * @param {number} [options.maxExecutions]
+ * @returns {Promise<{sequence: Array, failure: object, executions: number}>}
+ */
+export async function shrinkSequence(
+  sequence,
+  failure,
+  { execute, shrinkStep = () => [], maxExecutions = MAX_SHRINK_EXECUTIONS }
+) {
+  let best = { sequence: sequence.slice(0, failure.index + 1), failure };
+  let executions = 0;
+
+  const attempt = async (candidate) => {
+    if (executions >= maxExecutions || candidate.length === 0) return false;
+    executions += 1;
+    const result = await execute(candidate);
+    if (!result) return false;
+    best = { sequence: candidate.slice(0, result.index + 1), failure: result };
+    return true;
+  };
+
+  // Remove chunks, halving the chunk size down to single steps
+  for (let size = Math.floor(best.sequence.length / 2); size >= 1; size = Math.floor(size / 2)) {
+    let start = 0;
+    while (start < best.sequence.length && executions < maxExecutions) {
+      const candidate = [...best.sequence.slice(0, start), ...best.sequence.slice(start + size)];
+      if (!(await attempt(candidate))) start += size;
+    }
+  }
+
+  // Simplify individual steps, as far as each one still fails
+  for (let index = 0; index < best.sequence.length && executions < maxExecutions; index += 1) {
+    let simplified = true;
+    while (simplified && index < best.sequence.length) {
+      simplified = false;
+      for (const simpler of shrinkStep(best.sequence[index])) {
+        const candidate = best.sequence.map((step, i) => (i === index ? simpler : step));
+        if (await attempt(candidate)) {
+          simplified = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return { ...best, executions };
+}
+
+// ============================================================================
+// Properties
+// ============================================================================
+
+/**
+ * Describe a sequence for a failure message.
+ * @param {Array} sequence
+ * @param {Function} formatStep
+ * @returns {string}
+ */
+function describeSequence(sequence, formatStep) {
+  return sequence.map((step, index) => `    ${index + 1}. ${formatStep(step)}`).join("\n");
+}
+
+/**
+ * Check a property over `runs` generated sequences.
+ *
+ * `execute(sequence)` must start from the same state every time (reset it
+ * first) and resolve to null when every step holds, or to
+ * `{ index, message }` for the first step that broke an invariant.
+ *
+ * @param {object} options
+ * @param {string} options.name - Property name for messages
+ * @param {(rng: object, run: number) => Array} options.generate - Build one sequence
+ * @param {(sequence: Array) => Promise<{index: number, message: string}|null>} options.execute
+ * @param {Function} [options.shrinkStep] - Simpler candidates for one step
+ * @param {Function} [options.formatStep] - Step to text (default JSON)
+ * @param {number} [options.runs] - Defaults to getPropertyConfig().runs
+ * @param {number|null} [options.seed] - Defaults to getPropertyConfig().seed, else random
+ * @returns {Promise<{ok: boolean, name: string, seed: number, runs: number, failure?: object, message?: string}>}
+ */
+export async function checkProperty({
+  name,
+  generate,
+  execute,
+  shrinkStep,
+  formatStep = (step) => JSON.stringify(step),
+  runs = getPropertyConfig().runs,
+  seed = getPropertyConfig().seed,
+}) {
+  const baseSeed = seed ?? randomSeed();
+  console.log(`[${MODULE_ID}] Property "${name}": ${runs} run(s), seed ${baseSeed}`);
+
+  // One generator for the whole property, so a seed replays every run
+  const rng = createRng(baseSeed);
+  for (let run = 1; run <= runs; run += 1) {
+    const sequence = generate(rng, run);
+    const failure = await execute(sequence);
+    if (!failure) continue;
+
+    const shrunk = await shrinkSequence(sequence, failure, { execute, shrinkStep });
+    const message =
+      `Property "${name}" failed on run ${run}/${runs} (seed ${baseSeed}): ${shrunk.failure.message}\n` +
+      `  Minimal sequence (${shrunk.sequence.length} of ${sequence.length} steps, ` +
+      `${shrunk.executions} shrink run(s)):\n${describeSequence(shrunk.sequence, formatStep)}\n` +
+      `  Replay: game.modules.get("${MODULE_ID}").api.property.run({ runs: ${run}, seed: ${baseSeed} })`;
+    return {
+      ok: false,
+      name,
+      seed: baseSeed,
+      runs: run,
+      failure: { run, original: sequence, sequence: shrunk.sequence, ...shrunk.failure },
+      message,
+    };
+  }
+
+  return { ok: true, name, seed: baseSeed, runs };
+}
+
+/**
+ * Check a property and throw with the minimal reproduction if it fails.
+ * @param {object} options - As for checkProperty()
+ * @returns {Promise<object>} The passing result
+ * @throws {Error} With the seed and shrunk sequence
+ */
+export async function assertProperty(options) {
+  const result = await checkProperty(options);
+  if (!result.ok) throw new Error(result.message);
+  return result;
+}
@@ -0,0 +1,22 @@
+/**
+ * Quarantine list for known-flaky bitd-alternate-sheets tests.
+ *
+ * Quarantined tests still run, but their failures are reported in a separate
+ * "Quarantined" group and do not fail the overall run. Add an entry when a
+ * test is confirmed flaky (it passes on rerun with no code change) and remove
+ * it once the underlying timing issue is fixed.
+ *
+ * @example
+ * { id: "7.2.3", reason: "Healing clock click races the 100ms settle delay", added: "2026-10-19" },
+ */
+export const QUARANTINE = [];
+
+/**
+ * Look up the quarantine entry for a test.
+ * @param {string|null} testId - TestNumberer ID (e.g. "7.2.3")
+ * @returns {{id: string, reason: string, added?: string}|null}
+ */
+export function getQuarantineEntry(testId) {
+  if (!testId) return null;
+  return QUARANTINE.find((entry) => entry.id === testId) ?? null;
+}
@@ -0,0 +1,377 @@
+/**
+ * Selector drift audit for test-selectors.js.
+ *
+ * Many selector constants are comma-joined fallback lists, kept so tests
+ * survive markup changes between bitd-alternate-sheets versions. The audit
+ * renders reference sheets (character, crew, clock and journal), evaluates
+ * every alternative of every selector export against each of them and
+ * classifies it:
+ *
+ * - "match": matches on at least one surface, and no other alternative of
+ *   the same selector matches there
+ * - "ambiguous": matches where another alternative of the same selector
+ *   also matches, so which branch a test hits depends on DOM order
+ * - "none": matches nothing on any surface (a dead fallback)
+ * - "invalid": not a valid CSS selector
+ *
+ * @example
+ * const result = await game.modules.get("bitd-alternate-sheets-test").api.auditSelectors();
+ * result.entries.filter((entry) => entry.alternatives.some((alt) => alt.status === "none"));
+ */
+
+import * as SELECTORS from "./test-selectors.js";
+import {
+  ensureSheet,
+  getJournalSheetElement,
+  closeAllDialogs,
+  createClockActor,
+  testCleanup,
+} from "./test-utils.js";
+import { character, crew } from "./fixtures.js";
+import { withPackIsolation } from "./fixture-packs.js";
+import { requireApplication, closeApplication } from "./app-compat.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/** Name prefix for the reference documents, so leftovers are easy to spot */
+const REFERENCE_PREFIX = "Selector Audit";
+
+/**
+ * Export groups that are not expected to match on the reference surfaces,
+ * with the reason shown in the report.
+ */
+const EXPECTED_UNMATCHED = {
+  DIALOGS: "only present while a dialog is open",
+  SECURITY: "must never match rendered sheets",
+};
+
+/**
+ * Sample arguments for function selectors, by export path. Functions receive
+ * the reference documents so IDs can be filled in.
+ */
+const FUNCTION_ARGS = {
+  "POPUP.COINS.coinLabel": () => [1],
+  "POPUP.COINS.stashLabel": () => [1],
+  "TABS.tab": () => ["notes"],
+  "TABS.tabButton": () => ["notes"],
+  "CLOCKS.segment": () => [1],
+  "TEETH.input": ({ character }) => [character.id, "insight", 1],
+  "TEETH.label": ({ character }) => [character.id, "insight", 1],
+  "TEETH.crewInput": ({ crew }) => [crew.id, "tier", 1],
+  "TEETH.crewLabel": ({ crew }) => [crew.id, "tier", 1],
+  dataAttr: () => ["tab", "notes"],
+  inputByName: () => ["system.coins"],
+  labelFor: ({ character }) => [`character-${character.id}-insight-1`],
+  labelForPartial: () => ["insight-1"],
+};
+
+// ============================================================================
+// Selector Collection
+// ============================================================================
+
+/**
+ * Split a selector list on its top-level commas, leaving commas inside
+ * quotes, attribute brackets and :not()/:is() parentheses alone.
+ * @param {string} selector
+ * @returns {string[]}
+ */
+export function splitSelectorList(selector) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+
+  for (const char of selector) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "[" || char === "(") {
+      depth += 1;
+    } else if (char === "]" || char === ")") {
+      depth -= 1;
+    } else if (char === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Walk the selector exports and resolve every selector string, calling
+ * function selectors with their sample arguments.
+ * @param {{character: Actor, crew: Actor}} documents - Reference documents
+ * @returns {Array<{path: string, selector: string|null, note?: string}>}
+ */
+export function collectSelectors(documents) {
+  const entries = [];
+
+  const visit = (value, path) => {
+    if (typeof value === "string") {
+      // *_CLASS constants are bare class names, not selectors
+      const selector = path.endsWith("_CLASS") ? `.${value}` : value;
+      entries.push({ path, selector });
+    } else if (typeof value === "function") {
+      const args = FUNCTION_ARGS[path];
+      if (!args) {
+        entries.push({ path, selector: null, note: "no sample arguments" });
+        return;
+      }
+      entries.push({ path, selector: value(...args(documents)) });
+    } else if (value && typeof value === "object") {
+      for (const [key, child] of Object.entries(value)) {
+        visit(child, `${path}.${key}`);
+      }
+    }
+  };
+
+  for (const [name, value] of Object.entries(SELECTORS)) {
+    visit(value, name);
+  }
+  return entries;
+}
+
+// ============================================================================
+// Reference Surfaces
+// ============================================================================
+
+/**
+ * Get a rendered sheet's root element.
+ * @param {Application} sheet
+ * @returns {HTMLElement}
+ * @throws {Error} With a resolution diagnostic if the sheet's window cannot be found
+ */
+function getRoot(sheet) {
+  return requireApplication(sheet).element;
+}
+
+/**
+ * Create the reference documents and render them.
+ * Each surface is a root element to evaluate selectors against; the
+ * character sheet is captured twice, locked and in edit mode with its
+ * coins, harm and load popups open.
+ * @returns {Promise<{surfaces: Array<{name: string, root: HTMLElement}>, documents: object, cleanup: Function}>}
+ */
+async function renderReferenceSurfaces() {
+  const actors = [];
+  let journal = null;
+  const surfaces = [];
+
+  const cleanup = async () => {
+    await closeAllDialogs();
+    if (journal) {
+      try {
+        await closeApplication(journal);
+        await journal.delete();
+      } catch (err) {
+        console.warn(`[${MODULE_ID}] Failed to delete audit journal:`, err);
+      }
+    }
+    await testCleanup({ actors });
+  };
+
+  try {
+    const builtCrew = await crew(`${REFERENCE_PREFIX} Crew`)
+      .crewType("Assassins")
+      .tier(1)
+      .abilities(["Deadly"])
+      .upgrades(["Steady"])
+      .members([
+        character(`${REFERENCE_PREFIX} Character`)
+          .playbook("Cutter")
+          .abilities(["Battleborn"])
+          .harm({ light: ["Bruised"] })
+          .coins(2),
+      ])
+      .build();
+    actors.push(...builtCrew.actors);
+    const characterActor = builtCrew.members[0].actor;
+    const crewActor = builtCrew.actor;
+
+    const characterSheet = await ensureSheet(characterActor);
+    surfaces.push({ name: "character", root: getRoot(characterSheet).cloneNode(true) });
+
+    getRoot(characterSheet).querySelector(SELECTORS.EDIT_MODE.TOGGLE)?.click();
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    for (const box of [SELECTORS.POPUP.COINS.BOX, SELECTORS.POPUP.HARM.BOX, SELECTORS.POPUP.LOAD.BOX]) {
+      getRoot(characterSheet).querySelector(`${box}:not(.open)`)?.click();
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    surfaces.push({ name: "character (edit, popups)", root: getRoot(characterSheet).cloneNode(true) });
+
+    const crewSheet = await ensureSheet(crewActor);
+    surfaces.push({ name: "crew", root: getRoot(crewSheet).cloneNode(true) });
+
+    const clockActor = await createClockActor({ name: `${REFERENCE_PREFIX} Clock`, type: 4, value: 2 });
+    if (clockActor) {
+      actors.push(clockActor);
+      const clockSheet = await ensureSheet(clockActor).catch(() => null);
+      if (clockSheet) surfaces.push({ name: "clock", root: getRoot(clockSheet).cloneNode(true) });
+
+      journal = await JournalEntry.create({
+        name: `${REFERENCE_PREFIX} Journal`,
+        pages: [{
+          name: "Clock Page",
+          type: "text",
+          text: { content: `<p>@UUID[Actor.${clockActor.id}]{${clockActor.name}}</p>` },
+        }],
+      });
+      const journalRoot = await getJournalSheetElement(journal);
+      if (journalRoot) surfaces.push({ name: "journal", root: journalRoot.cloneNode(true) });
+    } else {
+      console.warn(`[${MODULE_ID}] Clock actor type unavailable; auditing without clock and journal surfaces`);
+    }
+
+    return {
+      surfaces,
+      documents: { character: characterActor, crew: crewActor },
+      cleanup,
+    };
+  } catch (err) {
+    await cleanup();
+    throw err;
+  }
+}
+
+// ============================================================================
+// Evaluation
+// ============================================================================
+
+/**
+ * Count an alternative's matches on each surface.
+ * @param {string} alternative
+ * @param {Array<{name: string, root: HTMLElement}>} surfaces
+ * @returns {object|null} Counts by surface name, or null if the selector is invalid
+ */
+function countMatches(alternative, surfaces) {
+  const counts = {};
+  try {
+    for (const { name, root } of surfaces) {
+      counts[name] = root.querySelectorAll(alternative).length + (root.matches(alternative) ? 1 : 0);
+    }
+  } catch {
+    return null;
+  }
+  return counts;
+}
+
+/**
+ * Evaluate one selector's alternatives.
+ * @param {string} selector
+ * @param {Array<{name: string, root: HTMLElement}>} surfaces
+ * @returns {Array<{selector: string, status: string, counts: object|null}>}
+ */
+function evaluateSelector(selector, surfaces) {
+  const alternatives = splitSelectorList(selector).map((alternative) => ({
+    selector: alternative,
+    counts: countMatches(alternative, surfaces),
+  }));
+
+  return alternatives.map((alt) => {
+    if (!alt.counts) return { ...alt, status: "invalid" };
+    const matchedOn = surfaces.filter(({ name }) => alt.counts[name] > 0).map(({ name }) => name);
+    if (!matchedOn.length) return { ...alt, status: "none" };
+    const overlaps = matchedOn.some((name) =>
+      alternatives.some((other) => other !== alt && other.counts?.[name] > 0)
+    );
+    return { ...alt, status: overlaps ? "ambiguous" : "match" };
+  });
+}
+
+/**
+ * Evaluate every collected selector against the surfaces.
+ * @param {Array<{path: string, selector: string|null, note?: string}>} entries
+ * @param {Array<{name: string, root: HTMLElement}>} surfaces
+ * @returns {object[]} Entries with their evaluated alternatives
+ */
+export function evaluateSelectors(entries, surfaces) {
+  return entries.map((entry) => {
+    const group = entry.path.split(".")[0];
+    return {
+      ...entry,
+      expectedUnmatched: EXPECTED_UNMATCHED[group] ?? null,
+      alternatives: entry.selector ? evaluateSelector(entry.selector, surfaces) : [],
+    };
+  });
+}
+
+// ============================================================================
+// Report
+// ============================================================================
+
+/**
+ * Summarize an audit: alternatives per status, excluding expected-unmatched groups.
+ * @param {object[]} entries - Output of evaluateSelectors()
+ * @returns {{match: number, ambiguous: number, none: number, invalid: number}}
+ */
+function summarize(entries) {
+  const summary = { match: 0, ambiguous: 0, none: 0, invalid: 0 };
+  for (const entry of entries) {
+    if (entry.expectedUnmatched) continue;
+    for (const alt of entry.alternatives) summary[alt.status] += 1;
+  }
+  return summary;
+}
+
+/**
+ * Render an audit as text: one line per alternative with its status and
+ * match counts per surface.
+ * @param {{surfaces: string[], entries: object[], summary: object}} result
+ * @returns {string}
+ */
+export function formatAuditReport({ surfaces, entries, summary }) {
+  const lines = [
+    `Selector audit against: ${surfaces.join(", ")}`,
+    `${summary.match} match, ${summary.ambiguous} ambiguous, ${summary.none} match nothing, ${summary.invalid} invalid`,
+    "",
+  ];
+
+  for (const entry of entries) {
+    const note = entry.note ?? (entry.expectedUnmatched ? `expected: ${entry.expectedUnmatched}` : "");
+    lines.push(`${entry.path}${note ? ` (${note})` : ""}`);
+    for (const alt of entry.alternatives) {
+      const counts = alt.counts
+        ? surfaces.filter((name) => alt.counts[name] > 0).map((name) => `${name}: ${alt.counts[name]}`).join(", ")
+        : "";
+      lines.push(`  ${alt.status.padEnd(9)} ${alt.selector}${counts ? `  [${counts}]` : ""}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Render reference sheets and audit every selector in test-selectors.js.
+ * The reference documents are deleted afterwards. Requires bitd-alternate-sheets
+ * and a GM (to create documents and toggle pack isolation).
+ * @param {object} [options] - Options
+ * @param {boolean} [options.isolatePacks=true] - Render with only the fixture compendia
+ * @param {boolean} [options.log=true] - Print the report to the console
+ * @returns {Promise<{surfaces: string[], entries: object[], summary: object}>}
+ */
+export async function auditSelectors({ isolatePacks = true, log = true } = {}) {
+  if (!game.user?.isGM) {
+    throw new Error("Only a GM can run the selector audit");
+  }
+
+  const audit = async () => {
+    let reference = null;
+    try {
+      reference = await renderReferenceSurfaces();
+      const entries = evaluateSelectors(collectSelectors(reference.documents), reference.surfaces);
+      const result = {
+        surfaces: reference.surfaces.map(({ name }) => name),
+        entries,
+        summary: summarize(entries),
+      };
+      if (log) console.log(`[${MODULE_ID}] ${formatAuditReport(result)}`);
+      return result;
+    } finally {
+      await reference?.cleanup();
+    }
+  };
+  return isolatePacks ? withPackIsolation(audit) : audit();
+}
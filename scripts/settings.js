@@ -0,0 +1,127 @@
+/**
+ * Settings registration for the bitd-alternate-sheets test harness.
+ * All harness settings are hidden (config: false) and managed through the
+ * module API rather than the settings menu.
+ */
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/**
+ * Setting keys used by the harness.
+ */
+export const SETTINGS = {
+  /** Per-run test outcomes, oldest first */
+  RUN_HISTORY: "runHistory",
+  /** Maximum number of runs kept in the history */
+  RUN_HISTORY_LIMIT: "runHistoryLimit",
+  /** Times a failed test is rerun before it counts as failed */
+  FLAKY_RETRIES: "flakyRetries",
+  /** World state recorded before a run, until it is restored */
+  WORLD_SNAPSHOT: "worldSnapshot",
+  /** Leak detection after each test: "off", "flag" or "fail" */
+  LEAK_DETECTION: "leakDetection",
+  /** Whether runAllTests() restricts compendium lookups to the fixture packs */
+  PACK_ISOLATION: "packIsolation",
+  /** Content hashes of the imported fixture packs, by pack ID */
+  FIXTURE_PACK_HASHES: "fixturePackHashes",
+  /** Generated sequences per property test; 0 skips property batches */
+  PROPERTY_RUNS: "propertyRuns",
+  /** Seed for property tests; 0 picks a random one per property */
+  PROPERTY_SEED: "propertySeed",
+};
+
+/**
+ * Register all harness settings. Call from the init hook.
+ */
+export function registerSettings() {
+  game.settings.register(MODULE_ID, SETTINGS.RUN_HISTORY, {
+    name: "Test Run History",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: [],
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.RUN_HISTORY_LIMIT, {
+    name: "Test Run History Limit",
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 25,
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.FLAKY_RETRIES, {
+    name: "Flaky Test Retries",
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 0,
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.WORLD_SNAPSHOT, {
+    name: "World Snapshot",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: null,
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.LEAK_DETECTION, {
+    name: "Leak Detection",
+    scope: "world",
+    config: false,
+    type: String,
+    default: "flag",
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.PACK_ISOLATION, {
+    name: "Fixture Pack Isolation",
+    scope: "world",
+    config: false,
+    type: Boolean,
+    default: false,
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.FIXTURE_PACK_HASHES, {
+    name: "Fixture Pack Hashes",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.PROPERTY_RUNS, {
+    name: "Property Test Runs",
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 0,
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.PROPERTY_SEED, {
+    name: "Property Test Seed",
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 0,
+  });
+}
+
+/**
+ * Read a harness setting.
+ * @param {string} key - One of SETTINGS
+ * @returns {*}
+ */
+export function getSetting(key) {
+  return game.settings.get(MODULE_ID, key);
+}
+
+/**
+ * Write a harness setting.
+ * @param {string} key - One of SETTINGS
+ * @param {*} value
+ * @returns {Promise<*>}
+ */
+export function setSetting(key, value) {
+  return game.settings.set(MODULE_ID, key, value);
+}
@@ -0,0 +1,36 @@
+/**
+ * Focus mode for running single tests.
+ * Quench runs whole batches; while a focus is set, TestNumberer registers
+ * only the focused tests, so rerunning one test means running its batch
+ * with that test in focus. Focus entries are TestNumberer IDs: a test ID
+ * ("4.2.3") selects that test, a section ID ("4.2") every test inside it.
+ */
+
+/** Focused test and section IDs for the current run, or null for every test */
+let focus = null;
+
+/**
+ * Get the focused IDs.
+ * @returns {string[]|null} null when every test runs
+ */
+export function getTestFocus() {
+  return focus ? [...focus] : null;
+}
+
+/**
+ * Focus the next run on some tests until cleared with null.
+ * @param {string[]|string|null} ids - TestNumberer test or section IDs
+ */
+export function setTestFocus(ids) {
+  focus = ids === null ? null : [ids].flat().map(String);
+}
+
+/**
+ * Check whether a test is in focus.
+ * @param {string} id - TestNumberer test ID
+ * @returns {boolean} Always true without a focus
+ */
+export function isTestFocused(id) {
+  if (!focus) return true;
+  return focus.some((entry) => id === entry || id.startsWith(`${entry}.`));
+}
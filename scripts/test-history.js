@@ -0,0 +1,181 @@
+/**
+ * Persistent test-run history for bitd-alternate-sheets test runs.
+ * Records each run's per-test outcome, keyed by the stable TestNumberer ID,
+ * in a world setting so results can be compared across module builds.
+ * The IDs stay the same across runs of a session because registerBatch()
+ * resets the batch's TestNumberer each time Quench builds the batch.
+ */
+
+import { SETTINGS, getSetting, setSetting } from "./settings.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/**
+ * Get the history key for a normalized test result.
+ * Uses the TestNumberer ID when present, otherwise the full title.
+ * @param {object} test - Normalized test from buildReport()
+ * @returns {string}
+ */
+export function getTestKey(test) {
+  return test.id ?? test.fullTitle;
+}
+
+/**
+ * Get all recorded runs, oldest first.
+ * @returns {Array<object>}
+ */
+export function getRunHistory() {
+  const history = getSetting(SETTINGS.RUN_HISTORY);
+  return Array.isArray(history) ? history : [];
+}
+
+/**
+ * Record a normalized report as a new run in the history.
+ * Only GMs can write world settings; other users skip recording.
+ * @param {object} report - Normalized report from buildReport()
+ * @returns {Promise<object|null>} The recorded run entry, or null if not recorded
+ */
+export async function recordRun(report) {
+  if (!game.user?.isGM) {
+    console.warn(`[${MODULE_ID}] Only a GM can record test run history; skipping.`);
+    return null;
+  }
+
+  // Flaky passes are kept distinct so trends show tests that needed a retry
+  const results = {};
+  for (const test of report.tests) {
+    results[getTestKey(test)] = test.flaky ? "flaky" : test.status;
+  }
+
+  const entry = {
+    id: foundry.utils.randomID(),
+    timestamp: report.generatedAt ?? new Date().toISOString(),
+    targetModule: report.environment?.targetModule ?? null,
+    foundry: report.environment?.foundry ?? null,
+    stats: { ...report.stats },
+    results,
+  };
+
+  const limit = Math.max(1, Number(getSetting(SETTINGS.RUN_HISTORY_LIMIT)) || 1);
+  const history = [...getRunHistory(), entry].slice(-limit);
+  await setSetting(SETTINGS.RUN_HISTORY, history);
+  return entry;
+}
+
+/**
+ * Remove every recorded run.
+ * @returns {Promise<void>}
+ */
+export async function clearRunHistory() {
+  await setSetting(SETTINGS.RUN_HISTORY, []);
+}
+
+/**
+ * Summarize a run entry without its per-test results.
+ * @param {object} run
+ * @returns {{id: string, timestamp: string, targetModule: string|null, foundry: string|null}}
+ */
+function describeRun(run) {
+  return {
+    id: run.id,
+    timestamp: run.timestamp,
+    targetModule: run.targetModule,
+    foundry: run.foundry,
+  };
+}
+
+/**
+ * Find the most recent run in which a test passed (including flaky passes).
+ * @param {string} testId - TestNumberer ID (e.g. "4.2.3")
+ * @returns {object|null} Run summary, or null if the test never passed
+ *
+ * @example
+ * api.history.getLastPassed("4.2.3");
+ * // { id: "...", timestamp: "2026-...", targetModule: "1.4.0", foundry: "13.345" }
+ */
+export function getLastPassed(testId) {
+  const history = getRunHistory();
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    const status = history[i].results?.[testId];
+    if (status === "passed" || status === "flaky") {
+      return describeRun(history[i]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the recorded outcomes of a single test, oldest first.
+ * Runs that did not include the test are omitted.
+ * @param {string} testId - TestNumberer ID
+ * @returns {Array<{run: object, status: string}>}
+ */
+export function getTestTrend(testId) {
+  return getRunHistory()
+    .filter((run) => run.results?.[testId] !== undefined)
+    .map((run) => ({ run: describeRun(run), status: run.results[testId] }));
+}
+
+/**
+ * List tests whose status differs between two runs.
+ * By default the latest run is compared test by test against the most recent
+ * earlier run that included each test, so a single-batch run is compared with
+ * that batch's last run rather than with whatever ran just before it. Tests
+ * never recorded before have previous: null. Pass fromRunId to compare
+ * against one specific run instead. Only tests present in the newer run are
+ * compared unless includeMissing is set.
+ * @param {object} options - Options
+ * @param {string} [options.fromRunId] - Older run (default: per test, its last earlier run)
+ * @param {string} [options.toRunId] - Newer run (default: last)
+ * @param {boolean} [options.includeMissing=false] - Also report tests missing from the newer run
+ *   (those in fromRunId, or in the run before the newer one)
+ * @returns {Array<{id: string, previous: string|null, current: string|null}>}
+ */
+export function getStatusChanges({ fromRunId, toRunId, includeMissing = false } = {}) {
+  const history = getRunHistory();
+  const toIndex = toRunId ? history.findIndex((run) => run.id === toRunId) : history.length - 1;
+  const to = history[toIndex];
+  if (!to) return [];
+
+  const earlier = history.slice(0, toIndex);
+  const from = fromRunId ? earlier.find((run) => run.id === fromRunId) : null;
+  if (fromRunId && !from) return [];
+
+  const previousStatus = (key) => {
+    if (from) return from.results[key] ?? null;
+    for (let i = earlier.length - 1; i >= 0; i -= 1) {
+      const status = earlier[i].results?.[key];
+      if (status !== undefined) return status;
+    }
+    return null;
+  };
+
+  const keys = new Set(Object.keys(to.results));
+  if (includeMissing) {
+    for (const key of Object.keys((from ?? earlier[earlier.length - 1])?.results ?? {})) keys.add(key);
+  }
+
+  const changes = [];
+  for (const key of keys) {
+    const previous = previousStatus(key);
+    const current = to.results[key] ?? null;
+    if (previous !== current) {
+      changes.push({ id: key, previous, current });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Get the tests of the latest run that went from passing (in their last
+ * earlier run) to failing.
+ * Quarantined failures are recorded as "failed" and show up here too.
+ * @returns {Array<{id: string, previous: string|null, current: string|null}>}
+ */
+export function getRegressions() {
+  return getStatusChanges().filter(
+    (change) =>
+      (change.previous === "passed" || change.previous === "flaky") &&
+      change.current === "failed"
+  );
+}
@@ -0,0 +1,175 @@
+/**
+ * Dynamic loader and ready self-check for the test batches.
+ *
+ * Test files are imported from the manifest in scripts/tests/manifest.js
+ * rather than listed in module.json, and a self-check compares what actually
+ * registered with Quench against that manifest so a batch that silently never
+ * runs is reported loudly.
+ */
+
+import { TEST_MANIFEST } from "./tests/manifest.js";
+import { getBatches, isBatchRegistered } from "./batch-registry.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+const TEST_FILE_SUFFIX = ".test.js";
+
+/** Outcome of the last loadTestFiles() call */
+let loadResults = { loaded: [], failed: [] };
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+/**
+ * Import every test file in the manifest, one after another so batches
+ * register with Quench in manifest order. A file that throws while loading
+ * (for example a duplicate batch ID) is recorded and does not stop the rest.
+ * @param {Array<{file: string}>} [manifest=TEST_MANIFEST]
+ * @returns {Promise<{loaded: string[], failed: Array<{file: string, error: Error}>}>}
+ */
+export async function loadTestFiles(manifest = TEST_MANIFEST) {
+  const loaded = [];
+  const failed = [];
+
+  for (const { file } of manifest) {
+    try {
+      await import(new URL(`./tests/${file}`, import.meta.url).href);
+      loaded.push(file);
+    } catch (error) {
+      console.error(`[${MODULE_ID}] Failed to load test file ${file}:`, error);
+      failed.push({ file, error });
+    }
+  }
+
+  loadResults = { loaded, failed };
+  return loadResults;
+}
+
+/**
+ * Get the outcome of the last loadTestFiles() call.
+ * @returns {{loaded: string[], failed: Array<{file: string, error: Error}>}}
+ */
+export function getLoadResults() {
+  return loadResults;
+}
+
+// ============================================================================
+// Self-Check
+// ============================================================================
+
+/**
+ * Get the FilePicker class, preferring the V13+ namespaced implementation.
+ * @returns {typeof FilePicker}
+ */
+function getFilePickerClass() {
+  return foundry?.applications?.apps?.FilePicker?.implementation ?? FilePicker;
+}
+
+/**
+ * List *.test.js files in this module's scripts/tests folder that are not in
+ * the manifest. Browsing needs file-browser permission, so non-GM users get null.
+ * @param {Array<{file: string}>} [manifest=TEST_MANIFEST]
+ * @returns {Promise<string[]|null>} Unlisted file names, or null if the folder could not be browsed
+ */
+export async function findUnlistedTestFiles(manifest = TEST_MANIFEST) {
+  if (!game.user?.isGM) return null;
+
+  const directory = `modules/${MODULE_ID}/scripts/tests`;
+  try {
+    const result = await getFilePickerClass().browse("data", directory);
+    const listed = new Set(manifest.map((entry) => entry.file));
+    return (result?.files ?? [])
+      .map((path) => decodeURIComponent(path.split("/").pop()))
+      .filter((file) => file.endsWith(TEST_FILE_SUFFIX) && !listed.has(file));
+  } catch (err) {
+    console.warn(`[${MODULE_ID}] Could not browse ${directory}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Check whether Quench knows a batch key.
+ * Uses Quench's batch map where available, otherwise the registry's record.
+ * @param {object|null} quench
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isKnownToQuench(quench, key) {
+  const quenchBatches = quench?._testBatches;
+  if (quenchBatches instanceof Map) return quenchBatches.has(key);
+  return isBatchRegistered(key);
+}
+
+/**
+ * Compare the loaded and registered batches against the manifest.
+ * @param {object} options - Options
+ * @param {object|null} [options.quench] - Quench instance (default: globalThis.quench)
+ * @param {Array<{file: string, key: string}>} [options.manifest=TEST_MANIFEST]
+ * @returns {Promise<object>} Problems found, grouped by kind; `ok` is true when there are none
+ *
+ * @example
+ * const result = await game.modules.get("bitd-alternate-sheets-test").api.selfCheck();
+ * result.notRegistered; // [{ file: "patches.test.js", key: "bitd-alternate-sheets.patches" }]
+ */
+export async function runSelfCheck({ quench = globalThis.quench ?? null, manifest = TEST_MANIFEST } = {}) {
+  const manifestKeys = new Set(manifest.map((entry) => entry.key));
+
+  const failedToLoad = loadResults.failed.map(({ file, error }) => ({
+    file,
+    message: error?.message ?? String(error),
+  }));
+  const notRegistered = manifest.filter((entry) => !isKnownToQuench(quench, entry.key));
+  const notInManifest = getBatches()
+    .filter((batch) => !manifestKeys.has(batch.key))
+    .map(({ id, key }) => ({ id, key }));
+  const unlistedFiles = await findUnlistedTestFiles(manifest);
+
+  return {
+    ok:
+      failedToLoad.length === 0 &&
+      notRegistered.length === 0 &&
+      notInManifest.length === 0 &&
+      (unlistedFiles?.length ?? 0) === 0,
+    failedToLoad,
+    notRegistered,
+    notInManifest,
+    unlistedFiles,
+  };
+}
+
+/**
+ * Log a self-check result: an error group plus a UI notification when
+ * anything is wrong, a single line otherwise.
+ * @param {object} result - Result of runSelfCheck()
+ */
+export function reportSelfCheck(result) {
+  if (result.ok) {
+    console.log(`[${MODULE_ID}] Self-check: all ${TEST_MANIFEST.length} test batches registered.`);
+    return;
+  }
+
+  console.group(`%c[${MODULE_ID}] TEST BATCH SELF-CHECK FAILED`, "color: red; font-weight: bold; font-size: 1.2em;");
+  for (const { file, message } of result.failedToLoad) {
+    console.error(`Failed to load ${file}: ${message}`);
+  }
+  for (const { file, key } of result.notRegistered) {
+    console.error(`Not registered with Quench: ${key} (${file})`);
+  }
+  for (const { id, key } of result.notInManifest) {
+    console.error(`Registered but missing from scripts/tests/manifest.js: ${key} (batch ${id})`);
+  }
+  for (const file of result.unlistedFiles ?? []) {
+    console.error(`On disk but missing from scripts/tests/manifest.js: ${file}`);
+  }
+  console.groupEnd();
+
+  const count =
+    result.failedToLoad.length +
+    result.notRegistered.length +
+    result.notInManifest.length +
+    (result.unlistedFiles?.length ?? 0);
+  ui.notifications?.error(
+    `[${MODULE_ID}] ${count} test batch problem(s): some tests will not run. See the console.`,
+    { permanent: true }
+  );
+}
@@ -0,0 +1,468 @@
+/**
+ * Test report export for bitd-alternate-sheets test runs.
+ * Normalizes the Quench (mocha JSON) report into a stable result format and
+ * renders it as JSON or JUnit XML for download or upload to the data folder.
+ */
+
+import { getQuarantineEntry } from "./quarantine.js";
+import { getArtifactFileName, getFailureArtifact, serializeArtifact } from "./failure-artifacts.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+const TARGET_MODULE_ID = "bitd-alternate-sheets";
+
+/** Format identifier written into every normalized report. */
+export const REPORT_FORMAT = "bitd-alternate-sheets-test.report";
+
+/** Bump when the normalized report shape changes. */
+export const REPORT_FORMAT_VERSION = 3;
+
+/** Data-folder directory that uploaded reports are written to. */
+export const REPORT_UPLOAD_DIR = `${MODULE_ID}-reports`;
+
+/** Matches the TestNumberer ID at the start of a test title (e.g. "4.2.3 "). */
+const TEST_ID_PATTERN = /^(\d+(?:\.\d+)+)\s+/;
+
+/** Marker used in test names for intentionally disabled functionality. */
+const DISABLED_MARKER = "[DISABLED]";
+
+/** Most recent normalized report, kept for the export dialog. */
+let lastReport = null;
+
+// ============================================================================
+// Normalization
+// ============================================================================
+
+/**
+ * Check whether a mocha test entry is intentionally disabled.
+ * @param {object} test - Mocha JSON test entry
+ * @returns {boolean}
+ */
+export function isDisabledTest(test) {
+  return Boolean(
+    test?.fullTitle?.includes(DISABLED_MARKER) || test?.title?.includes(DISABLED_MARKER)
+  );
+}
+
+/**
+ * Split a mocha test entry into batch key, TestNumberer ID and bare name.
+ * Quench wraps every batch in a suite named after the batch key, so the key
+ * is the first word of the full title.
+ * @param {object} test - Mocha JSON test entry
+ * @returns {{batch: string, id: string|null, name: string}}
+ */
+export function parseTestTitle(test) {
+  const title = test?.title ?? "";
+  const fullTitle = test?.fullTitle ?? title;
+  const batch = fullTitle.split(" ")[0] || "unknown";
+  const match = title.match(TEST_ID_PATTERN);
+  return {
+    batch,
+    id: match ? match[1] : null,
+    name: match ? title.slice(match[0].length) : title,
+  };
+}
+
+/**
+ * Normalize a single mocha test entry.
+ * A test that passed after one or more retries is flagged as flaky; a test on
+ * the quarantine list carries its quarantine reason. A failed test names its
+ * failure artifact file (see failure-artifacts.js) when one was captured.
+ * @param {object} test - Mocha JSON test entry
+ * @param {"passed"|"failed"|"skipped"|"disabled"} status
+ * @returns {object}
+ */
+function normalizeTest(test, status) {
+  const { batch, id, name } = parseTestTitle(test);
+  const message = test.err?.message ?? null;
+  const retries = Number(test.currentRetry) || 0;
+  const quarantine = getQuarantineEntry(id);
+  const artifact = status === "failed" ? getFailureArtifact(test.fullTitle ?? test.title ?? "") : null;
+  return {
+    id,
+    batch,
+    name,
+    title: test.title ?? "",
+    fullTitle: test.fullTitle ?? test.title ?? "",
+    status,
+    duration: Number(test.duration) || 0,
+    attempts: retries + 1,
+    flaky: status === "passed" && retries > 0,
+    quarantined: quarantine ? quarantine.reason || true : false,
+    error: status === "failed"
+      ? { message: message ?? "Unknown error", stack: test.err?.stack ?? null }
+      : null,
+    artifact: artifact ? getArtifactFileName(artifact) : null,
+  };
+}
+
+/**
+ * Collect version information for the environment the run happened in.
+ * @returns {object}
+ */
+function getEnvironmentInfo() {
+  const game = globalThis.game;
+  return {
+    foundry: game?.version ?? game?.data?.version ?? null,
+    system: game?.system ? `${game.system.id}@${game.system.version}` : null,
+    targetModule: game?.modules?.get(TARGET_MODULE_ID)?.version ?? null,
+    harness: game?.modules?.get(MODULE_ID)?.version ?? null,
+    world: game?.world?.id ?? null,
+    userAgent: globalThis.navigator?.userAgent ?? null,
+  };
+}
+
+/**
+ * Build a normalized report from the parsed Quench JSON report.
+ * Tests are classified as passed, failed, skipped or disabled; disabled tests
+ * are pending tests marked with "[DISABLED]" in their name. Failures of
+ * quarantined tests are counted separately and excluded from `failed`. A test
+ * failed after passing (by the leak guard, see leak-detector.js) is listed in
+ * both passes and failures and counts as failed.
+ * @param {object} data - Parsed mocha JSON report ({ stats, passes, failures, pending })
+ * @returns {object} Normalized report
+ */
+export function buildReport(data) {
+  const failedTitles = new Set((data.failures || []).map((test) => test.fullTitle ?? test.title));
+  const tests = [
+    ...(data.passes || [])
+      .filter((test) => !failedTitles.has(test.fullTitle ?? test.title))
+      .map((test) => normalizeTest(test, "passed")),
+    ...(data.failures || []).map((test) => normalizeTest(test, "failed")),
+    ...(data.pending || []).map((test) =>
+      normalizeTest(test, isDisabledTest(test) ? "disabled" : "skipped")
+    ),
+  ];
+
+  const count = (status) => tests.filter((test) => test.status === status).length;
+  const quarantinedFailures = tests.filter(
+    (test) => test.status === "failed" && test.quarantined
+  ).length;
+
+  return {
+    format: REPORT_FORMAT,
+    version: REPORT_FORMAT_VERSION,
+    generatedAt: new Date().toISOString(),
+    startedAt: data.stats?.start ?? null,
+    environment: getEnvironmentInfo(),
+    stats: {
+      total: tests.length,
+      passed: count("passed"),
+      failed: count("failed") - quarantinedFailures,
+      skipped: count("skipped"),
+      disabled: count("disabled"),
+      flaky: tests.filter((test) => test.flaky).length,
+      quarantined: quarantinedFailures,
+      duration: Number(data.stats?.duration) || 0,
+    },
+    tests,
+  };
+}
+
+/**
+ * Remember a report as the most recent run.
+ * @param {object} report - Normalized report
+ */
+export function setLastReport(report) {
+  lastReport = report;
+}
+
+/**
+ * Get the most recent normalized report.
+ * @returns {object|null}
+ */
+export function getLastReport() {
+  return lastReport;
+}
+
+// ============================================================================
+// Serialization
+// ============================================================================
+
+/**
+ * Escape a string for use in XML text or attribute values.
+ * Strips control characters that are not allowed in XML 1.0.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Format a millisecond duration as JUnit seconds.
+ * @param {number} ms
+ * @returns {string}
+ */
+function toSeconds(ms) {
+  return ((Number(ms) || 0) / 1000).toFixed(3);
+}
+
+/**
+ * Reference a test's failure artifact in JUnit system-out, using the
+ * attachment syntax CI servers pick up. The artifact sits next to the report.
+ * @param {object} test - Normalized test
+ * @returns {string} Empty without an artifact
+ */
+function attachment(test) {
+  return test.artifact ? `\n[[ATTACHMENT|${escapeXml(test.artifact)}]]` : "";
+}
+
+/**
+ * Serialize a normalized report as pretty-printed JSON.
+ * @param {object} report - Normalized report
+ * @returns {string}
+ */
+export function toJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Serialize a normalized report as a JUnit XML document.
+ * Each batch becomes a <testsuite>; the TestNumberer ID is kept in the
+ * testcase name so results can be matched across runs.
+ * @param {object} report - Normalized report
+ * @returns {string}
+ */
+export function toJUnitXml(report) {
+  const batches = new Map();
+  for (const test of report.tests) {
+    if (!batches.has(test.batch)) batches.set(test.batch, []);
+    batches.get(test.batch).push(test);
+  }
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(
+    `<testsuites name="${escapeXml(TARGET_MODULE_ID)}" tests="${report.stats.total}" ` +
+    `failures="${report.stats.failed}" ` +
+    `skipped="${report.stats.skipped + report.stats.disabled + report.stats.quarantined}" ` +
+    `time="${toSeconds(report.stats.duration)}" timestamp="${escapeXml(report.generatedAt)}">`
+  );
+
+  for (const [batch, tests] of batches) {
+    const failures = tests.filter(
+      (test) => test.status === "failed" && !test.quarantined
+    ).length;
+    const skipped = tests.filter((test) =>
+      test.status === "skipped" || test.status === "disabled" ||
+      (test.status === "failed" && test.quarantined)
+    ).length;
+    const time = tests.reduce((sum, test) => sum + test.duration, 0);
+
+    lines.push(
+      `  <testsuite name="${escapeXml(batch)}" tests="${tests.length}" ` +
+      `failures="${failures}" skipped="${skipped}" time="${toSeconds(time)}">`
+    );
+
+    for (const test of tests) {
+      const name = test.id ? `${test.id} ${test.name}` : test.name;
+      const open =
+        `    <testcase classname="${escapeXml(batch)}" name="${escapeXml(name)}" ` +
+        `time="${toSeconds(test.duration)}"`;
+
+      if (test.status === "failed" && test.quarantined) {
+        // Quarantined failures are reported without failing the suite
+        lines.push(`${open}>`);
+        lines.push(
+          `      <skipped message="${escapeXml(`quarantined: ${test.quarantined}`)}"/>`
+        );
+        lines.push(`      <system-out>${escapeXml(test.error?.message)}${attachment(test)}</system-out>`);
+        lines.push("    </testcase>");
+      } else if (test.status === "failed") {
+        lines.push(`${open}>`);
+        lines.push(
+          `      <failure message="${escapeXml(test.error?.message)}">` +
+          `${escapeXml(test.error?.stack ?? test.error?.message)}</failure>`
+        );
+        if (test.artifact) lines.push(`      <system-out>${attachment(test).trim()}</system-out>`);
+        lines.push("    </testcase>");
+      } else if (test.status === "skipped" || test.status === "disabled") {
+        lines.push(`${open}>`);
+        lines.push(`      <skipped message="${test.status}"/>`);
+        lines.push("    </testcase>");
+      } else if (test.flaky) {
+        lines.push(`${open}>`);
+        lines.push(`      <system-out>flaky: passed on attempt ${test.attempts}</system-out>`);
+        lines.push("    </testcase>");
+      } else {
+        lines.push(`${open}/>`);
+      }
+    }
+
+    lines.push("  </testsuite>");
+  }
+
+  lines.push("</testsuites>");
+  return lines.join("\n");
+}
+
+/**
+ * Serialize a report in the requested format.
+ * @param {object} report - Normalized report
+ * @param {"json"|"junit"} format
+ * @returns {{content: string, type: string, extension: string}}
+ */
+function serializeReport(report, format) {
+  if (format === "junit") {
+    return { content: toJUnitXml(report), type: "application/xml", extension: "xml" };
+  }
+  if (format === "json") {
+    return { content: toJson(report), type: "application/json", extension: "json" };
+  }
+  throw new Error(`Unknown report format: ${format}`);
+}
+
+/**
+ * Build a filesystem-safe file name for a report.
+ * @param {object} report - Normalized report
+ * @param {string} extension
+ * @returns {string}
+ */
+export function getReportFileName(report, extension) {
+  const stamp = (report.generatedAt || new Date().toISOString()).replace(/[:.]/g, "-");
+  return `${TARGET_MODULE_ID}-tests-${stamp}.${extension}`;
+}
+
+// ============================================================================
+// Export Targets
+// ============================================================================
+
+/**
+ * Get the FilePicker class, preferring the V13+ namespaced implementation.
+ * @returns {typeof FilePicker}
+ */
+function getFilePickerClass() {
+  return foundry?.applications?.apps?.FilePicker?.implementation ?? FilePicker;
+}
+
+/**
+ * Trigger a browser download of a report.
+ * @param {object} report - Normalized report
+ * @param {"json"|"junit"} format
+ * @returns {string} The downloaded file name
+ */
+export function downloadReport(report, format = "json") {
+  const { content, type, extension } = serializeReport(report, format);
+  const fileName = getReportFileName(report, extension);
+  const save = foundry?.utils?.saveDataToFile ?? globalThis.saveDataToFile;
+  save(content, type, fileName);
+  return fileName;
+}
+
+/**
+ * Make sure the report directory exists in the data folder.
+ * @param {string} directory
+ * @returns {Promise<void>}
+ */
+async function ensureDataDirectory(directory) {
+  const FilePickerClass = getFilePickerClass();
+  try {
+    await FilePickerClass.browse("data", directory);
+  } catch {
+    await FilePickerClass.createDirectory("data", directory);
+  }
+}
+
+/**
+ * Upload a report into the world's data folder via FilePicker.upload.
+ * The failure artifacts of its failed tests are written next to it.
+ * Requires a user with file upload permission.
+ * @param {object} report - Normalized report
+ * @param {object} options
+ * @param {Array<"json"|"junit">} options.formats - Formats to write (default both)
+ * @param {string} options.directory - Target directory (default REPORT_UPLOAD_DIR)
+ * @param {boolean} options.artifacts - Also write failure artifacts (default true)
+ * @returns {Promise<string[]>} Paths of the uploaded files
+ */
+export async function uploadReport(
+  report,
+  { formats = ["json", "junit"], directory = REPORT_UPLOAD_DIR, artifacts = true } = {}
+) {
+  const FilePickerClass = getFilePickerClass();
+  await ensureDataDirectory(directory);
+
+  const paths = [];
+  for (const format of formats) {
+    const { content, type, extension } = serializeReport(report, format);
+    const file = new File([content], getReportFileName(report, extension), { type });
+    const result = await FilePickerClass.upload("data", directory, file, {}, { notify: false });
+    paths.push(result?.path ?? `${directory}/${file.name}`);
+  }
+
+  for (const test of artifacts ? report.tests : []) {
+    const artifact = test.artifact && getFailureArtifact(test.fullTitle);
+    if (!artifact) continue;
+    const file = new File([serializeArtifact(artifact, test.error)], test.artifact, { type: "application/json" });
+    const result = await FilePickerClass.upload("data", directory, file, {}, { notify: false });
+    paths.push(result?.path ?? `${directory}/${file.name}`);
+  }
+  return paths;
+}
+
+/**
+ * Open a dialog offering the export targets for a report.
+ * Uses DialogV2 where available and falls back to the V1 Dialog.
+ * @param {object} [report] - Normalized report (default: last report)
+ * @returns {Promise<void>}
+ */
+export async function showReportDialog(report = lastReport) {
+  if (!report) {
+    ui.notifications?.warn(`[${MODULE_ID}] No test report available yet.`);
+    return;
+  }
+
+  const { stats } = report;
+  const content =
+    `<p>${stats.total} tests: ${stats.passed} passed (${stats.flaky} flaky), ` +
+    `${stats.failed} failed, ${stats.quarantined} quarantined, ` +
+    `${stats.skipped} skipped, ${stats.disabled} disabled.</p>`;
+
+  const actions = {
+    json: () => downloadReport(report, "json"),
+    junit: () => downloadReport(report, "junit"),
+    upload: async () => {
+      try {
+        const paths = await uploadReport(report);
+        ui.notifications?.info(`[${MODULE_ID}] Saved ${paths.join(", ")}`);
+      } catch (err) {
+        console.error(`[${MODULE_ID}] Failed to upload test report:`, err);
+        ui.notifications?.error(`[${MODULE_ID}] Failed to upload test report: ${err.message}`);
+      }
+    },
+  };
+
+  const buttons = [
+    { action: "json", label: "Download JSON", icon: "fas fa-file-code" },
+    { action: "junit", label: "Download JUnit XML", icon: "fas fa-file-lines" },
+    { action: "upload", label: "Save to Data Folder", icon: "fas fa-cloud-arrow-up" },
+  ];
+
+  const DialogV2Class = foundry?.applications?.api?.DialogV2;
+  if (DialogV2Class) {
+    const choice = await DialogV2Class.wait({
+      window: { title: "Test Report Export" },
+      content,
+      buttons: buttons.map(({ action, label, icon }) => ({ action, label, icon })),
+      rejectClose: false,
+    });
+    if (choice) await actions[choice]?.();
+    return;
+  }
+
+  new Dialog({
+    title: "Test Report Export",
+    content,
+    buttons: Object.fromEntries(
+      buttons.map(({ action, label, icon }) => [
+        action,
+        { label, icon: `<i class="${icon}"></i>`, callback: actions[action] },
+      ])
+    ),
+    default: "json",
+  }).render(true);
+}
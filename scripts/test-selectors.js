@@ -328,6 +328,22 @@ export const DIALOGS = {
   V1_APP: ".dialog.app",
   /** Radio selection inputs */
   SELECTION_RADIOS: 'input[type="radio"][name="selectionId"]',
+  /** Card chooser markup (cards, radios or the custom text field) */
+  CHOOSER: 'form.selection-dialog, .card-content, input[name="selectionId"], input[name="customTextValue"]',
+  /** Custom text field of the card chooser */
+  CUSTOM_TEXT_INPUT: 'input[name="customTextValue"]',
+  /** Free text input of the custom text field or the plain text dialog (any text or value input) */
+  TEXT_INPUT: 'input[name="customTextValue"], input[type="text"], input[name="value"]',
+  /** Yes button of a confirm dialog (V2, V1) */
+  CONFIRM_YES: 'button[data-action="yes"], button[data-button="yes"]',
+  /** Confirm button: OK (V2), confirm (V1), yes (V2, V1) */
+  CONFIRM_BUTTON:
+    'button[data-action="ok"], button[data-button="confirm"], button[data-action="yes"], button[data-button="yes"]',
+  /** Cancel button: cancel (V2, V1), no (V2, V1) */
+  CANCEL_BUTTON:
+    'button[data-action="cancel"], button[data-button="cancel"], button[data-action="no"], button[data-button="no"]',
+  /** Clear button that submits an empty value (V2, V1) */
+  CLEAR_BUTTON: 'button[data-action="clear"], button[data-button="clear"]',
 };
 
 // ============================================================================
@@ -0,0 +1,116 @@
+/**
+ * Console summary of a test run.
+ * Logged by module.js after every Quench run and by the browser CLI
+ * (tools/browser/run.js) after a run it drives, so both read the same.
+ * Only uses the normalized report and a console, so it also runs under Node,
+ * which ignores the %c styles.
+ */
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/**
+ * Log the summary of a normalized report: totals, then collapsed groups of
+ * failed, flaky, quarantined, skipped and disabled tests, then a status line.
+ * @param {object} report - Normalized report from buildReport()
+ * @param {Console} [out=console]
+ */
+export function logReportSummary(report, out = console) {
+  // Group tests by outcome. Quarantined failures are listed on their own
+  // and flaky tests (passed on a retry) are counted as passed.
+  const byStatus = (status) => report.tests.filter((t) => t.status === status);
+  const failedTests = byStatus("failed").filter((t) => !t.quarantined);
+  const quarantinedTests = byStatus("failed").filter((t) => t.quarantined);
+  const unexpectedSkips = byStatus("skipped");
+  const disabledTests = byStatus("disabled");
+  const flakyTests = report.tests.filter((t) => t.flaky);
+
+  const { total, passed, failed, skipped, disabled, flaky, quarantined, duration } = report.stats;
+
+  out.log("\n\n%c════════════════════════════════════════════════════════════", "color: #888;");
+  out.log("%c                    QUENCH TEST SUMMARY", "font-weight: bold; font-size: 14px;");
+  out.log("%c════════════════════════════════════════════════════════════", "color: #888;");
+  out.log(`  Total:    %c${total}`, "color: inherit;");
+  out.log(`  Passed:   %c${passed}`, "color: green;");
+  out.log(`  Failed:   %c${failed}`, failed ? "color: red; font-weight: bold;" : "color: green;");
+  out.log(`  Skipped:  %c${skipped}`, skipped > 0 ? "color: orange;" : "color: green;");
+  if (disabled > 0) {
+    out.log(`  Disabled: %c${disabled}`, "color: #888;");
+  }
+  if (flaky > 0) {
+    out.log(`  Flaky:    %c${flaky}`, "color: #c90;");
+  }
+  if (quarantined > 0) {
+    out.log(`  Quarantined: %c${quarantined}`, "color: #a6c;");
+  }
+  out.log(`  Duration: ${duration || 0}ms`);
+
+  // Log failed tests in a collapsed group
+  if (failedTests.length > 0) {
+    out.log("");
+    out.groupCollapsed(`%c✗ Failed Tests (${failedTests.length})`, "color: red; font-weight: bold;");
+    for (const failure of failedTests) {
+      out.log(`%c✗ ${failure.fullTitle}`, "color: red;");
+      if (failure.error?.message) {
+        out.log(`  %c${failure.error.message}`, "color: #c66;");
+      }
+      if (failure.artifact) {
+        out.log(
+          `  %cArtifact: game.modules.get("${MODULE_ID}").api.artifacts.download(${JSON.stringify(failure.fullTitle)})`,
+          "color: #888;"
+        );
+      }
+    }
+    out.groupEnd();
+  }
+
+  // Log flaky tests (failed at least once, then passed on a retry)
+  if (flakyTests.length > 0) {
+    out.groupCollapsed(`%c⚠ Flaky Tests (${flakyTests.length})`, "color: #c90; font-weight: bold;");
+    for (const test of flakyTests) {
+      out.log(`%c⚠ ${test.fullTitle} (passed on attempt ${test.attempts})`, "color: #c90;");
+    }
+    out.groupEnd();
+  }
+
+  // Log quarantined failures separately; they do not fail the run
+  if (quarantinedTests.length > 0) {
+    out.groupCollapsed(`%c☣ Quarantined Tests (${quarantinedTests.length})`, "color: #a6c; font-weight: bold;");
+    for (const test of quarantinedTests) {
+      out.log(`%c☣ ${test.fullTitle}`, "color: #a6c;");
+      out.log(`  %cQuarantined: ${test.quarantined}`, "color: #888;");
+      if (test.error?.message) {
+        out.log(`  %c${test.error.message}`, "color: #888;");
+      }
+    }
+    out.groupEnd();
+  }
+
+  // Log unexpected skipped tests in a collapsed group (not disabled ones)
+  if (unexpectedSkips.length > 0) {
+    out.groupCollapsed(`%c⊘ Skipped Tests (${unexpectedSkips.length})`, "color: orange; font-weight: bold;");
+    for (const skipped of unexpectedSkips) {
+      out.log(`%c⊘ ${skipped.fullTitle}`, "color: orange;");
+    }
+    out.groupEnd();
+  }
+
+  // Log disabled tests separately (collapsed, dimmed)
+  if (disabledTests.length > 0) {
+    out.groupCollapsed(`%c⊗ Disabled Tests (${disabledTests.length})`, "color: #888;");
+    for (const disabled of disabledTests) {
+      out.log(`%c⊗ ${disabled.fullTitle}`, "color: #888;");
+    }
+    out.groupEnd();
+  }
+
+  // Final status line
+  out.log("%c════════════════════════════════════════════════════════════", "color: #888;");
+  if (failed > 0) {
+    out.log(`%c✗ ${failed} of ${total} test(s) failed`, "color: red; font-weight: bold; font-size: 12px;");
+  } else if (passed > 0 && skipped > 0) {
+    out.log(`%c✓ ${passed} of ${total} tests passed (%c${skipped} skipped%c)`, "color: green; font-weight: bold; font-size: 12px;", "color: orange; font-weight: bold;", "color: green;");
+  } else if (passed > 0) {
+    out.log(`%c✓ ${passed} of ${total} tests passed!`, "color: green; font-weight: bold; font-size: 12px;");
+  }
+  out.log("%c════════════════════════════════════════════════════════════\n", "color: #888;");
+}
@@ -3,6 +3,19 @@
  * Provides helpers for actor creation, sheet manipulation, and DOM interaction.
  */
 
+import { getRetryCount } from "./flaky-tests.js";
+import { isTestFocused } from "./test-focus.js";
+import { EXPECTED_TEST_ERROR_PREFIX, failOnUnexpectedErrors } from "./capture.js";
+import { captureFailureArtifact } from "./failure-artifacts.js";
+import {
+  getElement,
+  isApplicationV2,
+  isDialog,
+  isV1DocumentSheet,
+  listOpenApplications,
+  closeApplication,
+} from "./app-compat.js";
+
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
 
 // ============================================================================
@@ -95,6 +108,15 @@ export class TestNumberer {
     this._counterAtDepth = [0];   // Unified counter at each depth (tests + sections share)
   }
 
+  /**
+   * Start numbering from the beginning again. registerBatch() calls this
+   * each time Quench builds the batch, so IDs stay the same across runs.
+   */
+  reset() {
+    this.numberStack = [];
+    this._counterAtDepth = [0];
+  }
+
   /**
    * Get the next number at the current depth and increment the counter.
    * @returns {number} The next available number
@@ -146,6 +168,10 @@ export class TestNumberer {
   /**
    * Wrap an it block with auto-numbered test.
    * Must be called inside a section() block.
+   * In rerun mode (see flaky-tests.js) the test is retried after a failure.
+   * The test fails if it logs an unexpected error (see capture.js).
+   * A failure leaves an artifact of the state it failed in (see failure-artifacts.js).
+   * While a focus is set (see test-focus.js) only focused tests are registered.
    * @param {string} name - Test name (without number prefix)
    * @param {Function} fn - Test function (can be async)
    * @throws {Error} If called outside of a section
@@ -162,8 +188,13 @@ export class TestNumberer {
     const num = this._getNextNumber();
     const numberStr = this.numberStack.join(".");
     const fullNumber = `${this.batchId}.${numberStr}.${num}`;
+    if (!isTestFocused(fullNumber)) return;
+
+    const test = it(`${fullNumber} ${name}`, captureFailureArtifact(failOnUnexpectedErrors(fn)));
 
-    it(`${fullNumber} ${name}`, fn);
+    // Rerun mode: retry failures so flaky tests can be told apart from broken ones
+    const retries = getRetryCount();
+    if (retries > 0) test.retries(retries);
   }
 
   /**
@@ -183,6 +214,7 @@ export class TestNumberer {
     const num = this._getNextNumber();
     const numberStr = this.numberStack.join(".");
     const fullNumber = `${this.batchId}.${numberStr}.${num}`;
+    if (!isTestFocused(fullNumber)) return;
 
     it.skip(`${fullNumber} ${name}`, fn);
   }
@@ -210,12 +242,7 @@ export class TestNumberer {
   }
 }
 
-/**
- * Prefix for expected test errors. Use this when throwing errors that are
- * intentionally generated as part of a test, so they don't appear alarming in console.
- * @example throw new Error(expectedTestError("update failure"));
- */
-export const EXPECTED_TEST_ERROR_PREFIX = "[EXPECTED TEST ERROR]";
+export { EXPECTED_TEST_ERROR_PREFIX };
 
 /**
  * Create an error message with the expected test error prefix.
@@ -271,26 +298,6 @@ export function assertNotEmpty(assert, collection, message) {
   assert.ok(length > 0, message);
 }
 
-// ============================================================================
-// V13+ Compatibility Helpers
-// ============================================================================
-
-/**
- * Get the ActorSheet class, preferring the V13+ namespaced version.
- * @returns {typeof ActorSheet}
- */
-function getActorSheetClass() {
-  return foundry?.appv1?.sheets?.ActorSheet ?? ActorSheet;
-}
-
-/**
- * Get the ItemSheet class, preferring the V13+ namespaced version.
- * @returns {typeof ItemSheet}
- */
-function getItemSheetClass() {
-  return foundry?.appv1?.sheets?.ItemSheet ?? ItemSheet;
-}
-
 /**
  * Wait for an actor update via Hooks.
  * @param {Actor} actor - The actor to watch
@@ -351,42 +358,245 @@ export async function waitForActorCondition(
   });
 }
 
+// ============================================================================
+// Sheet Readiness
+// ============================================================================
+
+/** Selector that marks a fully rendered alternate sheet. */
+const SHEET_READY_SELECTOR = ".sheet-wrapper";
+
+/** Recent readiness timings, newest last (see getSheetReadinessLog). */
+const sheetReadinessLog = [];
+const SHEET_READINESS_LOG_LIMIT = 200;
+
+/**
+ * Get the root HTMLElement of a sheet (V1 jQuery or V2 HTMLElement).
+ * @param {Application} sheet
+ * @returns {HTMLElement|null}
+ */
+function getSheetElement(sheet) {
+  return sheet ? getElement(sheet) : null;
+}
+
+/**
+ * Get the hook names Foundry fires for an application lifecycle event.
+ * Hooks are called once per class in the inheritance chain, e.g.
+ * renderBladesAlternateActorSheet, renderActorSheet, renderApplication.
+ * @param {Application} app
+ * @param {string} event - Hook prefix ("render" or "close")
+ * @returns {string[]}
+ */
+function getAppHookNames(app, event) {
+  const names = [];
+  let cls = app?.constructor;
+  while (cls?.name && cls !== Object) {
+    names.push(`${event}${cls.name}`);
+    cls = Object.getPrototypeOf(cls);
+  }
+  return names;
+}
+
+/**
+ * Record a readiness timing entry.
+ * @param {object} entry
+ */
+function logSheetReadiness(entry) {
+  sheetReadinessLog.push(entry);
+  if (sheetReadinessLog.length > SHEET_READINESS_LOG_LIMIT) {
+    sheetReadinessLog.shift();
+  }
+}
+
+/**
+ * Get recent sheet readiness timings, newest last.
+ * Useful for spotting slow renders across a run.
+ * @returns {Array<{sheet: string, actorId: string|null, hook: string|null, elapsedMs: number, timedOut: boolean}>}
+ */
+export function getSheetReadinessLog() {
+  return [...sheetReadinessLog];
+}
+
+/**
+ * Wait until a sheet has rendered its `.sheet-wrapper` for the given actor.
+ * Listens to the `render<SheetClass>` hooks for this sheet and observes the DOM,
+ * so it resolves as soon as the sheet is ready instead of polling.
+ *
+ * @param {Application} sheet - The sheet to watch
+ * @param {object} options - Options
+ * @param {Actor} [options.actor] - Actor the sheet must be rendering (default: sheet.document)
+ * @param {Function} [options.trigger] - Called once listeners are attached (e.g. () => sheet.render(true))
+ * @param {boolean} [options.requireRender=true] - Wait for a render hook even if the wrapper is already present
+ * @param {number} [options.timeoutMs=3000] - Timeout in milliseconds
+ * @returns {Promise<{sheet: Application, element: HTMLElement, hook: string|null, elapsedMs: number}>}
+ *
+ * @example
+ * const { elapsedMs } = await waitForSheetReady(sheet, { trigger: () => sheet.render(true) });
+ */
+export function waitForSheetReady(
+  sheet,
+  { actor, trigger, requireRender = true, timeoutMs = 3000 } = {}
+) {
+  const expectedId = actor?.id ?? sheet?.document?.id ?? sheet?.actor?.id ?? null;
+  const start = performance.now();
+
+  return new Promise((resolve, reject) => {
+    let rendered = !requireRender;
+    let renderHook = null;
+    let settled = false;
+    const hookIds = [];
+    let observer = null;
+    let timer = null;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      observer?.disconnect();
+      for (const [name, id] of hookIds) Hooks.off(name, id);
+      const elapsedMs = Math.round(performance.now() - start);
+      logSheetReadiness({
+        sheet: sheet?.id ?? sheet?.constructor?.name ?? "unknown",
+        actorId: expectedId,
+        hook: renderHook,
+        elapsedMs,
+        timedOut: Boolean(error),
+      });
+      if (error) reject(error);
+      else resolve({ ...result, elapsedMs });
+    };
+
+    const check = () => {
+      if (!rendered) return;
+      const element = getSheetElement(sheet);
+      if (!element?.isConnected) return;
+      if (!element.querySelector(SHEET_READY_SELECTOR)) return;
+      const sheetId = sheet.document?.id ?? sheet.actor?.id ?? null;
+      if (expectedId && sheetId !== expectedId) return;
+      finish(null, { sheet, element, hook: renderHook });
+    };
+
+    for (const name of getAppHookNames(sheet, "render")) {
+      const id = Hooks.on(name, (app) => {
+        if (app !== sheet) return;
+        rendered = true;
+        renderHook ??= name;
+        check();
+      });
+      hookIds.push([name, id]);
+    }
+
+    observer = new MutationObserver(check);
+    observer.observe(document.body, { childList: true, subtree: true });
+
+    timer = setTimeout(() => {
+      finish(new Error(
+        `Timed out after ${timeoutMs}ms waiting for sheet to render` +
+        (expectedId ? ` (${expectedId})` : "")
+      ));
+    }, timeoutMs);
+
+    try {
+      trigger?.();
+    } catch (err) {
+      finish(err);
+      return;
+    }
+    check();
+  });
+}
+
+/**
+ * Re-render an open sheet and wait for the render to complete.
+ * If the render is coalesced with one already in flight and no hook fires
+ * for it, falls back to the current DOM once the wrapper is present and
+ * logs the timeout as a warning, so a stale render stays visible.
+ * @param {Application} sheet - The sheet to re-render
+ * @param {object} options - Options
+ * @param {boolean} [options.force=false] - Force render
+ * @param {number} [options.timeoutMs=2000] - Timeout in milliseconds
+ * @returns {Promise<Application>}
+ */
+export async function rerenderSheet(sheet, { force = false, timeoutMs = 2000 } = {}) {
+  try {
+    await waitForSheetReady(sheet, { trigger: () => sheet.render(force), timeoutMs });
+  } catch (err) {
+    if (!getSheetElement(sheet)?.querySelector(SHEET_READY_SELECTOR)) throw err;
+    console.warn(`[Test Utils] ${err.message}; using the sheet's current DOM`);
+  }
+  return sheet;
+}
+
+/**
+ * Wait until a sheet has closed and its element has left the DOM.
+ * @param {Application} sheet - The sheet to watch
+ * @param {object} options - Options
+ * @param {Function} [options.trigger] - Called once listeners are attached (e.g. () => sheet.close())
+ * @param {number} [options.timeoutMs=1000] - Timeout in milliseconds
+ * @returns {Promise<boolean>} True if the sheet closed, false on timeout
+ */
+export function waitForSheetClosed(sheet, { trigger, timeoutMs = 1000 } = {}) {
+  const element = getSheetElement(sheet);
+
+  return new Promise((resolve) => {
+    let settled = false;
+    let timer = null;
+    const observer = new MutationObserver(() => check());
+
+    const finish = (closed) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      observer.disconnect();
+      resolve(closed);
+    };
+
+    const check = () => {
+      if (!sheet?.rendered && !element?.isConnected) finish(true);
+    };
+
+    observer.observe(document.body, { childList: true, subtree: true });
+    timer = setTimeout(() => finish(false), timeoutMs);
+
+    // close() may reject or never settle on V13; the DOM check decides
+    Promise.resolve()
+      .then(() => trigger?.())
+      .then(check, check);
+    check();
+  });
+}
+
 /**
  * Ensure an actor's sheet is rendered and return it.
- * Waits for the element to be populated after render.
+ * Resolves once the sheet's `.sheet-wrapper` is in the DOM (see waitForSheetReady).
  * @param {Actor} actor - The actor
+ * @param {object} options - Options
+ * @param {number} [options.timeoutMs=3000] - Timeout in milliseconds
  * @returns {Promise<ActorSheet>}
  */
-export async function ensureSheet(actor) {
+export async function ensureSheet(actor, { timeoutMs = 3000 } = {}) {
   const sheet = actor.sheet;
   if (!sheet) {
     throw new Error("Actor has no sheet instance");
   }
-  if (!sheet.rendered) {
-    await sheet.render(true);
-  }
 
-  // Wait for the element to be populated (up to 2 seconds)
-  const maxWait = 2000;
-  const interval = 50;
-  let waited = 0;
-  while (waited < maxWait) {
-    const el = sheet.element?.[0] || sheet.element;
-    if (el && typeof el.querySelector === "function") {
-      break;
-    }
-    await new Promise((resolve) => setTimeout(resolve, interval));
-    waited += interval;
+  if (sheet.rendered && getSheetElement(sheet)?.querySelector(SHEET_READY_SELECTOR)) {
+    return sheet;
   }
 
-  // Final delay to ensure DOM is fully settled
-  await new Promise((resolve) => setTimeout(resolve, 100));
+  // Already rendering: wait for the wrapper; otherwise render and wait for the hook
+  await waitForSheetReady(sheet, {
+    actor,
+    trigger: sheet.rendered ? null : () => sheet.render(true),
+    requireRender: !sheet.rendered,
+    timeoutMs,
+  });
   return sheet;
 }
 
 /**
  * Get the root element of a rendered journal sheet.
- * Handles V12 (Application) and V13 (ApplicationV2) differences.
+ * Resolved through app-compat.js, so V1 and ApplicationV2 journal sheets
+ * are both found.
  * @param {JournalEntry} journal - The journal entry
  * @returns {Promise<HTMLElement|null>}
  */
@@ -401,76 +611,8 @@ export async function getJournalSheetElement(journal) {
   // Wait for DOM to settle
   await new Promise((resolve) => setTimeout(resolve, 500));
 
-  // Helper to validate an element is usable (not a button, has querySelector)
-  const isValidElement = (el) => {
-    return el && typeof el.querySelector === "function" && el.tagName !== "BUTTON";
-  };
-
-  // Try standard element access (V12 style)
-  let root = journal.sheet.element?.[0] || journal.sheet.element;
-  if (isValidElement(root)) {
-    return root;
-  }
-
-  // V13 ApplicationV2: find window in ui.windows by document ID
-  for (const app of Object.values(ui.windows)) {
-    if (app.document?.id === journal.id || app.object?.id === journal.id) {
-      // Try app.element (may be jQuery-wrapped or raw HTMLElement)
-      const el = app.element?.[0] || app.element;
-      if (isValidElement(el)) {
-        return el;
-      }
-
-      // V13 ApplicationV2 may expose element differently
-      // Try _element (internal property some V13 apps use)
-      const internalEl = app._element?.[0] || app._element;
-      if (isValidElement(internalEl)) {
-        return internalEl;
-      }
-
-      // Try finding by app ID in DOM (V13 uses data-appid attribute)
-      const appId = app.appId ?? app.id;
-      const domEl = document.getElementById(`app-${appId}`) ||
-                    document.querySelector(`[data-appid="${appId}"]`) ||
-                    document.querySelector(`#${app.id}`) ||
-                    document.querySelector(`[id="${app.id}"]`);
-      if (domEl) return domEl;
-    }
-  }
-
-  // V13 specific: look for journal windows by class patterns
-  const v13JournalPatterns = [
-    '.journal-sheet.application',
-    '.journal-entry.application',
-    'journal-sheet', // Custom element name in V13
-    'journal-entry-page-sheet',
-    '.window-app.journal-sheet',
-    '.app.window-app[data-document-id]'
-  ];
-
-  for (const pattern of v13JournalPatterns) {
-    const el = document.querySelector(pattern);
-    if (el) {
-      // Verify this is our journal by checking document ID if available
-      const docId = el.dataset?.documentId;
-      if (!docId || docId === journal.id) {
-        return el;
-      }
-    }
-  }
-
-  // Fallback: search DOM for journal window by document ID
-  const byDocId = document.querySelector(`.journal-sheet[data-document-id="${journal.id}"]`) ||
-                  document.querySelector(`.journal-entry[data-document-id="${journal.id}"]`) ||
-                  document.querySelector(`[data-document-id="${journal.id}"]`);
-  if (byDocId) return byDocId;
-
-  // Fallback: search for any journal sheet window
-  const anyJournal = document.querySelector('.journal-sheet.app.window-app') ||
-                     document.querySelector('.journal-entry-sheet');
-  if (anyJournal) return anyJournal;
-
-  return null;
+  // The journal's open windows first, then its sheet even if not flagged rendered
+  return getElement(journal) ?? getElement(journal.sheet);
 }
 
 /**
@@ -681,11 +823,12 @@ export async function findClassItem(playbookName) {
 }
 
 /**
- * Create a test actor with a playbook.
+ * Create a test actor with a playbook, switched to through its sheet.
  * @param {object} options - Options
  * @param {string} options.name - Actor name (default: auto-generated)
  * @param {string} options.playbookName - Playbook to assign
  * @returns {Promise<{actor: Actor, playbookItem: Item}>}
+ * @throws {Error} If the actor has no sheet (reported as skipped by the headless runner)
  */
 export async function createTestActor({ name, playbookName } = {}) {
   const actorName = name || `Alt Sheets Test ${Date.now()}`;
@@ -709,7 +852,15 @@ export async function createTestActor({ name, playbookName } = {}) {
   }
   await actor.update({ "system.playbook": createdPlaybook.name });
 
-  const sheet = await ensureSheet(actor);
+  // Without a sheet (e.g. the headless runner) the playbook switch cannot run;
+  // fail rather than hand back a half-built actor, and do not leave it behind
+  let sheet;
+  try {
+    sheet = await ensureSheet(actor);
+  } catch (err) {
+    await actor.delete();
+    throw err;
+  }
   await sheet.switchPlaybook(createdPlaybook);
   await new Promise((resolve) => setTimeout(resolve, 200));
   return { actor, playbookItem: createdPlaybook };
@@ -890,8 +1041,7 @@ export async function applyToothClick({ actor, attribute, value, timeoutMs = 100
 
   input.dispatchEvent(new MouseEvent("mousedown", { bubbles: true }));
   await updatePromise;
-  await sheet.render(false);
-  await new Promise((resolve) => setTimeout(resolve, 0));
+  await rerenderSheet(sheet);
 
   const exp = foundry.utils.getProperty(
     actor.system,
@@ -912,8 +1062,7 @@ export async function applyToothClick({ actor, attribute, value, timeoutMs = 100
 export async function setAttributeExp(actor, attribute, value) {
   await actor.update({ [`system.attributes.${attribute}.exp`]: String(value) });
   const sheet = await ensureSheet(actor);
-  await sheet.render(false);
-  await new Promise((resolve) => setTimeout(resolve, 0));
+  await rerenderSheet(sheet);
 }
 
 /**
@@ -929,44 +1078,14 @@ export function isTargetModuleActive() {
  * Handles both V1 apps in ui.windows and V2 DialogV2 native <dialog> elements.
  */
 export async function closeAllDialogs() {
-  // Helper to wrap promises with timeout to prevent hanging
-  const withTimeout = (promise, ms = 500) =>
-    Promise.race([
-      promise,
-      new Promise((resolve) => setTimeout(resolve, ms)),
-    ]);
-
-  // Get V13+ namespaced classes to avoid deprecation warnings
-  const ActorSheetClass = getActorSheetClass();
-  const ItemSheetClass = getItemSheetClass();
-
-  // Close V1 apps in ui.windows (but not actor sheets - those are handled separately)
-  for (const app of Object.values(ui.windows)) {
-    if (app.rendered && !(app instanceof ActorSheetClass) && !(app instanceof ItemSheetClass)) {
-      try {
-        await withTimeout(app.close(), 500);
-      } catch {
-        // Ignore errors
-      }
-    }
-  }
-
-  // Close V2 DialogV2 instances (V13+ registry)
-  // Only close actual dialogs, not other ApplicationV2 apps (like Quench reporter)
-  const appInstances = foundry?.applications?.instances;
-  const DialogV2Class = foundry?.applications?.api?.DialogV2;
-  if (appInstances instanceof Map && DialogV2Class) {
-    // Convert to array first - closing apps modifies the Map during iteration
-    const apps = Array.from(appInstances.values());
-    for (const app of apps) {
-      // Only close DialogV2 instances
-      if (!(app instanceof DialogV2Class)) continue;
-      try {
-        await withTimeout(app.close(), 500);
-      } catch {
-        // Ignore errors
-      }
-    }
+  // Close V1 apps (but not actor/item sheets - those are handled separately)
+  // and V2 DialogV2 instances; other ApplicationV2 apps (like the Quench
+  // reporter) stay open. Snapshot the list first: closing modifies it.
+  for (const app of listOpenApplications()) {
+    const shouldClose = isApplicationV2(app)
+      ? isDialog(app)
+      : app.rendered && !isV1DocumentSheet(app);
+    if (shouldClose) await closeApplication(app, { timeoutMs: 500 });
   }
 
   // Fallback: Close any remaining V2 DialogV2 elements (native <dialog> in DOM)
@@ -1088,8 +1207,7 @@ export function getCrewStat(actor, stat) {
 export async function setCrewStat(actor, stat, value) {
   await actor.update({ [`system.${stat}`]: value });
   const sheet = await ensureSheet(actor);
-  await sheet.render(false);
-  await new Promise((resolve) => setTimeout(resolve, 0));
+  await rerenderSheet(sheet);
 }
 
 /**
@@ -1153,8 +1271,7 @@ export async function applyCrewToothClick({ actor, stat, value, timeoutMs = 1000
   // Dispatch mousedown on the label - this is what the handler listens for
   label.dispatchEvent(new MouseEvent("mousedown", { bubbles: true }));
   await updatePromise;
-  await sheet.render(false);
-  await new Promise((resolve) => setTimeout(resolve, 0));
+  await rerenderSheet(sheet);
 
   const statValue = foundry.utils.getProperty(actor.system, stat);
   const max = getCrewStatMax(actor, stat);
@@ -1289,10 +1406,10 @@ export async function runCrewTeethTest({
  * Handles V12/V13 differences and ApplicationV2 edge cases.
  * @param {Actor|null} actor - The actor to clean up (can be null)
  * @param {object} options - Options
- * @param {number} options.closeDelay - Delay after closing sheet (default 100)
+ * @param {number} options.closeDelay - Extra delay after the sheet has closed (default 0)
  * @returns {Promise<void>}
  */
-export async function cleanupTestActor(actor, { closeDelay = 100 } = {}) {
+export async function cleanupTestActor(actor, { closeDelay = 0 } = {}) {
   if (!actor) return;
 
   // Helper to wrap promises with timeout to prevent hanging
@@ -1305,21 +1422,21 @@ export async function cleanupTestActor(actor, { closeDelay = 100 } = {}) {
   // Try to close the sheet (don't rely on rendered flag - V13 can be inconsistent)
   try {
     if (actor.sheet) {
-      await withTimeout(actor.sheet.close(), 1000);
-      await new Promise((resolve) => setTimeout(resolve, closeDelay));
+      await waitForSheetClosed(actor.sheet, {
+        trigger: () => actor.sheet.close(),
+        timeoutMs: 1000,
+      });
+      if (closeDelay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, closeDelay));
+      }
     }
   } catch {
     // Ignore close errors
   }
 
-  // Force close any Application windows associated with this actor
+  // Force close any V1 or V2 windows still associated with this actor
   try {
-    const actorId = actor.id;
-    for (const [, app] of Object.entries(ui.windows)) {
-      if (app.actor?.id === actorId || app.document?.id === actorId) {
-        await withTimeout(app.close(), 500);
-      }
-    }
+    await closeApplication(actor, { timeoutMs: 500 });
   } catch {
     // Ignore window close errors
   }
@@ -1383,9 +1500,15 @@ export async function testCleanup({ actors = [], settings = null } = {}) {
 /**
  * Clear all active notifications from the UI.
  * Useful for cleaning up error notifications generated during tests.
+ * To check which notifications a test raised, use testCapture() from capture.js.
  */
 export function clearNotifications() {
   try {
+    // Notifications.clear() drops the queue and dismisses the active ones
+    if (typeof ui.notifications?.clear === "function") {
+      ui.notifications.clear();
+      return;
+    }
     // Clear the notification queue
     if (ui.notifications?.queue) {
       ui.notifications.queue.length = 0;
@@ -1404,6 +1527,130 @@ export function clearNotifications() {
 // Clock Test Helpers
 // ============================================================================
 
+/** Clock sizes (segment counts) the system supports */
+export const CLOCK_SIZES = [4, 6, 8, 12];
+
+/**
+ * Create a clock actor for testing.
+ * @param {object} options
+ * @param {string} options.name - Clock name
+ * @param {number} options.type - Clock type (segments: 4, 6, 8, 12)
+ * @param {number} options.value - Initial value
+ * @returns {Promise<Actor|null>}
+ */
+export async function createClockActor({ name, type = 4, value = 0 } = {}) {
+  const actorName = name || `Test Clock ${Date.now()}`;
+
+  // Try both clock type names as the system may use either
+  const clockTypes = ["🕛 clock", "clock"];
+  for (const clockType of clockTypes) {
+    try {
+      const actor = await Actor.create({
+        name: actorName,
+        type: clockType,
+        system: {
+          type: type,
+          value: value,
+          color: "black"
+        },
+        img: `systems/blades-in-the-dark/themes/black/${type}clock_${value}.svg`
+      });
+      if (actor) return actor;
+    } catch {
+      // Try next type
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a chat message with a clock UUID reference.
+ * @param {Actor} clockActor
+ * @returns {Promise<ChatMessage>}
+ */
+export async function createClockChatMessage(clockActor) {
+  const content = `@UUID[Actor.${clockActor.id}]{${clockActor.name}}`;
+  const message = await ChatMessage.create({ content });
+  // Wait for rendering
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  return message;
+}
+
+/**
+ * Get the visual value of a clock from its background image or radio inputs.
+ * @param {HTMLElement} clockEl
+ * @returns {number|null} - Returns null if cannot determine value
+ */
+export function getClockVisualValue(clockEl) {
+  if (!clockEl) return null;
+
+  // Method 1: Check inline style background-image
+  const bg = clockEl?.style?.backgroundImage || "";
+  const bgMatch = bg.match(/(\d+)clock_(\d+)\./);
+  if (bgMatch) return parseInt(bgMatch[2]);
+
+  // Method 2: Check computed style background-image
+  const computedBg = window.getComputedStyle(clockEl).backgroundImage || "";
+  const computedMatch = computedBg.match(/(\d+)clock_(\d+)\./);
+  if (computedMatch) return parseInt(computedMatch[2]);
+
+  // Method 3: Check checked radio inputs
+  const checkedRadio = clockEl.querySelector('input[type="radio"]:checked');
+  if (checkedRadio) {
+    const value = parseInt(checkedRadio.value);
+    if (!isNaN(value)) return value;
+  }
+
+  // Method 4: Count lit segments via labels
+  const labels = clockEl.querySelectorAll('label.radio-toggle');
+  let litCount = 0;
+  for (const label of labels) {
+    const input = label.querySelector('input[type="radio"]');
+    if (input?.checked) litCount++;
+  }
+  if (litCount > 0) return litCount;
+
+  // Method 5: Check data attribute
+  const dataValue = clockEl.dataset?.value;
+  if (dataValue !== undefined) return parseInt(dataValue);
+
+  return null;
+}
+
+/**
+ * Click the harm-box to open the harm popup.
+ * @param {HTMLElement} root - Sheet root element
+ */
+export function openHarmBox(root) {
+  const harmBox = root.querySelector(".harm-box");
+  if (harmBox && !harmBox.classList.contains("open")) {
+    harmBox.click();
+  }
+}
+
+/**
+ * Find the healing clock in the harm box.
+ * @param {HTMLElement} root
+ * @returns {HTMLElement|null}
+ */
+export function findHealingClockInHarmBox(root) {
+  return root.querySelector(".harm-box .healing-clock .blades-clock");
+}
+
+/**
+ * Set a clock actor's value directly, with the matching clock image.
+ * @param {Actor} clockActor
+ * @param {number} value
+ */
+export async function setClockValue(clockActor, value) {
+  const type = clockActor.system?.type ?? 4;
+  const color = clockActor.system?.color ?? "black";
+  await clockActor.update({
+    "system.value": value,
+    img: `systems/blades-in-the-dark/themes/${color}/${type}clock_${value}.svg`,
+  });
+}
+
 /**
  * Run a parameterized clock click test.
  *
@@ -9,8 +9,8 @@ import {
   ensureSheet,
   waitForActorUpdate,
   isTargetModuleActive,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -116,16 +116,25 @@ function hasStandingColor(acquaintanceEl, colorType) {
   return expectedColors.some((c) => bgColor.includes(c) || bgColor === c);
 }
 
-const t = new TestNumberer("6");
+const batch = defineBatch({
+  id: "6",
+  key: "bitd-alternate-sheets.acquaintances",
+  title: "Acquaintances",
+  description: "Acquaintance standing colors, toggle, filtering",
+  tags: ["character", "crew"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping acquaintance tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.acquaintances",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -536,7 +545,6 @@ Hooks.on("quenchReady", (quench) => {
           );
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Acquaintances" }
+    }
   );
 });
@@ -0,0 +1,270 @@
+/**
+ * Quench test batch for application element resolution (app-compat.js).
+ * Resolves stand-in applications and documents against fixed window markup:
+ * unwrapping elements, the order element strategies are tried in, finding a
+ * journal's window from the DOM alone, closing applications, and the
+ * diagnostic written when nothing resolves.
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import {
+  closeApplication,
+  diagnoseResolution,
+  getElement,
+  resolveApplication,
+  toHTMLElement,
+} from "../app-compat.js";
+
+const batch = defineBatch({
+  id: "46",
+  key: "bitd-alternate-sheets.app-compat",
+  title: "App Compat",
+  description: "Element unwrapping, strategy order, DOM fallback, closing and diagnostics",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+/** ID of the stand-in journal; never a real document */
+const JOURNAL_ID = "appCompatJrnl001";
+
+/** ID of another stand-in journal whose window must not be returned */
+const OTHER_JOURNAL_ID = "appCompatJrnl002";
+
+/**
+ * Stand-in for a journal entry.
+ * @param {string} id
+ * @returns {{documentName: string, id: string, name: string}}
+ */
+function journal(id) {
+  return { documentName: "JournalEntry", id, name: `App Compat Journal ${id}` };
+}
+
+/**
+ * Stand-in for an application; closing it records the call.
+ * @param {object} [props] - Properties of the application (element, id, appId, document...)
+ * @returns {object}
+ */
+function fakeApp(props = {}) {
+  const app = {
+    rendered: true,
+    closed: 0,
+    close() {
+      app.closed += 1;
+    },
+    ...props,
+  };
+  return app;
+}
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, beforeEach, afterEach } = context;
+
+      let container;
+      let windowKeys;
+
+      /**
+       * Add markup to the document.
+       * @param {string} html
+       * @returns {HTMLElement} The container
+       */
+      function render(html) {
+        container.innerHTML = html;
+        return container;
+      }
+
+      /**
+       * Register applications as open V1 windows until the test ends.
+       * @param {...object} apps
+       */
+      function open(...apps) {
+        for (const app of apps) {
+          const key = `appCompatTest${windowKeys.length}`;
+          ui.windows[key] = app;
+          windowKeys.push(key);
+        }
+      }
+
+      beforeEach(function () {
+        container = document.createElement("div");
+        document.body.append(container);
+        windowKeys = [];
+      });
+
+      afterEach(function () {
+        container.remove();
+        for (const key of windowKeys) delete ui.windows[key];
+      });
+
+      t.section("toHTMLElement", () => {
+        t.test("returns elements as-is and unwraps jQuery-style wrappers", function () {
+          const div = document.createElement("div");
+
+          assert.strictEqual(toHTMLElement(div), div);
+          assert.strictEqual(toHTMLElement([div]), div);
+        });
+
+        t.test("returns a form itself, not the first control it indexes", function () {
+          const form = render('<form class="sheet"><input name="a"></form>').querySelector("form");
+
+          assert.strictEqual(toHTMLElement(form), form);
+          assert.strictEqual(toHTMLElement([form]), form);
+        });
+
+        t.test("rejects buttons, empty wrappers and non-elements", function () {
+          assert.isNull(toHTMLElement(document.createElement("button")));
+          assert.isNull(toHTMLElement([]));
+          assert.isNull(toHTMLElement(null));
+          assert.isNull(toHTMLElement({ 0: "not an element" }));
+        });
+      });
+
+      t.section("Strategy Order", () => {
+        t.test("app.element wins when it is in the DOM", function () {
+          const root = render('<div id="app-compat-root"></div><div data-appid="9901"></div>').firstElementChild;
+          const app = fakeApp({ element: [root], appId: 9901 });
+
+          const { attempts } = diagnoseResolution(app);
+
+          assert.strictEqual(getElement(app), root);
+          assert.deepEqual(attempts.map((a) => a.strategy), ["app.element"]);
+        });
+
+        t.test("a detached element falls through to the DOM id, then data-appid", function () {
+          render('<div id="app-9902" class="by-id"></div><div data-appid="9903" class="by-appid"></div>');
+          const detached = document.createElement("div");
+
+          const byId = fakeApp({ element: detached, appId: 9902 });
+          const byAppId = fakeApp({ element: detached, appId: 9903 });
+
+          assert.isTrue(getElement(byId).matches(".by-id"));
+          assert.deepEqual(diagnoseResolution(byId).attempts.map((a) => [a.strategy, a.found, a.connected]), [
+            ["app.element", true, false],
+            ["app._element", false, false],
+            ["DOM id", true, true],
+          ]);
+          assert.isTrue(getElement(byAppId).matches(".by-appid"));
+          assert.strictEqual(diagnoseResolution(byAppId).attempts.at(-1).strategy, "data-appid");
+        });
+
+        t.test("data-document-id resolves to the enclosing window", function () {
+          render(
+            `<div class="window-app"><header class="window-header"></header>` +
+              `<section class="window-content"><form data-document-id="${JOURNAL_ID}"></form></section></div>`
+          );
+          const app = fakeApp({ document: journal(JOURNAL_ID) });
+
+          const resolved = resolveApplication(app);
+
+          assert.isTrue(resolved.element.matches(".window-app"));
+          assert.strictEqual(resolved.frame, resolved.element);
+          assert.isTrue(resolved.content.matches(".window-content"));
+        });
+      });
+
+      t.section("Document DOM Fallback", () => {
+        t.test("another journal's window is never returned", function () {
+          render(
+            `<div id="JournalSheet-JournalEntry-${OTHER_JOURNAL_ID}" class="journal-sheet app"></div>` +
+              `<div class="journal-sheet application"></div>` +
+              `<journal-sheet></journal-sheet>`
+          );
+
+          assert.isNull(getElement(journal(JOURNAL_ID)));
+        });
+
+        t.test("the journal's window is found by its DOM id or its data-document-id", function () {
+          render(
+            `<div id="JournalSheet-JournalEntry-${OTHER_JOURNAL_ID}" class="journal-sheet app"></div>` +
+              `<div id="JournalEntrySheet-JournalEntry-${JOURNAL_ID}" class="journal-sheet application by-id"></div>`
+          );
+          assert.isTrue(getElement(journal(JOURNAL_ID)).matches(".by-id"));
+
+          render(
+            `<div class="journal-sheet app"><section data-document-id="${OTHER_JOURNAL_ID}"></section></div>` +
+              `<div class="journal-sheet app by-data"><section data-document-id="${JOURNAL_ID}"></section></div>`
+          );
+          const resolved = resolveApplication(journal(JOURNAL_ID));
+          assert.isTrue(resolved.element.matches(".by-data"));
+          assert.strictEqual(resolved.generation, "dom");
+        });
+      });
+
+      t.section("closeApplication", () => {
+        t.test("closes every open application of a document and no others", async function () {
+          const sheet = fakeApp({ document: journal(JOURNAL_ID) });
+          const popout = fakeApp({ object: journal(JOURNAL_ID) });
+          const other = fakeApp({ document: journal(OTHER_JOURNAL_ID) });
+          open(sheet, popout, other);
+
+          await closeApplication(journal(JOURNAL_ID));
+
+          assert.deepEqual([sheet.closed, popout.closed, other.closed], [1, 1, 0]);
+        });
+
+        t.test("gives up on a close that never settles and ignores close errors", async function () {
+          const hanging = fakeApp({ close: () => new Promise(() => {}) });
+          const failing = fakeApp({
+            close: () => {
+              throw new Error("close failed");
+            },
+          });
+
+          const started = Date.now();
+          await closeApplication(hanging, { timeoutMs: 20 });
+          await closeApplication(failing);
+
+          assert.isBelow(Date.now() - started, 1000);
+        });
+      });
+
+      t.section("diagnoseResolution", () => {
+        t.test("lists every strategy tried for an unrendered document", function () {
+          const doc = journal(JOURNAL_ID);
+
+          const diagnosis = diagnoseResolution(doc);
+
+          assert.isFalse(diagnosis.resolved);
+          assert.isNull(diagnosis.generation);
+          assert.strictEqual(diagnosis.target, `JournalEntry "App Compat Journal ${JOURNAL_ID}" (${JOURNAL_ID})`);
+          assert.deepEqual(diagnosis.attempts.map((a) => a.strategy), ["open applications", "document sheet class"]);
+          const lines = diagnosis.summary.split("\n");
+          assert.match(lines[0], /^Resolving JournalEntry "App Compat Journal appCompatJrnl001"/);
+          assert.include(lines[2], "document sheet class on JournalEntry");
+          assert.include(lines[2], "→ not found");
+          assert.match(lines.at(-1), /^Not resolved:/);
+        });
+
+        t.test("reports errors and elements found outside the DOM", function () {
+          const app = fakeApp({ element: document.createElement("div"), id: "unused-app-compat-id" });
+          Object.defineProperty(app, "_element", {
+            get() {
+              throw new Error("no internal element");
+            },
+          });
+
+          const lines = diagnoseResolution(app).summary.split("\n");
+
+          assert.include(lines[1], "app.element on Object (unused-app-compat-id)");
+          assert.include(lines[1], "→ found but not in the DOM");
+          assert.include(lines[2], "→ error: no internal element");
+          assert.match(lines.at(-1), /^Not resolved:/);
+        });
+
+        t.test("describes the resolved window", function () {
+          const root = render(
+            '<div class="window-app"><header class="window-header"></header><div class="window-content"></div></div>'
+          ).firstElementChild;
+
+          const diagnosis = diagnoseResolution(fakeApp({ element: root }));
+
+          assert.isTrue(diagnosis.resolved);
+          assert.match(diagnosis.summary.split("\n").at(-1), /^Resolved as v[12] <div> \(frame: yes, content: yes\)$/);
+        });
+      });
+    }
+  );
+});
@@ -0,0 +1,101 @@
+/**
+ * Quench test batch for the URL-parameter autorun.
+ * Tests parameter parsing, batch name resolution and the published status.
+ * Nothing is run: startAutorun() is only called without parameters.
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import {
+  AUTORUN_ATTRIBUTE,
+  AUTORUN_GLOBAL,
+  parseAutorunParams,
+  resolveBatchKeys,
+  setAutorunStatus,
+  startAutorun,
+} from "../autorun.js";
+
+/** Declared-looking batches to resolve names against */
+const BATCHES = [
+  { id: "1", key: "bitd-alternate-sheets.teeth" },
+  { id: "5", key: "bitd-alternate-sheets.crew-sheet" },
+  { id: "9", key: "bitd-alternate-sheets.global-clocks" },
+];
+
+const batch = defineBatch({
+  id: "39",
+  key: "bitd-alternate-sheets.autorun",
+  title: "Autorun",
+  description: "URL parameters, batch name resolution and the autorun status",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, beforeEach, afterEach } = context;
+
+      t.section("Parameters", () => {
+        t.test("reads the batch list and export flag", function () {
+          assert.deepEqual(parseAutorunParams("?bitdTests=crew-sheet,%20teeth&exportReport=1"), {
+            names: ["crew-sheet", "teeth"],
+            exportReport: true,
+          });
+          assert.deepEqual(parseAutorunParams("?bitdTests=&exportReport=0"), { names: [], exportReport: false });
+        });
+
+        t.test("returns null without bitdTests, and startAutorun() does nothing", async function () {
+          assert.isNull(parseAutorunParams("?exportReport=1"));
+          assert.isNull(await startAutorun("?world=blades"));
+        });
+      });
+
+      t.section("Batch Names", () => {
+        t.test("resolves short names, keys and IDs in the order requested", function () {
+          const { keys, unknown } = resolveBatchKeys(
+            ["crew-sheet", "bitd-alternate-sheets.teeth", "9", "teeth", "nope"],
+            BATCHES
+          );
+          assert.deepEqual(keys, [
+            "bitd-alternate-sheets.crew-sheet",
+            "bitd-alternate-sheets.teeth",
+            "bitd-alternate-sheets.global-clocks",
+          ]);
+          assert.deepEqual(unknown, ["nope"]);
+        });
+
+        t.test("an empty list or \"all\" selects every batch", function () {
+          const every = BATCHES.map((entry) => entry.key);
+          assert.deepEqual(resolveBatchKeys([], BATCHES).keys, every);
+          assert.deepEqual(resolveBatchKeys(["teeth", "all"], BATCHES).keys, every);
+        });
+      });
+
+      t.section("Status", () => {
+        // Keep an autorun that started this run visible once the test is done
+        let previous;
+
+        beforeEach(function () {
+          previous = globalThis[AUTORUN_GLOBAL];
+        });
+
+        afterEach(function () {
+          if (previous) {
+            setAutorunStatus(previous);
+          } else {
+            delete globalThis[AUTORUN_GLOBAL];
+            document.body.removeAttribute(AUTORUN_ATTRIBUTE);
+          }
+        });
+
+        t.test("publishes the state on window and <body>", function () {
+          const status = setAutorunStatus({ state: "done", passed: true });
+          assert.strictEqual(globalThis[AUTORUN_GLOBAL], status);
+          assert.equal(document.body.getAttribute(AUTORUN_ATTRIBUTE), "done");
+        });
+      });
+    }
+  );
+});
@@ -0,0 +1,87 @@
+/**
+ * Quench test batch for the batch registry.
+ * Tests that defineBatch() rejects duplicate and malformed batches without
+ * declaring them, that batches are listed in batch-number order, and that
+ * a file loaded after quenchReady still gets the Quench instance.
+ */
+
+import { defineBatch, getBatch, getBatches, onQuenchReady, registerBatch, sortBatches } from "../batch-registry.js";
+
+const batch = defineBatch({
+  id: "42",
+  key: "bitd-alternate-sheets.batch-registry",
+  title: "Batch Registry",
+  description: "Duplicate batch IDs and keys, and batch ordering",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+/** Batch number no test file uses */
+const UNUSED_ID = "9042";
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert } = context;
+
+      t.section("Duplicates", () => {
+        t.test("a duplicate batch ID throws", function () {
+          assert.throws(
+            () => defineBatch({ id: batch.id, key: "bitd-alternate-sheets.batch-registry-copy", title: "Copy" }),
+            /Duplicate batch ID "42"/
+          );
+          assert.isNull(getBatch("bitd-alternate-sheets.batch-registry-copy"));
+        });
+
+        t.test("a duplicate batch key throws", function () {
+          assert.throws(
+            () => defineBatch({ id: UNUSED_ID, key: batch.key, title: "Copy" }),
+            /Duplicate batch key "bitd-alternate-sheets\.batch-registry"/
+          );
+          assert.isNull(getBatch(UNUSED_ID));
+        });
+
+        t.test("a non-numeric ID or an unprefixed key throws", function () {
+          assert.throws(
+            () => defineBatch({ id: "4a", key: "bitd-alternate-sheets.bad-id", title: "Bad" }),
+            /needs a numeric ID/
+          );
+          assert.throws(
+            () => defineBatch({ id: UNUSED_ID, key: "other-module.bad-key", title: "Bad" }),
+            /must start with "bitd-alternate-sheets\."/
+          );
+          assert.isNull(getBatch(UNUSED_ID));
+        });
+      });
+
+      t.section("Ordering", () => {
+        t.test("batches sort by number, not as strings", function () {
+          const sorted = sortBatches([{ id: "40" }, { id: "5" }, { id: "100" }, { id: "12" }]);
+          assert.deepEqual(sorted.map((b) => b.id), ["5", "12", "40", "100"]);
+        });
+
+        t.test("getBatches() lists every declared batch in number order", function () {
+          const ids = getBatches().map((b) => Number(b.id));
+
+          assert.include(ids, 42);
+          assert.deepEqual(ids, [...ids].sort((a, b) => a - b));
+          assert.strictEqual(getBatch(batch.key), batch);
+          assert.strictEqual(getBatch("42"), batch);
+        });
+      });
+
+      t.section("Late Registration", () => {
+        t.test("onQuenchReady() runs right away once Quench is ready", function () {
+          let received = null;
+          onQuenchReady((ready) => {
+            received = ready;
+          });
+
+          assert.strictEqual(received, quench);
+        });
+      });
+    }
+  );
+});
@@ -9,11 +9,11 @@ import {
   waitForActorUpdate,
   isTargetModuleActive,
   closeAllDialogs,
-  TestNumberer,
   assertExists,
   assertNotEmpty,
   getItemLoad,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -104,7 +104,16 @@ function isItemSelected(itemEl) {
   return itemEl.dataset?.selected === "true" || itemEl.dataset?.owned === "true";
 }
 
-const t = new TestNumberer("11");
+const batch = defineBatch({
+  id: "11",
+  key: "bitd-alternate-sheets.binary-checkboxes",
+  title: "Binary Checkboxes & Load",
+  description: "Binary item checkboxes and load pills",
+  tags: ["character", "items", "load"],
+  requiredSettings: ["bitd-alternate-sheets.populateFromCompendia", "bitd-alternate-sheets.populateFromWorld"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
 /**
  * Trigger a change event on a checkbox using the sheet's jQuery context.
@@ -146,14 +155,15 @@ function triggerSelectChange(sheet, select) {
   }
 }
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping binary checkboxes tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.binary-checkboxes",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -1524,7 +1534,6 @@ Hooks.on("quenchReady", (quench) => {
           console.log(`[MultiCost Test] Binary unequip: ${beforeUncheck} → ${afterUncheck} checked ✓`);
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Binary Checkboxes & Load" }
+    }
   );
 });
@@ -0,0 +1,201 @@
+/**
+ * Quench test batch for the notification and console capture.
+ * Tests recording, restoring, expectations and the unexpected-error guard.
+ */
+
+import { clearNotifications, expectedTestError } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { Capture, failOnUnexpectedErrors, testCapture } from "../capture.js";
+
+/** Marker in every message this batch logs on purpose */
+const MARKER = "capture-batch";
+
+const batch = defineBatch({
+  id: "33",
+  key: "bitd-alternate-sheets.capture",
+  title: "Capture",
+  description: "Notification and console capture, expectations and the unexpected-error guard",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, beforeEach, afterEach } = context;
+
+      let capture;
+
+      beforeEach(function () {
+        // The errors below are logged on purpose; keep them out of the guard
+        testCapture().allow({ match: MARKER });
+        capture = new Capture();
+      });
+
+      afterEach(function () {
+        capture.stop();
+        clearNotifications();
+      });
+
+      t.section("Recording", () => {
+        t.test("records notifications and console output by source and level", function () {
+          capture.start();
+          ui.notifications.info(`${MARKER} info`);
+          ui.notifications.warn(`${MARKER} warn`);
+          ui.notifications.error(`${MARKER} error`);
+          console.warn(`${MARKER} console warn`);
+          console.error(`${MARKER} console error`);
+          capture.stop();
+
+          assert.deepEqual(
+            capture.entries.map((entry) => `${entry.source}.${entry.level}`),
+            ["notification.info", "notification.warn", "notification.error", "console.warn", "console.error"]
+          );
+          assert.equal(capture.entries[2].message, `${MARKER} error`);
+        });
+
+        t.test("records console.log and console.info without counting them as errors", function () {
+          capture.start();
+          console.log(`${MARKER} console log`);
+          console.info(`${MARKER} console info`);
+          capture.stop();
+
+          assert.deepEqual(
+            capture.entries.map((entry) => `${entry.source}.${entry.level}`),
+            ["console.log", "console.info"]
+          );
+          assert.deepEqual(capture.unexpectedErrors(), []);
+        });
+
+        t.test("formats Error arguments with their message", function () {
+          capture.start();
+          console.error(`${MARKER}:`, new TypeError("bad value"));
+          capture.stop();
+
+          assert.equal(capture.entries[0].message, `${MARKER}: TypeError: bad value`);
+        });
+
+        t.test("stop() restores the original methods", function () {
+          const originalError = console.error;
+          const originalNotify = ui.notifications.error;
+
+          capture.start();
+          assert.notStrictEqual(console.error, originalError, "console.error should be patched while active");
+          capture.stop();
+
+          assert.strictEqual(console.error, originalError);
+          assert.strictEqual(ui.notifications.error, originalNotify);
+          assert.isFalse(capture.active);
+        });
+
+        t.test("nothing is recorded after stop()", function () {
+          capture.start();
+          capture.stop();
+          console.warn(`${MARKER} after stop`);
+
+          assert.lengthOf(capture.entries, 0);
+        });
+      });
+
+      t.section("Expectations", () => {
+        t.test("filter() narrows by source, level, match and mark", function () {
+          capture.start();
+          console.error(`${MARKER} BitD-Alt | first`);
+          const mark = capture.mark();
+          ui.notifications.error(`${MARKER} BitD-Alt | second`);
+          console.warn(`${MARKER} BitD-Alt | warning`);
+          capture.stop();
+
+          assert.lengthOf(capture.filter({ match: /BitD-Alt/ }), 3);
+          assert.lengthOf(capture.filter({ level: "error", match: /BitD-Alt/ }), 2);
+          assert.lengthOf(capture.filter({ source: "notification" }), 1);
+          assert.lengthOf(capture.filter({ since: mark, level: "error" }), 1);
+        });
+
+        t.test("expect() passes on the exact count and marks entries as expected", function () {
+          capture.start();
+          ui.notifications.error(`${MARKER} BitD-Alt | update failed`);
+          capture.stop();
+
+          const matched = capture.expect({ match: /BitD-Alt/ });
+          assert.lengthOf(matched, 1);
+          assert.isTrue(matched[0].expected);
+          assert.lengthOf(capture.unexpectedErrors(), 0);
+        });
+
+        t.test("expect() throws with the matching entries when the count differs", function () {
+          capture.start();
+          console.error(`${MARKER} BitD-Alt | one`);
+          console.error(`${MARKER} BitD-Alt | two`);
+          capture.stop();
+
+          assert.throws(() => capture.expect({ match: /BitD-Alt/ }), /exactly 1 .*got 2[\s\S]*BitD-Alt \| two/);
+          assert.lengthOf(capture.expect({ match: /BitD-Alt/, count: 2 }), 2);
+        });
+
+        t.test("atLeast and expectNone", function () {
+          capture.start();
+          console.error(`${MARKER} one`);
+          console.error(`${MARKER} two`);
+          capture.stop();
+
+          assert.lengthOf(capture.expect({ match: MARKER, atLeast: 1 }), 2);
+          assert.throws(() => capture.expect({ match: MARKER, atLeast: 3 }), /at least 3/);
+          assert.deepEqual(capture.expectNone({ source: "notification" }), []);
+          assert.throws(() => capture.expectNone({ match: "one" }), /exactly 0/);
+        });
+      });
+
+      t.section("Unexpected Errors", () => {
+        t.test("prefixed errors and warnings are not unexpected", function () {
+          capture.start();
+          console.error(expectedTestError(`${MARKER} simulated failure`));
+          console.warn(`${MARKER} just a warning`);
+          capture.stop();
+
+          assert.lengthOf(capture.unexpectedErrors(), 0);
+          assert.doesNotThrow(() => capture.assertNoUnexpectedErrors());
+        });
+
+        t.test("allow() covers errors logged before and after it", function () {
+          capture.start();
+          console.error(`${MARKER} before allow`);
+          capture.allow({ match: /allow/ });
+          console.error(`${MARKER} after allow`);
+          console.error(`${MARKER} something else`);
+          capture.stop();
+
+          const unexpected = capture.unexpectedErrors();
+          assert.deepEqual(unexpected.map((entry) => entry.message), [`${MARKER} something else`]);
+          assert.throws(() => capture.assertNoUnexpectedErrors(), /1 unexpected error\(s\)[\s\S]*something else/);
+        });
+
+        t.test("the test guard fails a test that logs an unexpected error", async function () {
+          const guarded = failOnUnexpectedErrors(async function () {
+            console.error("unclaimed guard error");
+          });
+
+          let failure = null;
+          try {
+            await guarded.call(this);
+          } catch (err) {
+            failure = err;
+          }
+
+          // Claim the error in this test's own capture so this test passes
+          testCapture().expect({ match: "unclaimed guard error" });
+          assert.match(failure?.message ?? "", /1 unexpected error\(s\)[\s\S]*unclaimed guard error/);
+        });
+
+        t.test("the test guard leaves callback-style tests alone", function () {
+          const callbackTest = function (done) {
+            done();
+          };
+          assert.strictEqual(failOnUnexpectedErrors(callbackTest), callbackTest);
+        });
+      });
+    }
+  );
+});
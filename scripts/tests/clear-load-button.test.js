@@ -9,49 +9,35 @@ import {
   isTargetModuleActive,
   testCleanup,
   closeAllDialogs,
-  TestNumberer,
   getItemLoad,
   makeEquippedEntry,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { asUser } from "../user-impersonation.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
 
-const t = new TestNumberer("30");
-
-/**
- * Helper to temporarily mock game.user.isGM for testing player perspective.
- * Returns a restore function that MUST be called to restore original value.
- */
-function mockIsGM(value) {
-  const originalDescriptor = Object.getOwnPropertyDescriptor(game.user, "isGM");
-  const originalValue = game.user.isGM;
-
-  Object.defineProperty(game.user, "isGM", {
-    get: () => value,
-    configurable: true,
-  });
-
-  return function restore() {
-    if (originalDescriptor) {
-      Object.defineProperty(game.user, "isGM", originalDescriptor);
-    } else {
-      Object.defineProperty(game.user, "isGM", {
-        get: () => originalValue,
-        configurable: true,
-      });
-    }
-  };
-}
+const batch = defineBatch({
+  id: "30",
+  key: "bitd-alternate-sheets.clear-load-button",
+  title: "Clear Load Button",
+  description: "Clear Load button visibility, behavior, and localization",
+  tags: ["character", "load", "popups"],
+  requiredSettings: ["bitd-alternate-sheets.showClearLoadButton"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping clear-load-button tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.clear-load-button",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -185,10 +171,9 @@ Hooks.on("quenchReady", (quench) => {
         });
       });
 
-      t.section("Player Button Visibility (Monkey Patched)", () => {
+      t.section("Player Button Visibility (Impersonated Player)", () => {
         let actor;
         let originalSetting;
-        let restoreIsGM;
 
         beforeEach(async function () {
           this.timeout(10000);
@@ -204,12 +189,6 @@ Hooks.on("quenchReady", (quench) => {
         afterEach(async function () {
           this.timeout(12000);
 
-          // CRITICAL: Always restore isGM first
-          if (restoreIsGM) {
-            restoreIsGM();
-            restoreIsGM = null;
-          }
-
           await closeAllDialogs();
           await new Promise(resolve => setTimeout(resolve, 100));
 
@@ -226,115 +205,108 @@ Hooks.on("quenchReady", (quench) => {
         });
 
         t.test("Player does NOT see button when setting is OFF", async function () {
-          this.timeout(10000);
+          this.timeout(15000);
 
-          // Set setting to OFF BEFORE mocking isGM
+          // Set setting to OFF before switching to the player
           await game.settings.set(TARGET_MODULE_ID, "showClearLoadButton", false);
           await new Promise(resolve => setTimeout(resolve, 100));
 
-          // Mock as non-GM player
-          restoreIsGM = mockIsGM(false);
-          assert.strictEqual(game.user.isGM, false, "isGM should be mocked to false");
-
-          const sheet = await ensureSheet(actor);
-          await new Promise(resolve => setTimeout(resolve, 300));
+          await asUser("owner", async () => {
+            assert.strictEqual(game.user.isGM, false, "Impersonated user must not be a GM");
+            assert.ok(actor.isOwner, "Impersonated player should own the actor");
 
-          // Force re-render with mocked isGM
-          await sheet.render(true);
-          await new Promise(resolve => setTimeout(resolve, 300));
+            const sheet = await ensureSheet(actor);
+            await new Promise(resolve => setTimeout(resolve, 300));
 
-          const root = sheet.element?.[0] || sheet.element;
-          const loadBox = root.querySelector(".load-box");
-          assert.ok(loadBox, "Load box must exist on sheet");
+            const root = sheet.element?.[0] || sheet.element;
+            const loadBox = root.querySelector(".load-box");
+            assert.ok(loadBox, "Load box must exist on sheet");
 
-          loadBox.click();
-          await new Promise(resolve => setTimeout(resolve, 200));
+            loadBox.click();
+            await new Promise(resolve => setTimeout(resolve, 200));
 
-          const fullView = root.querySelector(".load-box .full-view");
-          const clearButton = fullView?.querySelector("button.clearLoad");
+            const fullView = root.querySelector(".load-box .full-view");
+            const clearButton = fullView?.querySelector("button.clearLoad");
 
-          assert.ok(
-            !clearButton,
-            "Player MUST NOT see Clear Load button when setting is OFF"
-          );
+            assert.ok(
+              !clearButton,
+              "Player MUST NOT see Clear Load button when setting is OFF"
+            );
+          }, { documents: [actor] });
 
           console.log("[ClearLoadButton Test] Player correctly cannot see button with setting OFF");
         });
 
         t.test("Player DOES see button when setting is ON", async function () {
-          this.timeout(10000);
+          this.timeout(15000);
 
-          // Set setting to ON BEFORE mocking isGM
+          // Set setting to ON before switching to the player
           await game.settings.set(TARGET_MODULE_ID, "showClearLoadButton", true);
           await new Promise(resolve => setTimeout(resolve, 100));
 
-          // Mock as non-GM player
-          restoreIsGM = mockIsGM(false);
-          assert.strictEqual(game.user.isGM, false, "isGM should be mocked to false");
-
-          const sheet = await ensureSheet(actor);
-          await new Promise(resolve => setTimeout(resolve, 300));
+          await asUser("owner", async () => {
+            assert.strictEqual(game.user.isGM, false, "Impersonated user must not be a GM");
 
-          // Force re-render with mocked isGM
-          await sheet.render(true);
-          await new Promise(resolve => setTimeout(resolve, 300));
+            const sheet = await ensureSheet(actor);
+            await new Promise(resolve => setTimeout(resolve, 300));
 
-          const root = sheet.element?.[0] || sheet.element;
-          const loadBox = root.querySelector(".load-box");
-          loadBox.click();
-          await new Promise(resolve => setTimeout(resolve, 200));
+            const root = sheet.element?.[0] || sheet.element;
+            const loadBox = root.querySelector(".load-box");
+            loadBox.click();
+            await new Promise(resolve => setTimeout(resolve, 200));
 
-          const fullView = root.querySelector(".load-box .full-view");
-          const clearButton = fullView?.querySelector("button.clearLoad");
+            const fullView = root.querySelector(".load-box .full-view");
+            const clearButton = fullView?.querySelector("button.clearLoad");
 
-          assert.ok(
-            clearButton,
-            "Player MUST see Clear Load button when setting is ON"
-          );
+            assert.ok(
+              clearButton,
+              "Player MUST see Clear Load button when setting is ON"
+            );
+          }, { documents: [actor] });
 
           console.log("[ClearLoadButton Test] Player correctly sees button with setting ON");
         });
 
         t.test("getData returns showClearLoadButton=false for player with setting OFF", async function () {
-          this.timeout(10000);
+          this.timeout(15000);
 
           await game.settings.set(TARGET_MODULE_ID, "showClearLoadButton", false);
           await new Promise(resolve => setTimeout(resolve, 100));
 
-          // Mock as non-GM player
-          restoreIsGM = mockIsGM(false);
-          assert.strictEqual(game.user.isGM, false, "isGM should be mocked to false");
+          await asUser("owner", async () => {
+            assert.strictEqual(game.user.isGM, false, "Impersonated user must not be a GM");
 
-          const sheet = await ensureSheet(actor);
-          await new Promise(resolve => setTimeout(resolve, 300));
+            const sheet = await ensureSheet(actor);
+            await new Promise(resolve => setTimeout(resolve, 300));
 
-          const sheetData = await sheet.getData();
-          assert.strictEqual(
-            sheetData.showClearLoadButton,
-            false,
-            "showClearLoadButton MUST be false for player with setting OFF"
-          );
+            const sheetData = await sheet.getData();
+            assert.strictEqual(
+              sheetData.showClearLoadButton,
+              false,
+              "showClearLoadButton MUST be false for player with setting OFF"
+            );
+          }, { documents: [actor] });
         });
 
         t.test("getData returns showClearLoadButton=true for player with setting ON", async function () {
-          this.timeout(10000);
+          this.timeout(15000);
 
           await game.settings.set(TARGET_MODULE_ID, "showClearLoadButton", true);
           await new Promise(resolve => setTimeout(resolve, 100));
 
-          // Mock as non-GM player
-          restoreIsGM = mockIsGM(false);
-          assert.strictEqual(game.user.isGM, false, "isGM should be mocked to false");
+          await asUser("owner", async () => {
+            assert.strictEqual(game.user.isGM, false, "Impersonated user must not be a GM");
 
-          const sheet = await ensureSheet(actor);
-          await new Promise(resolve => setTimeout(resolve, 300));
+            const sheet = await ensureSheet(actor);
+            await new Promise(resolve => setTimeout(resolve, 300));
 
-          const sheetData = await sheet.getData();
-          assert.strictEqual(
-            sheetData.showClearLoadButton,
-            true,
-            "showClearLoadButton MUST be true for player with setting ON"
-          );
+            const sheetData = await sheet.getData();
+            assert.strictEqual(
+              sheetData.showClearLoadButton,
+              true,
+              "showClearLoadButton MUST be true for player with setting ON"
+            );
+          }, { documents: [actor] });
         });
       });
 
@@ -733,7 +705,6 @@ Hooks.on("quenchReady", (quench) => {
           }
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Clear Load Button" }
+    }
   );
 });
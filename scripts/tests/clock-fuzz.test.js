@@ -0,0 +1,389 @@
+/**
+ * Quench test batch for property-based fuzzing of clock interactions.
+ * Fires random left/right-click sequences on clocks of every size (4, 6, 8
+ * and 12 segments) in each surface that hosts one: the healing clock in the
+ * harm popup, a clock in the Notes tab, a clock in a journal page and a clock
+ * snapshot in chat. After every click:
+ * - the stored value stays within 0..size
+ * - the clock shows the stored value (chat: the snapshot value)
+ * - a chat snapshot of the clock never changes
+ *
+ * The healing clock's size is fixed by the character sheet, so the harm popup
+ * is fuzzed at that size only. Property mode is off by default, so these
+ * tests skip; see api.property.run().
+ */
+
+import {
+  createTestActor,
+  ensureSheet,
+  waitForActorUpdate,
+  isTargetModuleActive,
+  closeAllDialogs,
+  getJournalSheetElement,
+  waitForClockElement,
+  findClockInChat,
+  waitForClockInChat,
+  CLOCK_SIZES,
+  createClockActor,
+  createClockChatMessage,
+  getClockVisualValue,
+  setClockValue,
+  openHarmBox,
+  findHealingClockInHarmBox,
+} from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { getElement } from "../app-compat.js";
+import { CLOCKS } from "../test-selectors.js";
+import { assertProperty, getPropertyConfig, MAX_SHRINK_EXECUTIONS } from "../property-testing.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+const TARGET_MODULE_ID = "bitd-alternate-sheets";
+
+/** Clicks per generated sequence */
+const MIN_STEPS = 4;
+const MAX_STEPS = 12;
+
+/** Chance that a step is a right-click instead of a segment click */
+const RIGHT_CLICK_CHANCE = 0.3;
+
+/** Time to wait for a click's update, and for the clock to show it */
+const UPDATE_TIMEOUT_MS = 1000;
+const SETTLE_TIMEOUT_MS = 1000;
+
+/** Time to wait after a click that should not update anything */
+const NO_UPDATE_WAIT_MS = 200;
+
+/** Generous time per click for the test timeout */
+const MS_PER_CLICK = 2500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const batch = defineBatch({
+  id: "36",
+  key: "bitd-alternate-sheets.clock-fuzz",
+  title: "Clock Fuzzing",
+  description: "Property-based click sequences on clocks of every size in every host surface",
+  tags: ["clocks", "chat", "journal", "property"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
+
+// ============================================================================
+// Steps
+// ============================================================================
+
+/**
+ * Format a step for failure messages.
+ * @param {{action: "click"|"right", segment?: number}} step
+ * @returns {string}
+ */
+function formatStep({ action, segment }) {
+  return action === "right" ? "right-click" : `click segment ${segment}`;
+}
+
+/**
+ * Simpler candidates for a step: a click on segment 1, then lower segments.
+ * @param {{action: "click"|"right", segment?: number}} step
+ * @returns {Array<object>}
+ */
+function shrinkStep({ action, segment }) {
+  if (action === "right" || segment === 1) return [];
+  const candidates = [{ action: "click", segment: 1 }];
+  if (segment > 2) candidates.push({ action: "click", segment: segment - 1 });
+  return candidates;
+}
+
+/**
+ * Generate a random click sequence for a clock.
+ * @param {object} rng - From createRng()
+ * @param {number} size - Segment count
+ * @returns {Array<{action: "click"|"right", segment?: number}>}
+ */
+function generateClicks(rng, size) {
+  return Array.from({ length: rng.int(MIN_STEPS, MAX_STEPS) }, () =>
+    rng.chance(RIGHT_CLICK_CHANCE)
+      ? { action: "right" }
+      : { action: "click", segment: rng.int(1, size) }
+  );
+}
+
+/**
+ * Fire one step on a clock element.
+ * @param {HTMLElement} clockEl
+ * @param {{action: "click"|"right", segment?: number}} step
+ */
+function fireStep(clockEl, { action, segment }) {
+  if (action === "right") {
+    clockEl.dispatchEvent(new MouseEvent("contextmenu", { bubbles: true, cancelable: true, button: 2 }));
+    return;
+  }
+  const labels = clockEl.querySelectorAll(CLOCKS.RADIO_LABELS);
+  const label = labels[segment - 1];
+  if (!label) throw new Error(`Clock has ${labels.length} segments, cannot click segment ${segment}`);
+  // Explicit MouseEvent for reliable jQuery delegation (bubbles to document.body)
+  label.dispatchEvent(new MouseEvent("click", { bubbles: true, cancelable: true, button: 0, view: window }));
+}
+
+/**
+ * Poll until a clock shows the wanted value. The element is looked up
+ * again on every poll, since an update may re-render it.
+ * @param {() => HTMLElement|null} findClock
+ * @param {number} wanted
+ * @returns {Promise<number|null>} The last value shown
+ */
+async function settleVisual(findClock, wanted) {
+  const deadline = Date.now() + SETTLE_TIMEOUT_MS;
+  let shown = getClockVisualValue(findClock());
+  while (shown !== wanted && Date.now() < deadline) {
+    await sleep(50);
+    shown = getClockVisualValue(findClock());
+  }
+  return shown;
+}
+
+// ============================================================================
+// Surfaces
+// ============================================================================
+
+/**
+ * Each surface sets up a clock of a given size and returns how to drive it:
+ * - owner: the actor that stores the value
+ * - getStored/reset: read it, set it back to 0
+ * - findClock: the clock element in the surface
+ * - interactive: whether clicks should update the owner
+ * - documents: everything to delete afterwards
+ * Surfaces with sizes host a clock actor; fuzz() creates it and fills in
+ * owner, size, getStored and reset from it.
+ */
+const SURFACES = {
+  "harm popup": {
+    sizes: null,
+    setup: async () => {
+      const { actor } = await createTestActor({ name: "ClockFuzz-Harm-Test", playbookName: "Cutter" });
+      const sheet = await ensureSheet(actor);
+      const findClock = () => {
+        const root = sheet.element?.[0] || sheet.element;
+        openHarmBox(root);
+        return findHealingClockInHarmBox(root);
+      };
+      return {
+        owner: actor,
+        size: findClock()?.querySelectorAll(CLOCKS.RADIO_LABELS).length ?? 0,
+        getStored: () => Number(actor.system?.healing_clock?.value) || 0,
+        reset: () => actor.update({ "system.healing_clock.value": 0 }),
+        findClock,
+        interactive: true,
+        documents: [actor],
+      };
+    },
+  },
+  "notes tab": {
+    sizes: CLOCK_SIZES,
+    setup: async ({ clockActor }) => {
+      const { actor } = await createTestActor({ name: "ClockFuzz-Notes-Test", playbookName: "Cutter" });
+      await actor.setFlag(TARGET_MODULE_ID, "notes", `@UUID[Actor.${clockActor.id}]`);
+      const sheet = await ensureSheet(actor);
+      const root = sheet.element?.[0] || sheet.element;
+      root.querySelector('[data-tab="notes"], a[data-tab="notes"]')?.click();
+      await sleep(200);
+      return {
+        findClock: () => {
+          const current = sheet.element?.[0] || sheet.element;
+          return current?.querySelector(`[data-tab="notes"] ${CLOCKS.CLOCK}`) ?? null;
+        },
+        interactive: true,
+        documents: [actor],
+      };
+    },
+  },
+  journal: {
+    sizes: CLOCK_SIZES,
+    setup: async ({ clockActor }) => {
+      const journal = await JournalEntry.create({
+        name: "ClockFuzz-Journal-Test",
+        pages: [{ name: "Clock Page", type: "text", text: { content: `<p>@UUID[Actor.${clockActor.id}]</p>` } }],
+      });
+      await waitForClockElement(await getJournalSheetElement(journal), { timeoutMs: 3000 });
+      return {
+        findClock: () => getElement(journal)?.querySelector(CLOCKS.CLOCK) ?? null,
+        interactive: true,
+        documents: [journal],
+      };
+    },
+  },
+  chat: {
+    sizes: CLOCK_SIZES,
+    setup: async ({ snapshot }) => ({
+      findClock: () => findClockInChat(snapshot.message),
+      interactive: false,
+      documents: [],
+    }),
+  },
+};
+
+// ============================================================================
+// Property
+// ============================================================================
+
+/**
+ * Check the surface after a step.
+ * @param {object} surface - From setup()
+ * @param {{message: ChatMessage, value: number}|null} snapshot - Chat snapshot of the clock
+ * @param {number} before - Stored value before the step
+ * @returns {Promise<string|null>} The broken invariant, or null
+ */
+async function checkInvariants(surface, snapshot, before) {
+  const stored = surface.getStored();
+  if (!Number.isInteger(stored) || stored < 0 || stored > surface.size) {
+    return `stored value is ${stored}, outside 0..${surface.size}`;
+  }
+
+  if (surface.interactive) {
+    const shown = await settleVisual(surface.findClock, stored);
+    if (shown !== stored) return `clock shows ${shown}, stored value is ${stored}`;
+  } else if (stored !== before) {
+    return `clicking the chat snapshot changed the stored value from ${before} to ${stored}`;
+  }
+
+  if (snapshot) {
+    const shown = getClockVisualValue(findClockInChat(snapshot.message));
+    if (shown !== snapshot.value) return `chat snapshot shows ${shown}, expected ${snapshot.value}`;
+  }
+  return null;
+}
+
+/**
+ * Build the property's execute(): reset the clock to 0, then fire the
+ * sequence, checking the invariants after each step.
+ * @param {object} surface - From setup()
+ * @param {{message: ChatMessage, value: number}|null} snapshot
+ * @returns {(sequence: Array) => Promise<{index: number, message: string}|null>}
+ */
+function clickSequence(surface, snapshot) {
+  return async (sequence) => {
+    await surface.reset();
+    if (surface.interactive) await settleVisual(surface.findClock, 0);
+
+    for (const [index, step] of sequence.entries()) {
+      const before = surface.getStored();
+      const clockEl = surface.findClock();
+      if (!clockEl) return { index, message: "clock element not found" };
+
+      const updates = surface.interactive && !(step.action === "right" && before === 0);
+      const updatePromise = updates
+        ? waitForActorUpdate(surface.owner, { timeoutMs: UPDATE_TIMEOUT_MS }).catch(() => {})
+        : sleep(NO_UPDATE_WAIT_MS);
+      fireStep(clockEl, step);
+      await updatePromise;
+
+      const broken = await checkInvariants(surface, snapshot, before);
+      if (broken) return { index, message: broken };
+    }
+    return null;
+  };
+}
+
+onQuenchReady((quench) => {
+  if (!isTargetModuleActive()) {
+    console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping clock fuzzing`);
+    return;
+  }
+
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, beforeEach, afterEach } = context;
+
+      let documents = [];
+
+      beforeEach(function () {
+        if (getPropertyConfig().runs === 0) {
+          // Property mode is off; see api.property.run()
+          this.skip();
+        }
+      });
+
+      afterEach(async function () {
+        this.timeout(10000);
+        await closeAllDialogs();
+        for (const doc of documents.reverse()) {
+          try {
+            if (doc.sheet?.rendered) await doc.sheet.close();
+            await doc.delete();
+          } catch {
+            // Ignore cleanup errors
+          }
+        }
+        documents = [];
+      });
+
+      /**
+       * Run the click property on one surface.
+       * @param {Mocha.Context} test
+       * @param {string} name - Key of SURFACES
+       * @param {number|null} size - Clock size, or null for the healing clock
+       */
+      async function fuzz(test, name, size) {
+        const { runs } = getPropertyConfig();
+        test.timeout(20000 + (runs + MAX_SHRINK_EXECUTIONS) * MAX_STEPS * MS_PER_CLICK);
+
+        let surface;
+        let snapshot = null;
+        if (size === null) {
+          surface = await SURFACES[name].setup();
+          documents.push(...surface.documents);
+        } else {
+          // Post the snapshot at a non-zero value, then fuzz from 0
+          const snapshotValue = Math.floor(size / 2);
+          const clockActor = await createClockActor({ name: `ClockFuzz ${name} ${size}`, type: size, value: snapshotValue });
+          assert.ok(clockActor, "Clock actor should be created - clock actor type must be available in system");
+          documents.push(clockActor);
+
+          const message = await createClockChatMessage(clockActor);
+          documents.push(message);
+          assert.ok(await waitForClockInChat(message, 3000), "Clock should render in chat after enrichment");
+          snapshot = { message, value: snapshotValue };
+          assert.equal(getClockVisualValue(findClockInChat(message)), snapshotValue, "Chat snapshot should show its value");
+
+          surface = await SURFACES[name].setup({ clockActor, snapshot });
+          documents.push(...surface.documents);
+          Object.assign(surface, {
+            owner: clockActor,
+            size,
+            getStored: () => Number(clockActor.system?.value) || 0,
+            reset: () => setClockValue(clockActor, 0),
+          });
+        }
+
+        assert.ok(surface.findClock(), `Clock should render in the ${name}`);
+        assert.equal(
+          surface.findClock().querySelectorAll(CLOCKS.RADIO_LABELS).length,
+          surface.size,
+          `Clock in the ${name} should have ${surface.size} segments`
+        );
+
+        const label = size === null ? `${name} clock` : `${name} ${size}-clock`;
+        const result = await assertProperty({
+          name: label,
+          generate: (rng) => generateClicks(rng, surface.size),
+          execute: clickSequence(surface, snapshot),
+          shrinkStep,
+          formatStep,
+        });
+        console.log(`[${MODULE_ID}] ${label}: ${result.runs} sequence(s) passed (seed ${result.seed})`);
+      }
+
+      for (const [name, { sizes }] of Object.entries(SURFACES)) {
+        t.section(`Clocks in ${name}`, () => {
+          for (const size of sizes ?? [null]) {
+            const what = size === null ? "the healing clock" : `a ${size}-segment clock`;
+            t.test(`random click sequences keep ${what} consistent`, async function () {
+              await fuzz(this, name, size);
+            });
+          }
+        });
+      }
+    }
+  );
+});
@@ -11,8 +11,8 @@ import {
   closeAllDialogs,
   cleanupTestActor,
   testCleanup,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -94,16 +94,26 @@ async function createWorldItem(type, name) {
   return item;
 }
 
-const t = new TestNumberer("8");
+const batch = defineBatch({
+  id: "8",
+  key: "bitd-alternate-sheets.compendium-cache",
+  title: "Compendium Cache",
+  description: "Cache invalidation and performance",
+  tags: ["compendia", "cache"],
+  requiredSettings: ["bitd-alternate-sheets.populateFromCompendia", "bitd-alternate-sheets.populateFromWorld"],
+  requiredCompendia: ["crew_type"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping compendium cache tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.compendium-cache",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -525,7 +535,6 @@ Hooks.on("quenchReady", (quench) => {
           }
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Compendium Cache" }
+    }
   );
 });
@@ -9,22 +9,32 @@ import {
   ensureSheet,
   isTargetModuleActive,
   cleanupTestActor,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
 
-const t = new TestNumberer("17");
+const batch = defineBatch({
+  id: "17",
+  key: "bitd-alternate-sheets.crew-link",
+  title: "Crew Linking",
+  description: "Crew linking via character sheet, cancel/clear behavior, locked mode",
+  tags: ["character", "crew", "dialogs"],
+  requiredSettings: ["bitd-alternate-sheets.populateFromCompendia", "bitd-alternate-sheets.populateFromWorld"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping crew-link tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.crew-link",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -840,7 +850,6 @@ Hooks.on("quenchReady", (quench) => {
           console.log("  - After removal: 9");
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Crew Linking" }
+    }
   );
 });
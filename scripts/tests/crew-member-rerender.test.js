@@ -10,8 +10,8 @@ import {
   ensureSheet,
   waitForActorUpdate,
   isTargetModuleActive,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -94,16 +94,25 @@ function createRenderTracker(sheet) {
   };
 }
 
-const t = new TestNumberer("13");
+const batch = defineBatch({
+  id: "13",
+  key: "bitd-alternate-sheets.crew-member-rerender",
+  title: "Crew Member Rerender",
+  description: "Crew member sheet rerender on upgrade changes",
+  tags: ["crew", "character", "rendering"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping crew member rerender tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.crew-member-rerender",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -327,7 +336,6 @@ Hooks.on("quenchReady", (quench) => {
           );
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Crew Member Rerender" }
+    }
   );
 });
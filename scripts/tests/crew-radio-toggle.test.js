@@ -14,24 +14,33 @@ import {
   setCrewStat,
   isTargetModuleActive,
   runCrewTeethTest,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 
 // Stats that use radio toggle teeth on crew sheets
 const CREW_STATS = ["tier", "heat", "wanted"];
 
-const t = new TestNumberer("12");
+const batch = defineBatch({
+  id: "12",
+  key: "bitd-alternate-sheets.crew-radio-toggle",
+  title: "Crew Radio Toggle",
+  description: "Tier/heat/wanted toggle behavior (crew sheets)",
+  tags: ["crew", "teeth"],
+  requiredCompendia: ["crew_type"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping crew radio toggle tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.crew-radio-toggle",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -131,7 +140,6 @@ Hooks.on("quenchReady", (quench) => {
           });
         });
       }
-    },
-    { displayName: "BitD Alt Sheets: Crew Radio Toggle" }
+    }
   );
 });
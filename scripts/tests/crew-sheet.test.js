@@ -13,10 +13,10 @@ import {
   closeAllDialogs,
   cleanupTestActor,
   cleanupTestActors,
-  TestNumberer,
   assertExists,
   assertNotEmpty,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -151,16 +151,25 @@ function isSheetMinimized(sheet) {
   return el?.classList?.contains("can-expand") ?? false;
 }
 
-Hooks.on("quenchReady", (quench) => {
+const batch = defineBatch({
+  id: "1",
+  key: "bitd-alternate-sheets.crew-sheet",
+  title: "Crew Sheet",
+  description: "Crew sheet abilities, upgrades, collapse, minimize",
+  tags: ["crew", "sheet"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
+
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping crew sheet tests`);
     return;
   }
 
-  const t = new TestNumberer("1");
-
-  quench.registerBatch(
-    "bitd-alternate-sheets.crew-sheet",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -1216,7 +1225,6 @@ Hooks.on("quenchReady", (quench) => {
           console.log(`[CrewSheet Test] Assassins: ${assassinsAbilities.length} abilities, Smugglers: ${smugglersAbilities.length} abilities, Identical: ${areIdentical}`);
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Crew Sheet" }
+    }
   );
 });
@@ -0,0 +1,204 @@
+/**
+ * Quench test batch for the test dashboard's data and rendering.
+ * Tests session results, the run-history fallback, filters and the rendered
+ * rerun buttons and failure details, against a private results store so the
+ * session's own results are left alone. The window itself is not opened.
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import {
+  buildDashboardData,
+  formatDuration,
+  recordResults,
+  renderDashboard,
+} from "../dashboard.js";
+
+const batch = defineBatch({
+  id: "37",
+  key: "bitd-alternate-sheets.dashboard",
+  title: "Test Dashboard",
+  description: "Dashboard results, history fallback, filters and rendering",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+/** Declared-looking batches that are never registered with Quench */
+const BATCHES = [
+  { id: "901", key: "bitd-alternate-sheets.fake-sheet", title: "Fake Sheet", description: "A sheet", tags: ["character"] },
+  { id: "902", key: "bitd-alternate-sheets.fake-clocks", title: "Fake Clocks", description: "Clocks", tags: ["clocks"] },
+];
+
+/**
+ * Build a normalized report test.
+ * @param {string} id - TestNumberer ID
+ * @param {string} status
+ * @param {object} [extra]
+ * @returns {object}
+ */
+function reportTest(id, status, extra = {}) {
+  return {
+    batch: "x",
+    id,
+    name: `test ${id}`,
+    fullTitle: `x ${id} test ${id}`,
+    status,
+    duration: 100,
+    attempts: 1,
+    flaky: false,
+    quarantined: false,
+    error: null,
+    ...extra,
+  };
+}
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, beforeEach } = context;
+
+      // A private store, so the session results the dashboard shows are untouched
+      let results;
+
+      beforeEach(function () {
+        results = new Map();
+      });
+
+      t.section("Results", () => {
+        t.test("summarizes session results per batch", function () {
+          recordResults({
+            tests: [
+              reportTest("901.1.1", "passed"),
+              reportTest("901.1.2", "failed", { error: { message: "boom", stack: "" } }),
+              reportTest("901.1.3", "skipped"),
+            ],
+          }, results);
+
+          const [sheet, clocks] = buildDashboardData({ results, batches: BATCHES, history: [] }).rows;
+          assert.equal(sheet.status, "failed");
+          assert.deepEqual(sheet.counts, { passed: 1, failed: 1, quarantined: 0, skipped: 1 });
+          assert.equal(sheet.duration, 300);
+          assert.equal(sheet.source, "session");
+          assert.isFalse(sheet.registered);
+          assert.equal(clocks.status, "not run");
+        });
+
+        t.test("a later report replaces only the tests it ran", function () {
+          recordResults({ tests: [reportTest("901.1.1", "failed"), reportTest("901.1.2", "passed")] }, results);
+          recordResults({ tests: [reportTest("901.1.1", "passed")] }, results);
+
+          const [sheet] = buildDashboardData({ results, batches: BATCHES, history: [] }).rows;
+          assert.equal(sheet.status, "passed");
+          assert.deepEqual(sheet.tests.map((test) => test.id), ["901.1.1", "901.1.2"]);
+        });
+
+        t.test("quarantined failures do not fail the batch", function () {
+          recordResults({ tests: [reportTest("902.1.1", "failed", { quarantined: "known issue" })] }, results);
+
+          const [, clocks] = buildDashboardData({ results, batches: BATCHES, history: [] }).rows;
+          assert.equal(clocks.status, "skipped");
+          assert.deepEqual(clocks.counts, { passed: 0, failed: 0, quarantined: 1, skipped: 0 });
+        });
+      });
+
+      t.section("Run History", () => {
+        const history = [
+          { timestamp: "2026-01-01T00:00:00Z", results: { "901.1.1": "failed", "902.1.1": "flaky" } },
+          { timestamp: "2026-01-02T00:00:00Z", results: { "901.1.1": "passed" } },
+        ];
+
+        t.test("falls back to the latest run that included the batch", function () {
+          const [sheet, clocks] = buildDashboardData({ results, batches: BATCHES, history }).rows;
+          assert.equal(sheet.source, "history");
+          assert.equal(sheet.ranAt, "2026-01-02T00:00:00Z");
+          assert.equal(sheet.status, "passed");
+          assert.equal(clocks.ranAt, "2026-01-01T00:00:00Z");
+          assert.equal(clocks.status, "passed");
+        });
+
+        t.test("counts tests that were flaky in any recorded run", function () {
+          recordResults({ tests: [reportTest("902.1.1", "passed")] }, results);
+
+          const [, clocks] = buildDashboardData({ results, batches: BATCHES, history }).rows;
+          assert.equal(clocks.source, "session");
+          assert.equal(clocks.flaky, 1);
+        });
+      });
+
+      t.section("Filters", () => {
+        t.test("filters batches by tag", function () {
+          const data = buildDashboardData({ results, batches: BATCHES, history: [], filter: { tag: "clocks" } });
+          assert.deepEqual(data.tags, ["character", "clocks"]);
+          assert.deepEqual(data.rows.map((row) => row.id), ["902"]);
+        });
+
+        t.test("failures only keeps failed batches and their failed tests", function () {
+          recordResults({
+            tests: [reportTest("901.1.1", "passed"), reportTest("901.1.2", "failed"), reportTest("902.1.1", "passed")],
+          }, results);
+
+          const data = buildDashboardData({ results, batches: BATCHES, history: [], filter: { failuresOnly: true } });
+          assert.deepEqual(data.rows.map((row) => row.id), ["901"]);
+          assert.deepEqual(data.rows[0].tests.map((test) => test.id), ["901.1.2"]);
+        });
+      });
+
+      t.section("Rendering", () => {
+        t.test("shows failures inline with escaped error, stack and capture", function () {
+          recordResults({
+            tests: [reportTest("901.1.1", "failed", { error: { message: "<b>bad</b>", stack: "at <anon>" } })],
+          }, results);
+          const data = buildDashboardData({ results, batches: BATCHES, history: [] });
+          data.rows[0].tests[0].capture = [
+            { source: "console", level: "error", message: "<i>logged</i>", expected: false },
+          ];
+
+          const html = renderDashboard(data, { expanded: new Set([BATCHES[0].key]) });
+          assert.include(html, "&lt;b&gt;bad&lt;/b&gt;");
+          assert.include(html, "at &lt;anon&gt;");
+          assert.include(html, "console.error: &lt;i&gt;logged&lt;/i&gt;");
+          assert.notInclude(html, "<b>bad</b>");
+        });
+
+        t.test("offers rerun buttons only for registered batches", function () {
+          recordResults({ tests: [reportTest("37.1.1", "passed"), reportTest("901.1.1", "passed")] }, results);
+          const data = buildDashboardData({ results, batches: [batch, BATCHES[0]], history: [] });
+
+          const html = renderDashboard(data);
+          assert.include(html, `data-action="runBatch" data-batch="${batch.key}"`);
+          assert.include(html, 'data-action="runTest" data-test="37.1.1"');
+          assert.notInclude(html, `data-batch="${BATCHES[0].key}" title="Run this batch"`);
+          assert.notInclude(html, 'data-test="901.1.1"');
+          assert.include(html, "not registered");
+        });
+
+        t.test("formats durations", function () {
+          assert.equal(formatDuration(null), "—");
+          assert.equal(formatDuration(250), "250 ms");
+          assert.equal(formatDuration(12345), "12.3 s");
+        });
+
+        t.test("history tests recorded by full title get no rerun button", function () {
+          const fullTitle = `${batch.key} untitled test`;
+          const history = [{ timestamp: "2026-01-01T00:00:00Z", results: { [fullTitle]: "passed" } }];
+          const data = buildDashboardData({ results, batches: [batch], history });
+
+          assert.isNull(data.rows[0].tests[0].id);
+          const html = renderDashboard(data, { expanded: new Set([batch.key]) });
+          assert.include(html, "untitled test");
+          assert.notInclude(html, 'data-action="runTest"');
+        });
+      });
+
+      t.section("Session Results", () => {
+        t.test("recording into a private store leaves the session results alone", function () {
+          recordResults({ tests: [reportTest("901.1.1", "failed")] }, results);
+
+          const [sheet] = buildDashboardData({ batches: BATCHES, history: [] }).rows;
+          assert.equal(sheet.status, "not run");
+        });
+      });
+    }
+  );
+});
@@ -0,0 +1,278 @@
+/**
+ * Quench test batch for the smart-field dialog driver (dialog-driver.js).
+ * Drives V1-shaped (`.dialog.app` with data-button) and V2-shaped (native
+ * `<dialog>` with data-action) markup that closes itself when a button is
+ * clicked, so no target-module dialog is opened.
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { DialogDriver, identifyDialog, waitForDialog } from "../dialog-driver.js";
+
+const batch = defineBatch({
+  id: "47",
+  key: "bitd-alternate-sheets.dialog-driver",
+  title: "Dialog Driver",
+  description: "Dialog identification, choosing, typing, clearing and V1/V2 buttons",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+/** Chooser cards; the partial match comes first to check exact matches win */
+const CHOOSER_BODY = `
+  <form class="selection-dialog">
+    <input type="text" name="search">
+    <label class="card"><input type="radio" name="selectionId" value="elite"> Bravos  Elite</label>
+    <label class="card"><input type="radio" name="selectionId" value="bravos"> Bravos</label>
+    <input type="text" name="customTextValue" value="old">
+  </form>`;
+
+const TEXT_BODY = '<input name="value" value="old">';
+
+const CONFIRM_BODY = "<p>Are you sure?</p>";
+
+/**
+ * Markup for a V1 Dialog window.
+ * @param {string} body
+ * @param {string[]} buttons - data-button values
+ * @returns {string}
+ */
+function v1Dialog(body, buttons) {
+  const footer = buttons.map((name) => `<button data-button="${name}">${name}</button>`).join("");
+  return `<div class="app window-app dialog"><section class="window-content">${body}` +
+    `<div class="dialog-buttons">${footer}</div></section></div>`;
+}
+
+/**
+ * Markup for a DialogV2 rendered as a native dialog.
+ * @param {string} body
+ * @param {string[]} actions - data-action values
+ * @returns {string}
+ */
+function v2Dialog(body, actions) {
+  const footer = actions.map((name) => `<button type="button" data-action="${name}">${name}</button>`).join("");
+  return `<dialog class="application dialog" open><div class="window-content">${body}</div>` +
+    `<footer class="form-footer">${footer}</footer></dialog>`;
+}
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, beforeEach, afterEach } = context;
+
+      let container;
+      let clicked;
+
+      /**
+       * Render dialog markup whose buttons record their name and close it.
+       * @param {string} html
+       * @returns {DialogDriver}
+       */
+      function open(html) {
+        container.insertAdjacentHTML("beforeend", html);
+        const element = container.lastElementChild;
+        for (const button of element.querySelectorAll("button")) {
+          button.addEventListener("click", () => {
+            clicked.push(button.dataset.action ?? button.dataset.button);
+            if (element.tagName === "DIALOG") element.removeAttribute("open");
+            else element.remove();
+          });
+        }
+        return new DialogDriver({ element });
+      }
+
+      /**
+       * Record the events an element fires.
+       * @param {HTMLElement} element
+       * @param {string[]} types
+       * @returns {string[]} Event types, in order
+       */
+      function recordEvents(element, types) {
+        const events = [];
+        for (const type of types) element.addEventListener(type, () => events.push(type));
+        return events;
+      }
+
+      beforeEach(function () {
+        container = document.createElement("div");
+        document.body.append(container);
+        clicked = [];
+      });
+
+      afterEach(function () {
+        container.remove();
+      });
+
+      t.section("identifyDialog", () => {
+        t.test("tells choosers, text inputs and confirms apart in V1 and V2 markup", function () {
+          for (const wrap of [v1Dialog, v2Dialog]) {
+            assert.strictEqual(open(wrap(CHOOSER_BODY, ["confirm"])).kind, "chooser");
+            assert.strictEqual(open(wrap(TEXT_BODY, ["ok"])).kind, "text");
+            assert.strictEqual(open(wrap(CONFIRM_BODY, ["yes", "no"])).kind, "confirm");
+          }
+        });
+
+        t.test("anything else is unknown", function () {
+          assert.strictEqual(open(v1Dialog(CONFIRM_BODY, ["ok"])).kind, "unknown");
+          assert.strictEqual(identifyDialog(null), "unknown");
+          assert.strictEqual(identifyDialog({}), "unknown");
+        });
+      });
+
+      t.section("choose", () => {
+        t.test("an exact match wins over an earlier partial one", async function () {
+          const dialog = open(v2Dialog(CHOOSER_BODY, ["ok"]));
+          const events = recordEvents(dialog.element, ["change"]);
+
+          const input = await dialog.choose("bravos");
+
+          assert.strictEqual(input.value, "bravos");
+          assert.isTrue(input.checked);
+          assert.deepEqual(events, ["change"]);
+          assert.deepEqual(dialog.choices.map((c) => c.name), ["Bravos Elite", "Bravos"]);
+        });
+
+        t.test("a partial match is used when nothing matches exactly", async function () {
+          const dialog = open(v1Dialog(CHOOSER_BODY, ["confirm"]));
+
+          const input = await dialog.choose("ELITE");
+
+          assert.strictEqual(input.value, "elite");
+        });
+
+        t.test("no match throws and lists the available choices", async function () {
+          const dialog = open(v1Dialog(CHOOSER_BODY, ["confirm"]));
+
+          let error = null;
+          try {
+            await dialog.choose("Hawkers");
+          } catch (err) {
+            error = err;
+          }
+
+          assert.instanceOf(error, Error);
+          assert.strictEqual(
+            error.message,
+            'No dialog choice matches "Hawkers" (available: "Bravos Elite", "Bravos")'
+          );
+        });
+      });
+
+      t.section("type and clear", () => {
+        t.test("type() replaces the custom text field's value over other text inputs", async function () {
+          const dialog = open(v2Dialog(CHOOSER_BODY, ["ok"]));
+          const field = dialog.element.querySelector('input[name="customTextValue"]');
+          const events = recordEvents(field, ["input", "change"]);
+
+          const input = await dialog.type("Lampblacks");
+
+          assert.strictEqual(input, field);
+          assert.strictEqual(field.value, "Lampblacks");
+          assert.strictEqual(dialog.element.querySelector('input[name="search"]').value, "");
+          assert.deepEqual(events, ["input", "change"]);
+        });
+
+        t.test("type() fills a plain value input and throws without any input", async function () {
+          const text = open(v1Dialog(TEXT_BODY, ["confirm"]));
+          await text.type("new");
+          assert.strictEqual(text.textInput.value, "new");
+
+          const confirm = open(v1Dialog(CONFIRM_BODY, ["yes", "no"]));
+          let error = null;
+          try {
+            await confirm.type("new");
+          } catch (err) {
+            error = err;
+          }
+          assert.strictEqual(error?.message, "Dialog (confirm) has no text input");
+        });
+
+        t.test("clear() clicks the clear button when there is one", async function () {
+          const dialog = open(v2Dialog(TEXT_BODY, ["ok", "clear"]));
+
+          const closed = await dialog.clear();
+
+          assert.isTrue(closed);
+          assert.deepEqual(clicked, ["clear"]);
+          assert.strictEqual(dialog.textInput.value, "old");
+        });
+
+        t.test("clear() otherwise empties the input and confirms", async function () {
+          const dialog = open(v1Dialog(TEXT_BODY, ["confirm", "cancel"]));
+          const input = dialog.textInput;
+
+          const closed = await dialog.clear();
+
+          assert.isTrue(closed);
+          assert.deepEqual(clicked, ["confirm"]);
+          assert.strictEqual(input.value, "");
+        });
+      });
+
+      t.section("V1 and V2 Buttons", () => {
+        t.test("V1 dialogs use data-button confirm and cancel", async function () {
+          const confirmed = open(v1Dialog(TEXT_BODY, ["cancel", "confirm"]));
+          const cancelled = open(v1Dialog(CONFIRM_BODY, ["yes", "no"]));
+
+          assert.isFalse(confirmed.isV2);
+          assert.isTrue(await confirmed.confirm());
+          assert.isTrue(await cancelled.cancel());
+          assert.deepEqual(clicked, ["confirm", "no"]);
+          assert.isFalse(confirmed.isOpen);
+        });
+
+        t.test("V2 dialogs use data-action ok, yes and cancel", async function () {
+          const ok = open(v2Dialog(TEXT_BODY, ["cancel", "ok"]));
+          const yes = open(v2Dialog(CONFIRM_BODY, ["no", "yes"]));
+          const cancelled = open(v2Dialog(TEXT_BODY, ["ok", "cancel"]));
+
+          assert.isTrue(ok.isV2);
+          assert.isTrue(await ok.confirm());
+          assert.isTrue(await yes.confirm());
+          assert.isTrue(await cancelled.cancel());
+          assert.deepEqual(clicked, ["ok", "yes", "cancel"]);
+          assert.isFalse(ok.isOpen);
+        });
+
+        t.test("confirm() throws when the dialog has no confirm button", async function () {
+          const dialog = open(v2Dialog(TEXT_BODY, ["cancel"]));
+
+          let error = null;
+          try {
+            await dialog.confirm();
+          } catch (err) {
+            error = err;
+          }
+
+          assert.strictEqual(error?.message, "Dialog (text) has no confirm button");
+          assert.deepEqual(clicked, []);
+        });
+      });
+
+      t.section("waitForDialog", () => {
+        t.test("returns the dialog the trigger opened, not one already open", async function () {
+          open(v1Dialog(TEXT_BODY, ["confirm"]));
+
+          const dialog = await waitForDialog({
+            trigger: () => open(v2Dialog(CONFIRM_BODY, ["yes", "no"])),
+            timeoutMs: 500,
+          });
+
+          assert.strictEqual(dialog?.kind, "confirm");
+          assert.strictEqual(dialog.element, container.lastElementChild);
+        });
+
+        t.test("resolves null when no dialog of the wanted kind opens", async function () {
+          const dialog = await waitForDialog({
+            trigger: () => open(v1Dialog(TEXT_BODY, ["confirm"])),
+            kind: "chooser",
+            timeoutMs: 100,
+          });
+
+          assert.isNull(dialog);
+        });
+      });
+    }
+  );
+});
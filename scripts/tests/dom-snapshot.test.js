@@ -0,0 +1,183 @@
+/**
+ * Quench test batch for DOM snapshots of the character and crew sheets.
+ * Tests the serializer and the structural diff the golden comparisons use.
+ * Comparing rendered sheets with golden files in fixtures/snapshots is left
+ * out until the goldens are recorded and committed (see the README).
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { serializeElement, diffSnapshots, formatSnapshotDiff } from "../dom-snapshot.js";
+
+/** A Foundry-style document ID used in the serializer fixtures */
+const DOC_ID = "aBcDeFgHiJkLmNoP";
+
+/**
+ * Build an element from HTML.
+ * @param {string} html
+ * @returns {HTMLElement}
+ */
+function html(html) {
+  const wrapper = document.createElement("div");
+  wrapper.innerHTML = html.trim();
+  return wrapper.firstElementChild;
+}
+
+const batch = defineBatch({
+  id: "32",
+  key: "bitd-alternate-sheets.dom-snapshot",
+  title: "DOM Snapshots",
+  description: "Sheet markup serialization and structural diff",
+  tags: ["harness", "rendering"],
+});
+const t = batch.numberer;
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert } = context;
+
+      t.section("Serializer", () => {
+        t.test("keeps tag, sorted classes, data attributes and own text", function () {
+          const tree = serializeElement(html(`
+            <section class="zeta alpha" data-tab="abilities">
+              Abilities
+              <span class="count">3</span>
+            </section>
+          `));
+
+          assert.deepStrictEqual(tree, {
+            tag: "section",
+            classes: ["alpha", "zeta"],
+            data: { tab: "abilities" },
+            text: "Abilities",
+            children: [{ tag: "span", classes: ["count"], text: "3" }],
+          });
+        });
+
+        t.test("records form control names and values", function () {
+          const form = html(`
+            <form>
+              <input type="text" name="name" value="Silver">
+              <input type="checkbox" name="system.ability" checked>
+              <textarea name="system.notes">Notes</textarea>
+            </form>
+          `);
+          const [text, checkbox, textarea] = serializeElement(form).children;
+
+          assert.strictEqual(text.value, "Silver");
+          assert.strictEqual(text.name, "name");
+          assert.strictEqual(checkbox.value, true);
+          assert.strictEqual(textarea.value, "Notes");
+        });
+
+        t.test("drops element IDs and replaces document IDs with placeholders", function () {
+          const tree = serializeElement(html(`
+            <div id="sheet-${DOC_ID}" data-actor-id="${DOC_ID}">
+              <label for="character-${DOC_ID}-insight-1" data-appid="42">x</label>
+            </div>
+          `), { ids: [DOC_ID] });
+          const serialized = JSON.stringify(tree);
+
+          assert.notInclude(serialized, DOC_ID, "Document ID should not appear in the snapshot");
+          assert.notProperty(tree, "id", "Element IDs should be dropped");
+          assert.deepStrictEqual(tree.data, { actorId: "{id:0}" });
+          assert.notProperty(tree.children[0], "data", "Volatile data-appid should be dropped");
+        });
+
+        t.test("numbers IDs found in data-*-id attributes by first appearance", function () {
+          const other = "ZyXwVuTsRqPoNmLk";
+          const tree = serializeElement(html(`
+            <ul>
+              <li data-item-id="${other}"></li>
+              <li data-item-id="${DOC_ID}"></li>
+              <li data-item-id="${other}"></li>
+            </ul>
+          `));
+
+          assert.deepStrictEqual(
+            tree.children.map((child) => child.data.itemId),
+            ["{id:0}", "{id:1}", "{id:0}"]
+          );
+        });
+
+        t.test("skips scripts and keeps svg as a leaf", function () {
+          const tree = serializeElement(html(`
+            <div><script>alert(1)</script><svg class="icon"><path d="M0 0"></path></svg></div>
+          `));
+
+          assert.deepStrictEqual(tree.children, [{ tag: "svg", classes: ["icon"] }]);
+        });
+      });
+
+      t.section("Structural Diff", () => {
+        const golden = serializeElement(html(`
+          <form class="sheet">
+            <div class="item-block" data-item-id="a">Blade</div>
+            <div class="item-block" data-item-id="b">Pistol</div>
+          </form>
+        `));
+
+        t.test("identical trees have no differences", function () {
+          assert.deepStrictEqual(diffSnapshots(golden, structuredClone(golden)), []);
+          assert.strictEqual(formatSnapshotDiff([]), "No differences");
+        });
+
+        t.test("an inserted element is reported once", function () {
+          const actual = serializeElement(html(`
+            <form class="sheet">
+              <header class="sheet-header"></header>
+              <div class="item-block" data-item-id="a">Blade</div>
+              <div class="item-block" data-item-id="b">Pistol</div>
+            </form>
+          `));
+          const diff = diffSnapshots(golden, actual);
+
+          assert.lengthOf(diff, 1, formatSnapshotDiff(diff));
+          assert.strictEqual(diff[0].type, "added");
+          assert.strictEqual(diff[0].path, "form.sheet > header.sheet-header[0]");
+        });
+
+        t.test("class, data and text changes are reported per field", function () {
+          const actual = serializeElement(html(`
+            <form class="sheet">
+              <div class="item-block selected" data-item-id="a">Blade</div>
+              <div class="item-block" data-item-id="c">Pistols</div>
+            </form>
+          `));
+          const diff = diffSnapshots(golden, actual);
+          const text = formatSnapshotDiff(diff);
+
+          assert.sameMembers(
+            diff.map((change) => change.field),
+            ["classes", "data-itemId", "text"]
+          );
+          assert.include(text, "~ form.sheet > div.item-block.selected[0]: classes added selected");
+          assert.include(text, 'data-itemId "b" → "c"');
+          assert.include(text, 'text "Pistol" → "Pistols"');
+        });
+
+        t.test("a removed element is reported with its golden path", function () {
+          const actual = serializeElement(html(`
+            <form class="sheet">
+              <div class="item-block" data-item-id="a">Blade</div>
+            </form>
+          `));
+          const diff = diffSnapshots(golden, actual);
+
+          assert.lengthOf(diff, 1, formatSnapshotDiff(diff));
+          assert.strictEqual(formatSnapshotDiff(diff), "- form.sheet > div.item-block[1]");
+        });
+
+        t.test("long diffs are truncated with a count", function () {
+          const changes = Array.from({ length: 5 }, (_, i) => ({ type: "added", path: `div[${i}]` }));
+          const text = formatSnapshotDiff(changes, { maxLines: 2 });
+
+          assert.strictEqual(text.split("\n").length, 3);
+          assert.include(text, "and 3 more change(s)");
+        });
+      });
+    }
+  );
+});
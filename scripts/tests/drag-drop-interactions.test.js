@@ -12,9 +12,9 @@ import {
   closeAllDialogs,
   testCleanup,
   findClassItem,
-  TestNumberer,
   assertExists,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -88,16 +88,25 @@ function getItemCount(actor, type = null) {
   return actor.items.size;
 }
 
-const t = new TestNumberer("20");
+const batch = defineBatch({
+  id: "26",
+  key: "bitd-alternate-sheets.drag-drop",
+  title: "Drag-Drop Interactions",
+  description: "Item drops, playbook drops, and edit mode restrictions",
+  tags: ["character", "crew", "drag-drop"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping drag-drop tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.drag-drop",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -515,7 +524,6 @@ Hooks.on("quenchReady", (quench) => {
           );
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Drag-Drop Interactions" }
+    }
   );
 });
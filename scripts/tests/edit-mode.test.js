@@ -11,8 +11,8 @@ import {
   isTargetModuleActive,
   closeAllDialogs,
   testCleanup,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -50,16 +50,25 @@ async function clearAllowEditStates() {
   await game.user?.unsetFlag(TARGET_MODULE_ID, "allowEditStates");
 }
 
-const t = new TestNumberer("14");
+const batch = defineBatch({
+  id: "14",
+  key: "bitd-alternate-sheets.edit-mode",
+  title: "Edit Mode",
+  description: "Allow edit toggle behavior (both sheet types)",
+  tags: ["character", "crew", "sheet"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping edit mode tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.edit-mode",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -540,7 +549,6 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((r) => setTimeout(r, 200));
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Edit Mode" }
+    }
   );
 });
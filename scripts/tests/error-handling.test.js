@@ -10,62 +10,14 @@ import {
   isTargetModuleActive,
   waitForActorUpdate,
   expectedTestError,
-  TestNumberer,
   assertExists,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { testCapture } from "../capture.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
 
-/**
- * Track UI notifications.
- * @returns {{notifications: Array, restore: () => void}}
- */
-function trackNotifications() {
-  const notifications = [];
-  const originalError = ui.notifications.error.bind(ui.notifications);
-  const originalWarn = ui.notifications.warn.bind(ui.notifications);
-
-  ui.notifications.error = function (message, options) {
-    notifications.push({ type: "error", message, options });
-    return originalError(message, options);
-  };
-
-  ui.notifications.warn = function (message, options) {
-    notifications.push({ type: "warn", message, options });
-    return originalWarn(message, options);
-  };
-
-  return {
-    notifications,
-    restore: () => {
-      ui.notifications.error = originalError;
-      ui.notifications.warn = originalWarn;
-    },
-  };
-}
-
-/**
- * Track console errors.
- * @returns {{errors: Array, restore: () => void}}
- */
-function trackConsoleErrors() {
-  const errors = [];
-  const originalError = console.error;
-
-  console.error = function (...args) {
-    errors.push(args);
-    return originalError.apply(console, args);
-  };
-
-  return {
-    errors,
-    restore: () => {
-      console.error = originalError;
-    },
-  };
-}
-
 /**
  * Find inline edit fields.
  * @param {HTMLElement} root
@@ -139,22 +91,30 @@ function findUpgradeCheckboxes(root) {
   );
 }
 
-const t = new TestNumberer("10");
+const batch = defineBatch({
+  id: "10",
+  key: "bitd-alternate-sheets.error-handling",
+  title: "Error Handling",
+  description: "Null safety and error notifications",
+  tags: ["errors"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping error handling tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.error-handling",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
       t.section("Null Safety", () => {
         let actor;
-        let consoleTracker;
 
         beforeEach(async function () {
           this.timeout(10000);
@@ -163,13 +123,10 @@ Hooks.on("quenchReady", (quench) => {
             playbookName: "Cutter"
           });
           actor = result.actor;
-          consoleTracker = trackConsoleErrors();
         });
 
         afterEach(async function () {
           this.timeout(5000);
-          if (consoleTracker) consoleTracker.restore();
-
           if (actor) {
             try {
               if (actor.sheet) {
@@ -185,21 +142,17 @@ Hooks.on("quenchReady", (quench) => {
         });
 
         t.test("sheet renders without throwing errors", async function () {
-          const errorsBefore = consoleTracker.errors.length;
+          const errorsBefore = testCapture().mark();
 
           const sheet = await ensureSheet(actor);
 
-          const errorsAfter = consoleTracker.errors.length;
-          const newErrors = errorsAfter - errorsBefore;
-
           // Filter for BitD-Alt specific errors
-          const relevantErrors = consoleTracker.errors
-            .slice(errorsBefore)
-            .filter(
-              (args) =>
-                args.some((a) => String(a).includes("BitD-Alt")) ||
-                args.some((a) => String(a).includes("bitd-alternate"))
-            );
+          const relevantErrors = testCapture().filter({
+            source: "console",
+            level: "error",
+            match: /BitD-Alt|bitd-alternate/,
+            since: errorsBefore,
+          });
 
           assert.equal(
             relevantErrors.length,
@@ -227,7 +180,7 @@ Hooks.on("quenchReady", (quench) => {
           assert.ok(inlineFields.length > 0,
             "Cutter sheet should have inline edit fields in edit mode - template may be broken");
 
-          const errorsBefore = consoleTracker.errors.length;
+          const errorsBefore = testCapture().mark();
 
           // Simulate interaction with inline edit field
           const field = inlineFields[0];
@@ -245,17 +198,13 @@ Hooks.on("quenchReady", (quench) => {
           field.blur();
           await new Promise((resolve) => setTimeout(resolve, 100));
 
-          const errorsAfter = consoleTracker.errors.length;
-
           // Check for crashes (no uncaught errors)
-          const crashErrors = consoleTracker.errors
-            .slice(errorsBefore)
-            .filter(
-              (args) =>
-                args.some((a) => String(a).includes("Cannot read")) ||
-                args.some((a) => String(a).includes("undefined")) ||
-                args.some((a) => String(a).includes("null"))
-            );
+          const crashErrors = testCapture().filter({
+            source: "console",
+            level: "error",
+            match: /Cannot read|undefined|null/,
+            since: errorsBefore,
+          });
 
           assert.equal(
             crashErrors.length,
@@ -276,7 +225,7 @@ Hooks.on("quenchReady", (quench) => {
           assert.ok(radioToggles.length > 0,
             "Cutter sheet should have radio toggles (XP teeth) - template may be broken");
 
-          const errorsBefore = consoleTracker.errors.length;
+          const errorsBefore = testCapture().mark();
 
           // Try to interact with radio toggles
           for (let i = 0; i < Math.min(3, radioToggles.length); i++) {
@@ -291,13 +240,12 @@ Hooks.on("quenchReady", (quench) => {
 
           await new Promise((resolve) => setTimeout(resolve, 200));
 
-          const crashErrors = consoleTracker.errors
-            .slice(errorsBefore)
-            .filter(
-              (args) =>
-                args.some((a) => String(a).includes("Cannot read")) ||
-                args.some((a) => String(a).includes("TypeError"))
-            );
+          const crashErrors = testCapture().filter({
+            source: "console",
+            level: "error",
+            match: /Cannot read|TypeError/,
+            since: errorsBefore,
+          });
 
           assert.equal(
             crashErrors.length,
@@ -309,7 +257,6 @@ Hooks.on("quenchReady", (quench) => {
 
       t.section("Error Notifications", () => {
         let actor;
-        let notificationTracker;
 
         beforeEach(async function () {
           this.timeout(10000);
@@ -318,13 +265,10 @@ Hooks.on("quenchReady", (quench) => {
             crewTypeName: "Assassins"
           });
           actor = result.actor;
-          notificationTracker = trackNotifications();
         });
 
         afterEach(async function () {
           this.timeout(5000);
-          if (notificationTracker) notificationTracker.restore();
-
           if (actor) {
             try {
               if (actor.sheet) {
@@ -342,7 +286,7 @@ Hooks.on("quenchReady", (quench) => {
         t.test("successful operations don't show error notifications", async function () {
           this.timeout(8000);
 
-          const notificationsBefore = notificationTracker.notifications.length;
+          const notificationsBefore = testCapture().mark();
 
           const sheet = await ensureSheet(actor);
           const root = sheet.element?.[0] || sheet.element;
@@ -368,9 +312,11 @@ Hooks.on("quenchReady", (quench) => {
             await new Promise((resolve) => setTimeout(resolve, 500));
           }
 
-          const errorNotifications = notificationTracker.notifications
-            .slice(notificationsBefore)
-            .filter((n) => n.type === "error");
+          const errorNotifications = testCapture().filter({
+            source: "notification",
+            level: "error",
+            since: notificationsBefore,
+          });
 
           assert.equal(
             errorNotifications.length,
@@ -402,7 +348,7 @@ Hooks.on("quenchReady", (quench) => {
         t.test("upgrade toggle operates without error notifications", async function () {
           this.timeout(10000);
 
-          const notificationsBefore = notificationTracker.notifications.length;
+          const notificationsBefore = testCapture().mark();
 
           const sheet = await ensureSheet(actor);
           const root = sheet.element?.[0] || sheet.element;
@@ -434,9 +380,11 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((resolve) => setTimeout(resolve, 300));
 
           // Verify no error notifications occurred
-          const errorNotifications = notificationTracker.notifications
-            .slice(notificationsBefore)
-            .filter((n) => n.type === "error");
+          const errorNotifications = testCapture().filter({
+            source: "notification",
+            level: "error",
+            since: notificationsBefore,
+          });
 
           assert.equal(
             errorNotifications.length,
@@ -460,7 +408,7 @@ Hooks.on("quenchReady", (quench) => {
         t.test("ability toggle operates without error notifications", async function () {
           this.timeout(10000);
 
-          const notificationsBefore = notificationTracker.notifications.length;
+          const notificationsBefore = testCapture().mark();
           const itemCountBefore = actor.items.size;
 
           const sheet = await ensureSheet(actor);
@@ -490,9 +438,11 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((resolve) => setTimeout(resolve, 300));
 
           // Verify no error notifications occurred
-          const errorNotifications = notificationTracker.notifications
-            .slice(notificationsBefore)
-            .filter((n) => n.type === "error");
+          const errorNotifications = testCapture().filter({
+            source: "notification",
+            level: "error",
+            since: notificationsBefore,
+          });
 
           assert.equal(
             errorNotifications.length,
@@ -522,7 +472,6 @@ Hooks.on("quenchReady", (quench) => {
 
       t.section("Update Failure Handling", () => {
         let actor;
-        let notificationTracker;
 
         beforeEach(async function () {
           this.timeout(10000);
@@ -531,13 +480,10 @@ Hooks.on("quenchReady", (quench) => {
             playbookName: "Cutter"
           });
           actor = result.actor;
-          notificationTracker = trackNotifications();
         });
 
         afterEach(async function () {
           this.timeout(5000);
-          if (notificationTracker) notificationTracker.restore();
-
           if (actor) {
             try {
               if (actor.sheet) {
@@ -569,7 +515,7 @@ Hooks.on("quenchReady", (quench) => {
           const tooth = root.querySelector('label[for*="insight-1"], label[for*="exp"]');
           assertExists(assert, tooth, "XP tooth should exist - character sheet template may be broken");
 
-          const notificationsBefore = notificationTracker.notifications.length;
+          const notificationsBefore = testCapture().mark();
 
           // Stub actor.update to throw an error
           const originalUpdate = actor.update.bind(actor);
@@ -590,8 +536,11 @@ Hooks.on("quenchReady", (quench) => {
             await new Promise((resolve) => setTimeout(resolve, 500));
 
             // Check for error notifications
-            const newNotifications = notificationTracker.notifications.slice(notificationsBefore);
-            const errorNotifications = newNotifications.filter((n) => n.type === "error");
+            const errorNotifications = testCapture().filter({
+              source: "notification",
+              level: "error",
+              since: notificationsBefore,
+            });
 
             // The module should show an error notification when update fails
             // (This verifies error handling exists in the update path)
@@ -604,6 +553,7 @@ Hooks.on("quenchReady", (quench) => {
               errorNotifications.length > 0,
               "Error notification should appear when update fails"
             );
+            testCapture().expect({ source: "notification", atLeast: 1, since: notificationsBefore });
           } finally {
             // Always restore original update function
             actor.update = originalUpdate;
@@ -627,6 +577,9 @@ Hooks.on("quenchReady", (quench) => {
           const tooth = root.querySelector('label[for*="insight-1"], label[for*="exp"]');
           assertExists(assert, tooth, "XP tooth should exist - character sheet template may be broken");
 
+          // The failure is intentional; its notification need not carry the prefix
+          testCapture().allow({ source: "notification" });
+
           // Stub actor.update to throw
           const originalUpdate = actor.update.bind(actor);
           actor.update = async function () {
@@ -663,7 +616,7 @@ Hooks.on("quenchReady", (quench) => {
             "/modules/bitd-alternate-sheets/scripts/lib/update-queue.js"
           );
 
-          const notificationsBefore = notificationTracker.notifications.length;
+          const notificationsBefore = testCapture().mark();
 
           // Queue an update that throws
           let errorCaught = false;
@@ -688,13 +641,17 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((resolve) => setTimeout(resolve, 100));
 
           // Check if notification was shown (queueUpdate may or may not notify)
-          const newNotifications = notificationTracker.notifications.slice(notificationsBefore);
+          const errorNotifications = testCapture().filter({
+            source: "notification",
+            level: "error",
+            since: notificationsBefore,
+          });
+          testCapture().allow({ source: "notification" });
           console.log(
-            `[ErrorHandling Test] queueUpdate error triggered ${newNotifications.filter(n => n.type === "error").length} notification(s)`
+            `[ErrorHandling Test] queueUpdate error triggered ${errorNotifications.length} notification(s)`
           );
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Error Handling" }
+    }
   );
 });
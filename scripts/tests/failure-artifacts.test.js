@@ -0,0 +1,249 @@
+/**
+ * Quench test batch for failure artifacts.
+ * Tests what the tracker records, the artifact it builds, that it is built
+ * before section cleanup runs and how the report links it, using the batch's
+ * own actors and a test function that fails on purpose.
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import {
+  ArtifactTracker,
+  ARTIFACT_FORMAT,
+  captureFailureArtifact,
+  collectFailureArtifact,
+  deleteFailureArtifact,
+  getArtifactFileName,
+  getFailureArtifact,
+  serializeArtifact,
+  storeFailureArtifact,
+} from "../failure-artifacts.js";
+import { buildReport, toJUnitXml } from "../test-report.js";
+import { ensureSheet } from "../test-utils.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/** Full title of the artifact stored by the report tests */
+const FAKE_TITLE = "bitd-alternate-sheets.fake 9.1 Section 9.1.1 breaks";
+
+const batch = defineBatch({
+  id: "38",
+  key: "bitd-alternate-sheets.failure-artifacts",
+  title: "Failure Artifacts",
+  description: "Tracked actors and updates, artifact contents and report links",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, afterEach } = context;
+
+      let tracker;
+      let actors = [];
+
+      /**
+       * Create an actor that is deleted after the test.
+       * @param {object} data
+       * @returns {Promise<Actor>}
+       */
+      async function createActor(data) {
+        const actor = await Actor.create({ type: "character", ...data });
+        actors.push(actor);
+        return actor;
+      }
+
+      /**
+       * Stop the tracker and delete the actors and stored artifact.
+       * Registered per section, so the leak guard runs after it.
+       */
+      async function cleanUp() {
+        tracker?.stop();
+        tracker = null;
+        for (const actor of actors) {
+          if (game.actors.has(actor.id)) await actor.delete();
+        }
+        actors = [];
+        deleteFailureArtifact(FAKE_TITLE);
+      }
+
+      t.section("Tracking", () => {
+        afterEach(cleanUp);
+
+        t.test("records touched actors and updateActor payloads", async function () {
+          const untouched = await createActor({ name: "Artifacts-Untouched" });
+          tracker = new ArtifactTracker().start();
+          const created = await createActor({ name: "Artifacts-Created" });
+          await untouched.update({ "system.stress.value": 3 }, { render: false, callback: () => {} });
+
+          assert.deepEqual([...tracker.actors.keys()], [created.id, untouched.id]);
+          assert.lengthOf(tracker.updates, 1);
+          assert.deepEqual(tracker.updates[0].changes, { system: { stress: { value: 3 } } });
+          assert.deepEqual(tracker.updates[0].options, { render: false });
+        });
+
+        t.test("embedded item changes touch their actor", async function () {
+          const actor = await createActor({ name: "Artifacts-Items" });
+          tracker = new ArtifactTracker().start();
+          await actor.createEmbeddedDocuments("Item", [{ name: "Fine Lockpicks", type: "item" }]);
+
+          assert.deepEqual([...tracker.actors.keys()], [actor.id]);
+        });
+
+        t.test("stop() removes its hooks", async function () {
+          const actor = await createActor({ name: "Artifacts-Stopped" });
+          tracker = new ArtifactTracker().start();
+          tracker.stop();
+          await actor.update({ name: "Artifacts-Renamed" });
+
+          assert.isFalse(tracker.active);
+          assert.lengthOf(tracker.updates, 0);
+          assert.equal(tracker.actors.size, 0);
+        });
+      });
+
+      t.section("Artifact", () => {
+        afterEach(cleanUp);
+
+        t.test("bundles actor data with flags, updates and console output", async function () {
+          tracker = new ArtifactTracker().start();
+          const actor = await createActor({ name: "Artifacts-Flags" });
+          await actor.setFlag("bitd-alternate-sheets", "equipped-items", { a: true });
+          await actor.delete();
+
+          const artifact = tracker.buildArtifact({
+            test: { title: "38.9.1 breaks", fullTitle: "x 38.9.1 breaks" },
+            consoleEntries: [
+              { source: "console", level: "error", message: `[${MODULE_ID}] boom`, args: [{}], expected: false },
+            ],
+          });
+
+          assert.equal(artifact.format, ARTIFACT_FORMAT);
+          assert.equal(artifact.test.id, "38.9.1");
+          assert.lengthOf(artifact.actors, 1);
+          assert.isTrue(artifact.actors[0].deleted);
+          assert.deepEqual(artifact.actors[0].data.flags["bitd-alternate-sheets"], { "equipped-items": { a: true } });
+          assert.lengthOf(artifact.updates, 1);
+          assert.deepEqual(artifact.console, [
+            { source: "console", level: "error", message: `[${MODULE_ID}] boom`, expected: false },
+          ]);
+          assert.doesNotThrow(() => JSON.parse(serializeArtifact(artifact)));
+        });
+
+        t.test("lists open dialogs with their HTML", function () {
+          tracker = new ArtifactTracker().start();
+          const dialog = document.createElement("dialog");
+          dialog.setAttribute("open", "");
+          dialog.innerHTML = "<p>Artifacts dialog</p>";
+          document.body.append(dialog);
+          try {
+            const artifact = tracker.buildArtifact();
+            const found = artifact.dialogs.find((entry) => entry.html.includes("Artifacts dialog"));
+            assert.ok(found, "open dialog should be in the artifact");
+          } finally {
+            dialog.remove();
+          }
+        });
+      });
+
+      t.section("Report Links", () => {
+        afterEach(cleanUp);
+
+        t.test("failed tests name their artifact in the JSON and JUnit report", function () {
+          tracker = new ArtifactTracker();
+          const artifact = tracker.buildArtifact({ test: { title: "9.1.1 breaks", fullTitle: FAKE_TITLE } });
+          storeFailureArtifact(artifact);
+
+          const report = buildReport({
+            failures: [{ title: "9.1.1 breaks", fullTitle: FAKE_TITLE, err: { message: "expected 1 to equal 2" } }],
+            passes: [{ title: "9.1.2 works", fullTitle: "bitd-alternate-sheets.fake 9.1 Section 9.1.2 works" }],
+          });
+
+          const fileName = getArtifactFileName(artifact);
+          assert.match(fileName, /^bitd-alternate-sheets-failure-9\.1\.1-.*\.json$/);
+          assert.equal(report.tests.find((test) => test.status === "failed").artifact, fileName);
+          assert.isNull(report.tests.find((test) => test.status === "passed").artifact);
+          assert.include(toJUnitXml(report), `[[ATTACHMENT|${fileName}]]`);
+        });
+
+        t.test("serializing fills in the error from the report", function () {
+          tracker = new ArtifactTracker();
+          storeFailureArtifact(tracker.buildArtifact({ test: { title: "9.1.1 breaks", fullTitle: FAKE_TITLE } }));
+
+          const error = { message: "expected 1 to equal 2", stack: null };
+          const serialized = JSON.parse(serializeArtifact(getFailureArtifact(FAKE_TITLE), error));
+          assert.deepEqual(serialized.test.error, error);
+          assert.isNull(getFailureArtifact(FAKE_TITLE).test.error);
+        });
+      });
+
+      t.section("Moment of Failure", () => {
+        let dialog = null;
+
+        // Section cleanup like the sheet batches': runs before the root
+        // afterEach that stores the artifact
+        afterEach(async function () {
+          dialog?.remove();
+          dialog = null;
+          for (const actor of actors) await actor.sheet?.close();
+          await cleanUp();
+        });
+
+        /**
+         * Fail a test function inside this test, clean up as a section
+         * afterEach would, then store its artifact as the root afterEach does.
+         * @param {Function} cleanUpFirst - Cleanup run before the artifact is stored
+         * @returns {Promise<object>} The stored artifact
+         */
+        async function failThenStore(cleanUpFirst) {
+          const fakeTest = { title: "9.1.1 breaks", fullTitle: () => FAKE_TITLE, state: "failed" };
+          const failing = captureFailureArtifact(async function () {
+            throw new Error("failed on purpose");
+          });
+          let thrown = null;
+          try {
+            await failing.call({ test: fakeTest });
+          } catch (err) {
+            thrown = err;
+          }
+          assert.equal(thrown?.message, "failed on purpose");
+
+          await cleanUpFirst();
+          collectFailureArtifact.call({ currentTest: fakeTest });
+          return getFailureArtifact(FAKE_TITLE);
+        }
+
+        t.test("keeps dialogs and actors that cleanup removes", async function () {
+          const actor = await createActor({ name: "Artifacts-Failing" });
+          dialog = document.createElement("dialog");
+          dialog.setAttribute("open", "");
+          dialog.innerHTML = "<p>Artifacts failing dialog</p>";
+          document.body.append(dialog);
+
+          const artifact = await failThenStore(async () => {
+            dialog.remove();
+            await actor.delete();
+          });
+
+          assert.equal(artifact.test.error.message, "failed on purpose");
+          assert.ok(artifact.dialogs.some((entry) => entry.html.includes("Artifacts failing dialog")));
+          const entry = artifact.actors.find((candidate) => candidate.id === actor.id);
+          assert.isFalse(entry.deleted);
+        });
+
+        t.test("keeps the sheet HTML of a sheet that cleanup closes", async function () {
+          const actor = await createActor({ name: "Artifacts-Sheet" });
+          const sheet = await ensureSheet(actor);
+
+          const artifact = await failThenStore(() => sheet.close());
+
+          const sheetEntry = artifact.sheets.find((entry) => entry.actorId === actor.id);
+          assert.ok(sheetEntry, "open sheet should be in the artifact");
+          assert.include(sheetEntry.html, "sheet-wrapper");
+        });
+      });
+    }
+  );
+});
@@ -0,0 +1,152 @@
+/**
+ * Quench test batch for the simulated second client (fake-socket.js).
+ * Reordered writes go to a stand-in actor that records the order they
+ * arrive in, so delivery order depends only on the seed; broadcasts and
+ * replica divergence use a real actor updated by this client.
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { FakeSocket } from "../fake-socket.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+const batch = defineBatch({
+  id: "49",
+  key: "bitd-alternate-sheets.fake-socket",
+  title: "Fake Socket",
+  description: "Seeded delivery order, broadcast order and replica divergence",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+/** Writes sent per delivery-order run */
+const WRITE_COUNT = 8;
+
+/**
+ * Stand-in for an actor that records the writes it receives, in order.
+ * Nothing reaches the database and no update hooks fire.
+ * @returns {{id: string, received: number[], update: Function, toObject: Function}}
+ */
+function recordingActor() {
+  const actor = {
+    id: "fakeSocketActor0",
+    received: [],
+    async update(change) {
+      actor.received.push(change.step);
+      return actor;
+    },
+    toObject: () => ({ system: {}, flags: {} }),
+  };
+  return actor;
+}
+
+/**
+ * Send WRITE_COUNT numbered writes from one simulated client and wait for them.
+ * @param {object} options - FakeSocket options
+ * @returns {Promise<number[]>} Write numbers in the order they were delivered
+ */
+async function deliveryOrder(options) {
+  const socket = new FakeSocket({ latency: [0, 40], ...options });
+  const client = socket.createClient("Remote");
+  const actor = recordingActor();
+  for (let step = 0; step < WRITE_COUNT; step += 1) client.update(actor, { step });
+  await socket.settle();
+  return actor.received;
+}
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, beforeEach, afterEach } = context;
+
+      const inOrder = Array.from({ length: WRITE_COUNT }, (_, step) => step);
+      let socket;
+      let actor;
+
+      beforeEach(async function () {
+        socket = null;
+        actor = await Actor.create({ name: "Fake Socket Test", type: "character" });
+      });
+
+      afterEach(async function () {
+        socket?.uninstall();
+        await socket?.settle().catch(() => {});
+        if (actor && game.actors.has(actor.id)) await actor.delete();
+      });
+
+      t.section("Delivery Order", () => {
+        t.test("the same seed delivers reordered writes in the same order", async function () {
+          const first = await deliveryOrder({ reorder: true, seed: 7 });
+          const second = await deliveryOrder({ reorder: true, seed: 7 });
+
+          assert.deepEqual(second, first);
+          assert.sameMembers(first, inOrder);
+        });
+
+        t.test("reordered writes overtake each other, in-order writes never do", async function () {
+          const reordered = await deliveryOrder({ reorder: true, seed: 7 });
+          const ordered = await deliveryOrder({ reorder: false, seed: 7 });
+
+          assert.notDeepEqual(reordered, inOrder);
+          assert.deepEqual(ordered, inOrder);
+        });
+
+        t.test("broadcasts reach each client in server order", async function () {
+          socket = new FakeSocket({ latency: [0, 40], seed: 3 }).install();
+          const remote = socket.createClient("Remote").watch(actor);
+
+          for (let step = 0; step < 4; step += 1) {
+            await actor.update({ [`flags.${MODULE_ID}.fakeSocketStep`]: step });
+          }
+          await socket.settle();
+
+          const broadcasts = socket.log.filter((entry) => entry.kind === "broadcast");
+          assert.deepEqual(
+            broadcasts.map((entry) => entry.change.flags[MODULE_ID].fakeSocketStep),
+            [0, 1, 2, 3]
+          );
+          assert.strictEqual(remote.replica(actor).flags[MODULE_ID].fakeSocketStep, 3);
+        });
+      });
+
+      t.section("diverged()", () => {
+        t.test("lists the paths where the replica differs from the actor", async function () {
+          socket = new FakeSocket();
+          const remote = socket.createClient("Remote").watch(actor);
+          assert.deepEqual(remote.diverged(actor), []);
+
+          // Not installed: the remote client never hears about these writes
+          await actor.update({ [`flags.${MODULE_ID}.fakeSocketStep`]: 1 });
+          assert.deepEqual(remote.diverged(actor), ["flags"]);
+
+          await actor.update({ "system.stress.value": 4 });
+          assert.deepEqual(remote.diverged(actor), ["system", "flags"]);
+          assert.deepEqual(remote.diverged(actor, ["system.stress", "name"]), ["system.stress"]);
+          assert.isFalse(remote.isConverged(actor));
+        });
+
+        t.test("a replayed broadcast brings the replica back in line", async function () {
+          socket = new FakeSocket({ latency: 10 }).install();
+          const remote = socket.createClient("Remote").watch(actor);
+
+          await actor.update({ "system.stress.value": 2 });
+          assert.deepEqual(remote.diverged(actor), ["system"], "the broadcast is still in flight");
+          await socket.settle();
+
+          assert.deepEqual(remote.diverged(actor), []);
+          assert.isTrue(remote.isConverged(actor));
+        });
+
+        t.test("an unwatched actor differs on every path", function () {
+          socket = new FakeSocket();
+          const remote = socket.createClient("Remote");
+
+          assert.deepEqual(remote.diverged(actor), ["system", "flags"]);
+          assert.isNull(remote.replica(actor));
+        });
+      });
+    }
+  );
+});
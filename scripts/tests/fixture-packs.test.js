@@ -0,0 +1,152 @@
+/**
+ * Quench test batch for the fixture compendia and pack isolation.
+ * Checks that the world compendia hold the shipped documents and are only
+ * re-imported when stale, and that isolation hides the other Item and Actor
+ * compendia and puts game.packs back exactly, also when the run throws.
+ * Needs a GM; isolation that is on for the current run is turned off for
+ * each test and back on afterwards.
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import {
+  disablePackIsolation,
+  enablePackIsolation,
+  ensureFixturePacks,
+  isPackIsolationActive,
+  loadFixturePackData,
+  withPackIsolation,
+} from "../fixture-packs.js";
+import { SETTINGS, getSetting, setSetting } from "../settings.js";
+import { expectedTestError } from "../test-utils.js";
+
+const batch = defineBatch({
+  id: "48",
+  key: "bitd-alternate-sheets.fixture-packs",
+  title: "Fixture Packs",
+  description: "Fixture compendia import and pack isolation round trips",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+/** Fixture gear pack and one of its documents */
+const GEAR_PACK_ID = "world.bitd-alt-test-gear";
+const BLADE_ID = "fxGrBlade0000000";
+
+/** Compendium types pack isolation hides */
+const ISOLATED_TYPES = ["Item", "Actor"];
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, before, beforeEach, afterEach } = context;
+
+      let wasIsolated;
+
+      before(function () {
+        if (!game.user?.isGM) this.skip();
+      });
+
+      beforeEach(function () {
+        wasIsolated = isPackIsolationActive();
+        disablePackIsolation();
+      });
+
+      afterEach(async function () {
+        if (wasIsolated) await enablePackIsolation();
+        else disablePackIsolation();
+      });
+
+      t.section("ensureFixturePacks", () => {
+        t.test("imports every fixture pack with the shipped document IDs", async function () {
+          this.timeout(30000);
+
+          const ids = await ensureFixturePacks();
+          const data = await loadFixturePackData();
+
+          assert.deepEqual(ids, data.map(({ name }) => `world.${name}`));
+          for (const { name, documents } of data) {
+            const index = await game.packs.get(`world.${name}`).getIndex();
+            assert.sameMembers(Array.from(index.keys()), documents.map((doc) => doc._id), name);
+          }
+          assert.hasAllKeys(getSetting(SETTINGS.FIXTURE_PACK_HASHES), ids);
+        });
+
+        t.test("re-imports a pack only when its stored hash is stale", async function () {
+          this.timeout(30000);
+          await ensureFixturePacks();
+          const pack = game.packs.get(GEAR_PACK_ID);
+
+          try {
+            await (await pack.getDocument(BLADE_ID)).delete();
+            await ensureFixturePacks();
+            assert.isFalse((await pack.getIndex()).has(BLADE_ID), "an unchanged hash should not re-import");
+
+            const hashes = getSetting(SETTINGS.FIXTURE_PACK_HASHES);
+            await setSetting(SETTINGS.FIXTURE_PACK_HASHES, { ...hashes, [GEAR_PACK_ID]: "stale" });
+            await ensureFixturePacks();
+            assert.isTrue((await pack.getIndex()).has(BLADE_ID));
+          } finally {
+            if (!(await pack.getIndex()).has(BLADE_ID)) await ensureFixturePacks({ rebuild: true });
+          }
+        });
+      });
+
+      t.section("Isolation", () => {
+        t.test("hides every other Item and Actor pack and restores game.packs in order", async function () {
+          this.timeout(30000);
+          const fixtureIds = await ensureFixturePacks();
+          const order = Array.from(game.packs.keys());
+
+          const hidden = await enablePackIsolation();
+
+          assert.isTrue(isPackIsolationActive());
+          for (const pack of game.packs.values()) {
+            if (fixtureIds.includes(pack.collection)) continue;
+            assert.notInclude(ISOLATED_TYPES, pack.documentName, `${pack.collection} should be hidden`);
+          }
+          for (const id of hidden) assert.isFalse(game.packs.has(id));
+          assert.sameMembers(
+            order.filter((id) => !game.packs.has(id)),
+            hidden
+          );
+
+          disablePackIsolation();
+
+          assert.isFalse(isPackIsolationActive());
+          assert.deepEqual(Array.from(game.packs.keys()), order);
+        });
+
+        t.test("withPackIsolation() restores the packs when the run throws", async function () {
+          this.timeout(30000);
+          const order = Array.from(game.packs.keys());
+
+          let error = null;
+          try {
+            await withPackIsolation(async () => {
+              assert.isTrue(isPackIsolationActive());
+              throw new Error(expectedTestError("run failed"));
+            });
+          } catch (err) {
+            error = err;
+          }
+
+          assert.include(error?.message, "run failed");
+          assert.isFalse(isPackIsolationActive());
+          assert.deepEqual(Array.from(game.packs.keys()), order);
+        });
+
+        t.test("withPackIsolation() leaves isolation that was already on", async function () {
+          this.timeout(30000);
+          await enablePackIsolation();
+
+          const result = await withPackIsolation(() => "done");
+
+          assert.strictEqual(result, "done");
+          assert.isTrue(isPackIsolationActive());
+        });
+      });
+    }
+  );
+});
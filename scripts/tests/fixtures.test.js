@@ -0,0 +1,229 @@
+/**
+ * Quench test batch for the declarative fixture builders.
+ * Builds characters and crews from the harness fixture packs and checks the
+ * embedded items, the equipped-items flag, system data surviving the playbook
+ * switch, crew membership, and that whatever a failed build created is
+ * deleted again.
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { character, crew } from "../fixtures.js";
+import { isTargetModuleActive, makeEquippedEntry, testCleanup } from "../test-utils.js";
+
+const TARGET_MODULE_ID = "bitd-alternate-sheets";
+
+const batch = defineBatch({
+  id: "45",
+  key: "bitd-alternate-sheets.fixtures",
+  title: "Fixture Builders",
+  description: "Created items, equipped flags, system data and crew members of built fixtures",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+/**
+ * Make the next created actor report no sheet, so its playbook switch fails.
+ * @returns {{actor: Actor|null, release: Function}} The actor once created, and a function removing the hook
+ */
+function withoutNextSheet() {
+  const captured = { actor: null, release: null };
+  const hookId = Hooks.on("createActor", (actor) => {
+    if (captured.actor) return;
+    captured.actor = actor;
+    Object.defineProperty(actor, "sheet", { value: null, configurable: true });
+  });
+  captured.release = () => Hooks.off("createActor", hookId);
+  return captured;
+}
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, afterEach } = context;
+
+      let actors = [];
+
+      afterEach(async function () {
+        await testCleanup({ actors });
+        actors = [];
+      });
+
+      t.section("Items", () => {
+        t.test("embeds compendium and inline items, keyed by name", async function () {
+          const built = await character("Fixture Items Test")
+            .items(["Burglary Gear", { name: "Fixture Lens", system: { load: 2 } }])
+            .abilities(["Battleborn"])
+            .build({ switchPlaybook: false });
+          actors.push(built.actor);
+
+          assert.sameMembers(Object.keys(built.items), ["Burglary Gear", "Fixture Lens", "Battleborn"]);
+          assert.strictEqual(built.items["Burglary Gear"].type, "item");
+          assert.strictEqual(built.items["Fixture Lens"].system.load, 2);
+          assert.deepEqual(built.abilities.map((item) => item.name), ["Battleborn"]);
+          assert.deepEqual(built.equipped, []);
+          assert.strictEqual(built.actor.items.size, 3);
+        });
+
+        t.test("an unknown item name throws before any actor is created", async function () {
+          const count = game.actors.size;
+
+          let error = null;
+          try {
+            await character("Fixture Unknown Item Test").items(["No Such Gear"]).build({ switchPlaybook: false });
+          } catch (err) {
+            error = err;
+          }
+
+          assert.instanceOf(error, Error);
+          assert.include(error.message, 'no item named "No Such Gear"');
+          assert.strictEqual(game.actors.size, count);
+        });
+      });
+
+      t.section("Equipped Items", () => {
+        t.test("equipped items get an equipped-items entry with their load", async function () {
+          const built = await character("Fixture Equip Test")
+            .equip(["Blade", { name: "Fixture Crate", system: { load: 3 } }])
+            .items(["Pistol"])
+            .build({ switchPlaybook: false });
+          actors.push(built.actor);
+
+          const [blade, crate] = built.equipped;
+          const flag = built.actor.getFlag(TARGET_MODULE_ID, "equipped-items");
+          assert.deepEqual(built.equipped.map((item) => item.name), ["Blade", "Fixture Crate"]);
+          assert.deepEqual(flag, {
+            [blade.id]: makeEquippedEntry(blade.id, 1, "Blade"),
+            [crate.id]: makeEquippedEntry(crate.id, 3, "Fixture Crate"),
+          });
+        });
+      });
+
+      t.section("Playbook Switch", () => {
+        t.test("declared system data is re-applied after the playbook switch", async function () {
+          this.timeout(12000);
+          if (!isTargetModuleActive()) {
+            this.skip();
+            return;
+          }
+
+          const built = await character("Fixture Playbook Test")
+            .playbook("Cutter")
+            .heritage("Iruvian")
+            .xp({ insight: 2 })
+            .acquaintances([{ id: "fixtureFriend001", name: "Fixture Friend", standing: "friend" }])
+            .build();
+          actors.push(built.actor);
+
+          const system = built.actor.system;
+          assert.strictEqual(built.playbookItem?.name, "Cutter");
+          assert.strictEqual(system.heritage, "Iruvian");
+          assert.strictEqual(system.attributes.insight.exp, "2");
+          assert.deepEqual(system.acquaintances, [
+            { id: "fixtureFriend001", name: "Fixture Friend", standing: "friend", description_short: "" },
+          ]);
+        });
+
+        t.test("an actor whose playbook switch fails is deleted before the error is rethrown", async function () {
+          const created = withoutNextSheet();
+
+          let error = null;
+          try {
+            await character("Fixture No Sheet Test").playbook("Cutter").build();
+          } catch (err) {
+            error = err;
+          } finally {
+            created.release();
+          }
+
+          assert.instanceOf(error, Error);
+          assert.include(error.message, "no sheet");
+          assert.isNotNull(created.actor);
+          assert.isFalse(game.actors.has(created.actor.id));
+        });
+      });
+
+      t.section("Crew", () => {
+        t.test("members are linked to the crew and the member fixtures are left unchanged", async function () {
+          this.timeout(12000);
+          if (!isTargetModuleActive()) {
+            this.skip();
+            return;
+          }
+
+          const member = character("Fixture Crew Member Test").coins(1);
+          const built = await crew("Fixture Crew Test")
+            .crewType("Assassins")
+            .members([member, "Fixture Crew Named Member Test"])
+            .build();
+          actors.push(...built.actors);
+
+          const link = [{ id: built.actor.id, name: "Fixture Crew Test" }];
+          assert.strictEqual(built.crewTypeItem?.name, "Assassins");
+          assert.deepEqual(built.members.map(({ actor }) => actor.name), [
+            "Fixture Crew Member Test",
+            "Fixture Crew Named Member Test",
+          ]);
+          for (const { actor } of built.members) {
+            assert.deepEqual(actor.system.crew.map(({ id, name }) => ({ id, name })), link);
+          }
+          assert.strictEqual(built.members[0].actor.system.coins, 1);
+
+          const { actor: rebuilt } = await member.build();
+          actors.push(rebuilt);
+          assert.isEmpty(rebuilt.system.crew ?? []);
+        });
+
+        t.test("a failing member deletes the crew and the members built before it", async function () {
+          this.timeout(12000);
+          if (!isTargetModuleActive()) {
+            this.skip();
+            return;
+          }
+
+          const created = [];
+          const hookId = Hooks.on("createActor", (actor) => created.push(actor));
+
+          let error = null;
+          try {
+            await crew("Fixture Crew Cleanup Test")
+              .members(["Fixture Crew Built Member Test", character().items(["No Such Gear"])])
+              .build();
+          } catch (err) {
+            error = err;
+          } finally {
+            Hooks.off("createActor", hookId);
+          }
+
+          assert.instanceOf(error, Error);
+          assert.include(error.message, 'no item named "No Such Gear"');
+          assert.deepEqual(created.map((actor) => actor.name), [
+            "Fixture Crew Cleanup Test",
+            "Fixture Crew Built Member Test",
+          ]);
+          for (const actor of created) assert.isFalse(game.actors.has(actor.id));
+        });
+
+        t.test("a crew whose sheet cannot be rendered is deleted before the error is rethrown", async function () {
+          const created = withoutNextSheet();
+
+          let error = null;
+          try {
+            await crew("Fixture Crew No Sheet Test").members(["Fixture Crew Unbuilt Member Test"]).build();
+          } catch (err) {
+            error = err;
+          } finally {
+            created.release();
+          }
+
+          assert.instanceOf(error, Error);
+          assert.include(error.message, "no sheet");
+          assert.strictEqual(created.actor?.name, "Fixture Crew No Sheet Test");
+          assert.isFalse(game.actors.has(created.actor.id));
+          assert.notExists(game.actors.getName("Fixture Crew Unbuilt Member Test"));
+        });
+      });
+    }
+  );
+});
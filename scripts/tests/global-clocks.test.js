@@ -13,111 +13,18 @@ import {
   waitForClockElement,
   findClockInChat,
   waitForClockInChat,
-  TestNumberer,
   assertExists,
+  createClockActor,
+  createClockChatMessage,
+  getClockVisualValue,
+  openHarmBox,
+  findHealingClockInHarmBox,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
 
-/**
- * Create a clock actor for testing.
- * @param {object} options
- * @param {string} options.name - Clock name
- * @param {number} options.type - Clock type (segments: 4, 6, 8)
- * @param {number} options.value - Initial value
- * @returns {Promise<Actor|null>}
- */
-async function createClockActor({ name, type = 4, value = 0 } = {}) {
-  const actorName = name || `Test Clock ${Date.now()}`;
-
-  // Try both clock type names as the system may use either
-  const clockTypes = ["🕛 clock", "clock"];
-  for (const clockType of clockTypes) {
-    try {
-      const actor = await Actor.create({
-        name: actorName,
-        type: clockType,
-        system: {
-          type: type,
-          value: value,
-          color: "black"
-        },
-        img: `systems/blades-in-the-dark/themes/black/${type}clock_${value}.svg`
-      });
-      if (actor) return actor;
-    } catch {
-      // Try next type
-    }
-  }
-  return null;
-}
-
-/**
- * Create a chat message with a clock UUID reference.
- * @param {Actor} clockActor
- * @returns {Promise<ChatMessage>}
- */
-async function createClockChatMessage(clockActor) {
-  const content = `@UUID[Actor.${clockActor.id}]{${clockActor.name}}`;
-  const message = await ChatMessage.create({ content });
-  // Wait for rendering
-  await new Promise((resolve) => setTimeout(resolve, 200));
-  return message;
-}
-
-/**
- * Get the visual value of a clock from its background image or radio inputs.
- * @param {HTMLElement} clockEl
- * @returns {number|null} - Returns null if cannot determine value
- */
-function getClockVisualValue(clockEl) {
-  if (!clockEl) return null;
-
-  // Method 1: Check inline style background-image
-  const bg = clockEl?.style?.backgroundImage || "";
-  const bgMatch = bg.match(/(\d+)clock_(\d+)\./);
-  if (bgMatch) return parseInt(bgMatch[2]);
-
-  // Method 2: Check computed style background-image
-  const computedBg = window.getComputedStyle(clockEl).backgroundImage || "";
-  const computedMatch = computedBg.match(/(\d+)clock_(\d+)\./);
-  if (computedMatch) return parseInt(computedMatch[2]);
-
-  // Method 3: Check checked radio inputs
-  const checkedRadio = clockEl.querySelector('input[type="radio"]:checked');
-  if (checkedRadio) {
-    const value = parseInt(checkedRadio.value);
-    if (!isNaN(value)) return value;
-  }
-
-  // Method 4: Count lit segments via labels
-  const labels = clockEl.querySelectorAll('label.radio-toggle');
-  let litCount = 0;
-  for (const label of labels) {
-    const input = label.querySelector('input[type="radio"]');
-    if (input?.checked) litCount++;
-  }
-  if (litCount > 0) return litCount;
-
-  // Method 5: Check data attribute
-  const dataValue = clockEl.dataset?.value;
-  if (dataValue !== undefined) return parseInt(dataValue);
-
-  return null;
-}
-
-/**
- * Click the harm-box to open the harm popup.
- * @param {HTMLElement} root - Sheet root element
- */
-function openHarmBox(root) {
-  const harmBox = root.querySelector(".harm-box");
-  if (harmBox && !harmBox.classList.contains("open")) {
-    harmBox.click();
-  }
-}
-
 /**
  * Check if the harm box is open.
  * @param {HTMLElement} root
@@ -128,25 +35,25 @@ function isHarmBoxOpen(root) {
   return harmBox?.classList?.contains("open") ?? false;
 }
 
-/**
- * Find the healing clock in the harm box.
- * @param {HTMLElement} root
- * @returns {HTMLElement|null}
- */
-function findHealingClockInHarmBox(root) {
-  return root.querySelector(".harm-box .healing-clock .blades-clock");
-}
-
-const t = new TestNumberer("4");
+const batch = defineBatch({
+  id: "4",
+  key: "bitd-alternate-sheets.global-clocks",
+  title: "Global Clocks",
+  description: "Clock links in chat, journals, and harm popup",
+  tags: ["clocks", "chat", "journal"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping global clocks tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.global-clocks",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -831,7 +738,6 @@ Hooks.on("quenchReady", (quench) => {
           assert.strictEqual(newValue, 2, "Right-click should decrement journal clock from 3 to 2");
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Global Clocks" }
+    }
   );
 });
@@ -12,23 +12,32 @@ import {
   waitForActorUpdate,
   isTargetModuleActive,
   testCleanup,
-  TestNumberer,
   assertExists,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
 
-const t = new TestNumberer("21");
+const batch = defineBatch({
+  id: "21",
+  key: "bitd-alternate-sheets.handlebars",
+  title: "Handlebars Helpers",
+  description: "Handlebars helpers (XSS prevention, value display, costs, comparisons)",
+  tags: ["handlebars", "security"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping handlebars tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.handlebars",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -716,7 +725,6 @@ Hooks.on("quenchReady", (quench) => {
           assert.ok(updatedRoot, "Sheet renders with empty inline-editable values");
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Handlebars Helpers" }
+    }
   );
 });
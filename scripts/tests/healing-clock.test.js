@@ -13,8 +13,8 @@ import {
   closeAllDialogs,
   runClockClickTest,
   runClockRightClickTest,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 
@@ -94,16 +94,25 @@ function rightClickClock(root) {
   }));
 }
 
-const t = new TestNumberer("7");
+const batch = defineBatch({
+  id: "7",
+  key: "bitd-alternate-sheets.healing-clock",
+  title: "Healing Clock",
+  description: "Healing clock rendering and interaction (character sheets)",
+  tags: ["character", "clocks"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping healing clock tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.healing-clock",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -248,7 +257,6 @@ Hooks.on("quenchReady", (quench) => {
           assert.equal(newValue, 2, "Second right-click should decrement to 2");
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Healing Clock" }
+    }
   );
 });
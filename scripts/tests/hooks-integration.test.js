@@ -10,15 +10,23 @@ import {
   waitForActorUpdate,
   isTargetModuleActive,
   testCleanup,
-  TestNumberer,
   assertExists,
   getEquippedItems,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
 
-const t = new TestNumberer("20");
+const batch = defineBatch({
+  id: "20",
+  key: "bitd-alternate-sheets.hooks",
+  title: "Hooks Integration",
+  description: "Hook handlers (cache invalidation, clock snapshots, item deletion cleanup)",
+  tags: ["hooks", "cache", "clocks"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
 /**
  * Get multiAbilityProgress flag from actor.
@@ -30,14 +38,15 @@ function getAbilityProgress(actor) {
 }
 
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping hooks tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.hooks",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -573,7 +582,6 @@ Hooks.on("quenchReady", (quench) => {
           );
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Hooks Integration" }
+    }
   );
 });
@@ -9,8 +9,8 @@ import {
   ensureSheet,
   isTargetModuleActive,
   testCleanup,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -75,16 +75,25 @@ function getVisibleLocalizedText(root) {
   return texts;
 }
 
-const t = new TestNumberer("23");
+const batch = defineBatch({
+  id: "23",
+  key: "bitd-alternate-sheets.i18n",
+  title: "Internationalization",
+  description: "Localization key availability, fallback behavior, and dynamic content",
+  tags: ["i18n"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping i18n tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.i18n",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -470,7 +479,6 @@ Hooks.on("quenchReady", (quench) => {
           assert.ok(!notExists, "has() should return false for non-existent keys");
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Internationalization" }
+    }
   );
 });
@@ -0,0 +1,185 @@
+/**
+ * Quench test batch for the leak guard registerBatch() installs.
+ * Registers a probe batch on a stand-in for Quench whose setup and cleanup
+ * are root-level hooks, and runs its hooks in mocha's order for a single
+ * suite (registration order) to check that the guard sees the test only
+ * after the batch's own cleanup, and that a test it fails still gets a
+ * failure artifact showing the leaked window.
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { deleteFailureArtifact, getFailureArtifact } from "../failure-artifacts.js";
+import { getLeakLog } from "../leak-detector.js";
+import { SETTINGS, getSetting, setSetting } from "../settings.js";
+import { TestNumberer } from "../test-utils.js";
+
+const batch = defineBatch({
+  id: "44",
+  key: "bitd-alternate-sheets.leak-detector",
+  title: "Leak Detector",
+  description: "Leak guard placement around a batch's own root-level hooks, and artifacts of leak failures",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+/** Hook the probe registers and removes again */
+const PROBE_HOOK = "bitdAlternateSheetsLeakProbe";
+
+/** Hooks of the probe, the leak guard and failure artifacts; the other harness hooks are not run */
+const RUN_HOOKS = /^(probe|leakGuard|startArtifactTracking$|collectFailureArtifact$)/;
+
+/** Full title of the probe's test */
+const PROBE_TEST = "Leak Guard Probe probe";
+
+/**
+ * Register a probe batch and list its hooks in registration order.
+ * The probe is never declared, so it does not show up in getBatches().
+ * @param {Function} fn - Batch function
+ * @returns {Array<{type: string, hook: Function}>}
+ */
+function registerProbe(fn) {
+  const hooks = [];
+  const context = {
+    before: (hook) => hooks.push({ type: "before", hook }),
+    beforeEach: (hook) => hooks.push({ type: "beforeEach", hook }),
+    afterEach: (hook) => hooks.push({ type: "afterEach", hook }),
+  };
+  const quench = { registerBatch: (key, batchFn) => batchFn(context) };
+  const probe = {
+    key: "bitd-alternate-sheets.leak-guard-probe",
+    displayName: "Leak Guard Probe",
+    requiredSettings: [],
+    requiredCompendia: [],
+    numberer: new TestNumberer("0"),
+  };
+  registerBatch(quench, probe, fn);
+  return hooks;
+}
+
+/**
+ * Names of the hooks of one type, in registration order.
+ * @param {Array<{type: string, hook: Function}>} hooks
+ * @param {string} type
+ * @returns {string[]}
+ */
+function hookNames(hooks, type) {
+  return hooks.filter((entry) => entry.type === type).map((entry) => entry.hook.name);
+}
+
+/**
+ * Run one empty test through the probe, guard and artifact hooks, in
+ * registration order. An error handed to mocha fails the test right away, as
+ * mocha does once the hook is done. The probe's artifact tracking replaces
+ * the running test's.
+ * @param {Array<{type: string, hook: Function}>} hooks
+ * @returns {Promise<Error[]>} Errors the hooks handed to mocha for the test
+ */
+async function runProbeTest(hooks) {
+  const errors = [];
+  const currentTest = { title: "probe", fullTitle: () => PROBE_TEST, state: "passed", err: null };
+  const self = {
+    currentTest,
+    runnable: () => ({
+      error: (err) => {
+        errors.push(err);
+        Object.assign(currentTest, { state: "failed", err });
+      },
+    }),
+  };
+  for (const type of ["beforeEach", "afterEach"]) {
+    for (const { hook } of hooks.filter((entry) => entry.type === type && RUN_HOOKS.test(entry.hook.name))) {
+      await hook.call(self);
+    }
+  }
+  return errors;
+}
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, beforeEach, afterEach } = context;
+
+      let savedMode;
+
+      beforeEach(async function () {
+        savedMode = getSetting(SETTINGS.LEAK_DETECTION);
+        await setSetting(SETTINGS.LEAK_DETECTION, "fail");
+      });
+
+      afterEach(async function () {
+        deleteFailureArtifact(PROBE_TEST);
+        await setSetting(SETTINGS.LEAK_DETECTION, savedMode);
+      });
+
+      t.section("Root-Level Hooks", () => {
+        /**
+         * Probe batch creating a hook and an actor before each test and
+         * removing them after it, both at root level.
+         * @param {object} probeContext
+         */
+        function probeBatch(probeContext) {
+          let hookId = null;
+          let actor = null;
+          probeContext.beforeEach(async function probeSetup() {
+            hookId = Hooks.on(PROBE_HOOK, () => {});
+            actor = await Actor.create({ name: "Leak Guard Probe", type: "character" });
+          });
+          probeContext.afterEach(async function probeCleanup() {
+            Hooks.off(PROBE_HOOK, hookId);
+            await actor?.delete();
+          });
+        }
+
+        t.test("the guard's hooks go around the batch's root-level hooks", function () {
+          const hooks = registerProbe(probeBatch);
+
+          const before = hookNames(hooks, "beforeEach");
+          const after = hookNames(hooks, "afterEach");
+          assert.isBelow(before.indexOf("leakGuardBaseline"), before.indexOf("probeSetup"));
+          assert.isAbove(after.indexOf("leakGuardCheck"), after.indexOf("probeCleanup"));
+          assert.isAbove(after.indexOf("collectFailureArtifact"), after.indexOf("leakGuardCheck"));
+        });
+
+        t.test("state set up and cleaned up at root level is not a leak in fail mode", async function () {
+          const logged = getLeakLog().length;
+
+          const errors = await runProbeTest(registerProbe(probeBatch));
+
+          assert.deepEqual(errors, []);
+          assert.lengthOf(getLeakLog(), logged);
+          assert.isEmpty(Hooks.events[PROBE_HOOK] ?? []);
+          assert.isNull(getFailureArtifact(PROBE_TEST));
+        });
+
+        t.test("a test failed for leaking gets an artifact built before the leak is undone", async function () {
+          const windowKey = "leakGuardProbeWindow";
+          const element = document.createElement("div");
+          element.className = "dialog app leak-guard-probe";
+          const errors = await runProbeTest(
+            registerProbe((probeContext) => {
+              probeContext.beforeEach(function probeLeak() {
+                document.body.append(element);
+                ui.windows[windowKey] = {
+                  title: "Leak Guard Probe",
+                  close: () => {
+                    element.remove();
+                    delete ui.windows[windowKey];
+                  },
+                };
+              });
+            })
+          );
+
+          const artifact = getFailureArtifact(PROBE_TEST);
+          assert.lengthOf(errors, 1);
+          assert.include(errors[0].message, `Window ${windowKey}`);
+          assert.isFalse(element.isConnected);
+          assert.strictEqual(artifact?.test.error.message, errors[0].message);
+          assert.isTrue(artifact.dialogs.some((dialog) => dialog.html.includes("leak-guard-probe")));
+        });
+      });
+    }
+  );
+});
@@ -0,0 +1,63 @@
+/**
+ * Manifest of every test file and the Quench batch it is expected to register.
+ *
+ * The test loader (scripts/test-loader.js) imports the files in this order, so
+ * adding a batch means adding a line here instead of editing module.json. The
+ * ready self-check warns when a listed batch fails to register, when a
+ * registered batch is not listed, and when a *.test.js file on disk is missing.
+ *
+ * Set `headless: true` for batches whose pure-logic tests also run under Node
+ * (tools/headless); tests in them that need a rendered sheet are skipped there.
+ */
+
+export const TEST_MANIFEST = [
+  { file: "teeth.test.js", key: "bitd-alternate-sheets.teeth" },
+  { file: "crew-radio-toggle.test.js", key: "bitd-alternate-sheets.crew-radio-toggle" },
+  { file: "edit-mode.test.js", key: "bitd-alternate-sheets.edit-mode" },
+  { file: "healing-clock.test.js", key: "bitd-alternate-sheets.healing-clock" },
+  { file: "crew-sheet.test.js", key: "bitd-alternate-sheets.crew-sheet" },
+  { file: "crew-member-rerender.test.js", key: "bitd-alternate-sheets.crew-member-rerender" },
+  { file: "smart-fields.test.js", key: "bitd-alternate-sheets.smart-fields" },
+  { file: "global-clocks.test.js", key: "bitd-alternate-sheets.global-clocks" },
+  { file: "update-queue.test.js", key: "bitd-alternate-sheets.update-queue" },
+  { file: "acquaintances.test.js", key: "bitd-alternate-sheets.acquaintances" },
+  { file: "compendium-cache.test.js", key: "bitd-alternate-sheets.compendium-cache" },
+  { file: "npc-integration.test.js", key: "bitd-alternate-sheets.npc-integration" },
+  { file: "error-handling.test.js", key: "bitd-alternate-sheets.error-handling" },
+  { file: "binary-checkboxes.test.js", key: "bitd-alternate-sheets.binary-checkboxes" },
+  { file: "migration.test.js", key: "bitd-alternate-sheets.migration", headless: true },
+  { file: "settings.test.js", key: "bitd-alternate-sheets.settings" },
+  { file: "crew-link.test.js", key: "bitd-alternate-sheets.crew-link" },
+  { file: "playbook-switching.test.js", key: "bitd-alternate-sheets.playbook-switching" },
+  { file: "utils-core.test.js", key: "bitd-alternate-sheets.utils-core", headless: true },
+  { file: "sheet-popups.test.js", key: "bitd-alternate-sheets.sheet-popups" },
+  { file: "hooks-integration.test.js", key: "bitd-alternate-sheets.hooks" },
+  { file: "handlebars-helpers.test.js", key: "bitd-alternate-sheets.handlebars", headless: true },
+  { file: "smart-field-custom-text.test.js", key: "bitd-alternate-sheets.smart-field-custom-text" },
+  { file: "clear-load-button.test.js", key: "bitd-alternate-sheets.clear-load-button" },
+  { file: "zero-load-items.test.js", key: "bitd-alternate-sheets.zero-load-items" },
+  { file: "test-numberer.test.js", key: "bitd-alternate-sheets.test-numberer", headless: true },
+  { file: "drag-drop-interactions.test.js", key: "bitd-alternate-sheets.drag-drop" },
+  { file: "internationalization.test.js", key: "bitd-alternate-sheets.i18n" },
+  { file: "notes-tab.test.js", key: "bitd-alternate-sheets.notes-tab" },
+  { file: "patches.test.js", key: "bitd-alternate-sheets.patches" },
+  { file: "permissions.test.js", key: "bitd-alternate-sheets.permissions" },
+  { file: "dom-snapshot.test.js", key: "bitd-alternate-sheets.dom-snapshot", headless: true },
+  { file: "capture.test.js", key: "bitd-alternate-sheets.capture", headless: true },
+  { file: "teeth-fuzz.test.js", key: "bitd-alternate-sheets.teeth-fuzz" },
+  { file: "property-testing.test.js", key: "bitd-alternate-sheets.property-testing", headless: true },
+  { file: "clock-fuzz.test.js", key: "bitd-alternate-sheets.clock-fuzz" },
+  { file: "dashboard.test.js", key: "bitd-alternate-sheets.dashboard", headless: true },
+  { file: "failure-artifacts.test.js", key: "bitd-alternate-sheets.failure-artifacts", headless: true },
+  { file: "autorun.test.js", key: "bitd-alternate-sheets.autorun", headless: true },
+  { file: "test-history.test.js", key: "bitd-alternate-sheets.test-history", headless: true },
+  { file: "world-snapshot.test.js", key: "bitd-alternate-sheets.world-snapshot", headless: true },
+  { file: "batch-registry.test.js", key: "bitd-alternate-sheets.batch-registry", headless: true },
+  { file: "selector-audit.test.js", key: "bitd-alternate-sheets.selector-audit", headless: true },
+  { file: "leak-detector.test.js", key: "bitd-alternate-sheets.leak-detector", headless: true },
+  { file: "fixtures.test.js", key: "bitd-alternate-sheets.fixtures", headless: true },
+  { file: "app-compat.test.js", key: "bitd-alternate-sheets.app-compat", headless: true },
+  { file: "dialog-driver.test.js", key: "bitd-alternate-sheets.dialog-driver", headless: true },
+  { file: "fixture-packs.test.js", key: "bitd-alternate-sheets.fixture-packs" },
+  { file: "fake-socket.test.js", key: "bitd-alternate-sheets.fake-socket", headless: true },
+];
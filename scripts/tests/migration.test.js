@@ -7,22 +7,31 @@ import {
   createTestActor,
   isTargetModuleActive,
   cleanupTestActor,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
 
-const t = new TestNumberer("15");
+const batch = defineBatch({
+  id: "15",
+  key: "bitd-alternate-sheets.migration",
+  title: "Migration",
+  description: "Data migration for ability progress, equipped items, legacy fields",
+  tags: ["migration"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping migration tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.migration",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -465,7 +474,6 @@ Hooks.on("quenchReady", (quench) => {
           );
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Migration" }
+    }
   );
 });
@@ -10,9 +10,9 @@ import {
   waitForActorUpdate,
   isTargetModuleActive,
   testCleanup,
-  TestNumberer,
   assertExists,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -81,16 +81,25 @@ async function setNotes(actor, content) {
   await actor.setFlag(TARGET_MODULE_ID, "notes", content);
 }
 
-const t = new TestNumberer("22");
+const batch = defineBatch({
+  id: "22",
+  key: "bitd-alternate-sheets.notes-tab",
+  title: "Notes Tab",
+  description: "Notes persistence, markdown rendering, and embedded clocks",
+  tags: ["character", "notes", "clocks"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping notes-tab tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.notes-tab",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -658,7 +667,6 @@ Hooks.on("quenchReady", (quench) => {
           );
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Notes Tab" }
+    }
   );
 });
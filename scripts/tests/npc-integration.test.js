@@ -10,8 +10,9 @@ import {
   testCleanup,
   cleanupTestActors,
   closeAllDialogs,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { waitForDialog } from "../dialog-driver.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -91,168 +92,26 @@ function findVicePurveyorDisplay(root) {
   return null;
 }
 
-/**
- * Find the card selection dialog (V1 or V2).
- * Enhanced with debug logging per Codex recommendations.
- * @returns {HTMLElement|null}
- */
-function findSelectionDialog() {
-  // V2: native <dialog> element with our selection-dialog form
-  const v2Dialog = document.querySelector("dialog[open] form.selection-dialog");
-  if (v2Dialog) {
-    console.log("[NPC Test] findSelectionDialog: Found V2 dialog");
-    return v2Dialog.closest("dialog");
-  }
-
-  // V2 alternate: bitd-alt class on form
-  const v2AltDialog = document.querySelector("dialog[open] form.bitd-alt");
-  if (v2AltDialog) {
-    console.log("[NPC Test] findSelectionDialog: Found V2 dialog (bitd-alt form)");
-    return v2AltDialog.closest("dialog");
-  }
-
-  // V2 alternate: dialog with custom text input (for custom text entry)
-  const v2CustomTextDialog = document.querySelector("dialog[open] input[name='customTextValue']");
-  if (v2CustomTextDialog) {
-    console.log("[NPC Test] findSelectionDialog: Found V2 dialog (customTextValue input)");
-    return v2CustomTextDialog.closest("dialog");
-  }
-
-  // V1: Foundry Dialog application
-  const v1Dialog = document.querySelector(".dialog .selection-dialog");
-  if (v1Dialog) {
-    console.log("[NPC Test] findSelectionDialog: Found V1 dialog");
-    return v1Dialog.closest(".dialog");
-  }
-
-  // V1 alternate: look for dialog.app with selection content
-  const v1AppDialog = document.querySelector(".dialog.app .selection-dialog, .dialog.app .bitd-alt");
-  if (v1AppDialog) {
-    console.log("[NPC Test] findSelectionDialog: Found V1 app dialog");
-    return v1AppDialog.closest(".dialog.app");
-  }
-
-  // Alternative: look for any open dialog with selection content
-  const anyDialog = document.querySelector("dialog[open], .dialog.app");
-  if (anyDialog?.querySelector(".selection-dialog, .card-content, input[name='selectionId']")) {
-    console.log("[NPC Test] findSelectionDialog: Found dialog via fallback selector");
-    return anyDialog;
-  }
-
-  return null;
-}
-
-/**
- * Poll for the selection dialog to appear.
- * @param {number} timeoutMs - Maximum time to wait
- * @returns {Promise<HTMLElement|null>}
- */
-async function waitForSelectionDialog(timeoutMs = 3000) {
-  const start = Date.now();
-  return new Promise((resolve) => {
-    const check = () => {
-      const dialog = findSelectionDialog();
-      if (dialog) {
-        resolve(dialog);
-        return;
-      }
-      if (Date.now() - start >= timeoutMs) {
-        resolve(null);
-        return;
-      }
-      setTimeout(check, 50);
-    };
-    check();
-  });
-}
-
-/**
- * Get dialog choice elements.
- * @param {HTMLElement} dialog
- * @returns {HTMLElement[]}
- */
-function getDialogChoices(dialog) {
-  // Choices are labels containing radio inputs
-  const radios = dialog.querySelectorAll('input[type="radio"][name="selectionId"]');
-  return Array.from(radios).map((r) => r.closest("label")).filter(Boolean);
-}
-
-/**
- * Click the OK/confirm button in a dialog.
- * @param {HTMLElement} dialog
- * @returns {HTMLElement|null}
- */
-function findDialogOkButton(dialog) {
-  // V2: button with data-action="ok"
-  const v2Button = dialog.querySelector('button[data-action="ok"]');
-  if (v2Button) return v2Button;
-
-  // V1: button.dialog-button with confirm class or label
-  const v1Button = dialog.querySelector(".dialog-button.confirm, button:has(.fa-check)");
-  if (v1Button) return v1Button;
-
-  // Fallback: first button that looks like confirm
-  return dialog.querySelector("button.confirm, button[type='submit']");
-}
-
-/**
- * Find text input dialog (fallback when no chooser items available).
- * Enhanced with debug logging per Codex recommendations.
- * @returns {HTMLElement|null}
- */
-function findTextInputDialog() {
-  // V1 Dialog with text input
-  const v1Dialog = document.querySelector(".dialog.app form input[type='text'][name='value']");
-  if (v1Dialog) {
-    console.log("[NPC Test] findTextInputDialog: Found V1 text input dialog");
-    return v1Dialog.closest(".dialog.app");
-  }
-
-  // V2: native <dialog> with text input
-  const v2Dialog = document.querySelector("dialog[open] form input[type='text'][name='value']");
-  if (v2Dialog) {
-    console.log("[NPC Test] findTextInputDialog: Found V2 text input dialog");
-    return v2Dialog.closest("dialog");
-  }
-
-  // Debug: Log what dialogs exist if not found
-  const openDialogs = document.querySelectorAll("dialog[open]");
-  const v1Dialogs = document.querySelectorAll(".dialog.app");
-  console.log(`[NPC Test] findTextInputDialog: Not found. Open dialogs: ${openDialogs.length}, V1 dialogs: ${v1Dialogs.length}`);
-
-  return null;
-}
-
-/**
- * Check if this is a card selection dialog (has radio buttons).
- * @param {HTMLElement} dialog
- * @returns {boolean}
- */
-function isCardSelectionDialog(dialog) {
-  return dialog?.querySelector('input[type="radio"][name="selectionId"]') !== null;
-}
-
-/**
- * Check if this is a text input dialog (has text input, no radio buttons).
- * @param {HTMLElement} dialog
- * @returns {boolean}
- */
-function isTextInputDialog(dialog) {
-  const hasTextInput = dialog?.querySelector('input[type="text"][name="value"]') !== null;
-  const hasRadios = dialog?.querySelector('input[type="radio"][name="selectionId"]') !== null;
-  return hasTextInput && !hasRadios;
-}
-
-const t = new TestNumberer("9");
+const batch = defineBatch({
+  id: "9",
+  key: "bitd-alternate-sheets.npc-integration",
+  title: "NPC Integration",
+  description: "NPC vice purveyors and playbook filtering",
+  tags: ["character", "npc", "dialogs"],
+  requiredSettings: ["bitd-alternate-sheets.populateFromCompendia", "bitd-alternate-sheets.populateFromWorld"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping NPC integration tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.npc-integration",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -359,26 +218,22 @@ Hooks.on("quenchReady", (quench) => {
           const smartField = findVicePurveyorSmartField(root);
           assert.ok(smartField, "Vice purveyor smart field should exist in edit mode");
 
-          smartField.click();
-
           // From here on, a dialog might be open - use try/finally to ensure cleanup
           try {
-            // Find the selection dialog
-            const dialog = await waitForSelectionDialog(3000);
+            const dialog = await waitForDialog({ trigger: () => smartField.click(), kind: "chooser" });
             assert.ok(dialog, "Selection dialog should open after clicking vice purveyor smart field");
 
             // Get the choices from the dialog
-            const choices = getDialogChoices(dialog);
-            console.log(`[NPC Test] Found ${choices.length} choices in dialog`);
+            const choiceTexts = dialog.choices.map((c) => c.name);
+            console.log(`[NPC Test] Found ${choiceTexts.length} choices in dialog`);
 
             // Should have at least one choice (the NPC we created)
             assert.ok(
-              choices.length > 0,
-              `Vice purveyor dialog should have choices (found: ${choices.length})`
+              choiceTexts.length > 0,
+              `Vice purveyor dialog should have choices (found: ${choiceTexts.length})`
             );
 
             // Check if our test NPC is in the choices
-            const choiceTexts = choices.map((c) => c.textContent?.trim() || "");
             const hasTestNpc = choiceTexts.some((t) => t.includes("Test Vice Purveyor NPC"));
             console.log(`[NPC Test] Dialog choices: ${choiceTexts.join(", ")}`);
 
@@ -420,35 +275,15 @@ Hooks.on("quenchReady", (quench) => {
           const smartField = findVicePurveyorSmartField(root);
           assert.ok(smartField, "Vice purveyor smart field should exist in edit mode");
 
-          smartField.click();
-
           // From here on, a dialog might be open - use try/finally to ensure cleanup
           try {
-            // Find the selection dialog
-            const dialog = await waitForSelectionDialog(3000);
+            const dialog = await waitForDialog({ trigger: () => smartField.click(), kind: "chooser" });
             assert.ok(dialog, "Selection dialog should open after clicking vice purveyor smart field");
+            assert.ok(dialog.choices.length > 0, "Selection dialog should have at least one choice (the test NPC)");
 
-            // Get choices and select the first one (or the one matching our test NPC)
-            const choices = getDialogChoices(dialog);
-            assert.ok(choices.length > 0, "Selection dialog should have at least one choice (the test NPC)");
-
-            // Find the radio input and select it
-            const targetChoice = choices.find((c) => c.textContent?.includes("Selectable Vice Purveyor")) || choices[0];
-            const radio = targetChoice.querySelector('input[type="radio"]');
-            if (radio) {
-              radio.checked = true;
-              radio.dispatchEvent(new Event("change", { bubbles: true }));
-            } else {
-              targetChoice.click();
-            }
-            await new Promise((resolve) => setTimeout(resolve, 200));
-
-            // Click the OK button
-            const okButton = findDialogOkButton(dialog);
-            assert.ok(okButton, "OK button should exist in selection dialog");
-
-            okButton.click();
-            await new Promise((resolve) => setTimeout(resolve, 500));
+            await dialog.choose("Selectable Vice Purveyor");
+            await dialog.confirm();
+            await new Promise((resolve) => setTimeout(resolve, 400));
 
             // CRITICAL: Verify actor flag was updated
             const updatedPurveyor = actor.getFlag(TARGET_MODULE_ID, "vice_purveyor");
@@ -544,39 +379,28 @@ Hooks.on("quenchReady", (quench) => {
           const smartField = findVicePurveyorSmartField(root);
           assert.ok(smartField, "Vice purveyor smart field should exist in edit mode");
 
-          smartField.click();
-
           // From here on, a dialog might be open - use try/finally to ensure cleanup
           try {
             // With the combined dialog, we always get a card selection dialog
             // that includes a text input field for custom values
-            const dialog = await waitForSelectionDialog(5000);
+            const dialog = await waitForDialog({ trigger: () => smartField.click(), kind: "chooser", timeoutMs: 5000 });
             assert.ok(dialog, "Selection dialog should open");
 
             // Verify there are no NPC choices (cards) in the dialog
-            const choices = getDialogChoices(dialog);
             assert.strictEqual(
-              choices.length,
+              dialog.choices.length,
               0,
               "Dialog should have no NPC choices when no Vice Purveyor NPCs exist"
             );
 
             // The dialog should have a text input for custom values
-            const textInput = dialog.querySelector('input[name="customTextValue"]');
-            assert.ok(textInput, "Custom text input should exist in dialog");
+            assert.ok(dialog.element.querySelector('input[name="customTextValue"]'), "Custom text input should exist in dialog");
 
-            // Enter a custom value
+            // Enter a custom value and save
             const customValue = "Custom Vice Purveyor Name";
-            textInput.value = customValue;
-            textInput.dispatchEvent(new Event("input", { bubbles: true }));
-            await new Promise((resolve) => setTimeout(resolve, 100));
-
-            // Click OK/Save button
-            const okButton = findDialogOkButton(dialog);
-            assert.ok(okButton, "OK button should exist in dialog");
-
-            okButton.click();
-            await new Promise((resolve) => setTimeout(resolve, 500));
+            await dialog.type(customValue);
+            await dialog.confirm();
+            await new Promise((resolve) => setTimeout(resolve, 400));
 
             // CRITICAL: Verify actor flag was updated with the custom text
             const updatedPurveyor = actor.getFlag(TARGET_MODULE_ID, "vice_purveyor");
@@ -594,7 +418,6 @@ Hooks.on("quenchReady", (quench) => {
           }
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: NPC Integration" }
+    }
   );
 });
@@ -10,8 +10,8 @@ import {
   isTargetModuleActive,
   testCleanup,
   findClassItem,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -60,16 +60,25 @@ async function findAnyAbility() {
   return null;
 }
 
-const t = new TestNumberer("21");
+const batch = defineBatch({
+  id: "27",
+  key: "bitd-alternate-sheets.patches",
+  title: "Patches",
+  description: "Effect suppression and auto-purchase of class default abilities",
+  tags: ["patches", "abilities"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping patches tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.patches",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -512,7 +521,6 @@ Hooks.on("quenchReady", (quench) => {
           assert.ok(suppressed3, "Effects with empty origin should be suppressed");
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Patches" }
+    }
   );
 });
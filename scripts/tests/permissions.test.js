@@ -0,0 +1,346 @@
+/**
+ * Quench test batch for permission-sensitive sheet behavior.
+ * Runs the sheets as temporary non-GM users (see user-impersonation.js):
+ * observers and limited players must not be able to edit, open smart-field
+ * dialogs, drop items, change crew links or click clocks.
+ */
+
+import {
+  assertNotEmpty,
+  ensureSheet,
+  findHealingClockInHarmBox,
+  isTargetModuleActive,
+  closeAllDialogs,
+  openHarmBox,
+  testCleanup,
+  waitForActorCondition,
+  waitForActorUpdate,
+  waitForSheetReady,
+} from "../test-utils.js";
+import { EDIT_MODE, ITEMS } from "../test-selectors.js";
+import { character, crew, findItemData } from "../fixtures.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { asUser } from "../user-impersonation.js";
+import { getElement, isDialog, listOpenApplications } from "../app-compat.js";
+import { waitForDialog } from "../dialog-driver.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/**
+ * Count open dialogs (V1 Dialog windows and V2 DialogV2 instances).
+ * @returns {number}
+ */
+function countOpenDialogs() {
+  return listOpenApplications().filter((app) => isDialog(app) && app.rendered !== false).length;
+}
+
+/** How long a blocked action is given to change anything */
+const NO_CHANGE_TIMEOUT_MS = 500;
+
+/**
+ * Run an action that must not change an actor.
+ * Resolves as soon as the actor is updated or gains an item, so a broken
+ * permission check fails fast; otherwise waits NO_CHANGE_TIMEOUT_MS.
+ * @param {Actor} actor
+ * @param {Function} action - May be async
+ * @returns {Promise<boolean>} True if the actor changed
+ */
+async function actorChanged(actor, action) {
+  const updated = waitForActorUpdate(actor, { timeoutMs: NO_CHANGE_TIMEOUT_MS }).then(() => true, () => false);
+  let hookId;
+  const itemCreated = new Promise((resolve) => {
+    hookId = Hooks.on("createItem", (item) => {
+      if (item.parent?.id === actor.id) resolve(true);
+    });
+  });
+  try {
+    await action();
+    return await Promise.race([updated, itemCreated]);
+  } finally {
+    Hooks.off("createItem", hookId);
+  }
+}
+
+/**
+ * Simulate dropping data onto a sheet.
+ * @param {ActorSheet} sheet
+ * @param {object} data - Drop data (e.g. { type: "Item", uuid })
+ */
+function dropOnSheet(sheet, data) {
+  const root = sheet.element?.[0] || sheet.element;
+  const dropZone = root.querySelector(".window-content") || root;
+  const dropEvent = new DragEvent("drop", {
+    bubbles: true,
+    cancelable: true,
+    dataTransfer: new DataTransfer(),
+  });
+  dropEvent.dataTransfer.setData("text/plain", JSON.stringify(data));
+  dropZone.dispatchEvent(dropEvent);
+}
+
+const batch = defineBatch({
+  id: "29",
+  key: "bitd-alternate-sheets.permissions",
+  title: "Permissions",
+  description: "Sheet behavior for players, trusted players and observers who do not own the actor",
+  tags: ["character", "crew", "permissions"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
+
+onQuenchReady((quench) => {
+  if (!isTargetModuleActive()) {
+    console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping permissions tests`);
+    return;
+  }
+
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, beforeEach, afterEach } = context;
+
+      t.section("Impersonation", () => {
+        let actor;
+
+        beforeEach(async function () {
+          this.timeout(10000);
+          ({ actor } = await character("Permissions-Impersonation-Test").build({
+            switchPlaybook: false,
+          }));
+        });
+
+        afterEach(async function () {
+          this.timeout(10000);
+          await testCleanup({ actors: [actor] });
+          actor = null;
+        });
+
+        t.test("swaps game.user for the callback and restores it", async function () {
+          this.timeout(10000);
+          const gm = game.user;
+          const userCount = game.users.size;
+
+          const seen = await asUser("player", (user) => {
+            assert.strictEqual(game.user, user, "game.user should be the temporary user");
+            assert.isFalse(game.user.isGM, "Temporary player must not be a GM");
+            return user.id;
+          });
+
+          assert.strictEqual(game.user, gm, "game.user should be restored");
+          assert.isFalse(game.users.has(seen), "Temporary user should be deleted");
+          assert.strictEqual(game.users.size, userCount, "No users should be left behind");
+        });
+
+        t.test("restores game.user when the callback throws", async function () {
+          this.timeout(10000);
+          const gm = game.user;
+          let error = null;
+
+          try {
+            await asUser("trusted", () => {
+              throw new Error("callback failure");
+            });
+          } catch (err) {
+            error = err;
+          }
+
+          assert.strictEqual(error?.message, "callback failure", "Callback error should propagate");
+          assert.strictEqual(game.user, gm, "game.user should be restored after an error");
+        });
+
+        t.test("grants the persona's ownership and revokes it afterwards", async function () {
+          this.timeout(10000);
+
+          const userId = await asUser("observer", (user) => {
+            assert.isTrue(
+              actor.testUserPermission(user, "OBSERVER", { exact: true }),
+              "Observer should have exactly OBSERVER ownership"
+            );
+            assert.isFalse(actor.isOwner, "Observer must not own the actor");
+            return user.id;
+          }, { documents: [actor] });
+
+          assert.notProperty(actor.ownership, userId, "Ownership entry should be removed");
+          assert.isTrue(actor.isOwner, "GM should own the actor again");
+        });
+      });
+
+      for (const persona of ["observer", "trusted"]) {
+        t.section(`Character Sheet as ${persona} (OBSERVER ownership)`, () => {
+          let actor;
+          let crewActor;
+
+          beforeEach(async function () {
+            this.timeout(20000);
+            ({ actor } = await character(`Permissions-${persona}-Test`)
+              .playbook("Cutter")
+              .build());
+            ({ actor: crewActor } = await crew(`Permissions-${persona}-Crew`)
+              .crewType("Assassins")
+              .build());
+          });
+
+          afterEach(async function () {
+            this.timeout(10000);
+            await closeAllDialogs();
+            await testCleanup({ actors: [actor, crewActor] });
+            actor = null;
+            crewActor = null;
+          });
+
+          t.test("sheet renders read-only", async function () {
+            this.timeout(15000);
+            await asUser(persona, async () => {
+              assert.isFalse(actor.isOwner, `${persona} must not own the actor`);
+              const sheet = await ensureSheet(actor);
+              assert.isFalse(sheet.isEditable, "Sheet must not be editable for a non-owner");
+            }, { documents: [actor], ownership: "OBSERVER" });
+          });
+
+          t.test("edit toggle does not unlock the sheet", async function () {
+            this.timeout(15000);
+            await asUser(persona, async () => {
+              const sheet = await ensureSheet(actor);
+              const root = sheet.element?.[0] || sheet.element;
+              // Entering edit mode re-renders the sheet; a timeout means nothing happened
+              await waitForSheetReady(sheet, {
+                trigger: () => root.querySelector(EDIT_MODE.TOGGLE)?.click(),
+                timeoutMs: NO_CHANGE_TIMEOUT_MS,
+              }).catch(() => null);
+              assert.notOk(sheet.allow_edit, "Non-owner must not be able to enter edit mode");
+            }, { documents: [actor], ownership: "OBSERVER" });
+          });
+
+          t.test("smart fields do not open dialogs", async function () {
+            this.timeout(15000);
+            await asUser(persona, async () => {
+              const sheet = await ensureSheet(actor);
+              const root = sheet.element?.[0] || sheet.element;
+              const before = countOpenDialogs();
+
+              const dialog = await waitForDialog({
+                trigger: () => {
+                  for (const field of root.querySelectorAll(`${ITEMS.SMART_EDIT}, ${ITEMS.SMART_FIELD}`)) {
+                    field.click();
+                  }
+                },
+                timeoutMs: NO_CHANGE_TIMEOUT_MS,
+              });
+
+              assert.isNull(dialog, "Clicking smart fields as a non-owner must not open a dialog");
+              assert.strictEqual(
+                countOpenDialogs(),
+                before,
+                "Clicking smart fields as a non-owner must not open a dialog"
+              );
+            }, { documents: [actor], ownership: "OBSERVER" });
+          });
+
+          t.test("dropping an item does not add it", async function () {
+            this.timeout(15000);
+            const data = await findItemData("Blade", "item");
+            if (!data) this.skip();
+            const item = await Item.create({ ...data, name: "Permissions-Drop-Item" });
+
+            try {
+              const countBefore = actor.items.size;
+              await asUser(persona, async () => {
+                const sheet = await ensureSheet(actor);
+                const changed = await actorChanged(actor, () => dropOnSheet(sheet, { type: "Item", uuid: item.uuid }));
+                assert.isFalse(changed, "Drop must not change the actor");
+              }, { documents: [actor], ownership: "OBSERVER" });
+
+              assert.strictEqual(actor.items.size, countBefore, "Drop must not add an item");
+            } finally {
+              await item.delete();
+            }
+          });
+
+          t.test("crew link cannot be changed", async function () {
+            this.timeout(15000);
+            await asUser(persona, async () => {
+              const sheet = await ensureSheet(actor);
+              assert.isFunction(sheet._updateCrewLink, "Sheet should provide _updateCrewLink (see crew-link tests)");
+              const changed = await actorChanged(actor, async () => {
+                try {
+                  await sheet._updateCrewLink(crewActor.id);
+                } catch {
+                  // A rejected update is the expected outcome
+                }
+              });
+              assert.isFalse(changed, "Crew link attempt must not update the actor");
+            }, { documents: [actor, crewActor], ownership: "OBSERVER" });
+
+            const linked = (actor.system?.crew ?? []).some((entry) => entry?.id === crewActor.id);
+            assert.isFalse(linked, "Non-owner must not be able to link the character to a crew");
+          });
+
+          t.test("clock clicks do not change the healing clock", async function () {
+            this.timeout(15000);
+            await actor.update({ "system.healing_clock.value": 1 });
+
+            await asUser(persona, async () => {
+              const sheet = await ensureSheet(actor);
+              const root = sheet.element?.[0] || sheet.element;
+              openHarmBox(root);
+
+              const labels = findHealingClockInHarmBox(root)?.querySelectorAll("label.radio-toggle") ?? [];
+              assertNotEmpty(assert, labels, "Healing clock segments should exist in the harm popup");
+              const changed = await actorChanged(actor, () => {
+                labels[labels.length - 1].dispatchEvent(new MouseEvent("click", {
+                  bubbles: true,
+                  cancelable: true,
+                  button: 0,
+                  view: window,
+                }));
+              });
+              assert.isFalse(changed, "Clock click must not update the actor");
+            }, { documents: [actor], ownership: "OBSERVER" });
+
+            assert.strictEqual(
+              actor.system?.healing_clock?.value,
+              1,
+              "Non-owner clock clicks must not update the actor"
+            );
+          });
+        });
+      }
+
+      t.section("Limited Player", () => {
+        let actor;
+
+        beforeEach(async function () {
+          this.timeout(15000);
+          ({ actor } = await character("Permissions-Limited-Test").playbook("Cutter").build());
+        });
+
+        afterEach(async function () {
+          this.timeout(10000);
+          await testCleanup({ actors: [actor] });
+          actor = null;
+        });
+
+        t.test("limited player gets a non-editable sheet without edit controls", async function () {
+          this.timeout(15000);
+          await asUser("player", async () => {
+            assert.isTrue(actor.limited, "Actor should be limited for the player");
+
+            const sheet = actor.sheet;
+            // The limited view may not use the full sheet's wrapper, so wait for the element itself
+            await sheet.render(true);
+            await waitForActorCondition(() => sheet.rendered && getElement(sheet)?.isConnected, { timeoutMs: 3000 });
+
+            assert.isTrue(sheet.rendered, "Limited sheet should render");
+            assert.isFalse(sheet.isEditable, "Limited sheet must not be editable");
+            const root = sheet.element?.[0] || sheet.element;
+            assert.notOk(
+              root?.querySelector(ITEMS.SMART_EDIT),
+              "Limited sheet must not expose smart-field editing"
+            );
+          }, { documents: [actor] });
+        });
+      });
+    }
+  );
+});
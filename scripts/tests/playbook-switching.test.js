@@ -14,13 +14,21 @@ import {
   isTargetModuleActive,
   waitForActorUpdate,
   testCleanup,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
 
-const t = new TestNumberer("17");
+const batch = defineBatch({
+  id: "25",
+  key: "bitd-alternate-sheets.playbook-switching",
+  title: "Playbook Switching",
+  description: "Playbook switch flow, ability progress, acquaintances, attributes",
+  tags: ["character", "playbook"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
 /**
  * Get the multiAbilityProgress flag from an actor.
@@ -66,14 +74,15 @@ async function setAcquaintanceStanding(actor, acqId, standing) {
   }
 }
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping test registration`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.playbook-switching",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -445,7 +454,6 @@ Hooks.on("quenchReady", (quench) => {
           );
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Playbook Switching" }
+    }
   );
 });
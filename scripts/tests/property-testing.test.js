@@ -0,0 +1,158 @@
+/**
+ * Quench test batch for the property-testing engine.
+ * Tests the seeded generator, property mode and shrinking against a pure
+ * model, so failures here point at the engine rather than a sheet.
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import {
+  createRng,
+  checkProperty,
+  assertProperty,
+  shrinkSequence,
+  getPropertyConfig,
+  setPropertyOverride,
+} from "../property-testing.js";
+
+/**
+ * A counter model with a planted bug: stepping past 5 overflows.
+ * @param {number[]} sequence - Increments
+ * @returns {Promise<{index: number, message: string}|null>}
+ */
+async function overflowingCounter(sequence) {
+  let total = 0;
+  for (const [index, step] of sequence.entries()) {
+    total += step;
+    if (total > 5) return { index, message: `total ${total} above 5` };
+  }
+  return null;
+}
+
+const batch = defineBatch({
+  id: "35",
+  key: "bitd-alternate-sheets.property-testing",
+  title: "Property Testing",
+  description: "Seeded generator, property mode and shrinking",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, afterEach } = context;
+
+      afterEach(function () {
+        setPropertyOverride(null);
+      });
+
+      t.section("Generator", () => {
+        t.test("the same seed yields the same values", function () {
+          const a = createRng(1234);
+          const b = createRng(1234);
+          const values = Array.from({ length: 20 }, () => a.next());
+          assert.deepEqual(Array.from({ length: 20 }, () => b.next()), values);
+          assert.notDeepEqual(Array.from({ length: 20 }, () => createRng(1235).next()), values);
+        });
+
+        t.test("int() stays within bounds and reaches both ends", function () {
+          const rng = createRng(42);
+          const seen = new Set();
+          for (let i = 0; i < 500; i += 1) {
+            const value = rng.int(1, 4);
+            assert.isAtLeast(value, 1);
+            assert.isAtMost(value, 4);
+            seen.add(value);
+          }
+          assert.deepEqual([...seen].sort(), [1, 2, 3, 4]);
+        });
+      });
+
+      t.section("Property Mode", () => {
+        t.test("the override replaces the settings until cleared", function () {
+          setPropertyOverride({ runs: 7, seed: 99 });
+          assert.deepEqual(getPropertyConfig(), { runs: 7, seed: 99 });
+
+          setPropertyOverride({ runs: -3 });
+          assert.deepEqual(getPropertyConfig(), { runs: 0, seed: null });
+        });
+      });
+
+      t.section("Checking and Shrinking", () => {
+        t.test("a passing property reports its seed and run count", async function () {
+          const result = await checkProperty({
+            name: "small counter",
+            runs: 10,
+            seed: 7,
+            generate: (rng) => [rng.int(0, 1), rng.int(0, 1)],
+            execute: overflowingCounter,
+          });
+          assert.deepEqual(result, { ok: true, name: "small counter", seed: 7, runs: 10 });
+        });
+
+        t.test("shrinking removes irrelevant steps and simplifies the rest", async function () {
+          const shrunk = await shrinkSequence([1, 0, 3, 0, 0, 4, 2, 2], { index: 5, message: "total 8 above 5" }, {
+            execute: overflowingCounter,
+            shrinkStep: (step) => (step > 1 ? [step - 1] : []),
+          });
+
+          // Steps after the failure are dropped, removals leave [3, 4] and
+          // simplification lowers the first step as far as it still overflows
+          assert.deepEqual(shrunk.sequence, [2, 4]);
+          assert.match(shrunk.failure.message, /above 5/);
+          assert.isAtMost(shrunk.executions, 40);
+        });
+
+        t.test("shrinking stops at the execution budget", async function () {
+          let executions = 0;
+          const shrunk = await shrinkSequence([1, 1, 1, 1, 1, 1, 1], { index: 6, message: "total 7 above 5" }, {
+            execute: async (sequence) => {
+              executions += 1;
+              return overflowingCounter(sequence);
+            },
+            shrinkStep: (step) => (step > 1 ? [step - 1] : []),
+            maxExecutions: 2,
+          });
+          assert.equal(executions, 2);
+          assert.equal(shrunk.executions, 2);
+        });
+
+        t.test("the same seed fails on the same run with the same reproduction", async function () {
+          const options = {
+            name: "overflow",
+            runs: 50,
+            seed: 2024,
+            generate: (rng) => Array.from({ length: rng.int(1, 6) }, () => rng.int(0, 4)),
+            execute: overflowingCounter,
+            shrinkStep: (step) => (step > 1 ? [step - 1] : []),
+          };
+          const first = await checkProperty(options);
+          const second = await checkProperty(options);
+
+          assert.isFalse(first.ok);
+          assert.deepEqual(second.failure, first.failure);
+          assert.match(first.message, /seed 2024/);
+          assert.match(first.message, /Replay: .*api\.property\.run\(\{ runs: \d+, seed: 2024 \}\)/);
+        });
+
+        t.test("assertProperty() throws the failure message", async function () {
+          let error = null;
+          try {
+            await assertProperty({
+              name: "always overflows",
+              runs: 3,
+              seed: 1,
+              generate: () => [9],
+              execute: overflowingCounter,
+            });
+          } catch (err) {
+            error = err;
+          }
+          assert.match(error?.message ?? "", /Property "always overflows" failed on run 1\/3 \(seed 1\): total 9 above 5/);
+        });
+      });
+    }
+  );
+});
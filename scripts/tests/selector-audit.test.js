@@ -0,0 +1,124 @@
+/**
+ * Quench test batch for the selector drift audit.
+ * Tests how selector lists are split into alternatives and how each
+ * alternative is classified against surfaces built from fixed markup.
+ * No reference sheets are rendered; auditSelectors() itself is not run.
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { evaluateSelectors, splitSelectorList } from "../selector-audit.js";
+
+const batch = defineBatch({
+  id: "43",
+  key: "bitd-alternate-sheets.selector-audit",
+  title: "Selector Audit",
+  description: "Selector list splitting and alternative classification",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+/**
+ * Build an audit surface from markup.
+ * @param {string} name - Surface name
+ * @param {string} html - Markup with a single root element
+ * @returns {{name: string, root: HTMLElement}}
+ */
+function surface(name, html) {
+  const container = document.createElement("div");
+  container.innerHTML = html;
+  return { name, root: container.firstElementChild };
+}
+
+/**
+ * Evaluate one selector and map its alternatives to their statuses.
+ * @param {string} selector
+ * @param {Array<{name: string, root: HTMLElement}>} surfaces
+ * @returns {Object<string, string>} Status by alternative
+ */
+function statuses(selector, surfaces) {
+  const [entry] = evaluateSelectors([{ path: "TEST.SELECTOR", selector }], surfaces);
+  return Object.fromEntries(entry.alternatives.map((alt) => [alt.selector, alt.status]));
+}
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert } = context;
+
+      t.section("Splitting", () => {
+        t.test("splits on top-level commas and trims each alternative", function () {
+          assert.deepEqual(splitSelectorList(" .a ,.b > span,  #c "), [".a", ".b > span", "#c"]);
+          assert.deepEqual(splitSelectorList(".only"), [".only"]);
+        });
+
+        t.test("keeps commas inside quotes and attribute brackets", function () {
+          assert.deepEqual(splitSelectorList(`input[value="a,b"], [title='x, y'], .c`), [
+            `input[value="a,b"]`,
+            `[title='x, y']`,
+            ".c",
+          ]);
+        });
+
+        t.test("keeps commas inside :not() and :is()", function () {
+          assert.deepEqual(splitSelectorList(".a:not(.b, .c), :is(.d, .e) span, .f"), [
+            ".a:not(.b, .c)",
+            ":is(.d, .e) span",
+            ".f",
+          ]);
+        });
+      });
+
+      t.section("Classification", () => {
+        const sheet = surface(
+          "sheet",
+          '<form class="sheet"><span class="one"></span><span class="both"></span></form>'
+        );
+        const popup = surface("popup", '<div class="popup"><span class="two"></span></div>');
+
+        t.test("an alternative matching alone is a match, one matching nothing is none", function () {
+          assert.deepEqual(statuses(".one, .missing", [sheet]), { ".one": "match", ".missing": "none" });
+        });
+
+        t.test("alternatives matching on the same surface are ambiguous", function () {
+          assert.deepEqual(statuses(".both, span, .missing", [sheet]), {
+            ".both": "ambiguous",
+            span: "ambiguous",
+            ".missing": "none",
+          });
+        });
+
+        t.test("alternatives matching on different surfaces are both matches", function () {
+          assert.deepEqual(statuses(".one, .two", [sheet, popup]), { ".one": "match", ".two": "match" });
+        });
+
+        t.test("the surface root itself counts as a match", function () {
+          const [entry] = evaluateSelectors([{ path: "TEST.ROOT", selector: "form.sheet" }], [sheet]);
+          assert.deepEqual(entry.alternatives, [
+            { selector: "form.sheet", counts: { sheet: 1 }, status: "match" },
+          ]);
+        });
+
+        t.test("an unparsable alternative is invalid without affecting the others", function () {
+          assert.deepEqual(statuses(".one, span[", [sheet]), { ".one": "match", "span[": "invalid" });
+        });
+
+        t.test("expected-unmatched groups are flagged and null selectors have no alternatives", function () {
+          const [dialog, missing] = evaluateSelectors(
+            [
+              { path: "DIALOGS.TEXT_INPUT", selector: "input[name='value']" },
+              { path: "TEST.BROKEN", selector: null, note: "threw" },
+            ],
+            [sheet]
+          );
+
+          assert.strictEqual(dialog.expectedUnmatched, "only present while a dialog is open");
+          assert.strictEqual(dialog.alternatives[0].status, "none");
+          assert.isNull(missing.expectedUnmatched);
+          assert.deepEqual(missing.alternatives, []);
+        });
+      });
+    }
+  );
+});
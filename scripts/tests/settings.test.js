@@ -9,22 +9,31 @@ import {
   isTargetModuleActive,
   testCleanup,
   closeAllDialogs,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
 
-const t = new TestNumberer("16");
+const batch = defineBatch({
+  id: "16",
+  key: "bitd-alternate-sheets.settings",
+  title: "Settings",
+  description: "Settings registration and cache invalidation",
+  tags: ["settings"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping settings tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.settings",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -325,7 +334,6 @@ Hooks.on("quenchReady", (quench) => {
           );
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Settings" }
+    }
   );
 });
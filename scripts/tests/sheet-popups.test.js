@@ -9,15 +9,23 @@ import {
   waitForActorUpdate,
   isTargetModuleActive,
   testCleanup,
-  TestNumberer,
   assertExists,
   getEquippedItems,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
 
-const t = new TestNumberer("19");
+const batch = defineBatch({
+  id: "19",
+  key: "bitd-alternate-sheets.sheet-popups",
+  title: "Sheet Popups",
+  description: "Coins, harm, and load popup interactions",
+  tags: ["character", "popups"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
 /**
  * Find the coins popup box on the sheet.
@@ -138,14 +146,15 @@ function triggerCheckboxChange(sheet, checkbox, itemId) {
   }
 }
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping sheet-popups tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.sheet-popups",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -1025,7 +1034,6 @@ Hooks.on("quenchReady", (quench) => {
           // which may behave differently in test environment
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Sheet Popups" }
+    }
   );
 });
@@ -15,8 +15,9 @@ import {
   isTargetModuleActive,
   closeAllDialogs,
   testCleanup,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { waitForDialog } from "../dialog-driver.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -63,100 +64,6 @@ function findSmartEditField(root, fieldName) {
   return root.querySelector(`[data-action="smart-edit"][data-field="${fieldName}"]`);
 }
 
-/**
- * Wait for a card selection dialog to appear.
- * Returns an object with element and helper methods.
- * @param {number} timeoutMs
- * @returns {Promise<{element: HTMLElement, isV2: boolean, close: Function, getTextInput: Function, getCards: Function, clickOk: Function}|null>}
- */
-async function waitForCardDialog(timeoutMs = 2000) {
-  const start = Date.now();
-  return new Promise((resolve) => {
-    const check = () => {
-      // Check for V2 dialogs first (native <dialog> elements in DOM)
-      const v2Dialog = document.querySelector("dialog[open]");
-      if (v2Dialog?.querySelector("form.selection-dialog, .card-content, input[name='customTextValue']")) {
-        resolve(createDialogHelper(v2Dialog, true));
-        return;
-      }
-
-      // Check for V1 dialogs in ui.windows
-      const apps = Object.values(ui.windows).filter((w) => {
-        const el = w.element?.[0] || w.element;
-        return el?.querySelector?.(".card-content, form.selection-dialog, input[name='customTextValue']");
-      });
-      if (apps.length > 0) {
-        const app = apps[apps.length - 1];
-        const el = app.element?.[0] || app.element;
-        resolve(createDialogHelper(el, false, app));
-        return;
-      }
-
-      if (Date.now() - start >= timeoutMs) {
-        resolve(null);
-        return;
-      }
-      setTimeout(check, 50);
-    };
-    check();
-  });
-}
-
-/**
- * Create a helper object for interacting with the dialog.
- */
-function createDialogHelper(element, isV2, appInstance = null) {
-  return {
-    element,
-    isV2,
-    close: async () => {
-      if (isV2) {
-        const cancelBtn = element.querySelector('button[data-action="cancel"]');
-        if (cancelBtn) {
-          cancelBtn.click();
-          await new Promise((r) => setTimeout(r, 100));
-        } else {
-          element.close?.();
-        }
-      } else if (appInstance) {
-        await appInstance.close();
-      }
-    },
-    getTextInput: () => element.querySelector('input[name="customTextValue"]'),
-    getClearButton: () => element.querySelector('.clear-text-btn'),
-    getCards: () => element.querySelectorAll('.card-content'),
-    getRadios: () => element.querySelectorAll('input[name="selectionId"]'),
-    clickOk: async () => {
-      const okButton = element.querySelector(
-        'button[data-action="ok"], button[data-button="confirm"]'
-      );
-      if (okButton) {
-        okButton.click();
-        await new Promise((r) => setTimeout(r, 100));
-      }
-    },
-    clickClear: async () => {
-      const clearButton = element.querySelector(
-        'button[data-action="clear"], button[data-button="clear"]'
-      );
-      if (clearButton) {
-        clearButton.click();
-        await new Promise((r) => setTimeout(r, 100));
-      }
-    },
-  };
-}
-
-/**
- * Type text into an input element.
- * @param {HTMLInputElement} input
- * @param {string} text
- */
-function typeIntoInput(input, text) {
-  input.value = text;
-  input.dispatchEvent(new Event("input", { bubbles: true }));
-}
-
 /**
  * Check if actor has an owned item of a specific type.
  * @param {Actor} actor
@@ -167,16 +74,26 @@ function getOwnedItemByType(actor, type) {
   return actor.items.find((i) => i.type === type) ?? null;
 }
 
-Hooks.on("quenchReady", (quench) => {
+const batch = defineBatch({
+  id: "28",
+  key: "bitd-alternate-sheets.smart-field-custom-text",
+  title: "Smart Field Custom Text",
+  description: "Custom text entry for smart fields on character and crew sheets",
+  tags: ["character", "crew", "smart-fields", "dialogs"],
+  requiredSettings: ["bitd-alternate-sheets.populateFromCompendia"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
+
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping smart field custom text tests`);
     return;
   }
 
-  const t = new TestNumberer("14");
-
-  quench.registerBatch(
-    "bitd-alternate-sheets.smart-field-custom-text",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -223,14 +140,13 @@ Hooks.on("quenchReady", (quench) => {
           const selector = findSmartEditField(root, "system.heritage");
           assert.ok(selector, "Heritage field should exist in edit mode");
 
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          const textInput = dialog.getTextInput();
+          const textInput = dialog.textInput;
           assert.ok(textInput, "Dialog should have text input field for custom values");
 
-          await dialog.close();
+          await dialog.cancel();
         });
 
         t.test("enter custom text saves to actor and displays on sheet", async function () {
@@ -254,14 +170,12 @@ Hooks.on("quenchReady", (quench) => {
           root = sheet.element?.[0] || sheet.element;
 
           const selector = findSmartEditField(root, "system.heritage");
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          const textInput = dialog.getTextInput();
-          typeIntoInput(textInput, "Custom Heritage");
+          await dialog.type("Custom Heritage");
 
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -296,11 +210,10 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((r) => setTimeout(r, 100));
 
           const selector = findSmartEditField(root, "system.heritage");
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          const radios = dialog.getRadios();
+          const radios = dialog.radios;
           assert.ok(radios.length > 0, "Compendium items should be available - check populateFromCompendia setting");
 
           const firstRadio = radios[0];
@@ -309,7 +222,7 @@ Hooks.on("quenchReady", (quench) => {
           else firstRadio.click();
           await new Promise((r) => setTimeout(r, 100));
 
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -328,12 +241,11 @@ Hooks.on("quenchReady", (quench) => {
           }
 
           const selector = findSmartEditField(root, "system.heritage");
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          const textInput = dialog.getTextInput();
-          const radios = dialog.getRadios();
+          const textInput = dialog.textInput;
+          const radios = dialog.radios;
 
           assert.ok(radios.length > 0, "Compendium items should be available - check populateFromCompendia setting");
 
@@ -345,7 +257,7 @@ Hooks.on("quenchReady", (quench) => {
 
           assert.ok(textInput.value.length > 0, "Text input should be populated after card selection");
 
-          await dialog.close();
+          await dialog.cancel();
         });
 
         t.test("typing clears card selection highlight", async function () {
@@ -360,12 +272,10 @@ Hooks.on("quenchReady", (quench) => {
           }
 
           const selector = findSmartEditField(root, "system.heritage");
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          const textInput = dialog.getTextInput();
-          const radios = dialog.getRadios();
+          const radios = dialog.radios;
 
           assert.ok(radios.length > 0, "Compendium items should be available - check populateFromCompendia setting");
 
@@ -377,13 +287,13 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((r) => setTimeout(r, 100));
 
           // Now type custom text
-          typeIntoInput(textInput, "Typed Value");
+          await dialog.type("Typed Value");
 
           // Check that card is unchecked
           const checkedRadio = dialog.element.querySelector('input[name="selectionId"]:checked');
           assert.notOk(checkedRadio, "Card selection should be cleared after typing");
 
-          await dialog.close();
+          await dialog.cancel();
         });
 
         t.test("clear button empties text and card selection", async function () {
@@ -398,15 +308,14 @@ Hooks.on("quenchReady", (quench) => {
           }
 
           const selector = findSmartEditField(root, "system.heritage");
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          const textInput = dialog.getTextInput();
-          const clearBtn = dialog.getClearButton();
+          const textInput = dialog.textInput;
+          const clearBtn = dialog.element.querySelector(".clear-text-btn");
 
           // Enter text
-          typeIntoInput(textInput, "Some value");
+          await dialog.type("Some value");
           assert.ok(textInput.value.length > 0, "Text input should have value");
 
           // Click clear button
@@ -416,7 +325,7 @@ Hooks.on("quenchReady", (quench) => {
             assert.equal(textInput.value, "", "Text input should be empty after clear button click");
           }
 
-          await dialog.close();
+          await dialog.cancel();
         });
 
         t.test("whitespace-only text is treated as clear", async function () {
@@ -435,14 +344,12 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((r) => setTimeout(r, 100));
 
           const selector = findSmartEditField(root, "system.heritage");
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          const textInput = dialog.getTextInput();
-          typeIntoInput(textInput, "   ");
+          await dialog.type("   ");
 
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -469,11 +376,12 @@ Hooks.on("quenchReady", (quench) => {
           const selector = findSmartEditField(root, "system.heritage");
           // In non-edit mode, the element might not exist or should not respond to clicks
           if (selector) {
-            selector.click();
-            await new Promise((r) => setTimeout(r, 300));
-
             // Dialog should NOT open in non-edit mode
-            const dialog = await waitForCardDialog(500);
+            const dialog = await waitForDialog({
+              kind: "chooser",
+              trigger: () => selector.click(),
+              timeoutMs: 500,
+            });
             assert.notOk(dialog, "Dialog must NOT open when clicking field in non-edit mode");
           }
           // If selector doesn't exist in non-edit mode, that's also acceptable
@@ -502,11 +410,10 @@ Hooks.on("quenchReady", (quench) => {
           const selector = findSmartEditField(root, "system.heritage");
           assert.ok(selector, "Heritage field must exist");
 
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          const textInput = dialog.getTextInput();
+          const textInput = dialog.textInput;
           assert.ok(textInput, "Text input must exist");
           assert.strictEqual(
             textInput.value,
@@ -514,7 +421,7 @@ Hooks.on("quenchReady", (quench) => {
             "Text input MUST be pre-populated with existing value"
           );
 
-          await dialog.close();
+          await dialog.cancel();
         });
 
         t.test("special characters save and display correctly", async function () {
@@ -536,16 +443,14 @@ Hooks.on("quenchReady", (quench) => {
           root = sheet.element?.[0] || sheet.element;
 
           const selector = findSmartEditField(root, "system.heritage");
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
           // Test with special characters that could break HTML or cause XSS
           const specialText = `"Heritage" & <Test> 'Quotes'`;
-          const textInput = dialog.getTextInput();
-          typeIntoInput(textInput, specialText);
+          await dialog.type(specialText);
 
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -587,16 +492,14 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((r) => setTimeout(r, 100));
 
           const selector = findSmartEditField(root, "system.heritage");
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
           // Type new value but then cancel
-          const textInput = dialog.getTextInput();
-          typeIntoInput(textInput, "New Value That Should Not Save");
+          await dialog.type("New Value That Should Not Save");
 
           // Click cancel/close instead of OK
-          await dialog.close();
+          await dialog.cancel();
           await new Promise((r) => setTimeout(r, 300));
 
           // Verify actor was NOT changed
@@ -633,17 +536,16 @@ Hooks.on("quenchReady", (quench) => {
             root = sheet.element?.[0] || sheet.element;
 
             const selector = findSmartEditField(root, "system.heritage");
-            selector.click();
-            const dialog = await waitForCardDialog(3000);
+            const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
             assert.ok(dialog, "Dialog must open even with compendiums disabled");
 
             // Text input should still work
-            const textInput = dialog.getTextInput();
+            const textInput = dialog.textInput;
             assert.ok(textInput, "Text input must exist even with no compendium items");
 
-            typeIntoInput(textInput, "Custom Without Compendium");
+            await dialog.type("Custom Without Compendium");
 
-            await dialog.clickOk();
+            await dialog.confirm();
             await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
             await new Promise((r) => setTimeout(r, 300));
 
@@ -707,16 +609,15 @@ Hooks.on("quenchReady", (quench) => {
           const selector = findSmartEditField(root, "system.background");
           assert.ok(selector, "Background field must exist");
 
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open for background");
 
-          const textInput = dialog.getTextInput();
+          const textInput = dialog.textInput;
           assert.ok(textInput, "Text input must exist");
 
-          typeIntoInput(textInput, "Custom Background");
+          await dialog.type("Custom Background");
 
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -788,16 +689,15 @@ Hooks.on("quenchReady", (quench) => {
           const selector = findSmartEditField(root, `flags.${TARGET_MODULE_ID}.vice_purveyor`);
           assert.ok(selector, "Vice purveyor field must exist");
 
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open for vice purveyor");
 
-          const textInput = dialog.getTextInput();
+          const textInput = dialog.textInput;
           assert.ok(textInput, "Text input must exist");
 
-          typeIntoInput(textInput, "Custom Vice Purveyor");
+          await dialog.type("Custom Vice Purveyor");
 
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -882,14 +782,12 @@ Hooks.on("quenchReady", (quench) => {
           const selector = findSmartItemSelector(root, "crew_reputation");
           assert.ok(selector, "Reputation selector should exist");
 
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          const textInput = dialog.getTextInput();
-          typeIntoInput(textInput, "Custom Rep");
+          await dialog.type("Custom Rep");
 
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -935,11 +833,10 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((r) => setTimeout(r, 100));
 
           const selector = findSmartItemSelector(root, "crew_reputation");
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          const radios = dialog.getRadios();
+          const radios = dialog.radios;
           assert.ok(radios.length > 0, "Compendium items should be available - check populateFromCompendia setting");
 
           const firstRadio = radios[0];
@@ -948,7 +845,7 @@ Hooks.on("quenchReady", (quench) => {
           else firstRadio.click();
           await new Promise((r) => setTimeout(r, 100));
 
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -979,10 +876,9 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((r) => setTimeout(r, 100));
 
           let selector = findSmartItemSelector(root, "crew_reputation");
-          selector.click();
-          let dialog = await waitForCardDialog(3000);
+          let dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
 
-          const radios = dialog.getRadios();
+          const radios = dialog.radios;
           assert.ok(radios.length > 0, "Compendium items should be available - check populateFromCompendia setting");
 
           const firstRadio = radios[0];
@@ -990,7 +886,7 @@ Hooks.on("quenchReady", (quench) => {
           if (label) label.click();
           else firstRadio.click();
           await new Promise((r) => setTimeout(r, 100));
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -1005,14 +901,12 @@ Hooks.on("quenchReady", (quench) => {
 
           // Now switch to custom text
           selector = findSmartItemSelector(newRoot, "crew_reputation");
-          selector.click();
-          dialog = await waitForCardDialog(3000);
+          dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should reopen");
 
-          const textInput = dialog.getTextInput();
-          typeIntoInput(textInput, "My Custom Rep");
+          await dialog.type("My Custom Rep");
 
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -1044,10 +938,9 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((r) => setTimeout(r, 100));
 
           let selector = findSmartItemSelector(root, "crew_reputation");
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
 
-          const radios = dialog.getRadios();
+          const radios = dialog.radios;
           assert.ok(radios.length > 0, "Compendium items should be available - check populateFromCompendia setting");
 
           const firstRadio = radios[0];
@@ -1056,7 +949,7 @@ Hooks.on("quenchReady", (quench) => {
           else firstRadio.click();
           await new Promise((r) => setTimeout(r, 100));
 
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -1083,11 +976,10 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((r) => setTimeout(r, 100));
 
           const selector = findSmartItemSelector(root, "crew_reputation");
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          await dialog.clickClear();
+          await dialog.clear();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -1156,16 +1048,15 @@ Hooks.on("quenchReady", (quench) => {
           const selector = findSmartItemSelector(root, "hunting_grounds");
           assert.ok(selector, "Hunting grounds selector must exist");
 
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          const textInput = dialog.getTextInput();
+          const textInput = dialog.textInput;
           assert.ok(textInput, "Text input must exist for custom value entry");
 
-          typeIntoInput(textInput, "Custom Hunting Grounds");
+          await dialog.type("Custom Hunting Grounds");
 
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -1210,11 +1101,10 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((r) => setTimeout(r, 100));
 
           const selector = findSmartItemSelector(root, "hunting_grounds");
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          const radios = dialog.getRadios();
+          const radios = dialog.radios;
           assert.ok(radios.length > 0, "Compendium hunting grounds items should be available");
 
           const firstRadio = radios[0];
@@ -1223,7 +1113,7 @@ Hooks.on("quenchReady", (quench) => {
           else firstRadio.click();
           await new Promise((r) => setTimeout(r, 100));
 
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -1254,10 +1144,9 @@ Hooks.on("quenchReady", (quench) => {
           await new Promise((r) => setTimeout(r, 100));
 
           let selector = findSmartItemSelector(root, "hunting_grounds");
-          selector.click();
-          let dialog = await waitForCardDialog(3000);
+          let dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
 
-          const radios = dialog.getRadios();
+          const radios = dialog.radios;
           assert.ok(radios.length > 0, "Compendium items should be available");
 
           const firstRadio = radios[0];
@@ -1265,7 +1154,7 @@ Hooks.on("quenchReady", (quench) => {
           if (label) label.click();
           else firstRadio.click();
           await new Promise((r) => setTimeout(r, 100));
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -1280,14 +1169,12 @@ Hooks.on("quenchReady", (quench) => {
 
           // Now switch to custom text
           selector = findSmartItemSelector(newRoot, "hunting_grounds");
-          selector.click();
-          dialog = await waitForCardDialog(3000);
+          dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should reopen");
 
-          const textInput = dialog.getTextInput();
-          typeIntoInput(textInput, "My Custom Hunting Grounds");
+          await dialog.type("My Custom Hunting Grounds");
 
-          await dialog.clickOk();
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -1319,11 +1206,10 @@ Hooks.on("quenchReady", (quench) => {
           assert.strictEqual(flagBefore, "Custom Value To Clear", "Flag MUST be set before clear (test setup)");
 
           const selector = findSmartItemSelector(root, "hunting_grounds");
-          selector.click();
-          const dialog = await waitForCardDialog(3000);
+          const dialog = await waitForDialog({ kind: "chooser", trigger: () => selector.click(), timeoutMs: 3000 });
           assert.ok(dialog, "Dialog should open");
 
-          await dialog.clickClear();
+          await dialog.clear();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((r) => setTimeout(r, 300));
 
@@ -1336,7 +1222,6 @@ Hooks.on("quenchReady", (quench) => {
       });
     },
     {
-      displayName: "BitD Alt: Smart Field Custom Text",
       snapBaselineRender: false,
     }
   );
@@ -11,8 +11,9 @@ import {
   isTargetModuleActive,
   closeAllDialogs,
   testCleanup,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { waitForDialog } from "../dialog-driver.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -37,88 +38,6 @@ function findSmartEditField(root, fieldName) {
   return root.querySelector(`[data-action="smart-edit"][data-field="${fieldName}"]`);
 }
 
-/**
- * Wait for a dialog to appear.
- * @param {number} timeoutMs
- * @returns {Promise<Dialog|null>}
- */
-async function waitForDialog(timeoutMs = 2000) {
-  const start = Date.now();
-  return new Promise((resolve) => {
-    const check = () => {
-      // Look for rendered dialogs
-      const dialogs = Object.values(ui.windows).filter(
-        (w) => w instanceof Dialog && w.rendered
-      );
-      if (dialogs.length > 0) {
-        resolve(dialogs[dialogs.length - 1]);
-        return;
-      }
-      if (Date.now() - start >= timeoutMs) {
-        resolve(null);
-        return;
-      }
-      setTimeout(check, 50);
-    };
-    check();
-  });
-}
-
-/**
- * Wait for a card selection dialog to appear.
- * Returns an object with element and isV2 flag.
- * @param {number} timeoutMs
- * @returns {Promise<{element: HTMLElement, isV2: boolean, close: Function}|null>}
- */
-async function waitForCardDialog(timeoutMs = 2000) {
-  const start = Date.now();
-  return new Promise((resolve) => {
-    const check = () => {
-      // Check for V2 dialogs first (native <dialog> elements in DOM)
-      const v2Dialog = document.querySelector("dialog[open]");
-      if (v2Dialog?.querySelector("form.selection-dialog, .card-content")) {
-        resolve({
-          element: v2Dialog,
-          isV2: true,
-          close: async () => {
-            // Click cancel button to properly close V2 dialog
-            const cancelBtn = v2Dialog.querySelector('button[data-action="cancel"]');
-            if (cancelBtn) {
-              cancelBtn.click();
-              await new Promise((r) => setTimeout(r, 100));
-            } else {
-              v2Dialog.close();
-            }
-          }
-        });
-        return;
-      }
-
-      // Check for V1 dialogs in ui.windows
-      const apps = Object.values(ui.windows).filter((w) => {
-        const el = w.element?.[0] || w.element;
-        return el?.querySelector?.(".card-content, form.selection-dialog");
-      });
-      if (apps.length > 0) {
-        const app = apps[apps.length - 1];
-        resolve({
-          element: app.element?.[0] || app.element,
-          isV2: false,
-          close: async () => app.close()
-        });
-        return;
-      }
-
-      if (Date.now() - start >= timeoutMs) {
-        resolve(null);
-        return;
-      }
-      setTimeout(check, 50);
-    };
-    check();
-  });
-}
-
 /**
  * Check if actor has an owned item of a specific type.
  * @param {Actor} actor
@@ -129,16 +48,26 @@ function getOwnedItemByType(actor, type) {
   return actor.items.find((i) => i.type === type) ?? null;
 }
 
-Hooks.on("quenchReady", (quench) => {
+const batch = defineBatch({
+  id: "2",
+  key: "bitd-alternate-sheets.smart-fields",
+  title: "Smart Fields",
+  description: "Smart item selectors and tooltips",
+  tags: ["character", "crew", "smart-fields", "dialogs"],
+  requiredSettings: ["bitd-alternate-sheets.populateFromCompendia", "bitd-alternate-sheets.populateFromWorld"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
+
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping smart fields tests`);
     return;
   }
 
-  const t = new TestNumberer("2");
-
-  quench.registerBatch(
-    "bitd-alternate-sheets.smart-fields",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -202,20 +131,16 @@ Hooks.on("quenchReady", (quench) => {
           const selector = findSmartItemSelector(root, "crew_reputation");
           assert.ok(selector, "crew_reputation selector should exist in edit mode");
 
-          // Click the selector
-          selector.click();
-
-          // Wait for dialog to appear
-          const dialog = await waitForCardDialog(3000);
+          // Click the selector and wait for the dialog to appear
+          const dialog = await waitForDialog({ trigger: () => selector.click(), kind: "chooser" });
           assert.ok(dialog, "Card selection dialog should open");
           assert.ok(dialog.element, "Dialog should have element");
 
           // Verify dialog has expected content
-          const hasCards = dialog.element.querySelector("input[name='selectionId']");
-          assert.ok(hasCards, "Dialog should have selection radio inputs");
+          assert.ok(dialog.radios.length > 0, "Dialog should have selection radio inputs");
 
           // Clean up by clicking cancel
-          await dialog.close();
+          await dialog.cancel();
         });
 
         t.test("select reputation assigns crew_reputation item", async function () {
@@ -239,11 +164,8 @@ Hooks.on("quenchReady", (quench) => {
           const selector = findSmartItemSelector(root, "crew_reputation");
           assert.ok(selector, "crew_reputation selector should exist in edit mode");
 
-          // Click the selector
-          selector.click();
-
-          // Wait for dialog
-          const dialog = await waitForCardDialog(3000);
+          // Click the selector and wait for the dialog
+          const dialog = await waitForDialog({ trigger: () => selector.click(), kind: "chooser" });
           assert.ok(dialog, "Card selection dialog should open after clicking selector");
 
           const dialogEl = dialog.element;
@@ -300,16 +222,13 @@ Hooks.on("quenchReady", (quench) => {
           const selector = findSmartItemSelector(root, "hunting_grounds");
           assert.ok(selector, "hunting_grounds selector should exist in edit mode");
 
-          // Click the selector
-          selector.click();
-
-          // Wait for dialog to appear
-          const dialog = await waitForCardDialog(3000);
+          // Click the selector and wait for the dialog to appear
+          const dialog = await waitForDialog({ trigger: () => selector.click(), kind: "chooser" });
           assert.ok(dialog, "Card selection dialog should open for hunting_grounds");
           assert.ok(dialog.element, "Dialog should have element");
 
           // Clean up by clicking cancel
-          await dialog.close();
+          await dialog.cancel();
         });
 
         t.test("select hunting_grounds assigns item", async function () {
@@ -333,11 +252,8 @@ Hooks.on("quenchReady", (quench) => {
           const selector = findSmartItemSelector(root, "hunting_grounds");
           assert.ok(selector, "hunting_grounds selector should exist in edit mode");
 
-          // Click the selector
-          selector.click();
-
-          // Wait for dialog
-          const dialog = await waitForCardDialog(3000);
+          // Click the selector and wait for the dialog
+          const dialog = await waitForDialog({ trigger: () => selector.click(), kind: "chooser" });
           assert.ok(dialog, "Card selection dialog should open after clicking selector");
 
           const dialogEl = dialog.element;
@@ -432,23 +348,12 @@ Hooks.on("quenchReady", (quench) => {
           const field = findSmartEditField(root, "system.heritage");
           assert.ok(field, "Heritage smart-edit field should exist in edit mode");
 
-          // Click the field
-          field.click();
-
-          // Wait for either card dialog or text dialog
-          const cardDialog = await waitForCardDialog(2000);
-          const textDialog = cardDialog ? null : await waitForDialog(1000);
-
-          const hasDialog = cardDialog || textDialog;
-          assert.ok(hasDialog, "Either card selector or text dialog should open");
+          // Click the field and wait for either card dialog or text dialog
+          const dialog = await waitForDialog({ trigger: () => field.click(), kind: ["chooser", "text"] });
+          assert.ok(dialog, "Either card selector or text dialog should open");
 
           // Clean up - click cancel/close button
-          if (cardDialog) {
-            await cardDialog.close();
-          } else if (textDialog) {
-            // V1 text dialog - close via application
-            await textDialog.close();
-          }
+          await dialog.cancel();
         });
 
         t.test("fallback to text input when no chooser items", async function () {
@@ -471,24 +376,12 @@ Hooks.on("quenchReady", (quench) => {
             findSmartEditField(root, "system.vice");
           assert.ok(field, "At least one smart-edit field (background, heritage, or vice) should exist");
 
-          // Click the field
-          field.click();
-
-          // Wait for any dialog
-          const cardDialog = await waitForCardDialog(2000);
-          const textDialog = cardDialog ? null : await waitForDialog(1000);
-
-          assert.ok(
-            cardDialog || textDialog,
-            "Smart edit should open some kind of dialog"
-          );
+          // Click the field and wait for any dialog
+          const dialog = await waitForDialog({ trigger: () => field.click() });
+          assert.ok(dialog, "Smart edit should open some kind of dialog");
 
           // Clean up - click cancel/close button
-          if (cardDialog) {
-            await cardDialog.close();
-          } else if (textDialog) {
-            await textDialog.close();
-          }
+          await dialog.cancel();
         });
 
         t.test("heritage selection persists to actor.system", async function () {
@@ -513,17 +406,13 @@ Hooks.on("quenchReady", (quench) => {
           const field = findSmartEditField(root, "system.heritage");
           assert.ok(field, "Heritage smart-edit field should exist in edit mode");
 
-          // Click the field
-          field.click();
+          // Click the field and wait for the dialog
+          const dialog = await waitForDialog({ trigger: () => field.click(), kind: ["chooser", "text"] });
+          assert.ok(dialog, "Either card selector or text dialog should open");
 
-          // Wait for dialog
-          const cardDialog = await waitForCardDialog(2000);
-          const textDialog = cardDialog ? null : await waitForDialog(1000);
-          assert.ok(cardDialog || textDialog, "Either card selector or text dialog should open");
-
-          if (cardDialog) {
+          if (dialog.kind === "chooser") {
             // Card selector - pick first option
-            const dialogEl = cardDialog.element;
+            const dialogEl = dialog.element;
             const radioInputs = dialogEl.querySelectorAll("input[name='selectionId']");
             assert.ok(radioInputs && radioInputs.length > 0, "Card dialog should have selection radio inputs");
 
@@ -541,21 +430,11 @@ Hooks.on("quenchReady", (quench) => {
             okButton.click();
             await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
             await new Promise((resolve) => setTimeout(resolve, 300));
-          } else if (textDialog) {
-            // Text dialog - enter a value
-            const dialogEl = textDialog.element?.[0] || textDialog.element;
-            const input = dialogEl?.querySelector("input[type='text'], input[name='value']");
-            assert.ok(input, "Text dialog should have text input");
-
-            input.value = "Test Heritage Value";
-            input.dispatchEvent(new Event("input", { bubbles: true }));
-            await new Promise((resolve) => setTimeout(resolve, 100));
-
-            // Click OK/submit
-            const okButton = dialogEl.querySelector('button[data-button="confirm"], button[type="submit"]');
-            assert.ok(okButton, "Text dialog should have OK/submit button");
-
-            okButton.click();
+          } else {
+            // Text dialog - enter a value and submit
+            assert.ok(dialog.textInput, "Text dialog should have text input");
+            await dialog.type("Test Heritage Value");
+            await dialog.confirm();
             await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
             await new Promise((resolve) => setTimeout(resolve, 300));
           }
@@ -628,38 +507,15 @@ Hooks.on("quenchReady", (quench) => {
           const field = findSmartEditField(root, "system.heritage");
           assert.ok(field, "Heritage smart-edit field should exist");
 
-          // Click the field
-          field.click();
-          await new Promise((resolve) => setTimeout(resolve, 500));
-
           // With both sources disabled, should get text input dialog, not card selection
-          // Check for V2 text input dialog first
-          const v2Dialog = document.querySelector("dialog[open]");
-          const v2TextInput = v2Dialog?.querySelector('input[type="text"], input[name="value"]');
-
-          // Check for V1 text input dialog
-          const v1Dialogs = Object.values(ui.windows).filter(
-            (w) => w instanceof Dialog && w.rendered
-          );
-          const v1Dialog = v1Dialogs.length > 0 ? v1Dialogs[v1Dialogs.length - 1] : null;
-          const v1DialogEl = v1Dialog?.element?.[0] || v1Dialog?.element;
-          const v1TextInput = v1DialogEl?.querySelector('input[type="text"], input[name="value"]');
-
-          const textInput = v2TextInput || v1TextInput;
+          const dialog = await waitForDialog({ trigger: () => field.click(), kind: "text" });
           assert.ok(
-            textInput,
+            dialog?.textInput,
             "Text input dialog should open when no compendium/world options available"
           );
 
           // Clean up
-          if (v2Dialog) {
-            const cancelBtn = v2Dialog.querySelector('button[data-action="cancel"]');
-            if (cancelBtn) cancelBtn.click();
-            else v2Dialog.close();
-          } else if (v1Dialog) {
-            await v1Dialog.close();
-          }
-          await new Promise((resolve) => setTimeout(resolve, 100));
+          await dialog.cancel();
         });
 
         t.test("text input value persists to actor.system.heritage", async function () {
@@ -683,40 +539,14 @@ Hooks.on("quenchReady", (quench) => {
           const field = findSmartEditField(root, "system.heritage");
           assert.ok(field, "Heritage smart-edit field should exist");
 
-          // Click the field
-          field.click();
-          await new Promise((resolve) => setTimeout(resolve, 500));
-
-          // Find text input in either V2 or V1 dialog
-          const v2Dialog = document.querySelector("dialog[open]");
-          const v2TextInput = v2Dialog?.querySelector('input[type="text"], input[name="value"]');
-
-          const v1Dialogs = Object.values(ui.windows).filter(
-            (w) => w instanceof Dialog && w.rendered
-          );
-          const v1Dialog = v1Dialogs.length > 0 ? v1Dialogs[v1Dialogs.length - 1] : null;
-          const v1DialogEl = v1Dialog?.element?.[0] || v1Dialog?.element;
-          const v1TextInput = v1DialogEl?.querySelector('input[type="text"], input[name="value"]');
-
-          const textInput = v2TextInput || v1TextInput;
-          const dialogEl = v2Dialog || v1DialogEl;
-
           // With both population sources disabled, we must get a text input dialog
-          assert.ok(textInput, "Text input should appear when both compendium and world population are disabled");
+          const dialog = await waitForDialog({ trigger: () => field.click(), kind: "text" });
+          assert.ok(dialog?.textInput, "Text input should appear when both compendium and world population are disabled");
 
-          // Enter custom heritage value
+          // Enter custom heritage value and submit
           const customValue = "Custom Test Heritage";
-          textInput.value = customValue;
-          textInput.dispatchEvent(new Event("input", { bubbles: true }));
-          await new Promise((resolve) => setTimeout(resolve, 100));
-
-          // Click OK/submit button
-          const okButton = dialogEl.querySelector(
-            'button[data-action="ok"], button[data-button="confirm"], button[type="submit"]'
-          );
-          assert.ok(okButton, "OK button should exist in text dialog");
-
-          okButton.click();
+          await dialog.type(customValue);
+          await dialog.confirm();
           await waitForActorUpdate(actor, { timeoutMs: 3000 }).catch(() => {});
           await new Promise((resolve) => setTimeout(resolve, 300));
 
@@ -744,36 +574,15 @@ Hooks.on("quenchReady", (quench) => {
           const field = findSmartEditField(root, "system.background");
           assert.ok(field, "Background smart-edit field should exist on character sheet in edit mode");
 
-          // Click the field
-          field.click();
-          await new Promise((resolve) => setTimeout(resolve, 500));
-
           // Should get text input dialog
-          const v2Dialog = document.querySelector("dialog[open]");
-          const v2TextInput = v2Dialog?.querySelector('input[type="text"], input[name="value"]');
-
-          const v1Dialogs = Object.values(ui.windows).filter(
-            (w) => w instanceof Dialog && w.rendered
-          );
-          const v1Dialog = v1Dialogs.length > 0 ? v1Dialogs[v1Dialogs.length - 1] : null;
-          const v1DialogEl = v1Dialog?.element?.[0] || v1Dialog?.element;
-          const v1TextInput = v1DialogEl?.querySelector('input[type="text"], input[name="value"]');
-
-          const textInput = v2TextInput || v1TextInput;
+          const dialog = await waitForDialog({ trigger: () => field.click(), kind: "text" });
           assert.ok(
-            textInput,
+            dialog?.textInput,
             "Background field should also open text dialog when no options available"
           );
 
           // Clean up
-          if (v2Dialog) {
-            const cancelBtn = v2Dialog.querySelector('button[data-action="cancel"]');
-            if (cancelBtn) cancelBtn.click();
-            else v2Dialog.close();
-          } else if (v1Dialog) {
-            await v1Dialog.close();
-          }
-          await new Promise((resolve) => setTimeout(resolve, 100));
+          await dialog.cancel();
         });
       });
 
@@ -1317,7 +1126,6 @@ Hooks.on("quenchReady", (quench) => {
           console.log(`[Smart Fields] Cleared vice purveyor: "${testPurveyor}" -> "${purveyorField.textContent.trim()}"`);
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Smart Fields" }
+    }
   );
 });
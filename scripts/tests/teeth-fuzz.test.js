@@ -0,0 +1,261 @@
+/**
+ * Quench test batch for property-based fuzzing of teeth toggles.
+ * Clicks random sequences of teeth across the character XP attributes and
+ * the crew tier/heat/wanted stats, checking invariants after every click:
+ * - the value stays within 0..max
+ * - the lit teeth form a prefix (1..value)
+ * - clicking the current top tooth decrements the value
+ *
+ * Property mode is off by default, so these tests skip. Set the number of
+ * runs with api.property.setDefault({ runs }) or run once with
+ * api.property.run({ runs, seed }); a failure prints the seed and a shrunk
+ * click sequence.
+ */
+
+import {
+  createTestActor,
+  createTestCrewActor,
+  ensureSheet,
+  getAttributeExpMax,
+  getAttributeExp,
+  setAttributeExp,
+  applyToothClick,
+  getTeethState,
+  getCrewStatMax,
+  getCrewStat,
+  setCrewStat,
+  applyCrewToothClick,
+  getCrewTeethState,
+  getLitValues,
+  isTargetModuleActive,
+} from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { assertProperty, getPropertyConfig, MAX_SHRINK_EXECUTIONS } from "../property-testing.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/** Clicks per generated sequence */
+const MIN_STEPS = 4;
+const MAX_STEPS = 12;
+
+/** Chance that a step clicks the current top tooth instead of a random one */
+const TOP_CHANCE = 0.3;
+
+/** Generous time per click (update plus re-render) for the test timeout */
+const MS_PER_CLICK = 1000;
+
+/**
+ * How to read, reset and click each kind of teeth.
+ */
+const SUBJECTS = {
+  character: {
+    stats: ["insight", "prowess", "resolve"],
+    getMax: getAttributeExpMax,
+    getValue: getAttributeExp,
+    setValue: setAttributeExp,
+    getTeeth: getTeethState,
+    click: async (actor, stat, value) => {
+      const result = await applyToothClick({ actor, attribute: stat, value });
+      return result.updateTimedOut;
+    },
+  },
+  crew: {
+    stats: ["tier", "heat", "wanted"],
+    getMax: getCrewStatMax,
+    getValue: getCrewStat,
+    setValue: setCrewStat,
+    getTeeth: getCrewTeethState,
+    click: async (actor, stat, value) => {
+      const result = await applyCrewToothClick({ actor, stat, value });
+      return result.updateTimedOut;
+    },
+  },
+};
+
+const batch = defineBatch({
+  id: "34",
+  key: "bitd-alternate-sheets.teeth-fuzz",
+  title: "Teeth Fuzzing",
+  description: "Property-based click sequences on XP teeth and crew stat teeth",
+  tags: ["character", "crew", "teeth", "property"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
+
+/**
+ * Format a step for failure messages.
+ * @param {{stat: string, value: number|"top"}} step
+ * @returns {string}
+ */
+function formatStep({ stat, value }) {
+  return value === "top" ? `click ${stat} top tooth` : `click ${stat} tooth ${value}`;
+}
+
+/**
+ * Simpler candidates for a step: a click on the top tooth, then lower teeth.
+ * @param {{stat: string, value: number|"top"}} step
+ * @returns {Array<object>}
+ */
+function shrinkStep({ stat, value }) {
+  if (value === "top") return [];
+  const candidates = [{ stat, value: "top" }];
+  if (value > 1) candidates.push({ stat, value: 1 });
+  if (value > 2) candidates.push({ stat, value: value - 1 });
+  return candidates;
+}
+
+/**
+ * Generate a random click sequence.
+ * @param {object} rng - From createRng()
+ * @param {Object<string, number>} maxes - Tooth count by stat
+ * @returns {Array<{stat: string, value: number|"top"}>}
+ */
+function generateClicks(rng, maxes) {
+  const stats = Object.keys(maxes);
+  return Array.from({ length: rng.int(MIN_STEPS, MAX_STEPS) }, () => {
+    const stat = rng.pick(stats);
+    return { stat, value: rng.chance(TOP_CHANCE) ? "top" : rng.int(1, maxes[stat]) };
+  });
+}
+
+/**
+ * Check every stat's value and teeth against the invariants.
+ * @param {object} subject - One of SUBJECTS
+ * @param {Actor} actor
+ * @param {Object<string, number>} maxes
+ * @returns {Promise<string|null>} The broken invariant, or null
+ */
+async function checkInvariants(subject, actor, maxes) {
+  const sheet = await ensureSheet(actor);
+  const root = sheet.element?.[0] || sheet.element;
+  for (const [stat, max] of Object.entries(maxes)) {
+    const value = subject.getValue(actor, stat);
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+      return `${stat} is ${value}, outside 0..${max}`;
+    }
+    const lit = getLitValues(subject.getTeeth(root, actor.id, stat, max));
+    const prefix = Array.from({ length: value }, (_, i) => i + 1);
+    if (lit.join(",") !== prefix.join(",")) {
+      return `${stat} is ${value} but lit teeth are [${lit.join(", ")}], expected [${prefix.join(", ")}]`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the property's execute(): reset every stat to 0, then click through
+ * the sequence, checking the invariants after each click.
+ * A "top" step clicks the tooth at the current value (tooth 1 at 0).
+ * @param {object} subject - One of SUBJECTS
+ * @param {Actor} actor
+ * @param {Object<string, number>} maxes
+ * @returns {(sequence: Array) => Promise<{index: number, message: string}|null>}
+ */
+function clickSequence(subject, actor, maxes) {
+  return async (sequence) => {
+    for (const stat of Object.keys(maxes)) {
+      await subject.setValue(actor, stat, 0);
+    }
+
+    for (const [index, { stat, value }] of sequence.entries()) {
+      const before = subject.getValue(actor, stat);
+      const tooth = value === "top" ? Math.max(before, 1) : value;
+      const timedOut = await subject.click(actor, stat, tooth);
+      const after = subject.getValue(actor, stat);
+
+      if (timedOut) {
+        return { index, message: `no update after clicking ${stat} tooth ${tooth} at ${before}` };
+      }
+      if (before > 0 && tooth === before && after !== before - 1) {
+        return { index, message: `clicking ${stat} top tooth ${tooth} gave ${after}, expected ${before - 1}` };
+      }
+      const broken = await checkInvariants(subject, actor, maxes);
+      if (broken) return { index, message: broken };
+    }
+    return null;
+  };
+}
+
+onQuenchReady((quench) => {
+  if (!isTargetModuleActive()) {
+    console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping teeth fuzzing`);
+    return;
+  }
+
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, beforeEach, afterEach } = context;
+
+      let actor;
+
+      beforeEach(function () {
+        if (getPropertyConfig().runs === 0) {
+          // Property mode is off; see api.property.run()
+          this.skip();
+        }
+      });
+
+      afterEach(async function () {
+        this.timeout(5000);
+        if (actor) {
+          try {
+            if (actor.sheet) {
+              await actor.sheet.close();
+              await new Promise((resolve) => setTimeout(resolve, 100));
+            }
+          } catch {
+            // Ignore close errors
+          }
+          await actor.delete();
+          actor = null;
+        }
+      });
+
+      /**
+       * Run the click property for one subject.
+       * @param {Mocha.Context} test
+       * @param {string} name - Key of SUBJECTS
+       * @param {() => Promise<Actor>} createActor
+       */
+      async function fuzz(test, name, createActor) {
+        const subject = SUBJECTS[name];
+        const { runs } = getPropertyConfig();
+        test.timeout(10000 + (runs + MAX_SHRINK_EXECUTIONS) * (MAX_STEPS + subject.stats.length) * MS_PER_CLICK);
+        actor = await createActor();
+
+        const maxes = Object.fromEntries(subject.stats.map((stat) => [stat, subject.getMax(actor, stat)]));
+        for (const [stat, max] of Object.entries(maxes)) {
+          assert.ok(max > 0, `${stat} max should be > 0, got ${max}`);
+        }
+        await ensureSheet(actor);
+
+        const result = await assertProperty({
+          name: `${name} teeth`,
+          generate: (rng) => generateClicks(rng, maxes),
+          execute: clickSequence(subject, actor, maxes),
+          shrinkStep,
+          formatStep,
+        });
+        console.log(`[${MODULE_ID}] ${name} teeth: ${result.runs} sequence(s) passed (seed ${result.seed})`);
+      }
+
+      t.section("Character XP Teeth", () => {
+        t.test("random click sequences keep insight/prowess/resolve consistent", async function () {
+          await fuzz(this, "character", async () =>
+            (await createTestActor({ name: "TeethFuzz-Test", playbookName: "Cutter" })).actor
+          );
+        });
+      });
+
+      t.section("Crew Stat Teeth", () => {
+        t.test("random click sequences keep tier/heat/wanted consistent", async function () {
+          await fuzz(this, "crew", async () =>
+            (await createTestCrewActor({ name: "CrewTeethFuzz-Test" })).actor
+          );
+        });
+      });
+    }
+  );
+});
@@ -14,22 +14,31 @@ import {
   setAttributeExp,
   isTargetModuleActive,
   runTeethTest,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const ATTRIBUTES = ["insight", "prowess", "resolve"];
 
-const t = new TestNumberer("3");
+const batch = defineBatch({
+  id: "3",
+  key: "bitd-alternate-sheets.teeth",
+  title: "XP Teeth",
+  description: "XP teeth toggle behavior (character sheets)",
+  tags: ["character", "teeth"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping test registration`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.teeth",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -153,7 +162,6 @@ Hooks.on("quenchReady", (quench) => {
           });
         });
       }
-    },
-    { displayName: "BitD Alt Sheets: XP Teeth" }
+    }
   );
 });
@@ -0,0 +1,133 @@
+/**
+ * Quench test batch for the persistent run history.
+ * Tests what recordRun() stores and how getStatusChanges() and
+ * getRegressions() compare runs, including runs of a single batch.
+ * The recorded history is saved before each test and put back after it.
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { SETTINGS, getSetting, setSetting } from "../settings.js";
+import {
+  clearRunHistory,
+  getRegressions,
+  getRunHistory,
+  getStatusChanges,
+  recordRun,
+} from "../test-history.js";
+
+const batch = defineBatch({
+  id: "40",
+  key: "bitd-alternate-sheets.test-history",
+  title: "Test History",
+  description: "Recorded runs, status changes and regressions",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+/**
+ * Build a normalized report from test statuses.
+ * @param {Object<string, string>} statuses - Status by TestNumberer ID ("flaky" for a flaky pass)
+ * @returns {object}
+ */
+function report(statuses) {
+  const tests = Object.entries(statuses).map(([id, status]) => ({
+    id,
+    fullTitle: `x ${id} test`,
+    status: status === "flaky" ? "passed" : status,
+    flaky: status === "flaky",
+  }));
+  return {
+    generatedAt: new Date().toISOString(),
+    environment: { targetModule: "1.0.0", foundry: "13.345" },
+    stats: { total: tests.length },
+    tests,
+  };
+}
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, beforeEach, afterEach } = context;
+
+      let savedHistory;
+      let savedLimit;
+
+      beforeEach(async function () {
+        savedHistory = getRunHistory();
+        savedLimit = getSetting(SETTINGS.RUN_HISTORY_LIMIT);
+        await clearRunHistory();
+      });
+
+      afterEach(async function () {
+        await setSetting(SETTINGS.RUN_HISTORY, savedHistory);
+        await setSetting(SETTINGS.RUN_HISTORY_LIMIT, savedLimit);
+      });
+
+      t.section("Recording", () => {
+        t.test("records each test's status by ID, flaky passes as flaky", async function () {
+          const entry = await recordRun(report({ "1.1.1": "passed", "1.1.2": "flaky", "1.1.3": "failed" }));
+
+          assert.deepEqual(entry.results, { "1.1.1": "passed", "1.1.2": "flaky", "1.1.3": "failed" });
+          assert.equal(entry.targetModule, "1.0.0");
+          assert.deepEqual(getRunHistory(), [entry]);
+        });
+
+        t.test("keeps only the configured number of runs", async function () {
+          await setSetting(SETTINGS.RUN_HISTORY_LIMIT, 2);
+          await recordRun(report({ "1.1.1": "failed" }));
+          await recordRun(report({ "1.1.1": "passed" }));
+          const last = await recordRun(report({ "1.1.1": "flaky" }));
+
+          const history = getRunHistory();
+          assert.lengthOf(history, 2);
+          assert.strictEqual(history[1].id, last.id);
+        });
+      });
+
+      t.section("Status Changes", () => {
+        t.test("compares the latest run with the previous one", async function () {
+          await recordRun(report({ "1.1.1": "passed", "1.1.2": "failed" }));
+          await recordRun(report({ "1.1.1": "failed", "1.1.2": "failed", "1.1.3": "passed" }));
+
+          assert.deepEqual(getStatusChanges(), [
+            { id: "1.1.1", previous: "passed", current: "failed" },
+            { id: "1.1.3", previous: null, current: "passed" },
+          ]);
+          assert.deepEqual(getRegressions(), [{ id: "1.1.1", previous: "passed", current: "failed" }]);
+        });
+
+        t.test("a single-batch run is compared with that batch's last run", async function () {
+          await recordRun(report({ "1.1.1": "passed", "5.1.1": "passed" }));
+          await recordRun(report({ "5.1.1": "failed" }));
+          await recordRun(report({ "1.1.1": "failed" }));
+
+          assert.deepEqual(getStatusChanges(), [{ id: "1.1.1", previous: "passed", current: "failed" }]);
+          assert.deepEqual(getRegressions(), [{ id: "1.1.1", previous: "passed", current: "failed" }]);
+        });
+
+        t.test("fromRunId compares with one specific run", async function () {
+          const first = await recordRun(report({ "1.1.1": "passed" }));
+          await recordRun(report({ "5.1.1": "passed" }));
+          const last = await recordRun(report({ "1.1.1": "passed", "5.1.1": "failed" }));
+
+          assert.deepEqual(getStatusChanges({ fromRunId: first.id, toRunId: last.id }), [
+            { id: "5.1.1", previous: null, current: "failed" },
+          ]);
+          assert.deepEqual(getStatusChanges({ fromRunId: last.id, toRunId: first.id }), []);
+        });
+
+        t.test("includeMissing also reports tests the latest run left out", async function () {
+          await recordRun(report({ "1.1.1": "passed", "5.1.1": "passed" }));
+          await recordRun(report({ "1.1.1": "passed" }));
+
+          assert.deepEqual(getStatusChanges(), []);
+          assert.deepEqual(getStatusChanges({ includeMissing: true }), [
+            { id: "5.1.1", previous: "passed", current: null },
+          ]);
+        });
+      });
+    }
+  );
+});
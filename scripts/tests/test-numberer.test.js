@@ -0,0 +1,291 @@
+/**
+ * Quench test batch for the TestNumberer helper.
+ * Tests hierarchical numbering, counter resets, skip handling, rerun mode
+ * and focus mode.
+ */
+
+import { TestNumberer } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { getRetryOverride, setRetryOverride } from "../flaky-tests.js";
+import { getTestFocus, setTestFocus } from "../test-focus.js";
+
+const batch = defineBatch({
+  id: "24",
+  key: "bitd-alternate-sheets.test-numberer",
+  title: "Test Numberer",
+  description: "TestNumberer numbering, skips, rerun mode and focus",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+/**
+ * Run a TestNumberer definition against recording describe/it stand-ins.
+ * The real mocha globals are restored afterwards, even if the definition throws.
+ * @param {Function} define - Receives nothing; calls section()/test()/skip()
+ * @returns {Array<{type: string, title: string, retries?: number}>}
+ */
+function recordRegistrations(define) {
+  const calls = [];
+  const original = { describe: globalThis.describe, it: globalThis.it };
+
+  const recordIt = (title) => {
+    const entry = { type: "test", title, retries: 0 };
+    calls.push(entry);
+    return {
+      retries(count) {
+        entry.retries = count;
+      },
+    };
+  };
+  recordIt.skip = (title) => {
+    calls.push({ type: "skip", title });
+  };
+
+  globalThis.describe = (title, body) => {
+    calls.push({ type: "section", title });
+    body();
+  };
+  globalThis.it = recordIt;
+
+  try {
+    define();
+  } finally {
+    globalThis.describe = original.describe;
+    globalThis.it = original.it;
+  }
+  return calls;
+}
+
+/**
+ * Get the titles of recorded registrations.
+ * @param {Array<{title: string}>} calls
+ * @returns {string[]}
+ */
+function titles(calls) {
+  return calls.map((call) => call.title);
+}
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, beforeEach, afterEach } = context;
+
+      t.section("Numbering", () => {
+        t.test("prefixes sections and tests with batch and position", function () {
+          const numberer = new TestNumberer("9");
+          const calls = recordRegistrations(() => {
+            numberer.section("First", () => {
+              numberer.test("a", () => {});
+              numberer.test("b", () => {});
+            });
+          });
+
+          assert.deepEqual(titles(calls), ["9.1 First", "9.1.1 a", "9.1.2 b"]);
+        });
+
+        t.test("sections and tests share a counter at the same depth", function () {
+          const numberer = new TestNumberer("9");
+          const calls = recordRegistrations(() => {
+            numberer.section("Outer", () => {
+              numberer.test("before", () => {});
+              numberer.section("Inner", () => {
+                numberer.test("nested", () => {});
+              });
+              numberer.test("after", () => {});
+            });
+          });
+
+          assert.deepEqual(titles(calls), [
+            "9.1 Outer",
+            "9.1.1 before",
+            "9.1.2 Inner",
+            "9.1.2.1 nested",
+            "9.1.3 after",
+          ]);
+        });
+
+        t.test("restarts test numbering in each new section", function () {
+          const numberer = new TestNumberer("9");
+          const calls = recordRegistrations(() => {
+            numberer.section("One", () => {
+              numberer.test("a", () => {});
+              numberer.test("b", () => {});
+            });
+            numberer.section("Two", () => {
+              numberer.test("c", () => {});
+            });
+          });
+
+          assert.deepEqual(titles(calls), [
+            "9.1 One",
+            "9.1.1 a",
+            "9.1.2 b",
+            "9.2 Two",
+            "9.2.1 c",
+          ]);
+        });
+      });
+
+      t.section("Skipped Tests", () => {
+        t.test("skip() registers through it.skip and consumes a number", function () {
+          const numberer = new TestNumberer("9");
+          const calls = recordRegistrations(() => {
+            numberer.section("Section", () => {
+              numberer.skip("skipped", () => {});
+              numberer.test("next", () => {});
+            });
+          });
+
+          assert.deepEqual(calls.slice(1), [
+            { type: "skip", title: "9.1.1 skipped" },
+            { type: "test", title: "9.1.2 next", retries: 0 },
+          ]);
+        });
+      });
+
+      t.section("Misuse", () => {
+        t.test("test() outside a section throws", function () {
+          const numberer = new TestNumberer("9");
+          assert.throws(
+            () => recordRegistrations(() => numberer.test("orphan", () => {})),
+            /must be called inside t\.section\(\)/
+          );
+        });
+
+        t.test("skip() outside a section throws", function () {
+          const numberer = new TestNumberer("9");
+          assert.throws(
+            () => recordRegistrations(() => numberer.skip("orphan", () => {})),
+            /must be called inside t\.section\(\)/
+          );
+        });
+      });
+
+      t.section("Introspection", () => {
+        t.test("getCurrentSection() and peekNextNumber() track the stack", function () {
+          const numberer = new TestNumberer("9");
+          const seen = {};
+          recordRegistrations(() => {
+            seen.rootSection = numberer.getCurrentSection();
+            seen.rootNext = numberer.peekNextNumber();
+            numberer.section("Section", () => {
+              numberer.test("a", () => {});
+              seen.section = numberer.getCurrentSection();
+              seen.next = numberer.peekNextNumber();
+            });
+          });
+
+          assert.deepEqual(seen, {
+            rootSection: "9",
+            rootNext: "9.1",
+            section: "9.1",
+            next: "9.1.2",
+          });
+        });
+      });
+
+      t.section("Reset", () => {
+        t.test("reset() numbers a second registration like the first", function () {
+          const numberer = new TestNumberer("9");
+          const define = () => {
+            numberer.section("Section", () => {
+              numberer.test("a", () => {});
+            });
+          };
+          const first = recordRegistrations(define);
+          numberer.reset();
+          const second = recordRegistrations(define);
+
+          assert.deepEqual(titles(second), titles(first));
+        });
+      });
+
+      t.section("Focus Mode", () => {
+        // Restore whatever focus the current run was started with
+        let previousFocus;
+
+        beforeEach(function () {
+          previousFocus = getTestFocus();
+        });
+
+        afterEach(function () {
+          setTestFocus(previousFocus);
+        });
+
+        t.test("registers only focused tests but keeps their numbers", function () {
+          const numberer = new TestNumberer("9");
+          setTestFocus(["9.1.2"]);
+          const calls = recordRegistrations(() => {
+            numberer.section("Section", () => {
+              numberer.test("a", () => {});
+              numberer.test("b", () => {});
+              numberer.skip("c", () => {});
+            });
+          });
+
+          assert.deepEqual(titles(calls), ["9.1 Section", "9.1.2 b"]);
+        });
+
+        t.test("a section ID focuses every test inside it", function () {
+          const numberer = new TestNumberer("9");
+          setTestFocus("9.2");
+          const calls = recordRegistrations(() => {
+            numberer.section("One", () => {
+              numberer.test("a", () => {});
+            });
+            numberer.section("Two", () => {
+              numberer.test("b", () => {});
+              numberer.section("Nested", () => {
+                numberer.test("c", () => {});
+              });
+            });
+          });
+
+          assert.deepEqual(calls.filter((call) => call.type === "test").map((call) => call.title), [
+            "9.2.1 b",
+            "9.2.2.1 c",
+          ]);
+        });
+      });
+
+      t.section("Rerun Mode", () => {
+        // Restore whatever override the current run was started with
+        let previousOverride;
+
+        beforeEach(function () {
+          previousOverride = getRetryOverride();
+        });
+
+        afterEach(function () {
+          setRetryOverride(previousOverride);
+        });
+
+        t.test("applies the retry count to registered tests", function () {
+          const numberer = new TestNumberer("9");
+          setRetryOverride(2);
+          const calls = recordRegistrations(() => {
+            numberer.section("Section", () => {
+              numberer.test("a", () => {});
+            });
+          });
+
+          assert.strictEqual(calls[1].retries, 2);
+        });
+
+        t.test("leaves retries alone when rerun mode is off", function () {
+          const numberer = new TestNumberer("9");
+          setRetryOverride(0);
+          const calls = recordRegistrations(() => {
+            numberer.section("Section", () => {
+              numberer.test("a", () => {});
+            });
+          });
+
+          assert.strictEqual(calls[1].retries, 0);
+        });
+      });
+    }
+  );
+});
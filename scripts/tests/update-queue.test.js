@@ -1,6 +1,8 @@
 /**
  * Quench test batch for update queue (multi-client safety).
- * Tests sequential update batching and error handling.
+ * Tests sequential update batching, error handling, and convergence when a
+ * simulated second client (see fake-socket.js) writes at the same time as
+ * this one.
  */
 
 import {
@@ -12,10 +14,21 @@ import {
   cleanupTestActor,
   testCleanup,
   expectedTestError,
-  TestNumberer,
   assertExists,
   assertNotEmpty,
+  waitForActorCondition,
+  rerenderSheet,
+  getAttributeExpMax,
+  getTeethState,
+  getLitValues,
+  getItemLoad,
+  getEquippedItems,
+  makeEquippedEntry,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { crew } from "../fixtures.js";
+import { FakeSocket } from "../fake-socket.js";
+import { testCapture } from "../capture.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
@@ -39,28 +52,15 @@ function trackHookErrors() {
   };
 }
 
-/**
- * Track UI notifications for testing.
- * @returns {{notifications: Array, restore: () => void}}
- */
-function trackNotifications() {
-  const notifications = [];
-  const originalError = ui.notifications.error.bind(ui.notifications);
-
-  ui.notifications.error = function (message, options) {
-    notifications.push({ type: "error", message, options });
-    return originalError(message, options);
-  };
-
-  return {
-    notifications,
-    restore: () => {
-      ui.notifications.error = originalError;
-    },
-  };
-}
-
-const t = new TestNumberer("5");
+const batch = defineBatch({
+  id: "5",
+  key: "bitd-alternate-sheets.update-queue",
+  title: "Update Queue",
+  description: "Sequential update batching and error handling",
+  tags: ["multi-client", "errors"],
+  requiredCompendia: ["class", "crew_type"],
+});
+const t = batch.numberer;
 
 /**
  * Trigger a mousedown event on an XP tooth input using jQuery context.
@@ -98,14 +98,58 @@ function triggerCrewCheckboxChange(sheet, checkbox) {
   }
 }
 
-Hooks.on("quenchReady", (quench) => {
+/**
+ * Trigger a change event on a gear checkbox using the sheet's jQuery context.
+ * @param {ActorSheet} sheet - The sheet containing the checkbox
+ * @param {HTMLInputElement} checkbox - The checkbox element
+ */
+function triggerItemCheckboxChange(sheet, checkbox) {
+  const sheetEl = sheet.element;
+  const itemId = checkbox.closest(".item-block")?.dataset?.itemId;
+  if (checkbox.id) {
+    $(sheetEl).find(`#${CSS.escape(checkbox.id)}`).trigger("change");
+  } else if (itemId) {
+    $(sheetEl).find(`.item-block[data-item-id="${itemId}"] input[type="checkbox"]`).first().trigger("change");
+  } else {
+    // Fallback: native event
+    checkbox.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+}
+
+/**
+ * Read the value a blades clock currently displays.
+ * @param {HTMLElement} clockEl - The .blades-clock element
+ * @returns {number|null}
+ */
+function getDisplayedClockValue(clockEl) {
+  const checked = clockEl?.querySelector('input[type="radio"]:checked');
+  const value = parseInt(checked?.value);
+  return Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Open the harm box and return its healing clock.
+ * @param {HTMLElement} root - Sheet root element
+ * @returns {Promise<HTMLElement|null>}
+ */
+async function openHealingClock(root) {
+  const harmBox = root.querySelector(".harm-box");
+  if (harmBox && !harmBox.classList.contains("open")) {
+    harmBox.click();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return root.querySelector(".harm-box .healing-clock .blades-clock");
+}
+
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping update queue tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.update-queue",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -324,10 +368,231 @@ Hooks.on("quenchReady", (quench) => {
         });
       });
 
+      t.section("Multi-Client Convergence", () => {
+        let actor;
+        let socket;
+        let remote;
+
+        beforeEach(async function () {
+          this.timeout(10000);
+          const result = await createTestActor({
+            name: "UpdateQueue-MultiClient-Test",
+            playbookName: "Cutter"
+          });
+          actor = result.actor;
+          socket = new FakeSocket({ latency: [5, 60], reorder: true, seed: 14 }).install();
+          remote = socket.createClient("Remote").watch(actor);
+        });
+
+        afterEach(async function () {
+          this.timeout(10000);
+          socket?.uninstall();
+          await socket?.settle().catch(() => {});
+          await cleanupTestActor(actor);
+          actor = null;
+          socket = null;
+          remote = null;
+        });
+
+        t.test("simultaneous tooth clicks converge on both clients", async function () {
+          this.timeout(10000);
+
+          const sheet = await ensureSheet(actor);
+          const root = sheet.element?.[0] || sheet.element;
+          const input = root.querySelector(`#character-${actor.id}-insight-2`);
+          assertExists(assert, input, "Insight tooth 2 should exist - character sheet template may be broken");
+
+          // Both clients act on exp 0: this one clicks tooth 2, the remote one sets 3
+          const remoteWrite = remote.update(actor, { "system.attributes.insight.exp": "3" });
+          triggerXpToothMousedown(sheet, input);
+
+          await remoteWrite;
+          await waitForActorCondition(
+            () => socket.log.some((entry) => entry.kind === "broadcast" && entry.from === "local"),
+            { timeoutMs: 3000 }
+          );
+          await socket.settle();
+          await rerenderSheet(sheet);
+
+          const finalExp = Number(actor.system?.attributes?.insight?.exp);
+          assert.include([2, 3], finalExp, `Exp should be one of the clicked values (got ${finalExp})`);
+
+          const max = getAttributeExpMax(actor, "insight");
+          const lit = getLitValues(getTeethState(root, actor.id, "insight", max));
+          assert.deepStrictEqual(
+            lit,
+            Array.from({ length: finalExp }, (_, i) => i + 1),
+            "Sheet teeth should show the converged exp"
+          );
+          assert.deepStrictEqual(remote.diverged(actor), [], "Remote client should see the same actor data");
+        });
+
+        t.test("simultaneous load checkboxes keep both selections", async function () {
+          this.timeout(10000);
+
+          const sheet = await ensureSheet(actor);
+          const root = sheet.element?.[0] || sheet.element;
+          const blocks = Array.from(root.querySelectorAll(".item-block[data-item-id]")).filter(
+            (block) => {
+              const checkbox = block.querySelector("input[type='checkbox']");
+              return checkbox && !checkbox.checked;
+            }
+          );
+          if (blocks.length < 2) {
+            // Legitimate: test-data-state - needs two unequipped items from the compendia
+            this.skip();
+            return;
+          }
+
+          const [localBlock, remoteBlock] = blocks;
+          const localId = localBlock.dataset.itemId;
+          const remoteId = remoteBlock.dataset.itemId;
+          const remoteEntry = makeEquippedEntry(
+            remoteId,
+            getItemLoad(remoteBlock),
+            remoteBlock.dataset.itemName ?? ""
+          );
+
+          const remoteWrite = remote.update(actor, {
+            [`flags.${TARGET_MODULE_ID}.equipped-items.${remoteId}`]: remoteEntry,
+          });
+          const checkbox = localBlock.querySelector("input[type='checkbox']");
+          checkbox.checked = true;
+          triggerItemCheckboxChange(sheet, checkbox);
+
+          await remoteWrite;
+          await waitForActorCondition(() => localId in getEquippedItems(actor), { timeoutMs: 3000 });
+          await socket.settle();
+          await rerenderSheet(sheet);
+
+          const equipped = getEquippedItems(actor);
+          assert.property(equipped, localId, "Locally checked item should be equipped");
+          assert.property(equipped, remoteId, "Remotely checked item should survive the local update");
+
+          for (const id of [localId, remoteId]) {
+            const box = root.querySelector(`.item-block[data-item-id="${id}"] input[type='checkbox']`);
+            assert.isTrue(box?.checked, `Sheet checkbox for ${id} should be checked`);
+          }
+          assert.deepStrictEqual(remote.diverged(actor), [], "Remote client should see the same actor data");
+        });
+
+        t.test("simultaneous clock clicks converge on both clients", async function () {
+          this.timeout(10000);
+          await actor.update({ "system.healing_clock.value": 1 });
+          remote.watch(actor);
+
+          const sheet = await ensureSheet(actor);
+          const root = sheet.element?.[0] || sheet.element;
+          const clock = await openHealingClock(root);
+          assertExists(assert, clock, "Healing clock should exist in the harm box");
+          const labels = clock.querySelectorAll("label.radio-toggle");
+          assert.ok(labels.length >= 3, "Healing clock should have at least 3 segment labels");
+
+          const remoteWrite = remote.update(actor, { "system.healing_clock.value": 2 });
+          labels[2].dispatchEvent(new MouseEvent("click", {
+            bubbles: true,
+            cancelable: true,
+            button: 0,
+            view: window
+          }));
+
+          await remoteWrite;
+          await waitForActorCondition(
+            () => socket.log.some((entry) => entry.kind === "broadcast" && entry.from === "local"),
+            { timeoutMs: 3000 }
+          );
+          await socket.settle();
+          await rerenderSheet(sheet);
+
+          const finalValue = actor.system?.healing_clock?.value;
+          assert.include([2, 3], finalValue, `Clock should be one of the clicked values (got ${finalValue})`);
+          assert.strictEqual(
+            getDisplayedClockValue(await openHealingClock(root)),
+            finalValue,
+            "Sheet clock should show the converged value"
+          );
+          assert.deepStrictEqual(remote.diverged(actor), [], "Remote client should see the same actor data");
+        });
+
+        t.test("reordered remote writes settle on the last one delivered", async function () {
+          this.timeout(10000);
+
+          const writes = [1, 2, 3].map((value) =>
+            remote.update(actor, { "system.stress.value": value })
+          );
+          await Promise.all(writes);
+          await socket.settle();
+
+          const delivered = socket.log.filter((entry) => entry.kind === "write");
+          assert.lengthOf(delivered, 3, "All remote writes should be delivered");
+          const last = delivered.at(-1).change["system.stress.value"];
+
+          assert.strictEqual(actor.system?.stress?.value, last, "Actor should hold the last delivered write");
+          assert.deepStrictEqual(remote.diverged(actor), [], "Remote client should see the same actor data");
+          console.log(`[UpdateQueue Test] Delivery order: ${delivered.map((e) => e.change["system.stress.value"]).join(" → ")}`);
+        });
+
+        t.test("crew members rerender while a remote client edits the crew", async function () {
+          this.timeout(20000);
+
+          const result = await crew("UpdateQueue-MultiClient-Crew")
+            .crewType("Assassins")
+            .members(["UpdateQueue-MultiClient-Member"])
+            .build();
+          const crewActor = result.actor;
+          const memberActor = result.members[0]?.actor;
+
+          try {
+            const crewRemote = socket.createClient("Remote Crew").watch(crewActor);
+            const crewSheet = await ensureSheet(crewActor);
+            const memberSheet = await ensureSheet(memberActor);
+            const crewRoot = crewSheet.element?.[0] || crewSheet.element;
+            const checkbox = crewRoot.querySelector(".crew-upgrade-checkbox:not(:checked)");
+            if (!checkbox) {
+              // Legitimate: test-data-state - crew type has no unchecked upgrades
+              this.skip();
+              return;
+            }
+            const upgradeName = checkbox.dataset.itemName;
+
+            let memberRenders = 0;
+            const originalRender = memberSheet.render.bind(memberSheet);
+            memberSheet.render = function (...args) {
+              memberRenders++;
+              return originalRender(...args);
+            };
+
+            try {
+              const remoteWrite = crewRemote.update(crewActor, { "system.tier": 2 });
+              checkbox.checked = true;
+              $(crewSheet.element).find(`.crew-upgrade-checkbox[data-item-name="${upgradeName}"]`).first().trigger("change");
+
+              await remoteWrite;
+              await waitForActorCondition(
+                () => crewActor.items.some((i) => i.type === "crew_upgrade" && i.name === upgradeName),
+                { timeoutMs: 3000 }
+              );
+              await socket.settle();
+            } finally {
+              memberSheet.render = originalRender;
+            }
+
+            assert.strictEqual(Number(crewActor.system?.tier), 2, "Remote tier change should be kept");
+            assert.ok(memberRenders > 0, "Member sheet should rerender after the concurrent crew changes");
+            assert.deepStrictEqual(
+              crewRemote.diverged(crewActor),
+              [],
+              "Remote client should see the same crew data"
+            );
+          } finally {
+            await testCleanup({ actors: result.actors });
+          }
+        });
+      });
+
       t.section("Error Handling", () => {
         let actor;
         let errorTracker;
-        let notificationTracker;
 
         beforeEach(async function () {
           this.timeout(10000);
@@ -337,13 +602,11 @@ Hooks.on("quenchReady", (quench) => {
           });
           actor = result.actor;
           errorTracker = trackHookErrors();
-          notificationTracker = trackNotifications();
         });
 
         afterEach(async function () {
           this.timeout(5000);
           if (errorTracker) errorTracker.cleanup();
-          if (notificationTracker) notificationTracker.restore();
 
           await cleanupTestActor(actor);
           actor = null;
@@ -445,8 +708,6 @@ Hooks.on("quenchReady", (quench) => {
             "/modules/bitd-alternate-sheets/scripts/lib/update-queue.js"
           );
 
-          const initialNotifications = notificationTracker.notifications.length;
-
           // Queue an update that will throw
           let errorCaught = false;
           try {
@@ -463,15 +724,12 @@ Hooks.on("quenchReady", (quench) => {
 
           assert.ok(errorCaught, "queueUpdate should reject on error");
 
-          // Check that a notification was shown
+          // Note: The queue might show a notification, but only if it catches the error.
+          // The test verifies the error was properly rejected, so accept either.
           await new Promise((resolve) => setTimeout(resolve, 100));
-          const newNotifications = notificationTracker.notifications.slice(initialNotifications);
-
-          // Note: The queue might show a notification, but only if it catches the error
-          // The test verifies the error was properly rejected
+          testCapture().allow({ source: "notification" });
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Update Queue" }
+    }
   );
 });
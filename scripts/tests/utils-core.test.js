@@ -11,14 +11,22 @@ import {
   isTargetModuleActive,
   findClassItem,
   testCleanup,
-  TestNumberer,
   getEquippedItems,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
 
-const t = new TestNumberer("18");
+const batch = defineBatch({
+  id: "18",
+  key: "bitd-alternate-sheets.utils-core",
+  title: "Utils Core Functions",
+  description: "Core Utils functions (toggleOwnership, ability progress, starting attributes)",
+  tags: ["utils", "flags"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
 /**
  * Get multiAbilityProgress flag from actor.
@@ -85,14 +93,15 @@ function triggerGearCheckboxChange(sheet, checkbox, itemId) {
   }
 }
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping utils-core tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.utils-core",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -785,7 +794,6 @@ Hooks.on("quenchReady", (quench) => {
           );
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Utils Core Functions" }
+    }
   );
 });
@@ -0,0 +1,87 @@
+/**
+ * Quench test batch for the world snapshot taken around test runs.
+ * Tests that restoring deletes what was created since, and that a snapshot
+ * is never replaced before it has been restored. The snapshot of the
+ * current run (if any) is saved before each test and put back after it.
+ */
+
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
+import { SETTINGS, setSetting } from "../settings.js";
+import {
+  clearSnapshot,
+  getLastSnapshot,
+  restoreSnapshot,
+  takeSnapshot,
+} from "../world-snapshot.js";
+
+const batch = defineBatch({
+  id: "41",
+  key: "bitd-alternate-sheets.world-snapshot",
+  title: "World Snapshot",
+  description: "Snapshot, restore and refusing to replace an unrestored snapshot",
+  tags: ["harness"],
+});
+const t = batch.numberer;
+
+onQuenchReady((quench) => {
+  registerBatch(
+    quench,
+    batch,
+    (context) => {
+      const { assert, beforeEach, afterEach } = context;
+
+      let savedSnapshot;
+      let actor;
+
+      beforeEach(async function () {
+        savedSnapshot = getLastSnapshot();
+        actor = null;
+        await clearSnapshot();
+      });
+
+      afterEach(async function () {
+        if (actor && game.actors.has(actor.id)) await actor.delete();
+        await setSetting(SETTINGS.WORLD_SNAPSHOT, savedSnapshot);
+      });
+
+      t.section("Restore", () => {
+        t.test("deletes documents created since and clears the snapshot", async function () {
+          const snapshot = await takeSnapshot({ label: "test" });
+          actor = await Actor.create({ name: "Snapshot Test Actor", type: "character" });
+
+          const result = await restoreSnapshot(snapshot);
+
+          assert.deepEqual(result.errors, []);
+          assert.deepEqual(result.documents.actors, [{ id: actor.id, name: "Snapshot Test Actor" }]);
+          assert.isFalse(game.actors.has(actor.id));
+          assert.isNull(getLastSnapshot());
+        });
+      });
+
+      t.section("Unrestored Snapshot", () => {
+        t.test("taking another snapshot is refused and keeps the first", async function () {
+          const first = await takeSnapshot({ label: "first" });
+
+          let error = null;
+          try {
+            await takeSnapshot({ label: "second" });
+          } catch (err) {
+            error = err;
+          }
+
+          assert.instanceOf(error, Error);
+          assert.include(error.message, first.timestamp);
+          assert.strictEqual(getLastSnapshot().id, first.id);
+        });
+
+        t.test("a snapshot can be taken again once the last one is restored", async function () {
+          await restoreSnapshot(await takeSnapshot({ label: "first" }));
+
+          const second = await takeSnapshot({ label: "second" });
+
+          assert.strictEqual(getLastSnapshot().id, second.id);
+        });
+      });
+    }
+  );
+});
@@ -13,13 +13,21 @@ import {
   isTargetModuleActive,
   testCleanup,
   getEquippedItems,
-  TestNumberer,
 } from "../test-utils.js";
+import { defineBatch, onQuenchReady, registerBatch } from "../batch-registry.js";
 
 const MODULE_ID = "bitd-alternate-sheets-test";
 const TARGET_MODULE_ID = "bitd-alternate-sheets";
 
-const t = new TestNumberer("31");
+const batch = defineBatch({
+  id: "31",
+  key: "bitd-alternate-sheets.zero-load-items",
+  title: "Zero-Load Items (#157)",
+  description: "Items with load 0 do not increment the load total",
+  tags: ["character", "load", "items"],
+  requiredCompendia: ["class"],
+});
+const t = batch.numberer;
 
 /**
  * Create a zero-load item on an actor.
@@ -66,14 +74,15 @@ function triggerGearCheckboxChange(sheet, checkbox, itemId) {
   }
 }
 
-Hooks.on("quenchReady", (quench) => {
+onQuenchReady((quench) => {
   if (!isTargetModuleActive()) {
     console.warn(`[${MODULE_ID}] bitd-alternate-sheets not active, skipping zero-load-items tests`);
     return;
   }
 
-  quench.registerBatch(
-    "bitd-alternate-sheets.zero-load-items",
+  registerBatch(
+    quench,
+    batch,
     (context) => {
       const { assert, beforeEach, afterEach } = context;
 
@@ -322,7 +331,6 @@ Hooks.on("quenchReady", (quench) => {
           );
         });
       });
-    },
-    { displayName: "BitD Alt Sheets: Zero-Load Items (#157)" }
+    }
   );
 });
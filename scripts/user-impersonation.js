@@ -0,0 +1,211 @@
+/**
+ * Simulated non-GM sessions for permission tests.
+ *
+ * asUser() creates a temporary user, grants it an ownership level on the
+ * documents under test and runs a callback with game.user swapped for that
+ * user, so document.isOwner, sheet.isEditable and the limited/observer
+ * rendering paths all see a real non-GM user.
+ *
+ * Only the client is fooled: the socket still belongs to the GM who started
+ * the run, so the server authorises writes as that GM. What the tests cover is
+ * how the sheets behave for the impersonated user (which controls render, and
+ * which client-side permission checks refuse an update). game.userId is left
+ * alone so hook handlers comparing it to the userId of an update keep working.
+ *
+ * @example
+ * await asUser("observer", async (user) => {
+ *   const sheet = await ensureSheet(actor);
+ *   assert.isFalse(sheet.isEditable);
+ * }, { documents: [actor] });
+ */
+
+import { closeApplication } from "./app-compat.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+
+/**
+ * Built-in personas: the user role and the ownership level granted on the
+ * documents passed to asUser(). "Observer" is an ownership level rather than a
+ * Foundry role, so it is a Player with OBSERVER ownership.
+ */
+export const PERSONAS = {
+  player: { role: "PLAYER", ownership: "LIMITED" },
+  trusted: { role: "TRUSTED", ownership: "LIMITED" },
+  observer: { role: "PLAYER", ownership: "OBSERVER" },
+  owner: { role: "PLAYER", ownership: "OWNER" },
+};
+
+/** Name prefix for temporary users, so leftovers are easy to spot */
+const USER_NAME_PREFIX = "Alt Sheets Test User";
+
+// ============================================================================
+// Users
+// ============================================================================
+
+/**
+ * Look up a persona.
+ * @param {string} persona - Key of PERSONAS
+ * @returns {{role: string, ownership: string}}
+ * @throws {Error} If the persona is unknown
+ */
+function getPersona(persona) {
+  const config = PERSONAS[persona];
+  if (!config) {
+    throw new Error(
+      `Unknown persona "${persona}"; expected one of: ${Object.keys(PERSONAS).join(", ")}`
+    );
+  }
+  return config;
+}
+
+/**
+ * Create a temporary user for a persona. Only GMs can create users.
+ * @param {string} [persona="player"] - Key of PERSONAS
+ * @param {object} [options] - Options
+ * @param {string} [options.name] - User name (default: auto-generated)
+ * @returns {Promise<User>}
+ */
+export async function createTestUser(persona = "player", { name } = {}) {
+  if (!game.user?.isGM) {
+    throw new Error("Only a GM can create test users");
+  }
+  const { role } = getPersona(persona);
+  const user = await User.create({
+    name: name || `${USER_NAME_PREFIX} (${persona}) ${Date.now()}`,
+    role: CONST.USER_ROLES[role],
+  });
+  if (!user) {
+    throw new Error(`Failed to create ${persona} test user`);
+  }
+  return user;
+}
+
+/**
+ * Delete temporary users, ignoring ones already gone.
+ * @param {User[]} users
+ * @returns {Promise<void>}
+ */
+export async function deleteTestUsers(users) {
+  const ids = users.filter((user) => user && game.users.has(user.id)).map((user) => user.id);
+  if (ids.length) await User.deleteDocuments(ids);
+}
+
+// ============================================================================
+// Ownership
+// ============================================================================
+
+/**
+ * Check whether a document still exists in its world collection.
+ * @param {foundry.abstract.Document} doc
+ * @returns {boolean}
+ */
+function documentExists(doc) {
+  return Boolean(doc?.collection?.has?.(doc.id));
+}
+
+/**
+ * Give a user an ownership level on world documents.
+ * @param {foundry.abstract.Document[]} documents
+ * @param {User} user
+ * @param {string} level - Key of CONST.DOCUMENT_OWNERSHIP_LEVELS (e.g. "OBSERVER")
+ * @returns {Promise<void>}
+ */
+export async function grantOwnership(documents, user, level) {
+  const value = CONST.DOCUMENT_OWNERSHIP_LEVELS[level];
+  if (value === undefined) {
+    throw new Error(`Unknown ownership level "${level}"`);
+  }
+  for (const doc of documents.filter(documentExists)) {
+    await doc.update({ [`ownership.${user.id}`]: value });
+  }
+}
+
+/**
+ * Remove a user's ownership entry from world documents that still exist.
+ * @param {foundry.abstract.Document[]} documents
+ * @param {User} user
+ * @returns {Promise<void>}
+ */
+export async function revokeOwnership(documents, user) {
+  for (const doc of documents.filter(documentExists)) {
+    if (!(user.id in (doc.ownership ?? {}))) continue;
+    await doc.update({ [`ownership.-=${user.id}`]: null });
+  }
+}
+
+// ============================================================================
+// Impersonation
+// ============================================================================
+
+/**
+ * Replace game.user until the returned function is called.
+ * @param {User} user
+ * @returns {Function} Restores the original game.user
+ * @throws {Error} If game.user cannot be replaced in this Foundry version
+ */
+export function swapCurrentUser(user) {
+  const descriptor = Object.getOwnPropertyDescriptor(game, "user");
+  if (descriptor && !descriptor.configurable && !descriptor.writable) {
+    throw new Error("game.user cannot be replaced in this Foundry version");
+  }
+
+  Object.defineProperty(game, "user", { value: user, configurable: true, writable: true });
+
+  return function restore() {
+    if (descriptor) {
+      Object.defineProperty(game, "user", descriptor);
+    } else {
+      delete game.user;
+    }
+  };
+}
+
+/**
+ * Close the open sheets of some documents, so the next render happens as
+ * whichever user is current.
+ * @param {foundry.abstract.Document[]} documents
+ * @returns {Promise<void>}
+ */
+async function closeSheets(documents) {
+  for (const doc of documents.filter(Boolean)) {
+    await closeApplication(doc);
+  }
+}
+
+/**
+ * Run a callback as a temporary non-GM user.
+ * The user is created, given ownership of `documents`, and made game.user for
+ * the duration of the callback. Sheets of `documents` are closed before and
+ * after so they render for the right user. Everything is undone afterwards,
+ * even if the callback throws.
+ * @param {string} persona - Key of PERSONAS ("player", "trusted", "observer", "owner")
+ * @param {Function} callback - Receives the temporary user; may be async
+ * @param {object} [options] - Options
+ * @param {foundry.abstract.Document[]} [options.documents=[]] - World documents to grant ownership on
+ * @param {string} [options.ownership] - Ownership level instead of the persona's default
+ * @returns {Promise<*>} The callback's return value
+ */
+export async function asUser(persona, callback, { documents = [], ownership } = {}) {
+  if (!game.user?.isGM) {
+    throw new Error("Only a GM can impersonate other users");
+  }
+  const level = ownership ?? getPersona(persona).ownership;
+  const user = await createTestUser(persona);
+
+  let restoreUser = null;
+  try {
+    await grantOwnership(documents, user, level);
+    await closeSheets(documents);
+    restoreUser = swapCurrentUser(user);
+    return await callback(user);
+  } finally {
+    restoreUser?.();
+    await closeSheets(documents);
+    try {
+      await revokeOwnership(documents, user);
+      await deleteTestUsers([user]);
+    } catch (err) {
+      console.error(`[${MODULE_ID}] Failed to clean up test user ${user.name}:`, err);
+    }
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * World state snapshot and restore around test runs.
+ *
+ * A snapshot records the IDs of every world document and the value of every
+ * bitd-alternate-sheets setting. Restoring deletes documents created since
+ * and reverts changed settings. The snapshot is kept in a world setting until
+ * it is restored, so debris from a run interrupted by a browser crash can be
+ * cleaned up after reloading.
+ */
+
+import { SETTINGS, getSetting, setSetting } from "./settings.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+const TARGET_MODULE_ID = "bitd-alternate-sheets";
+
+/**
+ * World collections tracked by snapshots, in deletion order.
+ * Folders come last so their contents are deleted individually first.
+ */
+const SNAPSHOT_COLLECTIONS = [
+  "messages",
+  "combats",
+  "actors",
+  "items",
+  "journal",
+  "tables",
+  "macros",
+  "cards",
+  "playlists",
+  "scenes",
+  "users",
+  "folders",
+];
+
+/**
+ * Setting namespaces whose values are snapshotted. The harness's own settings
+ * are left out: the run history and the snapshot itself must survive a restore.
+ */
+const SNAPSHOT_SETTING_NAMESPACES = [TARGET_MODULE_ID];
+
+// ============================================================================
+// Snapshot
+// ============================================================================
+
+/**
+ * Get the world collections that exist in this Foundry version.
+ * @returns {Array<[string, Collection]>}
+ */
+function getTrackedCollections() {
+  return SNAPSHOT_COLLECTIONS
+    .map((name) => [name, game[name]])
+    .filter(([, collection]) => collection);
+}
+
+/**
+ * Read the current value of every snapshotted setting.
+ * @returns {Object<string, *>} Values keyed by setting ID ("namespace.key")
+ */
+function readSettings() {
+  const values = {};
+  for (const [id, config] of game.settings.settings.entries()) {
+    if (!SNAPSHOT_SETTING_NAMESPACES.includes(config.namespace)) continue;
+    try {
+      values[id] = foundry.utils.deepClone(game.settings.get(config.namespace, config.key));
+    } catch {
+      // Unreadable settings (e.g. missing permission) cannot be restored either
+    }
+  }
+  return values;
+}
+
+/**
+ * Record the current world state and keep it as the last snapshot.
+ * Only GMs can write the world setting holding it. Refuses while an earlier
+ * snapshot is still unrestored: replacing it would lose track of what that
+ * run left behind.
+ * @param {object} [options] - Options
+ * @param {string} [options.label] - Free-form description (e.g. "runAllTests")
+ * @returns {Promise<object>} The snapshot
+ */
+export async function takeSnapshot({ label = "" } = {}) {
+  if (!game.user?.isGM) {
+    throw new Error("Only a GM can take a world snapshot");
+  }
+  const pending = getLastSnapshot();
+  if (pending) {
+    throw new Error(
+      `The world snapshot from ${pending.timestamp} has not been restored; ` +
+      `run restoreLastSnapshot() or clear it first`
+    );
+  }
+
+  const documents = {};
+  for (const [name, collection] of getTrackedCollections()) {
+    documents[name] = Array.from(collection.keys());
+  }
+
+  const snapshot = {
+    id: foundry.utils.randomID(),
+    label,
+    timestamp: new Date().toISOString(),
+    documents,
+    settings: readSettings(),
+  };
+  await setSetting(SETTINGS.WORLD_SNAPSHOT, snapshot);
+  return snapshot;
+}
+
+/**
+ * Get the snapshot that has not been restored yet, if any.
+ * @returns {object|null}
+ */
+export function getLastSnapshot() {
+  return getSetting(SETTINGS.WORLD_SNAPSHOT) || null;
+}
+
+/**
+ * Forget the last snapshot without restoring it.
+ * @returns {Promise<void>}
+ */
+export async function clearSnapshot() {
+  await setSetting(SETTINGS.WORLD_SNAPSHOT, null);
+}
+
+// ============================================================================
+// Restore
+// ============================================================================
+
+/**
+ * Work out what restoring a snapshot would change.
+ * @param {object} snapshot
+ * @returns {{documents: Object<string, Array<{id: string, name: string}>>, settings: string[]}}
+ */
+export function diffSnapshot(snapshot) {
+  const documents = {};
+  for (const [name, collection] of getTrackedCollections()) {
+    const known = new Set(snapshot.documents?.[name] ?? []);
+    const created = collection.filter((doc) => !known.has(doc.id));
+    if (created.length) {
+      documents[name] = created.map((doc) => ({ id: doc.id, name: doc.name ?? null }));
+    }
+  }
+
+  const current = readSettings();
+  const settings = Object.keys(snapshot.settings ?? {}).filter(
+    (id) =>
+      id in current &&
+      JSON.stringify(current[id]) !== JSON.stringify(snapshot.settings[id])
+  );
+
+  return { documents, settings };
+}
+
+/**
+ * Restore the world to a snapshot: delete documents created since and revert
+ * changed settings. Documents deleted since the snapshot cannot be brought back.
+ * @param {object} [snapshot] - Snapshot to restore (default: the last snapshot)
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun=false] - Only report what would change
+ * @returns {Promise<{documents: object, settings: string[], errors: string[]}|null>}
+ *   What was (or would be) changed, or null when there is no snapshot
+ */
+export async function restoreSnapshot(snapshot = getLastSnapshot(), { dryRun = false } = {}) {
+  if (!snapshot) return null;
+  if (!game.user?.isGM) {
+    throw new Error("Only a GM can restore a world snapshot");
+  }
+
+  const diff = diffSnapshot(snapshot);
+  if (dryRun) return { ...diff, errors: [] };
+
+  const errors = [];
+  for (const [name, collection] of getTrackedCollections()) {
+    const ids = (diff.documents[name] ?? [])
+      .map((entry) => entry.id)
+      .filter((id) => collection.has(id));
+    if (!ids.length) continue;
+    try {
+      await collection.documentClass.deleteDocuments(ids);
+    } catch (err) {
+      errors.push(`${name}: ${err.message}`);
+    }
+  }
+
+  for (const id of diff.settings) {
+    const { namespace, key } = game.settings.settings.get(id);
+    try {
+      await game.settings.set(namespace, key, snapshot.settings[id]);
+    } catch (err) {
+      errors.push(`${id}: ${err.message}`);
+    }
+  }
+
+  if (errors.length === 0 && getLastSnapshot()?.id === snapshot.id) {
+    await clearSnapshot();
+  }
+  return { ...diff, errors };
+}
+
+/**
+ * Log what a restore changed.
+ * @param {{documents: object, settings: string[], errors: string[]}} result
+ */
+export function logRestore(result) {
+  const deleted = Object.entries(result.documents)
+    .map(([name, docs]) => `${docs.length} ${name}`)
+    .join(", ");
+  console.log(
+    `[${MODULE_ID}] World restored: deleted ${deleted || "nothing"}; ` +
+    `reverted ${result.settings.length} setting(s).`
+  );
+  for (const error of result.errors) {
+    console.error(`[${MODULE_ID}] Restore error: ${error}`);
+  }
+}
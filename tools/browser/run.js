@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/**
+ * Browser runner for the full Quench suite.
+ *
+ * Drives headless Chromium (puppeteer-core) against a local Foundry server:
+ * starts the server first when it is not running and --foundry is given,
+ * joins the test world as its GM, calls api.runAllTests() (api.runBatches()
+ * with --batch), streams each test's result as it finishes and prints the
+ * same summary as the in-Foundry console. The exit code is non-zero when any
+ * non-quarantined test fails or the run cannot start.
+ *
+ * Usage:
+ *   node tools/browser/run.js --chrome <path> [--url <url>] [--user <name>] [--password <pw>]
+ *                             [--foundry <main.js> --data <dir> --world <id>]
+ *                             [--batch <key>]... [--retries <n>] [--report <dir>]
+ *                             [--timeout <minutes>] [--verbose] [--headful]
+ *
+ * Every connection option falls back to an environment variable (see USAGE),
+ * so passwords need not appear on the command line.
+ */
+
+import { spawn } from "node:child_process";
+import { mkdirSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import puppeteer from "puppeteer-core";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+/** How long to wait for a started server to answer */
+const SERVER_START_TIMEOUT_MS = 120000;
+
+/** How long joining the world and loading the game may take */
+const LOAD_TIMEOUT_MS = 120000;
+
+/** Server output lines kept to explain a failed start */
+const SERVER_LOG_LINES = 20;
+
+/** Progress icons by mocha state, as in the console summary */
+const STATE_ICONS = { passed: "✓", failed: "✗", pending: "⊘" };
+
+// ============================================================================
+// Arguments
+// ============================================================================
+
+const USAGE = `Usage: node tools/browser/run.js [options]
+
+Connection:
+  --url <url>          Foundry server (env FOUNDRY_URL, default http://localhost:30000)
+  --user <name>        User to join as; must be a GM (env FOUNDRY_USER, default Gamemaster)
+  --password <pw>      That user's password (env FOUNDRY_PASSWORD, default none)
+  --chrome <path>      Chromium or Chrome executable (env CHROME_PATH)
+
+Starting Foundry (only when nothing answers at --url):
+  --foundry <main.js>  Foundry's resources/app/main.js (env FOUNDRY_MAIN)
+  --data <dir>         Foundry user data path (env FOUNDRY_DATA)
+  --world <id>         World to launch (env FOUNDRY_WORLD)
+
+Run:
+  --batch <key>        Only run this batch key (repeatable; default every batch)
+  --retries <n>        Rerun failed tests up to n times (flaky detection)
+  --report <dir>       Write JSON and JUnit XML reports (and failure artifacts) to this directory
+  --timeout <minutes>  Give up on the run after this long (default 60)
+  --verbose            Forward the browser console
+  --headful            Show the browser window
+  --help               Show this message`;
+
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      url: { type: "string", default: process.env.FOUNDRY_URL ?? "http://localhost:30000" },
+      user: { type: "string", default: process.env.FOUNDRY_USER ?? "Gamemaster" },
+      password: { type: "string", default: process.env.FOUNDRY_PASSWORD ?? "" },
+      chrome: { type: "string", default: process.env.CHROME_PATH },
+      foundry: { type: "string", default: process.env.FOUNDRY_MAIN },
+      data: { type: "string", default: process.env.FOUNDRY_DATA },
+      world: { type: "string", default: process.env.FOUNDRY_WORLD },
+      batch: { type: "string", multiple: true },
+      retries: { type: "string" },
+      report: { type: "string" },
+      timeout: { type: "string", default: "60" },
+      verbose: { type: "boolean", default: false },
+      headful: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+  return values;
+}
+
+// ============================================================================
+// Foundry Server
+// ============================================================================
+
+/**
+ * Check whether a server answers at a URL.
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ */
+async function isServerUp(url) {
+  try {
+    const response = await fetch(url, { redirect: "manual", signal: AbortSignal.timeout(5000) });
+    return response.status < 500;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Start Foundry with the test world and wait until it answers.
+ * @param {object} args - Parsed arguments
+ * @returns {Promise<import("node:child_process").ChildProcess>}
+ */
+async function startServer(args) {
+  const missing = ["foundry", "data", "world"].filter((name) => !args[name]);
+  if (missing.length) {
+    throw new Error(
+      `Nothing answers at ${args.url}; to start Foundry pass ${missing.map((name) => `--${name}`).join(", ")}`
+    );
+  }
+
+  const port = new URL(args.url).port || "30000";
+  const server = spawn(
+    process.execPath,
+    [args.foundry, `--dataPath=${args.data}`, `--port=${port}`, `--world=${args.world}`],
+    { stdio: ["ignore", "pipe", "pipe"] }
+  );
+  const log = [];
+  const keep = (chunk) => {
+    log.push(...String(chunk).split("\n").filter(Boolean));
+    log.splice(0, Math.max(0, log.length - SERVER_LOG_LINES));
+  };
+  server.stdout.on("data", keep);
+  server.stderr.on("data", keep);
+  console.log(`[${MODULE_ID}] Starting Foundry (pid ${server.pid}) with world ${args.world} on port ${port}`);
+
+  const deadline = Date.now() + SERVER_START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) break;
+    if (await isServerUp(args.url)) return server;
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+  server.kill();
+  throw new Error(`Foundry did not start at ${args.url}:\n${log.join("\n")}`);
+}
+
+// ============================================================================
+// Browser
+// ============================================================================
+
+/**
+ * Join the running world as the configured user.
+ * @param {import("puppeteer-core").Page} page
+ * @param {object} args - Parsed arguments
+ */
+async function joinWorld(page, args) {
+  await page.goto(new URL("/join", args.url).href, { waitUntil: "domcontentloaded", timeout: LOAD_TIMEOUT_MS });
+  const landed = new URL(page.url()).pathname;
+  if (landed.startsWith("/game")) return;
+  if (!landed.startsWith("/join")) {
+    throw new Error(
+      `No world is running at ${args.url} (redirected to ${landed}); launch the test world or stop the server and pass --foundry`
+    );
+  }
+
+  await page.waitForSelector('select[name="userid"]', { timeout: LOAD_TIMEOUT_MS });
+  const userId = await page.$eval(
+    'select[name="userid"]',
+    (select, name) => [...select.options].find((option) => option.textContent.trim() === name)?.value ?? null,
+    args.user
+  );
+  if (!userId) throw new Error(`The world has no user named "${args.user}"`);
+
+  await page.select('select[name="userid"]', userId);
+  if (args.password) await page.type('input[name="password"]', args.password);
+  await Promise.all([
+    page.waitForNavigation({ timeout: LOAD_TIMEOUT_MS }),
+    page.click('button[name="join"]'),
+  ]);
+  if (!new URL(page.url()).pathname.startsWith("/game")) {
+    throw new Error(`Could not join as "${args.user}"; check --password`);
+  }
+}
+
+/**
+ * Wait for the game and the harness API.
+ * @param {import("puppeteer-core").Page} page
+ */
+async function waitForHarness(page) {
+  await page.waitForFunction(() => globalThis.game?.ready === true, { timeout: LOAD_TIMEOUT_MS, polling: 500 });
+  const problem = await page.evaluate((id) => {
+    if (!game.user.isGM) return `${game.user.name} is not a GM`;
+    if (!game.modules.get("quench")?.active) return "Quench is not active in this world";
+    if (!game.modules.get(id)?.active) return `${id} is not active in this world`;
+    if (!game.modules.get(id).api) return "bitd-alternate-sheets is not active in this world";
+    return null;
+  }, MODULE_ID);
+  if (problem) throw new Error(problem);
+}
+
+/**
+ * Print one finished test, with a header when a new batch starts.
+ * @param {{batch: string, title: string, state: string|null, duration: number|null}} test
+ * @param {{batch: string|null}} progress - Last batch printed
+ */
+function printTestEnd(test, progress) {
+  if (test.batch !== progress.batch) {
+    console.log(`\n  ${test.batch}`);
+    progress.batch = test.batch;
+  }
+  const icon = STATE_ICONS[test.state] ?? "↻";
+  const suffix = test.state ? (test.duration ? ` (${test.duration}ms)` : "") : " (retrying)";
+  console.log(`    ${icon} ${test.title}${suffix}`);
+}
+
+// ============================================================================
+// Reporting
+// ============================================================================
+
+/**
+ * Write JSON and JUnit XML reports, and the failure artifacts they name, to a
+ * directory.
+ * @param {object} report - Normalized report
+ * @param {Array<object>} artifacts - From api.artifacts.list()
+ * @param {string} directory
+ * @returns {Promise<string[]>} Written file paths
+ */
+async function writeReports(report, artifacts, directory) {
+  const { toJson, toJUnitXml, getReportFileName } = await import(
+    pathToFileURL(path.join(ROOT, "scripts/test-report.js"))
+  );
+  const { serializeArtifact } = await import(pathToFileURL(path.join(ROOT, "scripts/failure-artifacts.js")));
+
+  mkdirSync(directory, { recursive: true });
+  const byTitle = new Map(artifacts.map((artifact) => [artifact.test.fullTitle, artifact]));
+  const files = [
+    [getReportFileName(report, "json"), toJson(report)],
+    [getReportFileName(report, "xml"), toJUnitXml(report)],
+    ...report.tests
+      .filter((test) => test.artifact && byTitle.has(test.fullTitle))
+      .map((test) => [test.artifact, serializeArtifact(byTitle.get(test.fullTitle), test.error)]),
+  ];
+  return files.map(([name, content]) => {
+    const filePath = path.join(directory, name);
+    writeFileSync(filePath, content);
+    return filePath;
+  });
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+async function main() {
+  const args = parseCliArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!args.chrome) {
+    console.error(`[${MODULE_ID}] Pass --chrome <path> or set CHROME_PATH\n\n${USAGE}`);
+    return 1;
+  }
+
+  const runTimeoutMs = (Number(args.timeout) || 60) * 60000;
+  let server = null;
+  let browser = null;
+  try {
+    if (!(await isServerUp(args.url))) server = await startServer(args);
+
+    browser = await puppeteer.launch({
+      executablePath: args.chrome,
+      headless: !args.headful,
+      // The run is a single long evaluate() call
+      protocolTimeout: runTimeoutMs + LOAD_TIMEOUT_MS,
+      defaultViewport: { width: 1600, height: 1000 },
+      args: ["--no-sandbox", "--disable-dev-shm-usage"],
+    });
+    const page = await browser.newPage();
+    if (args.verbose) {
+      page.on("console", (message) => console.log(`[browser] ${message.text()}`));
+    }
+    page.on("pageerror", (err) => console.error(`[browser] ${err.message}`));
+
+    await joinWorld(page, args);
+    await waitForHarness(page);
+    console.log(`[${MODULE_ID}] Joined ${args.url} as ${args.user}`);
+
+    const progress = { batch: null };
+    await page.exposeFunction("bitdTestEnd", (test) => printTestEnd(test, progress));
+    const { TEST_END_HOOK } = await import(pathToFileURL(path.join(ROOT, "scripts/batch-registry.js")));
+    await page.evaluate((hook) => {
+      Hooks.on(hook, (test) => globalThis.bitdTestEnd(test));
+    }, TEST_END_HOOK);
+
+    const options = args.retries === undefined ? {} : { retries: Number(args.retries) };
+    const run = page.evaluate(
+      (id, keys, runOptions) => {
+        const { api } = game.modules.get(id);
+        return keys ? api.runBatches(keys, runOptions) : api.runAllTests(runOptions);
+      },
+      MODULE_ID,
+      args.batch ?? null,
+      options
+    );
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Run did not finish within ${args.timeout} minute(s)`)), runTimeoutMs);
+    });
+    const report = await Promise.race([run, timeout]).finally(() => clearTimeout(timer));
+    if (!report) throw new Error("The run did not start (is Quench available?)");
+
+    const { logReportSummary } = await import(pathToFileURL(path.join(ROOT, "scripts/test-summary.js")));
+    logReportSummary(report);
+
+    if (args.report) {
+      const artifacts = await page.evaluate((id) => game.modules.get(id).api.artifacts.list(), MODULE_ID);
+      for (const file of await writeReports(report, artifacts, path.resolve(args.report))) {
+        console.log(`[${MODULE_ID}] Wrote ${file}`);
+      }
+    }
+    return report.stats.failed > 0 ? 1 : 0;
+  } finally {
+    await browser?.close();
+    if (server) {
+      console.log(`[${MODULE_ID}] Stopping Foundry (pid ${server.pid})`);
+      server.kill();
+    }
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error(`[${MODULE_ID}] Browser run failed:`, err.message ?? err);
+    process.exit(1);
+  }
+);
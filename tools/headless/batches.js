@@ -0,0 +1,13 @@
+/**
+ * Batches the headless runner loads, in run order.
+ *
+ * Taken from the `headless: true` entries in scripts/tests/manifest.js. Only
+ * batches whose assertions are pure logic belong there; tests inside them that
+ * still need a rendered sheet are reported as skipped rather than failed.
+ */
+
+import { TEST_MANIFEST } from "../../scripts/tests/manifest.js";
+
+export const HEADLESS_BATCHES = TEST_MANIFEST
+  .filter((entry) => entry.headless)
+  .map((entry) => `scripts/tests/${entry.file}`);
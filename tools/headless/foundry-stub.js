@@ -0,0 +1,695 @@
+/**
+ * Minimal stand-in for the Foundry VTT client globals.
+ *
+ * Provides just enough of `game`, `Hooks`, `foundry.utils`, `Actor`, `Item`,
+ * `ui` and `Handlebars` (plus a jsdom DOM) for pure-logic Quench batches to
+ * run under Node. Anything that needs a rendered sheet or a server round-trip
+ * is deliberately absent: actors have no `sheet`, so sheet-based tests are
+ * reported as skipped by the headless runner.
+ */
+
+import { existsSync, readFileSync, readdirSync } from "node:fs";
+import path from "node:path";
+import Handlebars from "handlebars";
+import { JSDOM } from "jsdom";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+const TARGET_MODULE_ID = "bitd-alternate-sheets";
+
+/**
+ * Thrown by stubbed APIs that only exist in a real Foundry client.
+ * The headless runner reports tests that hit it as skipped.
+ */
+export class HeadlessUnsupportedError extends Error {
+  constructor(feature) {
+    super(`${feature} is not available in the headless runner`);
+    this.name = "HeadlessUnsupportedError";
+  }
+}
+
+// ============================================================================
+// foundry.utils
+// ============================================================================
+
+/**
+ * Generate a random 16-character document ID.
+ * @param {number} [length=16]
+ * @returns {string}
+ */
+function randomID(length = 16) {
+  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  let id = "";
+  for (let i = 0; i < length; i += 1) {
+    id += chars[Math.floor(Math.random() * chars.length)];
+  }
+  return id;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && value.constructor === Object;
+}
+
+function deepClone(value) {
+  if (Array.isArray(value)) return value.map(deepClone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, deepClone(v)]));
+  }
+  if (value instanceof Date) return new Date(value);
+  return value;
+}
+
+function getProperty(object, key) {
+  if (!key || object === undefined || object === null) return undefined;
+  let target = object;
+  for (const part of String(key).split(".")) {
+    if (target === undefined || target === null) return undefined;
+    target = target[part];
+  }
+  return target;
+}
+
+function setProperty(object, key, value) {
+  const parts = String(key).split(".");
+  const last = parts.pop();
+  let target = object;
+  for (const part of parts) {
+    if (!isPlainObject(target[part])) target[part] = {};
+    target = target[part];
+  }
+  const changed = target[last] !== value;
+  target[last] = value;
+  return changed;
+}
+
+function hasProperty(object, key) {
+  return getProperty(object, key) !== undefined;
+}
+
+function expandObject(object) {
+  const expanded = {};
+  for (const [key, value] of Object.entries(object ?? {})) {
+    const inner = isPlainObject(value) ? expandObject(value) : value;
+    const parts = key.split(".");
+    const last = parts.pop();
+    let target = expanded;
+    for (const part of parts) {
+      if (!isPlainObject(target[part])) target[part] = {};
+      target = target[part];
+    }
+    target[last] = isPlainObject(target[last]) && isPlainObject(inner)
+      ? mergeObject(target[last], inner)
+      : inner;
+  }
+  return expanded;
+}
+
+function flattenObject(object, prefix = "") {
+  const flat = {};
+  for (const [key, value] of Object.entries(object ?? {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      Object.assign(flat, flattenObject(value, path));
+    } else {
+      flat[path] = value;
+    }
+  }
+  return flat;
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null) return true;
+  if (Array.isArray(value) || typeof value === "string") return value.length === 0;
+  if (value instanceof Map || value instanceof Set) return value.size === 0;
+  if (typeof value === "object") return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * Subset of foundry.utils.mergeObject covering the options the harness uses,
+ * including "-=key" deletions when performDeletions is set.
+ */
+function mergeObject(
+  original,
+  other = {},
+  {
+    insertKeys = true,
+    insertValues = true,
+    overwrite = true,
+    recursive = true,
+    inplace = true,
+    performDeletions = false,
+  } = {}
+) {
+  const target = inplace ? original : deepClone(original);
+  const source = expandObject(other);
+
+  for (const [key, value] of Object.entries(source)) {
+    if (performDeletions && key.startsWith("-=")) {
+      delete target[key.slice(2)];
+      continue;
+    }
+    const exists = Object.prototype.hasOwnProperty.call(target, key);
+    if (!exists && !insertKeys) continue;
+
+    if (recursive && isPlainObject(value) && isPlainObject(target[key])) {
+      mergeObject(target[key], value, {
+        insertKeys: insertValues,
+        insertValues,
+        overwrite,
+        recursive,
+        inplace: true,
+        performDeletions,
+      });
+    } else if (!exists || overwrite) {
+      target[key] = deepClone(value);
+    }
+  }
+  return target;
+}
+
+// ============================================================================
+// Hooks
+// ============================================================================
+
+/**
+ * Hooks registry with the same call semantics as Foundry's Hooks class.
+ */
+class StubHooks {
+  static #events = {};
+  static #nextId = 1;
+
+  static get events() {
+    return StubHooks.#events;
+  }
+
+  static on(hook, fn, { once = false } = {}) {
+    const id = StubHooks.#nextId++;
+    (StubHooks.#events[hook] ??= []).push({ hook, id, fn, once });
+    return id;
+  }
+
+  static once(hook, fn) {
+    return StubHooks.on(hook, fn, { once: true });
+  }
+
+  static off(hook, fn) {
+    const entries = StubHooks.#events[hook];
+    if (!entries) return;
+    const index = entries.findIndex((entry) =>
+      typeof fn === "number" ? entry.id === fn : entry.fn === fn
+    );
+    if (index >= 0) entries.splice(index, 1);
+  }
+
+  static callAll(hook, ...args) {
+    for (const entry of [...(StubHooks.#events[hook] ?? [])]) {
+      if (entry.once) StubHooks.off(hook, entry.id);
+      try {
+        entry.fn(...args);
+      } catch (err) {
+        console.error(`Error in hook "${hook}":`, err);
+      }
+    }
+    return true;
+  }
+
+  static call(hook, ...args) {
+    for (const entry of [...(StubHooks.#events[hook] ?? [])]) {
+      if (entry.once) StubHooks.off(hook, entry.id);
+      if (entry.fn(...args) === false) return false;
+    }
+    return true;
+  }
+
+  static onError(location, error) {
+    StubHooks.callAll("error", location, error);
+  }
+}
+
+// ============================================================================
+// Documents
+// ============================================================================
+
+/**
+ * Map with the Collection helpers harness code relies on.
+ */
+class StubCollection extends Map {
+  /** Like Foundry's Collection, iteration yields values rather than entries */
+  [Symbol.iterator]() {
+    return this.values();
+  }
+
+  get contents() {
+    return Array.from(this.values());
+  }
+
+  find(fn) {
+    return this.contents.find(fn);
+  }
+
+  filter(fn) {
+    return this.contents.filter(fn);
+  }
+
+  some(fn) {
+    return this.contents.some(fn);
+  }
+
+  map(fn) {
+    return this.contents.map(fn);
+  }
+
+  getName(name) {
+    return this.find((doc) => doc.name === name);
+  }
+}
+
+/**
+ * In-memory document with update/flag semantics close to Foundry's.
+ * Lifecycle hooks (createX, updateX, deleteX) fire just like in the client.
+ */
+class StubDocument {
+  static documentName = "Document";
+
+  /** World collection for top-level documents of this class */
+  static get collection() {
+    return null;
+  }
+
+  constructor(data = {}, { parent = null } = {}) {
+    this._source = deepClone({
+      name: "",
+      type: "base",
+      img: null,
+      system: {},
+      flags: {},
+      ownership: { default: 0 },
+      ...data,
+      _id: data._id ?? randomID(),
+    });
+    this.parent = parent;
+  }
+
+  get id() { return this._source._id; }
+  get _id() { return this._source._id; }
+  get name() { return this._source.name; }
+  get type() { return this._source.type; }
+  get img() { return this._source.img; }
+  get system() { return this._source.system; }
+  get flags() { return this._source.flags; }
+  get ownership() { return this._source.ownership; }
+  get documentName() { return this.constructor.documentName; }
+  get isOwner() { return true; }
+  get sheet() { return null; }
+
+  get uuid() {
+    const own = `${this.documentName}.${this.id}`;
+    return this.parent ? `${this.parent.uuid}.${own}` : own;
+  }
+
+  toObject() {
+    return deepClone(this._source);
+  }
+
+  getFlag(scope, key) {
+    return getProperty(this._source.flags?.[scope], key);
+  }
+
+  async setFlag(scope, key, value) {
+    return this.update({ [`flags.${scope}.${key}`]: value });
+  }
+
+  async unsetFlag(scope, key) {
+    const parts = key.split(".");
+    const last = parts.pop();
+    const prefix = parts.length ? `${parts.join(".")}.` : "";
+    return this.update({ [`flags.${scope}.${prefix}-=${last}`]: null });
+  }
+
+  async update(changes = {}, options = {}) {
+    const expanded = expandObject(changes);
+    delete expanded._id;
+    StubHooks.call(`preUpdate${this.documentName}`, this, expanded, options, game.user.id);
+    mergeObject(this._source, expanded, { performDeletions: true });
+    StubHooks.callAll(`update${this.documentName}`, this, expanded, options, game.user.id);
+    return this;
+  }
+
+  async delete(options = {}) {
+    if (this.parent) {
+      await this.parent.deleteEmbeddedDocuments(this.documentName, [this.id], options);
+    } else {
+      this.constructor.collection?.delete(this.id);
+      StubHooks.callAll(`delete${this.documentName}`, this, options, game.user.id);
+    }
+    return this;
+  }
+
+  static async create(data, options = {}) {
+    const [doc] = await this.createDocuments([data], options);
+    return doc;
+  }
+
+  static async createDocuments(data = [], options = {}) {
+    const docs = [];
+    for (const entry of data) {
+      const doc = new this(entry);
+      this.collection?.set(doc.id, doc);
+      StubHooks.callAll(`create${this.documentName}`, doc, options, game.user.id);
+      docs.push(doc);
+    }
+    return docs;
+  }
+
+  static async updateDocuments(updates = [], options = {}) {
+    const docs = [];
+    for (const { _id, ...changes } of updates) {
+      const doc = this.collection?.get(_id);
+      if (doc) docs.push(await doc.update(changes, options));
+    }
+    return docs;
+  }
+
+  static async deleteDocuments(ids = [], options = {}) {
+    const docs = [];
+    for (const id of ids) {
+      const doc = this.collection?.get(id);
+      if (doc) docs.push(await doc.delete(options));
+    }
+    return docs;
+  }
+}
+
+class StubItem extends StubDocument {
+  static documentName = "Item";
+  static get collection() {
+    return game.items;
+  }
+}
+
+class StubActor extends StubDocument {
+  static documentName = "Actor";
+  static get collection() {
+    return game.actors;
+  }
+
+  constructor(data = {}, options = {}) {
+    const { items = [], ...rest } = data;
+    super(rest, options);
+    this.items = new StubCollection();
+    for (const itemData of items) {
+      const item = new StubItem(itemData, { parent: this });
+      this.items.set(item.id, item);
+    }
+  }
+
+  toObject() {
+    return { ...super.toObject(), items: this.items.map((item) => item.toObject()) };
+  }
+
+  getEmbeddedCollection(embeddedName) {
+    if (embeddedName !== "Item") throw new HeadlessUnsupportedError(`Embedded ${embeddedName}`);
+    return this.items;
+  }
+
+  async createEmbeddedDocuments(embeddedName, data = [], options = {}) {
+    const collection = this.getEmbeddedCollection(embeddedName);
+    const created = [];
+    for (const entry of data) {
+      const doc = new StubItem(entry, { parent: this });
+      collection.set(doc.id, doc);
+      StubHooks.callAll("createItem", doc, options, game.user.id);
+      created.push(doc);
+    }
+    return created;
+  }
+
+  async updateEmbeddedDocuments(embeddedName, updates = [], options = {}) {
+    const collection = this.getEmbeddedCollection(embeddedName);
+    const updated = [];
+    for (const { _id, ...changes } of updates) {
+      const doc = collection.get(_id);
+      if (doc) updated.push(await doc.update(changes, options));
+    }
+    return updated;
+  }
+
+  async deleteEmbeddedDocuments(embeddedName, ids = [], options = {}) {
+    const collection = this.getEmbeddedCollection(embeddedName);
+    const deleted = [];
+    for (const id of ids) {
+      const doc = collection.get(id);
+      if (!doc) continue;
+      collection.delete(id);
+      StubHooks.callAll("deleteItem", doc, options, game.user.id);
+      deleted.push(doc);
+    }
+    return deleted;
+  }
+}
+
+class StubJournalEntry extends StubDocument {
+  static documentName = "JournalEntry";
+  static get collection() {
+    return game.journal;
+  }
+}
+
+class StubChatMessage extends StubDocument {
+  static documentName = "ChatMessage";
+  static get collection() {
+    return game.messages;
+  }
+
+  get content() {
+    return this._source.content ?? "";
+  }
+}
+
+/**
+ * Read-only compendium backed by a JSON array of document data.
+ */
+class StubCompendium {
+  constructor({ id, label, type = "Item", documents = [] }) {
+    this.collection = id;
+    this.documentName = type;
+    this.metadata = { id, label: label ?? id, type };
+    this._documents = documents.map((data) => ({ _id: data._id ?? randomID(), ...data }));
+  }
+
+  async getIndex({ fields = [] } = {}) {
+    const index = new StubCollection();
+    for (const data of this._documents) {
+      const entry = { _id: data._id, name: data.name, type: data.type };
+      for (const field of fields) {
+        if (!(field in entry)) entry[field] = getProperty(data, field);
+      }
+      index.set(entry._id, entry);
+    }
+    return index;
+  }
+
+  async getDocument(id) {
+    const data = this._documents.find((doc) => doc._id === id);
+    if (!data) return null;
+    const DocumentClass = this.documentName === "Actor" ? StubActor : StubItem;
+    return new DocumentClass(data);
+  }
+
+  async getDocuments() {
+    return Promise.all(this._documents.map((data) => this.getDocument(data._id)));
+  }
+}
+
+/**
+ * Load compendium fixtures from a directory of JSON files.
+ * Each file holds `{ name, label, type, documents: [...] }` (the format of the
+ * harness fixture packs); the pack ID is `world.<name>` as in the browser, or
+ * the file name when there is no name.
+ * @param {string} directory
+ * @returns {StubCollection}
+ */
+function loadPacks(directory) {
+  const packs = new StubCollection();
+  if (!directory || !existsSync(directory)) return packs;
+  for (const file of readdirSync(directory).filter((name) => name.endsWith(".json"))) {
+    const data = JSON.parse(readFileSync(path.join(directory, file), "utf8"));
+    const id = data.name ? `world.${data.name}` : path.basename(file, ".json");
+    packs.set(id, new StubCompendium({ id, ...data }));
+  }
+  return packs;
+}
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+/**
+ * World/client settings store. Settings the harness did not register (such as
+ * bitd-alternate-sheets' own, registered by its init hook) are unsupported.
+ */
+class StubSettings {
+  constructor() {
+    this.settings = new Map();
+    this.storage = new Map();
+  }
+
+  register(namespace, key, config = {}) {
+    this.settings.set(`${namespace}.${key}`, { ...config, namespace, key });
+  }
+
+  get(namespace, key) {
+    const id = `${namespace}.${key}`;
+    const config = this.settings.get(id);
+    if (!config) throw new HeadlessUnsupportedError(`Setting "${id}"`);
+    return deepClone(this.storage.has(id) ? this.storage.get(id) : config.default);
+  }
+
+  async set(namespace, key, value) {
+    const id = `${namespace}.${key}`;
+    const config = this.settings.get(id);
+    if (!config) throw new HeadlessUnsupportedError(`Setting "${id}"`);
+    this.storage.set(id, deepClone(value));
+    config.onChange?.(value);
+    return value;
+  }
+}
+
+// ============================================================================
+// Installation
+// ============================================================================
+
+/**
+ * Read a module manifest from a Foundry data folder, if present.
+ * @param {string|null} dataDir
+ * @param {string} moduleId
+ * @returns {object|null}
+ */
+function readModuleManifest(dataDir, moduleId) {
+  if (!dataDir) return null;
+  const manifestPath = path.join(dataDir, "modules", moduleId, "module.json");
+  if (!existsSync(manifestPath)) return null;
+  return JSON.parse(readFileSync(manifestPath, "utf8"));
+}
+
+/**
+ * Install the Foundry stand-in globals on globalThis.
+ * @param {object} options - Options
+ * @param {string|null} [options.dataDir] - Foundry Data folder holding modules/bitd-alternate-sheets
+ * @param {string|null} [options.packsDir] - Directory of compendium fixture JSON files
+ * @param {string} [options.harnessVersion] - Version reported for the harness module
+ * @returns {{targetManifest: object|null}}
+ */
+export function installFoundryStub({ dataDir = null, packsDir = null, harnessVersion = "0.0.0" } = {}) {
+  const dom = new JSDOM("<!DOCTYPE html><html><body></body></html>", {
+    url: "http://localhost:30000/game",
+    pretendToBeVisual: true,
+  });
+  const { window } = dom;
+
+  const domGlobals = [
+    "window", "document", "HTMLElement", "Element", "Node", "NodeList",
+    "MutationObserver", "Event", "MouseEvent", "KeyboardEvent", "CustomEvent",
+    "DOMParser", "File", "Blob", "getComputedStyle",
+  ];
+  for (const name of domGlobals) {
+    const value = name === "window" ? window : window[name];
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+  }
+  globalThis.CSS ??= { escape: (value) => String(value).replace(/[^\w-]/g, (ch) => `\\${ch}`) };
+
+  const targetManifest = readModuleManifest(dataDir, TARGET_MODULE_ID);
+  const modules = new StubCollection([
+    [MODULE_ID, { id: MODULE_ID, title: "Test Harness", active: true, version: harnessVersion }],
+    [TARGET_MODULE_ID, {
+      id: TARGET_MODULE_ID,
+      title: targetManifest?.title ?? TARGET_MODULE_ID,
+      active: Boolean(targetManifest),
+      version: targetManifest?.version ?? null,
+    }],
+  ]);
+
+  const user = { id: "headlessGM00000", name: "Headless GM", role: 4, isGM: true };
+
+  globalThis.Hooks = StubHooks;
+  globalThis.Handlebars = Handlebars;
+  globalThis.Actor = StubActor;
+  globalThis.Item = StubItem;
+  globalThis.JournalEntry = StubJournalEntry;
+  globalThis.ChatMessage = StubChatMessage;
+  globalThis.ActorSheet = class ActorSheet {};
+  globalThis.ItemSheet = class ItemSheet {};
+  globalThis.CONST = {
+    USER_ROLES: { NONE: 0, PLAYER: 1, TRUSTED: 2, ASSISTANT: 3, GAMEMASTER: 4 },
+    DOCUMENT_OWNERSHIP_LEVELS: { INHERIT: -1, NONE: 0, LIMITED: 1, OBSERVER: 2, OWNER: 3 },
+  };
+  globalThis.CONFIG = {
+    debug: {},
+    Actor: { documentClass: StubActor },
+    Item: { documentClass: StubItem },
+  };
+  globalThis.foundry = {
+    utils: {
+      randomID,
+      deepClone,
+      duplicate: (value) => JSON.parse(JSON.stringify(value)),
+      getProperty,
+      setProperty,
+      hasProperty,
+      expandObject,
+      flattenObject,
+      mergeObject,
+      isEmpty,
+      saveDataToFile: () => {
+        throw new HeadlessUnsupportedError("saveDataToFile");
+      },
+    },
+    applications: {},
+  };
+  globalThis.ui = {
+    windows: {},
+    notifications: {
+      queue: [],
+      notify(message, type = "info") {
+        this.queue.push({ message, type });
+        return this.queue.length;
+      },
+      info(message) { return this.notify(message, "info"); },
+      warn(message) { return this.notify(message, "warning"); },
+      error(message) { return this.notify(message, "error"); },
+    },
+  };
+  globalThis.game = {
+    version: "headless",
+    ready: true,
+    system: { id: "blades-in-the-dark", version: "headless" },
+    world: { id: "headless" },
+    user,
+    users: new StubCollection([[user.id, user]]),
+    modules,
+    settings: new StubSettings(),
+    actors: Object.assign(new StubCollection(), { documentClass: StubActor }),
+    items: Object.assign(new StubCollection(), { documentClass: StubItem }),
+    journal: Object.assign(new StubCollection(), { documentClass: StubJournalEntry }),
+    messages: Object.assign(new StubCollection(), { documentClass: StubChatMessage }),
+    packs: loadPacks(packsDir),
+    i18n: {
+      localize: (key) => key,
+      format: (key, data = {}) =>
+        Object.entries(data).reduce((text, [k, v]) => text.replace(`{${k}}`, v), key),
+      has: () => false,
+    },
+  };
+  globalThis.fromUuid = async (uuid) => globalThis.fromUuidSync(uuid);
+  globalThis.fromUuidSync = (uuid) => {
+    const parts = String(uuid).split(".");
+    const collections = { Actor: game.actors, Item: game.items, JournalEntry: game.journal };
+    let doc = collections[parts[0]]?.get(parts[1]) ?? null;
+    for (let i = 2; doc && i < parts.length; i += 2) {
+      doc = doc.getEmbeddedCollection?.(parts[i])?.get(parts[i + 1]) ?? null;
+    }
+    return doc;
+  };
+
+  return { targetManifest };
+}
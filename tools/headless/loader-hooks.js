@@ -0,0 +1,35 @@
+/**
+ * Node module resolution hooks for the headless runner.
+ *
+ * Foundry serves module and system files from server-absolute paths such as
+ * "/modules/bitd-alternate-sheets/scripts/migration.js". These hooks map those
+ * specifiers onto a local Foundry Data folder so the batches' dynamic imports
+ * resolve unchanged. Registered from run.js via module.register().
+ */
+
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+const FOUNDRY_ROOTS = ["/modules/", "/systems/"];
+
+let dataDir = null;
+
+/**
+ * @param {{dataDir: string|null}} data - Passed through module.register()
+ */
+export async function initialize(data) {
+  dataDir = data?.dataDir ?? null;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (FOUNDRY_ROOTS.some((root) => specifier.startsWith(root))) {
+    if (!dataDir) {
+      throw new Error(
+        `Cannot import "${specifier}" without --data pointing at a Foundry Data folder`
+      );
+    }
+    const url = pathToFileURL(path.join(dataDir, specifier)).href;
+    return nextResolve(url, context);
+  }
+  return nextResolve(specifier, context);
+}
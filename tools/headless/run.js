@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+/**
+ * Headless runner for pure-logic Quench batches.
+ *
+ * Loads the batch files listed in batches.js against the Foundry stand-in
+ * from foundry-stub.js and runs them with mocha under Node, so they can run
+ * on CI machines without a Foundry license, browser or network access.
+ *
+ * Usage:
+ *   node tools/headless/run.js [--data <Foundry Data folder>] [--batch <key>]...
+ *                              [--grep <pattern>] [--retries <n>] [--report <dir>]
+ *                              [--timeout <ms>] [--list]
+ *
+ * Without --data the target module is treated as inactive and its batches
+ * skip themselves, exactly as they do in a world without bitd-alternate-sheets.
+ * Tests that need a rendered sheet or another client-only API are reported
+ * as skipped.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { register } from "node:module";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import * as chai from "chai";
+import Mocha from "mocha";
+
+import { HEADLESS_BATCHES } from "./batches.js";
+import { HeadlessUnsupportedError, installFoundryStub } from "./foundry-stub.js";
+
+const MODULE_ID = "bitd-alternate-sheets-test";
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+/** Errors that mean "this needs a real Foundry client", not "this is broken". */
+const UNSUPPORTED_MESSAGES = ["Actor has no sheet instance"];
+
+// ============================================================================
+// Arguments
+// ============================================================================
+
+const USAGE = `Usage: node tools/headless/run.js [options]
+
+Options:
+  --data <dir>       Foundry Data folder containing modules/bitd-alternate-sheets
+  --batch <key>      Only run this batch key (repeatable)
+  --grep <pattern>   Only run tests whose full title matches
+  --retries <n>      Rerun failed tests up to n times (flaky detection)
+  --report <dir>     Write JSON and JUnit XML reports (and failure artifacts) to this directory
+  --timeout <ms>     Default per-test timeout (default 10000)
+  --list             List the available batches and exit
+  --help             Show this message`;
+
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      data: { type: "string" },
+      batch: { type: "string", multiple: true },
+      grep: { type: "string" },
+      retries: { type: "string" },
+      report: { type: "string" },
+      timeout: { type: "string", default: "10000" },
+      list: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+  return values;
+}
+
+// ============================================================================
+// Skipping Client-Only Tests
+// ============================================================================
+
+/**
+ * Check whether an error comes from a Foundry API the stub does not provide.
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+function isUnsupported(err) {
+  if (err instanceof HeadlessUnsupportedError) return true;
+  const message = err?.message ?? "";
+  return UNSUPPORTED_MESSAGES.some((text) => message.includes(text));
+}
+
+/**
+ * Wrap a test or hook body so client-only failures mark it as skipped.
+ * Callback-style bodies (fn.length > 0) are left untouched.
+ * @param {Function} fn
+ * @returns {Function}
+ */
+function skipUnsupported(fn) {
+  if (typeof fn !== "function" || fn.length > 0) return fn;
+  return async function (...args) {
+    try {
+      return await fn.apply(this, args);
+    } catch (err) {
+      if (isUnsupported(err)) this.skip();
+      throw err;
+    }
+  };
+}
+
+/**
+ * Wrap a mocha registration function (it, beforeEach, ...) with skipUnsupported.
+ * Accepts both (fn) and (title, fn) forms and keeps .skip/.only helpers.
+ * @param {Function} registerFn
+ * @returns {Function}
+ */
+function wrapRegistration(registerFn) {
+  const wrapped = (titleOrFn, fn) =>
+    typeof titleOrFn === "function"
+      ? registerFn(skipUnsupported(titleOrFn))
+      : registerFn(titleOrFn, skipUnsupported(fn));
+  return Object.assign(wrapped, registerFn);
+}
+
+// ============================================================================
+// Quench Stand-In
+// ============================================================================
+
+/**
+ * Collect batches registered from the quenchReady hook.
+ * @returns {{batches: Map<string, {fn: Function, options: object}>, registerBatch: Function}}
+ */
+function createQuench() {
+  const batches = new Map();
+  return {
+    batches,
+    registerBatch(key, fn, options = {}) {
+      if (batches.has(key)) {
+        console.warn(`[${MODULE_ID}] Duplicate batch key "${key}" ignored`);
+        return;
+      }
+      batches.set(key, { fn, options });
+    },
+  };
+}
+
+/**
+ * Build the context object Quench passes to each batch function.
+ * @returns {object}
+ */
+function createBatchContext() {
+  return {
+    assert: chai.assert,
+    expect: chai.expect,
+    should: chai.should,
+    describe: globalThis.describe,
+    it: globalThis.it,
+    before: globalThis.before,
+    after: globalThis.after,
+    beforeEach: globalThis.beforeEach,
+    afterEach: globalThis.afterEach,
+    utils: {},
+  };
+}
+
+// ============================================================================
+// Reporting
+// ============================================================================
+
+/**
+ * Convert a mocha runnable into a Quench-style JSON report entry.
+ * @param {Mocha.Runnable} test
+ * @param {Error} [err]
+ * @returns {object}
+ */
+function toReportEntry(test, err) {
+  return {
+    title: test.title,
+    fullTitle: test.fullTitle(),
+    duration: test.duration ?? 0,
+    currentRetry: test.currentRetry?.() ?? 0,
+    err: err ? { message: err.message, stack: err.stack } : {},
+  };
+}
+
+/**
+ * Write JSON and JUnit XML reports, and the failure artifacts they name, to a
+ * directory.
+ * @param {object} report - Normalized report
+ * @param {string} directory
+ * @param {object} reportModule - scripts/test-report.js exports
+ * @param {object} artifactModule - scripts/failure-artifacts.js exports
+ * @returns {string[]} Written file paths
+ */
+function writeReports(
+  report,
+  directory,
+  { toJson, toJUnitXml, getReportFileName },
+  { getFailureArtifact, serializeArtifact }
+) {
+  mkdirSync(directory, { recursive: true });
+  const files = [
+    [getReportFileName(report, "json"), toJson(report)],
+    [getReportFileName(report, "xml"), toJUnitXml(report)],
+    ...report.tests
+      .filter((test) => test.artifact && getFailureArtifact(test.fullTitle))
+      .map((test) => [test.artifact, serializeArtifact(getFailureArtifact(test.fullTitle), test.error)]),
+  ];
+  return files.map(([name, content]) => {
+    const filePath = path.join(directory, name);
+    writeFileSync(filePath, content);
+    return filePath;
+  });
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+async function main() {
+  const args = parseCliArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const dataDir = args.data ? path.resolve(args.data) : null;
+  register("./loader-hooks.js", import.meta.url, { data: { dataDir } });
+
+  const harness = JSON.parse(readFileSync(path.join(ROOT, "module.json"), "utf8"));
+  const { targetManifest } = installFoundryStub({
+    dataDir,
+    packsDir: path.join(ROOT, "fixtures/packs"),
+    harnessVersion: harness.version,
+  });
+  if (dataDir && !targetManifest) {
+    console.warn(`[${MODULE_ID}] No bitd-alternate-sheets module found under ${dataDir}`);
+  }
+
+  const { registerSettings } = await import(pathToFileURL(path.join(ROOT, "scripts/settings.js")));
+  const { setRetryOverride } = await import(pathToFileURL(path.join(ROOT, "scripts/flaky-tests.js")));
+  const reportModule = await import(pathToFileURL(path.join(ROOT, "scripts/test-report.js")));
+  const artifactModule = await import(pathToFileURL(path.join(ROOT, "scripts/failure-artifacts.js")));
+  registerSettings();
+  if (args.retries !== undefined) setRetryOverride(Number(args.retries));
+
+  const mocha = new Mocha({
+    reporter: "spec",
+    timeout: Number(args.timeout) || 10000,
+    grep: args.grep,
+  });
+  mocha.suite.emit("pre-require", globalThis, null, mocha);
+  for (const name of ["it", "before", "after", "beforeEach", "afterEach"]) {
+    globalThis[name] = wrapRegistration(globalThis[name]);
+  }
+
+  for (const file of HEADLESS_BATCHES) {
+    await import(pathToFileURL(path.join(ROOT, file)));
+  }
+
+  const quench = createQuench();
+  Hooks.callAll("quenchReady", quench);
+
+  if (args.list) {
+    for (const [key, { options }] of quench.batches) {
+      console.log(`${key}${options.displayName ? `  (${options.displayName})` : ""}`);
+    }
+    return 0;
+  }
+
+  const selected = args.batch?.length
+    ? [...quench.batches].filter(([key]) => args.batch.includes(key))
+    : [...quench.batches];
+  const unknown = (args.batch ?? []).filter((key) => !quench.batches.has(key));
+  if (unknown.length) {
+    console.error(`[${MODULE_ID}] Unknown batch key(s): ${unknown.join(", ")}`);
+    return 1;
+  }
+  if (!selected.length) {
+    console.error(`[${MODULE_ID}] No batches registered (is bitd-alternate-sheets under --data?)`);
+    return 1;
+  }
+
+  // Quench wraps each batch in a suite named after its key
+  for (const [key, { fn }] of selected) {
+    describe(key, () => fn(createBatchContext()));
+  }
+
+  const results = { passes: [], failures: [], pending: [] };
+  const start = new Date();
+  await new Promise((resolve) => {
+    const runner = mocha.run(resolve);
+    runner.on("pass", (test) => results.passes.push(toReportEntry(test)));
+    runner.on("fail", (test, err) => results.failures.push(toReportEntry(test, err)));
+    runner.on("pending", (test) => results.pending.push(toReportEntry(test)));
+  });
+
+  const report = reportModule.buildReport({
+    ...results,
+    stats: { start: start.toISOString(), duration: Date.now() - start.getTime() },
+  });
+  if (args.report) {
+    for (const file of writeReports(report, path.resolve(args.report), reportModule, artifactModule)) {
+      console.log(`[${MODULE_ID}] Wrote ${file}`);
+    }
+  }
+
+  console.log(
+    `[${MODULE_ID}] ${report.stats.passed} passed, ${report.stats.failed} failed, ` +
+    `${report.stats.skipped} skipped, ${report.stats.flaky} flaky, ` +
+    `${report.stats.quarantined} quarantined`
+  );
+  return report.stats.failed > 0 ? 1 : 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error(`[${MODULE_ID}] Headless run failed:`, err);
+    process.exit(1);
+  }
+);